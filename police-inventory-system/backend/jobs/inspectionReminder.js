@@ -0,0 +1,72 @@
+const EquipmentPool = require('../models/EquipmentPool');
+const Notification = require('../models/Notification');
+
+// Remind admins about items whose next inspection falls within the reminder window.
+// Each nextInspectionDate is reminded about once per item.
+const runInspectionReminder = async (now = new Date()) => {
+  const reminderDays = parseInt(process.env.INSPECTION_REMINDER_DAYS) || 7;
+  const horizon = new Date(now.getTime() + reminderDays * 24 * 60 * 60 * 1000);
+
+  const pools = await EquipmentPool.find({
+    'items.nextInspectionDate': { $lte: horizon }
+  }).select('poolName items.uniqueId items.status items.nextInspectionDate items.inspectionReminderFor');
+
+  let reminded = 0;
+
+  for (const pool of pools) {
+    const dueItems = pool.items.filter(item =>
+      item.nextInspectionDate &&
+      item.nextInspectionDate <= horizon &&
+      !['Lost', 'Retired'].includes(item.status) &&
+      item.inspectionReminderFor?.getTime() !== item.nextInspectionDate.getTime()
+    );
+
+    if (dueItems.length === 0) continue;
+
+    for (const item of dueItems) {
+      await EquipmentPool.updateOne(
+        { _id: pool._id },
+        { $set: { 'items.$[item].inspectionReminderFor': item.nextInspectionDate } },
+        { arrayFilters: [{ 'item.uniqueId': item.uniqueId }] }
+      );
+    }
+
+    const earliest = new Date(Math.min(...dueItems.map(item => item.nextInspectionDate.getTime())));
+    const ids = dueItems.map(item => item.uniqueId);
+
+    await Notification.notifyAdmins({
+      type: 'InspectionDue',
+      title: `${dueItems.length} item(s) due for inspection in ${pool.poolName}`,
+      message: `Inspection due from ${earliest.toDateString()}: ${ids.slice(0, 10).join(', ')}` +
+        (ids.length > 10 ? ` and ${ids.length - 10} more` : ''),
+      poolId: pool._id,
+      ...(dueItems.length === 1 && { uniqueId: ids[0] })
+    });
+
+    reminded += dueItems.length;
+  }
+
+  return { reminded };
+};
+
+// Start the daily inspection reminder; runs once immediately
+const startInspectionReminderJob = () => {
+  const tick = async () => {
+    try {
+      const result = await runInspectionReminder();
+      if (result.reminded) {
+        console.log(`🔍 Inspection reminder: ${result.reminded} item(s) due soon`);
+      }
+    } catch (error) {
+      console.error('Inspection reminder error:', error);
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, 24 * 60 * 60 * 1000);
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = { runInspectionReminder, startInspectionReminderJob };
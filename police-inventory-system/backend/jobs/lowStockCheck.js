@@ -0,0 +1,62 @@
+const EquipmentPool = require('../models/EquipmentPool');
+const Notification = require('../models/Notification');
+
+// Alert admins when a pool falls to its reorder threshold. Each drop is alerted once;
+// the alert is re-armed when the pool is back above the threshold.
+const runLowStockCheck = async (now = new Date()) => {
+  const lowPools = await EquipmentPool.findLowStock({ lowStockAlertedAt: { $exists: false } });
+  let alerted = 0;
+
+  for (const pool of lowPools) {
+    // Only the check that sets the flag sends the alert
+    const result = await EquipmentPool.updateOne(
+      { _id: pool._id, lowStockAlertedAt: { $exists: false } },
+      { $set: { lowStockAlertedAt: now } }
+    );
+    if (result.modifiedCount === 0) continue;
+
+    const unit = pool.trackingType === 'Consumable' ? pool.unit : 'items';
+    await Notification.notifyAdmins({
+      type: 'LowStock',
+      title: `Low stock: ${pool.poolName}`,
+      message: `${pool.availableCount} ${unit} available (reorder at ${pool.reorderThreshold}). ` +
+        `Suggested order: ${pool.suggestedOrderQuantity()} ${unit}.`,
+      poolId: pool._id
+    });
+    alerted++;
+  }
+
+  const restocked = await EquipmentPool.updateMany(
+    {
+      lowStockAlertedAt: { $exists: true },
+      $expr: { $gt: ['$availableCount', '$reorderThreshold'] }
+    },
+    { $unset: { lowStockAlertedAt: '' } }
+  );
+
+  return { alerted, restocked: restocked.modifiedCount };
+};
+
+// Start the periodic low-stock check; runs once immediately
+const startLowStockJob = () => {
+  const minutes = parseInt(process.env.LOW_STOCK_CHECK_INTERVAL_MINUTES) || 60;
+
+  const tick = async () => {
+    try {
+      const result = await runLowStockCheck();
+      if (result.alerted) {
+        console.log(`📦 Low stock check: ${result.alerted} pool(s) at reorder level`);
+      }
+    } catch (error) {
+      console.error('Low stock check error:', error);
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, minutes * 60 * 1000);
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = { runLowStockCheck, startLowStockJob };
@@ -0,0 +1,104 @@
+const EquipmentPool = require('../models/EquipmentPool');
+const Notification = require('../models/Notification');
+
+// Where an overdue entry's flags are stored, with an array filter that only matches
+// while the item or consumable issue is still out on the same assignment
+const custodyTarget = (item) => (item.issueId
+  ? {
+    path: 'consumableIssues.$[entry]',
+    arrayFilter: { 'entry._id': item.issueId, 'entry.status': 'Issued' }
+  }
+  : {
+    path: 'items.$[entry].currentlyIssuedTo',
+    arrayFilter: {
+      'entry.uniqueId': item.uniqueId,
+      'entry.status': 'Issued',
+      'entry.currentlyIssuedTo.issuedDate': item.issuedDate
+    }
+  });
+
+// Flag newly overdue issuances and escalate the ones past their category threshold.
+// Covers pool items and consumable issues that have an expected return date.
+const runOverdueCheck = async (now = new Date()) => {
+  const overdueItems = await EquipmentPool.findOverdueItems(now);
+  let flagged = 0;
+  let escalated = 0;
+
+  for (const item of overdueItems) {
+    const target = custodyTarget(item);
+    const flag = !item.overdueFlaggedAt;
+    const escalate = item.shouldEscalate && !item.escalatedAt;
+
+    if (!flag && !escalate) continue;
+
+    const updates = {
+      ...(flag && { [`${target.path}.overdueFlaggedAt`]: now }),
+      ...(escalate && { [`${target.path}.escalatedAt`]: now })
+    };
+
+    const result = await EquipmentPool.updateOne(
+      { _id: item.poolId },
+      { $set: updates },
+      { arrayFilters: [target.arrayFilter] }
+    );
+
+    if (result.modifiedCount === 0) continue;
+
+    const notification = {
+      poolId: item.poolId,
+      ...(item.uniqueId && { uniqueId: item.uniqueId })
+    };
+
+    if (flag) {
+      flagged++;
+      await Notification.notify(item.officer._id, {
+        ...notification,
+        type: 'OverdueReturn',
+        title: 'Equipment overdue for return',
+        message: `${item.poolName} (${item.label}) was due back on ${item.expectedReturnDate.toDateString()}. Please return it immediately.`
+      });
+    }
+
+    if (escalate) {
+      escalated++;
+      console.warn(
+        `🚨 Overdue escalation [${item.escalationTier}]: ${item.label} (${item.poolName}) ` +
+        `held by ${item.officer.fullName} (${item.officer.officerId}), ${item.hoursOverdue}h overdue`
+      );
+
+      await Notification.notifyAdmins({
+        ...notification,
+        type: 'OverdueEscalation',
+        title: `${item.escalationTier} overdue: ${item.label}`,
+        message: `${item.poolName} (${item.label}) held by ${item.officer.fullName} (${item.officer.officerId}) is ${item.hoursOverdue} hours overdue.`
+      });
+    }
+  }
+
+  return { overdue: overdueItems.length, flagged, escalated };
+};
+
+// Start the periodic overdue check; runs once immediately
+const startOverdueJob = () => {
+  const intervalMinutes = parseInt(process.env.OVERDUE_CHECK_INTERVAL_MINUTES) || 15;
+
+  const tick = async () => {
+    try {
+      const result = await runOverdueCheck();
+      if (result.flagged || result.escalated) {
+        console.log(`⏰ Overdue check: ${result.overdue} overdue, ${result.flagged} newly flagged, ${result.escalated} escalated`);
+      }
+    } catch (error) {
+      console.error('Overdue check error:', error);
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, intervalMinutes * 60 * 1000);
+  timer.unref();
+
+  console.log(`⏰ Overdue check scheduled every ${intervalMinutes} minutes`);
+  return timer;
+};
+
+module.exports = { runOverdueCheck, startOverdueJob };
@@ -0,0 +1,123 @@
+const EquipmentPool = require('../models/EquipmentPool');
+const Equipment = require('../models/Equipment');
+const Notification = require('../models/Notification');
+
+// Alert admins about warranties ending within the alert window, so claims for
+// known faults can be filed while the warranty still covers them.
+// Each warrantyExpiry is alerted about once per pool, item or equipment record.
+const runWarrantyExpiryCheck = async (now = new Date()) => {
+  const alertDays = parseInt(process.env.WARRANTY_ALERT_DAYS) || 30;
+  const horizon = new Date(now.getTime() + alertDays * 24 * 60 * 60 * 1000);
+  const window = { $gte: now, $lte: horizon };
+
+  let alerted = 0;
+
+  // Pool-wide warranties
+  const pools = await EquipmentPool.find({ 'warrantyInfo.warrantyExpiry': window })
+    .select('poolName warrantyInfo');
+
+  for (const pool of pools) {
+    const expiry = pool.warrantyInfo.warrantyExpiry;
+
+    // Claim the alert first so two checks never both send it
+    const claimed = await EquipmentPool.updateOne(
+      { _id: pool._id, 'warrantyInfo.warrantyExpiry': expiry, 'warrantyInfo.alertedFor': { $ne: expiry } },
+      { $set: { 'warrantyInfo.alertedFor': expiry } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    await Notification.notifyAdmins({
+      type: 'WarrantyExpiring',
+      title: `Warranty for ${pool.poolName} ends ${expiry.toDateString()}`,
+      message: `${pool.warrantyInfo.warrantyProvider || 'The supplier'}'s warranty covers every item in the pool ` +
+        'without a warranty of its own. File claims for known faults before it ends.',
+      poolId: pool._id
+    });
+    alerted++;
+  }
+
+  // Items with a warranty of their own
+  const itemPools = await EquipmentPool.find({ 'items.warrantyExpiry': window })
+    .select('poolName items.uniqueId items.status items.warrantyExpiry items.warrantyAlertedFor');
+
+  for (const pool of itemPools) {
+    const dueItems = pool.items.filter(item =>
+      item.warrantyExpiry &&
+      item.warrantyExpiry >= now &&
+      item.warrantyExpiry <= horizon &&
+      !['Lost', 'Retired'].includes(item.status) &&
+      item.warrantyAlertedFor?.getTime() !== item.warrantyExpiry.getTime()
+    );
+
+    if (dueItems.length === 0) continue;
+
+    for (const item of dueItems) {
+      await EquipmentPool.updateOne(
+        { _id: pool._id },
+        { $set: { 'items.$[item].warrantyAlertedFor': item.warrantyExpiry } },
+        { arrayFilters: [{ 'item.uniqueId': item.uniqueId }] }
+      );
+    }
+
+    const earliest = new Date(Math.min(...dueItems.map(item => item.warrantyExpiry.getTime())));
+    const ids = dueItems.map(item => item.uniqueId);
+
+    await Notification.notifyAdmins({
+      type: 'WarrantyExpiring',
+      title: `Warranty ending for ${dueItems.length} item(s) in ${pool.poolName}`,
+      message: `Warranty ends from ${earliest.toDateString()}: ${ids.slice(0, 10).join(', ')}` +
+        (ids.length > 10 ? ` and ${ids.length - 10} more` : ''),
+      poolId: pool._id,
+      ...(dueItems.length === 1 && { uniqueId: ids[0] })
+    });
+
+    alerted += dueItems.length;
+  }
+
+  // Individually registered equipment
+  const equipment = await Equipment.find({
+    'warrantyInfo.warrantyExpiry': window,
+    status: { $ne: 'Retired' }
+  }).select('name serialNumber warrantyInfo');
+
+  for (const record of equipment) {
+    const expiry = record.warrantyInfo.warrantyExpiry;
+
+    const claimed = await Equipment.updateOne(
+      { _id: record._id, 'warrantyInfo.warrantyExpiry': expiry, 'warrantyInfo.alertedFor': { $ne: expiry } },
+      { $set: { 'warrantyInfo.alertedFor': expiry } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    await Notification.notifyAdmins({
+      type: 'WarrantyExpiring',
+      title: `Warranty for ${record.name} ends ${expiry.toDateString()}`,
+      message: `Serial number ${record.serialNumber}, warranty by ${record.warrantyInfo.warrantyProvider || 'the supplier'}`
+    });
+    alerted++;
+  }
+
+  return { alerted };
+};
+
+// Start the daily warranty expiry check; runs once immediately
+const startWarrantyExpiryJob = () => {
+  const tick = async () => {
+    try {
+      const result = await runWarrantyExpiryCheck();
+      if (result.alerted) {
+        console.log(`🛡️  Warranty check: ${result.alerted} warranty(ies) ending soon`);
+      }
+    } catch (error) {
+      console.error('Warranty expiry check error:', error);
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, 24 * 60 * 60 * 1000);
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = { runWarrantyExpiryCheck, startWarrantyExpiryJob };
@@ -0,0 +1,97 @@
+const AuditLog = require('../models/AuditLog');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Fields that must never be written to the audit log
+const SENSITIVE_FIELDS = ['password', 'currentPassword', 'newPassword', 'confirmPassword', 'token', 'refreshToken', 'challengeToken', 'recoveryCode', 'recoveryCodes', 'passwordHistory', 'temporaryPassword'];
+
+// Arrays longer than this are summarised instead of stored in full
+const MAX_ARRAY_LENGTH = 20;
+
+// Turn documents into plain objects without secrets or bulky arrays
+const sanitize = (value) => {
+  if (value === null || value === undefined) return value;
+  if (typeof value.toObject === 'function') value = value.toObject({ depopulate: true });
+  if (value instanceof Date) return value;
+  if (value._bsontype === 'ObjectId' || value._bsontype === 'ObjectID') return value.toString();
+
+  if (Array.isArray(value)) {
+    if (value.length > MAX_ARRAY_LENGTH) return `[${value.length} entries]`;
+    return value.map(sanitize);
+  }
+
+  if (typeof value === 'object') {
+    return Object.keys(value).reduce((clean, key) => {
+      if (!SENSITIVE_FIELDS.includes(key) && key !== '__v') {
+        clean[key] = sanitize(value[key]);
+      }
+      return clean;
+    }, {});
+  }
+
+  return value;
+};
+
+// Flatten plain objects into dotted paths; arrays and dates are compared whole
+const flatten = (value, prefix = '', out = {}) => {
+  if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+    Object.keys(value).forEach(key => flatten(value[key], prefix ? `${prefix}.${key}` : key, out));
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+};
+
+const diff = (before, after) => {
+  const from = flatten(before || {});
+  const to = flatten(after || {});
+  const changes = {};
+
+  new Set([...Object.keys(from), ...Object.keys(to)]).forEach(path => {
+    if (path === 'updatedAt') return;
+    if (JSON.stringify(from[path]) !== JSON.stringify(to[path])) {
+      changes[path] = { from: from[path], to: to[path] };
+    }
+  });
+
+  return changes;
+};
+
+// Record every mutating request in the AuditLog once the response is sent.
+// Routes describe what they changed with req.audit({ action, targetModel, targetId, before, after, actor }).
+const auditTrail = (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method)) return next();
+
+  const details = {};
+  req.audit = (fields) => Object.assign(details, fields);
+
+  res.on('finish', () => {
+    const actor = details.actor || req.user;
+    const before = sanitize(details.before);
+    const after = details.after !== undefined ? sanitize(details.after) : sanitize(req.body);
+
+    AuditLog.create({
+      actor: actor?._id,
+      actorName: actor?.fullName || actor?.username,
+      actorRole: actor?.role,
+      action: details.action || `${req.method} ${req.baseUrl}${req.route?.path || req.path}`,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      success: res.statusCode < 400,
+      targetModel: details.targetModel,
+      targetId: details.targetId?.toString(),
+      before,
+      after,
+      changes: before ? diff(before, after) : undefined,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    }).catch(error => {
+      console.error('Audit log write error:', error);
+    });
+  });
+
+  next();
+};
+
+module.exports = { auditTrail };
@@ -1,5 +1,26 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+
+// lastSeenAt is written at most this often per session
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+// Load the session an access token belongs to; null when it was revoked or has expired
+const activeSession = async (decoded) => {
+  if (!decoded.sid) return null;
+
+  const session = await Session.findById(decoded.sid).select('user revokedAt expiresAt lastSeenAt');
+  if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+    return null;
+  }
+
+  if (Date.now() - session.lastSeenAt > LAST_SEEN_INTERVAL_MS) {
+    Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date() } })
+      .catch(error => console.error('Session last seen update error:', error));
+  }
+
+  return session;
+};
 
 // Verify JWT token
 const auth = async (req, res, next) => {
@@ -14,6 +35,15 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    const session = await activeSession(decoded);
+    if (!session) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Session has expired or been revoked.' 
+      });
+    }
+
     const user = await User.findById(decoded.id).select('-password');
 
     if (!user) {
@@ -31,6 +61,7 @@ const auth = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = session._id;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -66,10 +97,12 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id).select('-password');
+      const session = await activeSession(decoded);
+      const user = session && await User.findById(decoded.id).select('-password');
 
       if (user && user.isActive) {
         req.user = user;
+        req.sessionId = session._id;
       }
     }
 
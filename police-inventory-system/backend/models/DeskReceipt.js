@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Receipt for an armory desk issue or return, kept so it can be looked up and reprinted.
+// Officer and item details are copied in as they were at the desk.
+const deskReceiptSchema = new mongoose.Schema({
+  receiptNo: {
+    type: String,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['Issue', 'Return'],
+    required: true
+  },
+  // Null for a return taken without scanning an officer ID card
+  officer: {
+    type: new mongoose.Schema({
+      _id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      officerId: String,
+      fullName: String,
+      designation: String,
+      rank: String
+    }),
+    default: null
+  },
+  items: [{
+    _id: false,
+    poolId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EquipmentPool'
+    },
+    poolName: String,
+    category: String,
+    uniqueId: String,
+    condition: String,
+    // Issue receipts
+    issuedDate: Date,
+    expectedReturnDate: Date,
+    // Return receipts
+    returnedBy: String,
+    daysUsed: Number,
+    remarks: String
+  }],
+  purpose: String,
+  processedBy: {
+    type: new mongoose.Schema({
+      _id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      fullName: String,
+      officerId: String
+    }),
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+deskReceiptSchema.index({ 'officer._id': 1, timestamp: -1 });
+deskReceiptSchema.index({ timestamp: -1 });
+
+// DSK-YYYYMMDD-XXXXXX; random rather than sequential so desks running at the
+// same time never compete for the next number
+deskReceiptSchema.pre('validate', function(next) {
+  if (!this.receiptNo) {
+    const date = this.timestamp || new Date();
+    this.receiptNo = `DSK-${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}` +
+      `-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+  }
+  next();
+});
+
+deskReceiptSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('DeskReceipt', deskReceiptSchema);
@@ -103,7 +103,9 @@ const equipmentSchema = new mongoose.Schema({
   warrantyInfo: {
     warrantyPeriod: String,
     warrantyExpiry: Date,
-    warrantyProvider: String
+    warrantyProvider: String,
+    // warrantyExpiry that admins were last alerted about
+    alertedFor: Date
   },
   addedBy: {
     type: mongoose.Schema.Types.ObjectId,
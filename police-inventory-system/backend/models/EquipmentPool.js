@@ -1,5 +1,45 @@
 
 const mongoose = require('mongoose');
+const { broadcast } = require('../utils/eventStream');
+const { sealEntry, hashEntry, verifyItem } = require('../utils/custodyChain');
+
+// Condition ranking used when issuing the best item first
+const CONDITION_RANK = { Excellent: 0, Good: 1, Fair: 2, Poor: 3 };
+
+const totalDaysUsed = (item) =>
+  item.usageHistory.reduce((total, entry) => total + (entry.daysUsed || 0), 0);
+
+const compareUsage = (a, b) =>
+  (a.usageHistory.length - b.usageHistory.length) || (totalDaysUsed(a) - totalDaysUsed(b));
+
+const atLocation = (item, { pool, location }) =>
+  (item.location || pool.location || '').trim().toLowerCase() === (location || '').trim().toLowerCase();
+
+// Orderings for getNextAvailableItem; 'first' keeps pool order
+const ISSUE_STRATEGY_COMPARATORS = {
+  first: null,
+  bestCondition: (a, b) => (CONDITION_RANK[a.condition] - CONDITION_RANK[b.condition]) || compareUsage(a, b),
+  leastUsed: compareUsage,
+  sameLocation: (a, b, options) => Number(!atLocation(a, options)) - Number(!atLocation(b, options))
+};
+
+const ISSUE_STRATEGIES = Object.keys(ISSUE_STRATEGY_COMPARATORS);
+
+// Overdue escalation policy by category: how many hours past the expected
+// return date an item may be held before it is escalated to admins
+const ESCALATION_POLICY = {
+  'Firearm': { tier: 'Critical', hours: 2 },
+  'Ammunition': { tier: 'Critical', hours: 2 },
+  'Less-Lethal Weapon': { tier: 'High', hours: 6 },
+  'Tactical Equipment': { tier: 'High', hours: 12 },
+  'Communication Device': { tier: 'High', hours: 24 },
+  'Vehicle': { tier: 'High', hours: 24 },
+  'Protective Gear': { tier: 'Medium', hours: 48 },
+  'Forensic Equipment': { tier: 'Medium', hours: 48 },
+  'Medical Supplies': { tier: 'Medium', hours: 72 },
+  'Office Equipment': { tier: 'Low', hours: 168 },
+  'Other': { tier: 'Low', hours: 72 }
+};
 
 // Equipment Pool Schema - For managing groups of identical equipment
 const equipmentPoolSchema = new mongoose.Schema({
@@ -61,6 +101,18 @@ const equipmentPoolSchema = new mongoose.Schema({
     ]
   }],
   
+  // Home station; items without a station of their own are held here
+  station: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station'
+  },
+  
+  // Prefix of the sequential item IDs (e.g. GLK for GLK001)
+  itemPrefix: {
+    type: String,
+    trim: true
+  },
+  
   // Pool Statistics
   totalQuantity: {
     type: Number,
@@ -92,6 +144,56 @@ const equipmentPoolSchema = new mongoose.Schema({
     min: [0, 'Damaged count cannot be negative']
   },
   
+  lostCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Lost count cannot be negative']
+  },
+  
+  retiredCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Retired count cannot be negative']
+  },
+  
+  inTransitCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'In transit count cannot be negative']
+  },
+  
+  // Individual pools track numbered items; Consumable pools track a stock level in lots
+  trackingType: {
+    type: String,
+    enum: ['Individual', 'Consumable'],
+    default: 'Individual'
+  },
+  
+  // Unit the stock of a consumable pool is counted in (rounds, boxes, pairs...)
+  unit: {
+    type: String,
+    trim: true,
+    default: 'units'
+  },
+  
+  // Available count (consumables: stock level) at or below which admins are told
+  // to reorder. 0 turns low-stock alerts off for the pool.
+  reorderThreshold: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reorder threshold cannot be negative']
+  },
+  
+  // Quantity to order when the pool runs low; the threshold is used when unset
+  reorderQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reorder quantity cannot be negative']
+  },
+  
+  // Set when admins were alerted about low stock; cleared once the pool is restocked
+  lowStockAlertedAt: Date,
+  
   // Individual Items in Pool
   items: [{
     uniqueId: {
@@ -102,7 +204,7 @@ const equipmentPoolSchema = new mongoose.Schema({
     
     status: {
       type: String,
-      enum: ['Available', 'Issued', 'Maintenance', 'Damaged', 'Lost', 'Retired'],
+      enum: ['Available', 'Issued', 'Maintenance', 'Damaged', 'Lost', 'Retired', 'In Transit'],
       default: 'Available'
     },
     
@@ -117,6 +219,31 @@ const equipmentPoolSchema = new mongoose.Schema({
       trim: true
     },
     
+    // Station currently holding the item (falls back to the pool's station)
+    station: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Station'
+    },
+    
+    notes: {
+      type: String,
+      maxlength: [500, 'Item notes cannot exceed 500 characters']
+    },
+    
+    addedAt: Date,
+    
+    // Procurement of THIS item (set when it was received against a purchase order)
+    unitCost: Number,
+    purchaseOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PurchaseOrder'
+    },
+    
+    // Item's own warranty end, overriding the pool's warrantyInfo.warrantyExpiry
+    warrantyExpiry: Date,
+    // warrantyExpiry that admins were last alerted about
+    warrantyAlertedFor: Date,
+    
     // Current Assignment
     currentlyIssuedTo: {
       userId: {
@@ -128,7 +255,10 @@ const equipmentPoolSchema = new mongoose.Schema({
       designation: String,
       issuedDate: Date,
       expectedReturnDate: Date,
-      purpose: String
+      purpose: String,
+      // Set by the overdue check job
+      overdueFlaggedAt: Date,
+      escalatedAt: Date
     },
     
     // Complete History for THIS Item
@@ -173,7 +303,10 @@ const equipmentPoolSchema = new mongoose.Schema({
       returnedTo: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
-      }
+      },
+      // Custody hash chain (see utils/custodyChain.js)
+      prevHash: String,
+      hash: String
     }],
     
     // Maintenance History for THIS Item
@@ -189,12 +322,138 @@ const equipmentPoolSchema = new mongoose.Schema({
       description: String,
       cost: Number,
       performedBy: String,
-      nextMaintenanceDate: Date
+      nextMaintenanceDate: Date,
+      prevHash: String,
+      hash: String
     }],
     
+    // Inter-station moves of THIS item
+    transferHistory: [{
+      transfer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transfer'
+      },
+      transferId: String,
+      fromStation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Station'
+      },
+      toStation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Station'
+      },
+      fromLocation: String,
+      toLocation: String,
+      dispatchedAt: Date,
+      receivedAt: Date
+    }],
+    
+    // Set while the item is in Maintenance
+    maintenanceStartedAt: Date,
+    maintenanceReason: String,
+    
+    // Set when the item is written off
+    retiredAt: Date,
+    retirementReason: String,
+    
     // Item-specific dates
     lastInspectionDate: Date,
-    nextInspectionDate: Date
+    nextInspectionDate: Date,
+    // nextInspectionDate that admins were last reminded about
+    inspectionReminderFor: Date
+  }],
+  
+  // Stock of a consumable pool, one entry per received lot/batch
+  lots: [{
+    lotNumber: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    // Quantity of this lot still in stock
+    quantity: {
+      type: Number,
+      required: true,
+      min: [0, 'Lot quantity cannot be negative']
+    },
+    receivedQuantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Received quantity must be at least 1']
+    },
+    receivedDate: {
+      type: Date,
+      default: Date.now
+    },
+    expiryDate: Date,
+    cost: Number,
+    unitCost: Number,
+    purchaseOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PurchaseOrder'
+    },
+    notes: String,
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  
+  // Quantities issued from a consumable pool. The officer reports how much was
+  // expended, then an admin settles the issue when the unused quantity comes back.
+  consumableIssues: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    officerId: String,
+    officerName: String,
+    designation: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Issued quantity must be at least 1']
+    },
+    // Lots the quantity was drawn from
+    lots: [{
+      lotId: mongoose.Schema.Types.ObjectId,
+      lotNumber: String,
+      quantity: Number
+    }],
+    purpose: String,
+    issuedDate: {
+      type: Date,
+      default: Date.now
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    expectedReturnDate: Date,
+    status: {
+      type: String,
+      enum: ['Issued', 'Settled'],
+      default: 'Issued'
+    },
+    expenditureReport: {
+      expendedQuantity: Number,
+      remarks: String,
+      reportedAt: Date
+    },
+    // Filled in on settlement; whatever is neither returned nor expended is unaccounted for
+    returnedQuantity: Number,
+    expendedQuantity: Number,
+    unaccountedQuantity: Number,
+    settlementRemarks: String,
+    settledAt: Date,
+    settledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Set by the overdue check job
+    overdueFlaggedAt: Date,
+    escalatedAt: Date
   }],
   
   // Pool Metadata
@@ -210,7 +469,9 @@ const equipmentPoolSchema = new mongoose.Schema({
   warrantyInfo: {
     warrantyPeriod: String,
     warrantyExpiry: Date,
-    warrantyProvider: String
+    warrantyProvider: String,
+    // warrantyExpiry that admins were last alerted about
+    alertedFor: Date
   },
   
   notes: {
@@ -240,6 +501,24 @@ equipmentPoolSchema.index({ 'items.uniqueId': 1 });
 equipmentPoolSchema.index({ 'items.status': 1 });
 equipmentPoolSchema.index({ 'items.currentlyIssuedTo.userId': 1 });
 equipmentPoolSchema.index({ 'items.currentlyIssuedTo.officerId': 1 });
+equipmentPoolSchema.index({ 'consumableIssues.userId': 1, 'consumableIssues.status': 1 });
+
+// totalQuantity counts every item in the pool, retired ones included,
+// so it always matches items.length. A consumable pool counts the units
+// in stock plus the units out on issue.
+equipmentPoolSchema.pre('save', function(next) {
+  if (this.isConsumable()) {
+    this.updateCounts();
+    this.totalQuantity = this.availableCount + this.issuedCount;
+  } else {
+    this.totalQuantity = this.items.length;
+  }
+  next();
+});
+
+equipmentPoolSchema.methods.isConsumable = function() {
+  return this.trackingType === 'Consumable';
+};
 
 // Method to generate unique IDs for items
 equipmentPoolSchema.methods.generateUniqueIds = function(prefix, startFrom, count) {
@@ -251,18 +530,71 @@ equipmentPoolSchema.methods.generateUniqueIds = function(prefix, startFrom, coun
   return ids;
 };
 
+// Method to work out the item ID prefix (older pools did not store it)
+equipmentPoolSchema.methods.getItemPrefix = function() {
+  if (this.itemPrefix) return this.itemPrefix;
+  
+  // The first item is always numbered 001
+  const match = this.items[0]?.uniqueId.match(/^(.*)\d{3}$/);
+  return match ? match[1] : null;
+};
+
+// Warranty end of an item: its own, or the pool's
+equipmentPoolSchema.methods.warrantyExpiryOf = function(item) {
+  return item?.warrantyExpiry || this.warrantyInfo?.warrantyExpiry || null;
+};
+
+equipmentPoolSchema.methods.isUnderWarranty = function(item, at = new Date()) {
+  const expiry = this.warrantyExpiryOf(item);
+  return Boolean(expiry && new Date(at) <= expiry);
+};
+
 // Method to update counts
 equipmentPoolSchema.methods.updateCounts = function() {
+  // Stored counts are kept when the lots or issues were not selected
+  if (this.isConsumable()) {
+    if (this.lots) {
+      this.availableCount = this.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    }
+    if (this.consumableIssues) {
+      this.issuedCount = this.consumableIssues
+        .filter(issue => issue.status === 'Issued')
+        .reduce((sum, issue) => sum + issue.quantity, 0);
+    }
+    this.maintenanceCount = 0;
+    this.damagedCount = 0;
+    this.lostCount = 0;
+    this.retiredCount = 0;
+    this.inTransitCount = 0;
+    return;
+  }
+  
   const items = this.items || [];
   this.availableCount = items.filter(item => item.status === 'Available').length;
   this.issuedCount = items.filter(item => item.status === 'Issued').length;
   this.maintenanceCount = items.filter(item => item.status === 'Maintenance').length;
   this.damagedCount = items.filter(item => item.status === 'Damaged').length;
+  this.lostCount = items.filter(item => item.status === 'Lost').length;
+  this.retiredCount = items.filter(item => item.status === 'Retired').length;
+  this.inTransitCount = items.filter(item => item.status === 'In Transit').length;
 };
 
-// Method to get next available item
-equipmentPoolSchema.methods.getNextAvailableItem = function() {
-  return this.items.find(item => item.status === 'Available');
+// Method to get next available item.
+// strategy picks among the Available items:
+//   first         - pool order (the default)
+//   bestCondition - best condition first, least used among equals
+//   leastUsed     - fewest issues first, then fewest cumulative days in use
+//   sameLocation  - items at options.location first, pool order otherwise
+equipmentPoolSchema.methods.getNextAvailableItem = function(strategy = 'first', options = {}) {
+  const available = this.items.filter(item => item.status === 'Available');
+  const compare = ISSUE_STRATEGY_COMPARATORS[strategy];
+  
+  if (!compare || available.length < 2) {
+    return available[0];
+  }
+  
+  // Array.prototype.sort is stable, so ties keep pool order
+  return [...available].sort((a, b) => compare(a, b, { ...options, pool: this }))[0];
 };
 
 // Method to find item by unique ID
@@ -270,12 +602,61 @@ equipmentPoolSchema.methods.findItemByUniqueId = function(uniqueId) {
   return this.items.find(item => item.uniqueId === uniqueId);
 };
 
+// Push the pool's current counts to connected clients
+equipmentPoolSchema.methods.broadcastCounts = function() {
+  this.updateCounts();
+  broadcast('pool:updated', {
+    poolId: this._id,
+    poolName: this.poolName,
+    totalQuantity: this.totalQuantity,
+    availableCount: this.availableCount,
+    issuedCount: this.issuedCount,
+    maintenanceCount: this.maintenanceCount,
+    damagedCount: this.damagedCount,
+    lostCount: this.lostCount,
+    retiredCount: this.retiredCount,
+    inTransitCount: this.inTransitCount
+  });
+};
+
+// Stored count field for each item status
+const STATUS_COUNT_FIELDS = {
+  Available: 'availableCount',
+  Issued: 'issuedCount',
+  Maintenance: 'maintenanceCount',
+  Damaged: 'damagedCount',
+  Lost: 'lostCount',
+  Retired: 'retiredCount',
+  'In Transit': 'inTransitCount'
+};
+
+// Prefix item field paths for an update through the `item` array filter
+const itemPaths = (fields = {}) => Object.fromEntries(
+  Object.entries(fields).map(([key, value]) => [`items.$[item].${key}`, value])
+);
+
+// Number of times an issue is retried when another admin takes the chosen item first
+const MAX_ISSUE_ATTEMPTS = 5;
+
+// Reload this document from the database without marking anything modified
+equipmentPoolSchema.methods.refreshFromDb = async function(session) {
+  const fresh = await this.constructor.findById(this._id, null, { session }).lean();
+  if (!fresh) {
+    throw new Error('Equipment pool not found');
+  }
+  this.init(fresh);
+  return this;
+};
+
 // Method to issue item from pool
-equipmentPoolSchema.methods.issueItem = async function(userId, officerId, officerName, designation, purpose, issuedBy) {
-  const availableItem = this.getNextAvailableItem();
-  
-  if (!availableItem) {
-    throw new Error('No available items in pool');
+// options.uniqueId lets the admin pick a specific item instead of the next available one.
+// The item is claimed with a conditional update that only matches while it is still
+// Available, so two concurrent issues can never hand out the same uniqueId.
+// options.session runs the update in the caller's transaction; the caller then
+// broadcasts the counts once the transaction has committed.
+equipmentPoolSchema.methods.issueItem = async function(userId, officerId, officerName, designation, purpose, issuedBy, options = {}) {
+  if (this.isConsumable()) {
+    throw new Error('Consumable pools are issued by quantity, not by item');
   }
   
   // Check authorization
@@ -283,38 +664,103 @@ equipmentPoolSchema.methods.issueItem = async function(userId, officerId, office
     throw new Error(`This equipment is not authorized for ${designation}`);
   }
   
-  // Update item status
-  availableItem.status = 'Issued';
-  availableItem.currentlyIssuedTo = {
-    userId,
-    officerId,
-    officerName,
-    designation,
-    issuedDate: new Date(),
-    purpose: purpose || 'Regular Duty'
-  };
-  
-  // Add to history
-  availableItem.usageHistory.push({
-    userId,
-    officerId,
-    officerName,
-    designation,
-    issuedDate: new Date(),
-    purpose: purpose || 'Regular Duty',
-    conditionAtIssue: availableItem.condition,
-    issuedBy
-  });
-  
-  // Update counts
-  this.updateCounts();
+  for (let attempt = 1; attempt <= MAX_ISSUE_ATTEMPTS; attempt++) {
+    let availableItem;
+    
+    if (options.uniqueId) {
+      availableItem = this.findItemByUniqueId(options.uniqueId);
+      
+      if (!availableItem) {
+        throw new Error(`Item ${options.uniqueId} not found in pool`);
+      }
+      
+      if (availableItem.status !== 'Available') {
+        throw new Error(`Item ${options.uniqueId} is not available (status: ${availableItem.status})`);
+      }
+    } else {
+      availableItem = this.getNextAvailableItem(options.strategy, { location: options.location });
+    }
+    
+    if (!availableItem) {
+      throw new Error('No available items in pool');
+    }
+    
+    const issuedDate = new Date();
+    // History length pins the chain head the new entry is sealed against
+    const itemMatch = {
+      uniqueId: availableItem.uniqueId,
+      status: 'Available',
+      usageHistory: { $size: availableItem.usageHistory.length }
+    };
+    
+    const historyEntry = {
+      _id: new mongoose.Types.ObjectId(),
+      userId,
+      officerId,
+      officerName,
+      designation,
+      issuedDate,
+      purpose: purpose || 'Regular Duty',
+      conditionAtIssue: availableItem.condition,
+      issuedBy
+    };
+    Object.assign(historyEntry, sealEntry(
+      'usageHistory',
+      { poolId: this._id, uniqueId: availableItem.uniqueId },
+      availableItem.usageHistory,
+      historyEntry
+    ));
+    
+    const updated = await this.constructor.findOneAndUpdate(
+      { _id: this._id, items: { $elemMatch: itemMatch } },
+      {
+        $set: {
+          'items.$[item].status': 'Issued',
+          'items.$[item].currentlyIssuedTo': {
+            userId,
+            officerId,
+            officerName,
+            designation,
+            issuedDate,
+            expectedReturnDate: options.expectedReturnDate,
+            purpose: purpose || 'Regular Duty'
+          }
+        },
+        $push: { 'items.$[item].usageHistory': historyEntry },
+        $inc: { availableCount: -1, issuedCount: 1, __v: 1 }
+      },
+      {
+        new: true,
+        lean: true,
+        session: options.session,
+        arrayFilters: [{
+          'item.uniqueId': itemMatch.uniqueId,
+          'item.status': 'Available',
+          'item.usageHistory': itemMatch.usageHistory
+        }]
+      }
+    );
+    
+    if (updated) {
+      this.init(updated);
+      if (!options.session) this.broadcastCounts();
+      return this.findItemByUniqueId(itemMatch.uniqueId);
+    }
+    
+    // Someone else claimed the item first; reload and try the next one
+    await this.refreshFromDb(options.session);
+  }
   
-  await this.save();
-  return availableItem;
+  throw new Error('Could not issue item because the pool is being updated concurrently. Please try again.');
 };
 
 // Method to return item to pool
-equipmentPoolSchema.methods.returnItem = async function(uniqueId, condition, remarks, returnedTo) {
+// Only the open custody entry (no returnedDate yet) can be closed, and only once.
+// options.status closes custody into another status (e.g. Lost or Damaged) instead of Available.
+// options.session works as for issueItem.
+equipmentPoolSchema.methods.returnItem = async function(uniqueId, condition, remarks, returnedTo, options = {}) {
+  const toStatus = options.status || 'Available';
+
   const item = this.findItemByUniqueId(uniqueId);
   
   if (!item) {
@@ -325,34 +771,847 @@ equipmentPoolSchema.methods.returnItem = async function(uniqueId, condition, rem
     throw new Error('Item is not currently issued');
   }
   
-  // Update latest history entry
+  // Latest history entry is the open custody record
   const latestHistory = item.usageHistory[item.usageHistory.length - 1];
-  latestHistory.returnedDate = new Date();
-  latestHistory.conditionAtReturn = condition || item.condition;
-  latestHistory.remarks = remarks || '';
-  latestHistory.returnedTo = returnedTo;
+  if (!latestHistory) {
+    throw new Error('Item has no open issue record');
+  }
   
-  // Calculate days used
+  const returnedDate = new Date();
   const issuedDate = new Date(latestHistory.issuedDate);
-  const returnedDate = new Date(latestHistory.returnedDate);
-  latestHistory.daysUsed = Math.ceil((returnedDate - issuedDate) / (1000 * 60 * 60 * 24));
+  const returnFields = {
+    returnedDate,
+    conditionAtReturn: condition || item.condition,
+    remarks: remarks || '',
+    returnedTo,
+    // Calculate days used
+    daysUsed: Math.ceil((returnedDate - issuedDate) / (1000 * 60 * 60 * 24))
+  };
   
-  // Clear current assignment
-  item.currentlyIssuedTo = undefined;
-  item.status = 'Available';
-  item.condition = condition || item.condition;
+  // Closing the open entry changes its contents, so re-seal it against the same previous hash.
+  // It is the chain head, so no later link depends on its old hash.
+  const resealed = latestHistory.hash ? {
+    'items.$[item].usageHistory.$[entry].hash': hashEntry(
+      'usageHistory',
+      { poolId: this._id, uniqueId },
+      { ...latestHistory.toObject(), ...returnFields },
+      latestHistory.prevHash
+    )
+  } : {};
   
-  // Update counts
-  this.updateCounts();
+  const updated = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      items: {
+        $elemMatch: {
+          uniqueId,
+          status: 'Issued',
+          usageHistory: {
+            $elemMatch: { _id: latestHistory._id, returnedDate: { $exists: false } }
+          }
+        }
+      }
+    },
+    {
+      $set: {
+        'items.$[item].status': toStatus,
+        'items.$[item].condition': condition || item.condition,
+        'items.$[item].usageHistory.$[entry].returnedDate': returnFields.returnedDate,
+        'items.$[item].usageHistory.$[entry].conditionAtReturn': returnFields.conditionAtReturn,
+        'items.$[item].usageHistory.$[entry].remarks': returnFields.remarks,
+        'items.$[item].usageHistory.$[entry].returnedTo': returnFields.returnedTo,
+        'items.$[item].usageHistory.$[entry].daysUsed': returnFields.daysUsed,
+        ...resealed
+      },
+      // Clear current assignment
+      $unset: { 'items.$[item].currentlyIssuedTo': '' },
+      $inc: { [STATUS_COUNT_FIELDS[toStatus]]: 1, issuedCount: -1, __v: 1 }
+    },
+    {
+      new: true,
+      lean: true,
+      session: options.session,
+      arrayFilters: [
+        { 'item.uniqueId': uniqueId, 'item.status': 'Issued' },
+        { 'entry._id': latestHistory._id }
+      ]
+    }
+  );
+  
+  if (!updated) {
+    await this.refreshFromDb(options.session);
+    throw new Error('Item was already returned or changed by another user');
+  }
+  
+  this.init(updated);
+  if (!options.session) this.broadcastCounts();
+  return this.findItemByUniqueId(uniqueId);
+};
+
+// Method to mark an item Lost or Damaged after an incident.
+// An issued item's open custody entry is closed with the incident as its remark.
+equipmentPoolSchema.methods.reportIncident = async function(uniqueId, type, remarks, reportedBy) {
+  const item = this.findItemByUniqueId(uniqueId);
+  
+  if (!item) {
+    throw new Error('Item not found in pool');
+  }
+  
+  if (item.status === 'Issued') {
+    return this.returnItem(uniqueId, type === 'Damaged' ? 'Poor' : undefined, remarks, reportedBy, { status: type });
+  }
+  
+  const allowedFrom = type === 'Lost'
+    ? ['Available', 'Maintenance', 'Damaged']
+    : ['Available', 'Maintenance'];
+  
+  return this.transitionItem(uniqueId, allowedFrom, type, {
+    $set: { condition: type === 'Damaged' ? 'Poor' : item.condition }
+  });
+};
+
+// Method to add newly procured units, continuing the pool's numbering
+// (`cost` is the total for the batch; a purchase order receipt passes the unit cost instead)
+equipmentPoolSchema.methods.addItems = async function(count, { condition, location, cost, unitCost, purchaseOrder, warrantyExpiry } = {}) {
+  if (this.isConsumable()) {
+    throw new Error('Consumable pools are restocked by receiving a lot');
+  }
+  
+  const prefix = this.getItemPrefix();
+  
+  if (!prefix) {
+    throw new Error('Cannot determine the item ID prefix for this pool');
+  }
+  
+  const lastNumber = this.items.reduce((max, item) => {
+    const suffix = item.uniqueId.startsWith(prefix) ? item.uniqueId.slice(prefix.length) : '';
+    return /^\d+$/.test(suffix) ? Math.max(max, parseInt(suffix, 10)) : max;
+  }, 0);
+  
+  const addedAt = new Date();
+  const newItems = this.generateUniqueIds(prefix, lastNumber + 1, count).map(uniqueId => ({
+    uniqueId,
+    status: 'Available',
+    condition: condition || 'Excellent',
+    location: location || this.location,
+    addedAt,
+    ...(unitCost !== undefined && { unitCost: Number(unitCost) }),
+    ...(purchaseOrder && { purchaseOrder }),
+    ...(warrantyExpiry && { warrantyExpiry: new Date(warrantyExpiry) })
+  }));
+  const batchCost = unitCost !== undefined ? Number(unitCost) * count : Number(cost || 0);
+  
+  // The $size guard fails if another admin added items in the meantime
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, items: { $size: this.items.length } },
+    {
+      $push: { items: { $each: newItems } },
+      $set: { itemPrefix: prefix },
+      $inc: {
+        totalQuantity: count,
+        availableCount: count,
+        ...(batchCost && { totalCost: batchCost }),
+        __v: 1
+      }
+    },
+    { new: true, lean: true }
+  );
+  
+  if (!updated) {
+    await this.refreshFromDb();
+    throw new Error('Pool was changed by another user. Please try again.');
+  }
+  
+  this.init(updated);
+  this.broadcastCounts();
+  return newItems.map(item => this.findItemByUniqueId(item.uniqueId));
+};
+
+// Lots issued first: earliest expiry, then oldest receipt. Expired lots are never issued.
+const lotIssueOrder = (lots, now = new Date()) => lots
+  .filter(lot => lot.quantity > 0 && !(lot.expiryDate && lot.expiryDate <= now))
+  .sort((a, b) =>
+    (a.expiryDate || Infinity) - (b.expiryDate || Infinity) ||
+    new Date(a.receivedDate) - new Date(b.receivedDate)
+  );
+
+// Method to receive a lot of stock into a consumable pool
+equipmentPoolSchema.methods.receiveLot = async function({ lotNumber, quantity, expiryDate, cost, unitCost, purchaseOrder, notes }, receivedBy) {
+  if (!this.isConsumable()) {
+    throw new Error('Only consumable pools hold stock in lots');
+  }
+  
+  if (this.lots.some(lot => lot.lotNumber === lotNumber)) {
+    throw new Error(`Lot ${lotNumber} has already been received into this pool`);
+  }
+  
+  const lot = {
+    _id: new mongoose.Types.ObjectId(),
+    lotNumber,
+    quantity,
+    receivedQuantity: quantity,
+    receivedDate: new Date(),
+    expiryDate: expiryDate ? new Date(expiryDate) : undefined,
+    cost: unitCost !== undefined ? Number(unitCost) * quantity : (cost ? Number(cost) : undefined),
+    unitCost: unitCost !== undefined ? Number(unitCost) : undefined,
+    purchaseOrder,
+    notes,
+    receivedBy
+  };
+  
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, 'lots.lotNumber': { $ne: lotNumber } },
+    {
+      $push: { lots: lot },
+      $inc: {
+        totalQuantity: quantity,
+        availableCount: quantity,
+        ...(lot.cost && { totalCost: lot.cost }),
+        __v: 1
+      }
+    },
+    { new: true, lean: true }
+  );
+  
+  if (!updated) {
+    await this.refreshFromDb();
+    throw new Error(`Lot ${lotNumber} has already been received into this pool`);
+  }
+  
+  this.init(updated);
+  this.broadcastCounts();
+  return this.lots.id(lot._id);
+};
+
+// Method to issue a quantity from a consumable pool, drawn from lots in issue order.
+// Every lot is decremented with a guard that it still holds the quantity taken from it,
+// so concurrent issues can never take the stock below zero.
+equipmentPoolSchema.methods.issueConsumable = async function(userId, officerId, officerName, designation, quantity, purpose, issuedBy, options = {}) {
+  if (!this.isConsumable()) {
+    throw new Error('Only consumable pools are issued by quantity');
+  }
+  
+  if (!this.authorizedDesignations.includes(designation)) {
+    throw new Error(`This equipment is not authorized for ${designation}`);
+  }
+  
+  for (let attempt = 1; attempt <= MAX_ISSUE_ATTEMPTS; attempt++) {
+    const drawn = [];
+    let remaining = quantity;
+    for (const lot of lotIssueOrder(this.lots)) {
+      if (remaining === 0) break;
+      const take = Math.min(lot.quantity, remaining);
+      drawn.push({ lotId: lot._id, lotNumber: lot.lotNumber, quantity: take });
+      remaining -= take;
+    }
+    
+    if (remaining > 0) {
+      throw new Error(`Only ${quantity - remaining} ${this.unit} of ${this.poolName} in stock`);
+    }
+    
+    const issue = {
+      _id: new mongoose.Types.ObjectId(),
+      userId,
+      officerId,
+      officerName,
+      designation,
+      quantity,
+      lots: drawn,
+      purpose: purpose || 'Regular Duty',
+      issuedDate: new Date(),
+      issuedBy,
+      expectedReturnDate: options.expectedReturnDate,
+      status: 'Issued'
+    };
+    
+    const updated = await this.constructor.findOneAndUpdate(
+      {
+        _id: this._id,
+        $and: drawn.map(entry => ({
+          lots: { $elemMatch: { _id: entry.lotId, quantity: { $gte: entry.quantity } } }
+        }))
+      },
+      {
+        $push: { consumableIssues: issue },
+        $inc: {
+          ...Object.fromEntries(drawn.map((entry, i) => [`lots.$[lot${i}].quantity`, -entry.quantity])),
+          availableCount: -quantity,
+          issuedCount: quantity,
+          __v: 1
+        }
+      },
+      {
+        new: true,
+        lean: true,
+        arrayFilters: drawn.map((entry, i) => ({ [`lot${i}._id`]: entry.lotId }))
+      }
+    );
+    
+    if (updated) {
+      this.init(updated);
+      this.broadcastCounts();
+      return this.consumableIssues.id(issue._id);
+    }
+    
+    // Another issue drew from the same lots first; reload and allocate again
+    await this.refreshFromDb();
+  }
   
-  await this.save();
-  return item;
+  throw new Error('Could not issue stock because the pool is being updated concurrently. Please try again.');
+};
+
+// Method for the officer to report how much of an issued quantity was expended.
+// The report can be corrected until the issue is settled.
+equipmentPoolSchema.methods.reportExpenditure = async function(issueId, userId, expendedQuantity, remarks) {
+  const issue = this.consumableIssues.id(issueId);
+  
+  if (!issue || issue.userId.toString() !== userId.toString()) {
+    throw new Error('Issue not found');
+  }
+  
+  if (issue.status !== 'Issued') {
+    throw new Error('This issue has already been settled');
+  }
+  
+  if (expendedQuantity > issue.quantity) {
+    throw new Error(`Expended quantity cannot exceed the ${issue.quantity} ${this.unit} issued`);
+  }
+  
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, consumableIssues: { $elemMatch: { _id: issue._id, status: 'Issued' } } },
+    {
+      $set: {
+        'consumableIssues.$[issue].expenditureReport': {
+          expendedQuantity,
+          remarks: remarks || '',
+          reportedAt: new Date()
+        }
+      },
+      $inc: { __v: 1 }
+    },
+    { new: true, lean: true, arrayFilters: [{ 'issue._id': issue._id }] }
+  );
+  
+  if (!updated) {
+    await this.refreshFromDb();
+    throw new Error('This issue has already been settled');
+  }
+  
+  this.init(updated);
+  return this.consumableIssues.id(issue._id);
+};
+
+// Method to settle a consumable issue when the unused quantity is handed back.
+// Returned units go back into the lots they were drawn from, latest-drawn lot first.
+// expendedQuantity defaults to the officer's report, or to everything not returned.
+equipmentPoolSchema.methods.settleConsumableIssue = async function(issueId, { returnedQuantity = 0, expendedQuantity, remarks } = {}, settledBy) {
+  const issue = this.consumableIssues.id(issueId);
+  
+  if (!issue) {
+    throw new Error('Issue not found');
+  }
+  
+  if (issue.status !== 'Issued') {
+    throw new Error('This issue has already been settled');
+  }
+  
+  const expended = expendedQuantity ?? issue.expenditureReport?.expendedQuantity ?? issue.quantity - returnedQuantity;
+  if (returnedQuantity + expended > issue.quantity) {
+    throw new Error(`Returned and expended quantities cannot exceed the ${issue.quantity} ${this.unit} issued`);
+  }
+  
+  // Lots removed since the issue cannot take stock back
+  const restock = [];
+  let remaining = returnedQuantity;
+  for (const entry of [...issue.lots].reverse()) {
+    if (remaining === 0) break;
+    if (!this.lots.id(entry.lotId)) continue;
+    const back = Math.min(entry.quantity, remaining);
+    restock.push({ lotId: entry.lotId, quantity: back });
+    remaining -= back;
+  }
+  
+  if (remaining > 0) {
+    throw new Error('The lots this stock was issued from are no longer in the pool');
+  }
+  
+  const unaccounted = issue.quantity - returnedQuantity - expended;
+  
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, consumableIssues: { $elemMatch: { _id: issue._id, status: 'Issued' } } },
+    {
+      $set: {
+        'consumableIssues.$[issue].status': 'Settled',
+        'consumableIssues.$[issue].returnedQuantity': returnedQuantity,
+        'consumableIssues.$[issue].expendedQuantity': expended,
+        'consumableIssues.$[issue].unaccountedQuantity': unaccounted,
+        'consumableIssues.$[issue].settlementRemarks': remarks || '',
+        'consumableIssues.$[issue].settledAt': new Date(),
+        'consumableIssues.$[issue].settledBy': settledBy
+      },
+      $inc: {
+        ...Object.fromEntries(restock.map((entry, i) => [`lots.$[lot${i}].quantity`, entry.quantity])),
+        availableCount: returnedQuantity,
+        issuedCount: -issue.quantity,
+        totalQuantity: returnedQuantity - issue.quantity,
+        __v: 1
+      }
+    },
+    {
+      new: true,
+      lean: true,
+      arrayFilters: [
+        { 'issue._id': issue._id },
+        ...restock.map((entry, i) => ({ [`lot${i}._id`]: entry.lotId }))
+      ]
+    }
+  );
+  
+  if (!updated) {
+    await this.refreshFromDb();
+    throw new Error('This issue has already been settled');
+  }
+  
+  this.init(updated);
+  this.broadcastCounts();
+  return this.consumableIssues.id(issue._id);
+};
+
+// Method to edit an item's own details. Status changes go through the
+// issue/return, maintenance and incident workflows instead.
+equipmentPoolSchema.methods.updateItem = async function(uniqueId, fields) {
+  const item = this.findItemByUniqueId(uniqueId);
+  
+  if (!item) {
+    throw new Error('Item not found in pool');
+  }
+  
+  if (item.status === 'Retired') {
+    throw new Error(`Cannot edit retired item ${uniqueId}`);
+  }
+  
+  const $set = {};
+  ['location', 'condition', 'notes', 'nextInspectionDate', 'warrantyExpiry'].forEach(field => {
+    if (fields[field] !== undefined) {
+      $set[`items.$[item].${field}`] = ['nextInspectionDate', 'warrantyExpiry'].includes(field) && fields[field]
+        ? new Date(fields[field])
+        : fields[field];
+    }
+  });
+  
+  if (Object.keys($set).length === 0) {
+    return item;
+  }
+  
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, 'items.uniqueId': uniqueId },
+    { $set, $inc: { __v: 1 } },
+    { new: true, lean: true, arrayFilters: [{ 'item.uniqueId': uniqueId }] }
+  );
+  
+  if (!updated) {
+    throw new Error('Equipment pool not found');
+  }
+  
+  this.init(updated);
+  return this.findItemByUniqueId(uniqueId);
+};
+
+// Method to permanently take an item out of service. Issued items must be
+// returned first; lost items are written off through their incident.
+equipmentPoolSchema.methods.retireItem = function(uniqueId, reason) {
+  return this.transitionItem(uniqueId, ['Available', 'Maintenance', 'Damaged'], 'Retired', {
+    $set: { retiredAt: new Date(), retirementReason: reason },
+    $unset: { maintenanceStartedAt: '', maintenanceReason: '' }
+  });
+};
+
+// Method to settle an incident: Recovered (Lost -> Available), Repaired (Damaged -> Available)
+// or Written Off (Lost/Damaged -> Retired)
+equipmentPoolSchema.methods.resolveIncident = function(uniqueId, resolution, { condition, reason } = {}) {
+  if (resolution === 'Written Off') {
+    return this.transitionItem(uniqueId, ['Lost', 'Damaged'], 'Retired', {
+      $set: { retiredAt: new Date(), retirementReason: reason || 'Written off after incident' }
+    });
+  }
+  
+  const fromStatus = resolution === 'Recovered' ? 'Lost' : 'Damaged';
+  return this.transitionItem(uniqueId, [fromStatus], 'Available', {
+    $set: { condition: condition || 'Good' }
+  });
+};
+
+// Method to verify the custody hash chains of every item (or one item) in the pool.
+// Must run on an unpopulated document so the stored ids are hashed as written.
+equipmentPoolSchema.methods.verifyCustodyChain = function(uniqueId) {
+  const items = uniqueId ? this.items.filter(item => item.uniqueId === uniqueId) : this.items;
+  return items.map(item => verifyItem(this._id, item));
+};
+
+// Atomically move one item from its current status to another, keeping the
+// stored counts in step. Fails if the item changed status in the meantime.
+equipmentPoolSchema.methods.transitionItem = async function(uniqueId, allowedFrom, toStatus, update = {}) {
+  const item = this.findItemByUniqueId(uniqueId);
+  
+  if (!item) {
+    throw new Error('Item not found in pool');
+  }
+  
+  if (!allowedFrom.includes(item.status)) {
+    throw new Error(`Item ${uniqueId} cannot move to ${toStatus} from ${item.status}`);
+  }
+  
+  const fromStatus = item.status;
+  const $inc = { __v: 1 };
+  if (STATUS_COUNT_FIELDS[fromStatus]) $inc[STATUS_COUNT_FIELDS[fromStatus]] = -1;
+  if (STATUS_COUNT_FIELDS[toStatus]) $inc[STATUS_COUNT_FIELDS[toStatus]] = 1;
+  
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, items: { $elemMatch: { uniqueId, status: fromStatus } } },
+    {
+      $set: { ...itemPaths(update.$set), 'items.$[item].status': toStatus },
+      ...(update.$unset && { $unset: itemPaths(update.$unset) }),
+      ...(update.$push && { $push: itemPaths(update.$push) }),
+      $inc
+    },
+    {
+      new: true,
+      lean: true,
+      arrayFilters: [{ 'item.uniqueId': uniqueId, 'item.status': fromStatus }]
+    }
+  );
+  
+  if (!updated) {
+    await this.refreshFromDb();
+    throw new Error(`Item ${uniqueId} was changed by another user. Please try again.`);
+  }
+  
+  this.init(updated);
+  this.broadcastCounts();
+  return this.findItemByUniqueId(uniqueId);
+};
+
+// Atomically move several items from one status to another; either all of
+// them move or none do. `update.arrayFilters` adds filters for nested arrays.
+equipmentPoolSchema.methods.transitionItems = async function(uniqueIds, fromStatus, toStatus, update = {}) {
+  const notReady = uniqueIds.filter(uniqueId => this.findItemByUniqueId(uniqueId)?.status !== fromStatus);
+  
+  if (notReady.length > 0) {
+    throw new Error(`Not ${fromStatus.toLowerCase()}: ${notReady.join(', ')}`);
+  }
+  
+  const updated = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      $and: uniqueIds.map(uniqueId => ({ items: { $elemMatch: { uniqueId, status: fromStatus } } }))
+    },
+    {
+      $set: { ...itemPaths(update.$set), 'items.$[item].status': toStatus },
+      ...(update.$push && { $push: itemPaths(update.$push) }),
+      $inc: {
+        [STATUS_COUNT_FIELDS[fromStatus]]: -uniqueIds.length,
+        [STATUS_COUNT_FIELDS[toStatus]]: uniqueIds.length,
+        __v: 1
+      }
+    },
+    {
+      new: true,
+      lean: true,
+      arrayFilters: [
+        { 'item.uniqueId': { $in: uniqueIds }, 'item.status': fromStatus },
+        ...(update.arrayFilters || [])
+      ]
+    }
+  );
+  
+  if (!updated) {
+    await this.refreshFromDb();
+    throw new Error('Items were changed by another user. Please try again.');
+  }
+  
+  this.init(updated);
+  this.broadcastCounts();
+  return uniqueIds.map(uniqueId => this.findItemByUniqueId(uniqueId));
+};
+
+// Station currently holding an item
+equipmentPoolSchema.methods.stationOf = function(item) {
+  return item.station || this.station;
+};
+
+// Method to send a transfer's items on their way. They stay In Transit until received.
+equipmentPoolSchema.methods.dispatchTransfer = function(transfer, fromLocation, toLocation) {
+  return this.transitionItems(transfer.uniqueIds, 'Available', 'In Transit', {
+    $push: {
+      transferHistory: {
+        transfer: transfer._id,
+        transferId: transfer.transferId,
+        fromStation: transfer.fromStation,
+        toStation: transfer.toStation,
+        fromLocation,
+        toLocation,
+        dispatchedAt: new Date()
+      }
+    }
+  });
+};
+
+// Method to confirm a transfer's items arrived at the destination station
+equipmentPoolSchema.methods.receiveTransfer = function(transfer, toLocation) {
+  return this.transitionItems(transfer.uniqueIds, 'In Transit', 'Available', {
+    $set: {
+      station: transfer.toStation,
+      location: toLocation,
+      'transferHistory.$[move].receivedAt': new Date()
+    },
+    arrayFilters: [{ 'move.transfer': transfer._id }]
+  });
+};
+
+// Method to take an item out of service for maintenance
+equipmentPoolSchema.methods.sendToMaintenance = function(uniqueId, reason) {
+  return this.transitionItem(uniqueId, ['Available', 'Damaged'], 'Maintenance', {
+    $set: {
+      maintenanceStartedAt: new Date(),
+      maintenanceReason: reason || ''
+    }
+  });
+};
+
+// Method to put a maintained item back into the available pool
+equipmentPoolSchema.methods.returnToService = function(uniqueId, condition) {
+  const item = this.findItemByUniqueId(uniqueId);
+  
+  return this.transitionItem(uniqueId, ['Maintenance'], 'Available', {
+    $set: { condition: condition || item?.condition || 'Good' },
+    $unset: { maintenanceStartedAt: '', maintenanceReason: '' }
+  });
+};
+
+// Method to log a maintenance entry against an item.
+// Inspection entries also move the item's inspection dates forward.
+equipmentPoolSchema.methods.logMaintenance = async function(uniqueId, entry) {
+  const item = this.findItemByUniqueId(uniqueId);
+  
+  if (!item) {
+    throw new Error('Item not found in pool');
+  }
+  
+  if (['Lost', 'Retired'].includes(item.status)) {
+    throw new Error(`Cannot log maintenance for a ${item.status.toLowerCase()} item`);
+  }
+  
+  const date = entry.date ? new Date(entry.date) : new Date();
+  const $set = {};
+  
+  // Cast up front so the sealed values match what MongoDB stores
+  const historyEntry = {
+    _id: new mongoose.Types.ObjectId(),
+    date,
+    type: entry.type,
+    description: entry.description,
+    cost: entry.cost !== undefined && entry.cost !== '' ? Number(entry.cost) : undefined,
+    performedBy: entry.performedBy,
+    nextMaintenanceDate: entry.nextMaintenanceDate ? new Date(entry.nextMaintenanceDate) : undefined
+  };
+  Object.assign(historyEntry, sealEntry(
+    'maintenanceHistory',
+    { poolId: this._id, uniqueId },
+    item.maintenanceHistory,
+    historyEntry
+  ));
+  const historyLength = { $size: item.maintenanceHistory.length };
+  
+  if (entry.type === 'Inspection') {
+    $set['items.$[item].lastInspectionDate'] = date;
+  }
+  
+  if (entry.nextInspectionDate) {
+    $set['items.$[item].nextInspectionDate'] = new Date(entry.nextInspectionDate);
+  }
+  
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, items: { $elemMatch: { uniqueId, maintenanceHistory: historyLength } } },
+    {
+      ...(Object.keys($set).length && { $set }),
+      $push: { 'items.$[item].maintenanceHistory': historyEntry },
+      $inc: { __v: 1 }
+    },
+    {
+      new: true,
+      lean: true,
+      arrayFilters: [{ 'item.uniqueId': uniqueId, 'item.maintenanceHistory': historyLength }]
+    }
+  );
+  
+  if (!updated) {
+    await this.refreshFromDb();
+    throw new Error(`Maintenance history for ${uniqueId} was changed by another user. Please try again.`);
+  }
+  
+  this.init(updated);
+  return this.findItemByUniqueId(uniqueId);
+};
+
+// Static method to list items whose next inspection falls on or before `until`
+// (including overdue inspections), soonest first
+equipmentPoolSchema.statics.findInspectionsDue = async function(until, filters = {}) {
+  const pools = await this.find({
+    'items.nextInspectionDate': { $lte: until },
+    ...(filters.category && { category: filters.category })
+  }).select('poolName category model location items');
+  
+  const now = new Date();
+  const dueItems = [];
+  
+  pools.forEach(pool => {
+    pool.items.forEach(item => {
+      if (!item.nextInspectionDate || item.nextInspectionDate > until || ['Lost', 'Retired'].includes(item.status)) {
+        return;
+      }
+      
+      const lastMaintenance = item.maintenanceHistory[item.maintenanceHistory.length - 1];
+      
+      dueItems.push({
+        poolId: pool._id,
+        poolName: pool.poolName,
+        category: pool.category,
+        model: pool.model,
+        location: item.location || pool.location,
+        uniqueId: item.uniqueId,
+        status: item.status,
+        condition: item.condition,
+        lastInspectionDate: item.lastInspectionDate,
+        nextInspectionDate: item.nextInspectionDate,
+        isOverdue: item.nextInspectionDate < now,
+        lastMaintenance: lastMaintenance ? {
+          date: lastMaintenance.date,
+          type: lastMaintenance.type,
+          nextMaintenanceDate: lastMaintenance.nextMaintenanceDate
+        } : null
+      });
+    });
+  });
+  
+  return dueItems.sort((a, b) => a.nextInspectionDate - b.nextInspectionDate);
+};
+
+// One entry of the overdue list. `holder` is the custody record: an item's
+// currentlyIssuedTo or a consumable issue, with userId populated when possible.
+const overdueEntry = (pool, holder, now, extra) => {
+  const policy = ESCALATION_POLICY[pool.category] || ESCALATION_POLICY.Other;
+  const hoursOverdue = (now - holder.expectedReturnDate) / (1000 * 60 * 60);
+  
+  return {
+    poolId: pool._id,
+    poolName: pool.poolName,
+    category: pool.category,
+    model: pool.model,
+    ...extra,
+    officer: holder.userId && holder.userId._id ? holder.userId : {
+      _id: holder.userId,
+      fullName: holder.officerName,
+      officerId: holder.officerId,
+      designation: holder.designation
+    },
+    issuedDate: holder.issuedDate,
+    expectedReturnDate: holder.expectedReturnDate,
+    hoursOverdue: Math.floor(hoursOverdue),
+    daysOverdue: Math.floor(hoursOverdue / 24),
+    escalationTier: policy.tier,
+    escalationThresholdHours: policy.hours,
+    shouldEscalate: hoursOverdue >= policy.hours,
+    overdueFlaggedAt: holder.overdueFlaggedAt,
+    escalatedAt: holder.escalatedAt
+  };
+};
+
+// Static method to list issued items past their expected return date,
+// optionally only those held by one officer. Consumable issues with an expected
+// return date are included with issueId, quantity and unit instead of a uniqueId;
+// `label` names either kind.
+equipmentPoolSchema.statics.findOverdueItems = async function(now = new Date(), userId) {
+  const pools = await this.find({
+    $or: [
+      {
+        items: {
+          $elemMatch: {
+            status: 'Issued',
+            'currentlyIssuedTo.expectedReturnDate': { $lt: now },
+            ...(userId && { 'currentlyIssuedTo.userId': userId })
+          }
+        }
+      },
+      {
+        consumableIssues: {
+          $elemMatch: {
+            status: 'Issued',
+            expectedReturnDate: { $lt: now },
+            ...(userId && { userId })
+          }
+        }
+      }
+    ]
+  })
+  .populate('items.currentlyIssuedTo.userId', 'fullName officerId designation email')
+  .populate('consumableIssues.userId', 'fullName officerId designation email')
+  .select('poolName category model unit items consumableIssues');
+  
+  const isOverdue = (holder) => {
+    if (!holder?.expectedReturnDate || holder.expectedReturnDate >= now) return false;
+    const holderId = holder.userId?._id || holder.userId;
+    return !userId || holderId?.toString() === userId.toString();
+  };
+  
+  const overdueItems = [];
+  
+  pools.forEach(pool => {
+    pool.items.forEach(item => {
+      if (item.status !== 'Issued' || !isOverdue(item.currentlyIssuedTo)) return;
+      
+      overdueItems.push(overdueEntry(pool, item.currentlyIssuedTo, now, {
+        uniqueId: item.uniqueId,
+        label: item.uniqueId
+      }));
+    });
+    
+    pool.consumableIssues.forEach(issue => {
+      if (issue.status !== 'Issued' || !isOverdue(issue)) return;
+      
+      overdueItems.push(overdueEntry(pool, issue, now, {
+        issueId: issue._id,
+        quantity: issue.quantity,
+        unit: pool.unit,
+        label: `${issue.quantity} ${pool.unit}`
+      }));
+    });
+  });
+  
+  return overdueItems.sort((a, b) => b.hoursOverdue - a.hoursOverdue);
+};
+
+// Pools at or below their reorder threshold. Only pools with a threshold are watched.
+equipmentPoolSchema.statics.findLowStock = function(filters = {}) {
+  return this.find({
+    ...filters,
+    reorderThreshold: { $gt: 0 },
+    $expr: { $lte: ['$availableCount', '$reorderThreshold'] }
+  })
+    .select('poolName category model manufacturer supplier trackingType unit location availableCount issuedCount totalQuantity reorderThreshold reorderQuantity lowStockAlertedAt')
+    .sort({ availableCount: 1, poolName: 1 });
+};
+
+// Quantity to put on a purchase order for a low pool
+equipmentPoolSchema.methods.suggestedOrderQuantity = function() {
+  return this.reorderQuantity || this.reorderThreshold;
 };
 
 // Virtual for pool utilization rate
+// Lost and retired items are no longer in service, so they do not count
 equipmentPoolSchema.virtual('utilizationRate').get(function() {
-  if (this.totalQuantity === 0) return 0;
-  return ((this.issuedCount / this.totalQuantity) * 100).toFixed(2);
+  const inService = this.totalQuantity - (this.lostCount || 0) - (this.retiredCount || 0);
+  if (inService <= 0) return 0;
+  return ((this.issuedCount / inService) * 100).toFixed(2);
 });
 
 // Ensure virtual fields are serialized
@@ -366,4 +1625,7 @@ equipmentPoolSchema.set('toJSON', {
 
 equipmentPoolSchema.set('toObject', { virtuals: true });
 
-module.exports = mongoose.model('EquipmentPool', equipmentPoolSchema);
\ No newline at end of file
+module.exports = mongoose.model('EquipmentPool', equipmentPoolSchema);
+
+module.exports.ESCALATION_POLICY = ESCALATION_POLICY;
+module.exports.ISSUE_STRATEGIES = ISSUE_STRATEGIES;
\ No newline at end of file
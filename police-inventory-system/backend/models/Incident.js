@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+const incidentSchema = new mongoose.Schema({
+  incidentId: {
+    type: String,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['Lost', 'Damaged'],
+    required: true
+  },
+  poolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EquipmentPool',
+    required: true
+  },
+  poolName: {
+    type: String,
+    trim: true
+  },
+  uniqueId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Item status before the incident
+  previousStatus: String,
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  incidentDate: {
+    type: Date,
+    required: true
+  },
+  firNumber: {
+    type: String,  // FIR / case number
+    trim: true
+  },
+  attachments: [{
+    filename: String,
+    url: String,
+    uploadDate: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  reportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Officer holding the item when it was reported, if it was issued
+  heldBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['Open', 'Resolved'],
+    default: 'Open'
+  },
+  resolution: {
+    type: String,
+    enum: ['Recovered', 'Written Off', 'Repaired']
+  },
+  resolutionNotes: {
+    type: String,
+    maxlength: [500, 'Resolution notes cannot exceed 500 characters']
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+incidentSchema.index({ status: 1, createdAt: -1 });
+incidentSchema.index({ poolId: 1, uniqueId: 1 });
+incidentSchema.index({ reportedBy: 1 });
+incidentSchema.index({ heldBy: 1 });
+
+// Generate incident ID (INC-YYYYMMDD-0001) before validation
+incidentSchema.pre('validate', async function(next) {
+  if (!this.incidentId) {
+    const date = new Date();
+    const prefix = `INC-${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+    try {
+      const lastIncident = await this.constructor.findOne({
+        incidentId: new RegExp(`^${prefix}`)
+      }).sort({ incidentId: -1 });
+      const lastSequence = lastIncident ? parseInt(lastIncident.incidentId.split('-')[2]) : 0;
+      this.incidentId = `${prefix}-${String((lastSequence || 0) + 1).padStart(4, '0')}`;
+    } catch (error) {
+      console.error('Error generating incidentId:', error);
+      this.incidentId = `INC-${Date.now()}`;
+    }
+  }
+  next();
+});
+
+// Ensure virtual fields are serialized
+incidentSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Incident', incidentSchema);
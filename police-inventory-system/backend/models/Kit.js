@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// A named bundle of pool items that is requested, issued and returned together
+// (e.g. a raid kit: rifle, magazine pouch, vest, radio and torch)
+const kitSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Kit name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Kit name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  items: {
+    type: [{
+      poolId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'EquipmentPool',
+        required: true
+      },
+      poolName: {
+        type: String,
+        trim: true
+      },
+      quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1'],
+        max: [20, 'Quantity cannot exceed 20']
+      }
+    }],
+    validate: {
+      validator: items => items.length > 0,
+      message: 'A kit needs at least one pool'
+    }
+  },
+  // Every pool in the kit must also be authorized for these designations
+  authorizedDesignations: [{
+    type: String,
+    enum: [
+      'Director General of Police (DGP)',
+      'Superintendent of Police (SP)',
+      'Deputy Commissioner of Police (DCP)',
+      'Deputy Superintendent of Police (DSP)',
+      'Police Inspector (PI)',
+      'Sub-Inspector (SI)',
+      'Police Sub-Inspector (PSI)',
+      'Head Constable (HC)',
+      'Police Constable (PC)'
+    ]
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+kitSchema.index({ authorizedDesignations: 1 });
+kitSchema.index({ 'items.poolId': 1 });
+
+// Ensure virtual fields are serialized
+kitSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Kit', kitSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Failed logins from one IP address within the current window
+const loginThrottleSchema = new mongoose.Schema({
+  ip: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: {
+    type: Date,
+    required: true
+  },
+  lastFailureAt: Date,
+  // Logins from the address are refused until then
+  blockedUntil: Date,
+  // Removed by MongoDB once neither the window nor a block applies
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Count a failed login from `ip`. Returns the record and whether this failure
+// blocked the address.
+loginThrottleSchema.statics.registerFailure = async function(ip, { maxFailures, windowMs }) {
+  const now = new Date();
+
+  // Continue the current window, or start a new one
+  let record = await this.findOneAndUpdate(
+    { ip, windowStartedAt: { $gt: new Date(now.getTime() - windowMs) } },
+    { $inc: { failures: 1 }, $set: { lastFailureAt: now } },
+    { new: true }
+  );
+
+  if (!record) {
+    record = await this.findOneAndUpdate(
+      { ip },
+      {
+        $set: {
+          failures: 1,
+          windowStartedAt: now,
+          lastFailureAt: now,
+          expiresAt: new Date(now.getTime() + windowMs)
+        },
+        $unset: { blockedUntil: 1 }
+      },
+      { new: true, upsert: true }
+    );
+  }
+
+  if (record.failures < maxFailures) {
+    return { record, blocked: false };
+  }
+
+  // Only the failure that reaches the limit starts the block
+  const blockedUntil = new Date(now.getTime() + windowMs);
+  const blocked = await this.findOneAndUpdate(
+    { _id: record._id, $or: [{ blockedUntil: null }, { blockedUntil: { $lte: now } }] },
+    { $set: { blockedUntil, expiresAt: blockedUntil } },
+    { new: true }
+  );
+
+  return { record: blocked || record, blocked: Boolean(blocked) };
+};
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
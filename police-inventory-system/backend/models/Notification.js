@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'RequestApproved',
+      'RequestRejected',
+      'RequestCompleted',
+      'OverdueReturn',
+      'OverdueEscalation',
+      'InspectionDue',
+      'LowStock',
+      'WarrantyExpiring',
+      'AccountLocked',
+      'LoginBlocked',
+      'IncidentReported',
+      'IncidentResolved'
+    ],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [150, 'Title cannot exceed 150 characters']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  requestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Request'
+  },
+  incidentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident'
+  },
+  poolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EquipmentPool'
+  },
+  uniqueId: {
+    type: String,
+    trim: true
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
+
+// Static method to notify a single user.
+// Notifications are best-effort: a failure is logged and never breaks the caller.
+notificationSchema.statics.notify = async function(recipient, fields) {
+  try {
+    return await this.create({ recipient, ...fields });
+  } catch (error) {
+    console.error('Create notification error:', error);
+    return null;
+  }
+};
+
+// Static method to notify every active admin
+notificationSchema.statics.notifyAdmins = async function(fields) {
+  try {
+    const admins = await mongoose.model('User').find({ role: 'admin', isActive: true }).select('_id');
+    return await this.insertMany(admins.map(admin => ({ recipient: admin._id, ...fields })));
+  } catch (error) {
+    console.error('Notify admins error:', error);
+    return [];
+  }
+};
+
+// Ensure virtual fields are serialized
+notificationSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A forgot-password request. The token is mailed to the user and stored only as
+// a hash; it works once and expires after a short time.
+const passwordResetSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  requestedIp: String,
+  usedAt: Date,
+  usedIp: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+passwordResetSchema.index({ user: 1, createdAt: -1 });
+// Expired requests are removed by MongoDB
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+passwordResetSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Start a reset for `user`, replacing any unused earlier one. Returns the raw token.
+passwordResetSchema.statics.issue = async function(user, { ip, expiresInMs }) {
+  await this.deleteMany({ user: user._id, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await this.create({
+    user: user._id,
+    tokenHash: this.hashToken(token),
+    requestedIp: ip,
+    expiresAt: new Date(Date.now() + expiresInMs)
+  });
+  return token;
+};
+
+// Unused, unexpired reset for a raw token, or null
+passwordResetSchema.statics.findUsable = function(token) {
+  return this.findOne({ tokenHash: this.hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+// Use up the reset; false when another request got there first
+passwordResetSchema.methods.consume = async function(ip) {
+  const result = await this.constructor.updateOne(
+    { _id: this._id, usedAt: null },
+    { $set: { usedAt: new Date(), usedIp: ip } }
+  );
+  return result.modifiedCount === 1;
+};
+
+module.exports = mongoose.model('PasswordReset', passwordResetSchema);
@@ -0,0 +1,241 @@
+const mongoose = require('mongoose');
+
+const DESIGNATIONS = [
+  'Director General of Police (DGP)',
+  'Superintendent of Police (SP)',
+  'Deputy Commissioner of Police (DCP)',
+  'Deputy Superintendent of Police (DSP)',
+  'Police Inspector (PI)',
+  'Sub-Inspector (SI)',
+  'Police Sub-Inspector (PSI)',
+  'Head Constable (HC)',
+  'Police Constable (PC)'
+];
+
+// Purchase order workflow: Draft -> Approved -> Ordered -> Partially Received -> Received.
+// Orders can be cancelled until the first goods are received.
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String,
+    unique: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: [true, 'Supplier is required']
+  },
+  supplierName: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['Draft', 'Approved', 'Ordered', 'Partially Received', 'Received', 'Cancelled'],
+    default: 'Draft'
+  },
+  // One line per pool
+  lines: {
+    type: [{
+      poolId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'EquipmentPool'
+      },
+      // The pool is created from the details below on the line's first receipt
+      newPool: {
+        type: Boolean,
+        default: false
+      },
+      poolName: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      category: String,
+      model: String,
+      manufacturer: String,
+      trackingType: {
+        type: String,
+        enum: ['Individual', 'Consumable'],
+        default: 'Individual'
+      },
+      unit: String,
+      itemPrefix: {
+        type: String,
+        trim: true
+      },
+      authorizedDesignations: [{
+        type: String,
+        enum: DESIGNATIONS
+      }],
+      location: String,
+      station: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Station'
+      },
+      quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1']
+      },
+      unitCost: {
+        type: Number,
+        required: true,
+        min: [0, 'Unit cost cannot be negative']
+      },
+      receivedQuantity: {
+        type: Number,
+        default: 0
+      }
+    }],
+    validate: {
+      validator: lines => lines.length > 0,
+      message: 'A purchase order needs at least one line'
+    }
+  },
+  // Every delivery against the order, with the items or lots it produced
+  receipts: [{
+    receivedAt: {
+      type: Date,
+      default: Date.now
+    },
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: String,
+    lines: [{
+      lineId: mongoose.Schema.Types.ObjectId,
+      poolId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'EquipmentPool'
+      },
+      poolName: String,
+      category: String,
+      quantity: Number,
+      unitCost: Number,
+      uniqueIds: [String],
+      lotNumber: String
+    }]
+  }],
+  orderReference: {
+    type: String,
+    trim: true
+  },
+  expectedDeliveryDate: Date,
+  notes: {
+    type: String,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  orderedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  orderedAt: Date,
+  receivedAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+purchaseOrderSchema.index({ status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ supplier: 1 });
+purchaseOrderSchema.index({ 'lines.poolId': 1 });
+purchaseOrderSchema.index({ 'receipts.receivedAt': 1 });
+
+// Generate PO number (PO-YYYYMMDD-0001) before validation
+purchaseOrderSchema.pre('validate', async function(next) {
+  if (!this.poNumber) {
+    const date = new Date();
+    const prefix = `PO-${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+    try {
+      const lastOrder = await this.constructor.findOne({
+        poNumber: new RegExp(`^${prefix}`)
+      }).sort({ poNumber: -1 });
+      const lastSequence = lastOrder ? parseInt(lastOrder.poNumber.split('-')[2]) : 0;
+      this.poNumber = `${prefix}-${String((lastSequence || 0) + 1).padStart(4, '0')}`;
+    } catch (error) {
+      console.error('Error generating poNumber:', error);
+      this.poNumber = `PO-${Date.now()}`;
+    }
+  }
+  next();
+});
+
+purchaseOrderSchema.statics.RECEIVABLE_STATUSES = ['Ordered', 'Partially Received'];
+
+// Claim `quantity` of a line for a receipt. The guard on the line's current receivedQuantity
+// fails if another receipt was booked against it in the meantime, so a line can never be
+// received beyond its ordered quantity. A line for a new pool is given its pool ID here.
+purchaseOrderSchema.methods.claimLine = async function(line, quantity) {
+  if (quantity > line.quantity - line.receivedQuantity) {
+    throw new Error(`Only ${line.quantity - line.receivedQuantity} of ${line.poolName} remain to be received`);
+  }
+
+  const poolId = line.poolId || new mongoose.Types.ObjectId();
+  const updated = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      status: { $in: this.constructor.RECEIVABLE_STATUSES },
+      lines: { $elemMatch: { _id: line._id, receivedQuantity: line.receivedQuantity } }
+    },
+    {
+      $inc: { 'lines.$.receivedQuantity': quantity },
+      $set: { 'lines.$.poolId': poolId }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new Error('Purchase order was changed by another user. Please try again.');
+  }
+
+  return updated.lines.id(line._id);
+};
+
+// Give back a claimed quantity when the goods could not be added to the pool
+purchaseOrderSchema.methods.releaseLine = function(lineId, quantity) {
+  return this.constructor.updateOne(
+    { _id: this._id, 'lines._id': lineId },
+    { $inc: { 'lines.$.receivedQuantity': -quantity } }
+  );
+};
+
+purchaseOrderSchema.methods.isFullyReceived = function() {
+  return this.lines.every(line => line.receivedQuantity >= line.quantity);
+};
+
+// Virtual for the ordered value
+purchaseOrderSchema.virtual('totalCost').get(function() {
+  return (this.lines || []).reduce((sum, line) => sum + line.quantity * line.unitCost, 0);
+});
+
+// Virtual for the value of the goods received so far
+purchaseOrderSchema.virtual('receivedCost').get(function() {
+  return (this.lines || []).reduce((sum, line) => sum + line.receivedQuantity * line.unitCost, 0);
+});
+
+// Ensure virtual fields are serialized
+purchaseOrderSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const Notification = require('./Notification');
+const { broadcast } = require('../utils/eventStream');
 
 const requestSchema = new mongoose.Schema({
   requestId: {
@@ -33,6 +35,71 @@ const requestSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  declaredCondition: {
+    type: String,  // Officer's self-declared condition on pool returns
+    enum: ['Excellent', 'Good', 'Fair', 'Poor']
+  },
+  // Consumable pools: units asked for (and approved), and the pool issue that was created
+  quantity: {
+    type: Number,
+    min: 1
+  },
+  approvedQuantity: {
+    type: Number,
+    min: 1
+  },
+  consumableIssueId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // ====================================
+
+  // ========== KIT FIELDS ==========
+  kitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Kit'
+  },
+  kitName: {
+    type: String,
+    trim: true
+  },
+  // Issue: one line per kit pool with the quantity asked for, then approved, and the items assigned.
+  // Return: the kit's items still held, with the condition declared by the officer and confirmed by the admin.
+  lineItems: [{
+    poolId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EquipmentPool',
+      required: true
+    },
+    poolName: String,
+    quantity: {
+      type: Number,
+      min: 0
+    },
+    approvedQuantity: {
+      type: Number,
+      min: 0
+    },
+    items: [{
+      _id: false,
+      uniqueId: {
+        type: String,
+        required: true
+      },
+      declaredCondition: {
+        type: String,
+        enum: ['Excellent', 'Good', 'Fair', 'Poor']
+      },
+      condition: {
+        type: String,
+        enum: ['Excellent', 'Good', 'Fair', 'Poor']
+      }
+    }]
+  }],
+  // A kit return settles the kit issue request it points to
+  parentRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Request'
+  },
   // ====================================
   
   requestType: {
@@ -115,6 +182,8 @@ requestSchema.index({ requestId: 1 });
 requestSchema.index({ requestedBy: 1 });
 requestSchema.index({ equipmentId: 1 });
 requestSchema.index({ poolId: 1 });  // NEW INDEX
+requestSchema.index({ kitId: 1 });
+requestSchema.index({ parentRequest: 1 });
 requestSchema.index({ status: 1 });
 requestSchema.index({ requestType: 1 });
 requestSchema.index({ createdAt: -1 });
@@ -150,6 +219,10 @@ requestSchema.pre('validate', async function(next) {
 
 // Add status to history when status changes
 requestSchema.pre('save', function(next) {
+  // Remembered for the post-save live update
+  this.$locals.wasNew = this.isNew;
+  this.$locals.statusChanged = this.isModified('status');
+
   if (this.isModified('status') && !this.isNew) {
     this.statusHistory.push({
       status: this.status,
@@ -161,32 +234,221 @@ requestSchema.pre('save', function(next) {
   next();
 });
 
+// Push a live update to admins and the requesting officer
+requestSchema.post('save', function(doc) {
+  if (!doc.$locals.wasNew && !doc.$locals.statusChanged) return;
+
+  const requesterId = doc.requestedBy?._id || doc.requestedBy;
+  broadcast(
+    doc.$locals.wasNew ? 'request:created' : `request:${doc.status.toLowerCase()}`,
+    {
+      _id: doc._id,
+      requestId: doc.requestId,
+      requestType: doc.requestType,
+      status: doc.status,
+      poolId: doc.poolId,
+      poolName: doc.poolName,
+      kitName: doc.kitName,
+      assignedEquipmentId: doc.assignedEquipmentId,
+      requestedBy: requesterId
+    },
+    { roles: ['admin'], userIds: [requesterId] }
+  );
+});
+
+// Describe what the request was for, for notification text
+requestSchema.methods.describeSubject = function() {
+  if (this.kitName) return `the ${this.kitName} kit`;
+  const name = this.poolName || this.equipmentId?.name || 'equipment';
+  if (this.quantity) return `${this.approvedQuantity || this.quantity} x ${name}`;
+  return this.assignedEquipmentId ? `${name} (${this.assignedEquipmentId})` : name;
+};
+
+// Notify the requesting officer about a status change
+requestSchema.methods.notifyRequester = function(type, title, message) {
+  return Notification.notify(this.requestedBy?._id || this.requestedBy, {
+    type,
+    title,
+    message,
+    requestId: this._id,
+    poolId: this.poolId,
+    uniqueId: this.assignedEquipmentId
+  });
+};
+
 // Method to approve request
-requestSchema.methods.approve = function(adminId, notes) {
+requestSchema.methods.approve = async function(adminId, notes) {
   this.status = 'Approved';
   this.processedBy = adminId;
   this.processedDate = new Date();
   this.approvedDate = new Date();
   this.adminNotes = notes;
-  return this.save();
+  await this.save();
+
+  await this.notifyRequester(
+    'RequestApproved',
+    `${this.requestType} request approved`,
+    `Your ${this.requestType.toLowerCase()} request ${this.requestId} for ${this.describeSubject()} was approved.` +
+      (notes ? ` Notes: ${notes}` : '')
+  );
+  return this;
 };
 
 // Method to reject request
-requestSchema.methods.reject = function(adminId, reason) {
+requestSchema.methods.reject = async function(adminId, reason) {
   this.status = 'Rejected';
   this.processedBy = adminId;
   this.processedDate = new Date();
   this.adminNotes = reason;
-  return this.save();
+  await this.save();
+
+  await this.notifyRequester(
+    'RequestRejected',
+    `${this.requestType} request rejected`,
+    `Your ${this.requestType.toLowerCase()} request ${this.requestId} for ${this.describeSubject()} was rejected. Reason: ${reason}`
+  );
+  return this;
 };
 
 // Method to complete request
-requestSchema.methods.complete = function(adminId, notes) {
+requestSchema.methods.complete = async function(adminId, notes) {
   this.status = 'Completed';
   this.processedBy = adminId;
   this.completedDate = new Date();
   if (notes) this.adminNotes = notes;
-  return this.save();
+  await this.save();
+
+  await this.notifyRequester(
+    'RequestCompleted',
+    `${this.requestType} request completed`,
+    `Your ${this.requestType.toLowerCase()} request ${this.requestId} for ${this.describeSubject()} has been completed.`
+  );
+  return this;
+};
+
+// Load the pools of the kit lines, keyed by pool ID
+const loadKitPools = async (lineItems, session) => {
+  const EquipmentPool = mongoose.model('EquipmentPool');
+  const pools = await EquipmentPool.find({ _id: { $in: lineItems.map(line => line.poolId) } }, null, { session });
+  return Object.fromEntries(pools.map(pool => [pool._id.toString(), pool]));
+};
+
+// Push the new counts of the kit's pools once its transaction has committed
+const broadcastKitPools = (pools) => {
+  Object.values(pools).forEach(pool => pool.broadcastCounts());
+};
+
+// Issue a kit request as one unit. approvedQuantities maps a line's _id to the number
+// approved (default: the quantity requested, 0 leaves the line out). Every line is checked
+// first, then all items are issued in one transaction, so a failure part-way leaves no
+// custody history behind. requestedBy must be populated.
+requestSchema.methods.issueKit = async function(issuedBy, { approvedQuantities = {}, strategy, location } = {}) {
+  const officer = this.requestedBy;
+  const plan = this.lineItems.map(line => ({
+    line,
+    quantity: Math.max(0, Math.min(parseInt(approvedQuantities[line._id] ?? line.quantity) || 0, line.quantity))
+  }));
+
+  if (plan.every(({ quantity }) => quantity === 0)) {
+    throw new Error('Approve at least one item, or reject the request');
+  }
+
+  // Every attempt of the transaction starts from fresh pool documents
+  const { pools, issued } = await mongoose.connection.transaction(async (session) => {
+    const pools = await loadKitPools(this.lineItems, session);
+    const problems = [];
+    plan.forEach(({ line, quantity }) => {
+      const pool = pools[line.poolId.toString()];
+      if (quantity === 0) return;
+
+      if (!pool) {
+        problems.push(`${line.poolName}: pool not found`);
+      } else if (!pool.authorizedDesignations.includes(officer.designation)) {
+        problems.push(`${line.poolName}: not authorized for ${officer.designation}`);
+      } else {
+        const available = pool.items.filter(item => item.status === 'Available').length;
+        if (available < quantity) {
+          problems.push(`${line.poolName}: only ${available} of ${quantity} available`);
+        }
+      }
+    });
+
+    if (problems.length > 0) {
+      throw new Error(problems.join('; '));
+    }
+
+    const issued = [];
+    for (const { line, quantity } of plan) {
+      const pool = pools[line.poolId.toString()];
+      for (let i = 0; i < quantity; i++) {
+        const item = await pool.issueItem(
+          officer._id,
+          officer.officerId,
+          officer.fullName,
+          officer.designation,
+          this.reason,
+          issuedBy,
+          { strategy, location, expectedReturnDate: this.expectedReturnDate, session }
+        );
+        issued.push({ line, uniqueId: item.uniqueId, condition: item.condition });
+      }
+    }
+    return { pools, issued };
+  });
+
+  broadcastKitPools(pools);
+
+  plan.forEach(({ line, quantity }) => {
+    line.approvedQuantity = quantity;
+    line.items = issued
+      .filter(entry => entry.line === line)
+      .map(({ uniqueId, condition }) => ({ uniqueId, condition }));
+  });
+
+  return issued.length;
+};
+
+// Take back every item of a kit return request. conditions maps a uniqueId to the condition
+// confirmed by the admin (default: the one the officer declared). All or nothing, like issueKit.
+requestSchema.methods.returnKit = async function(returnedTo, conditions = {}, remarks) {
+  const requesterId = (this.requestedBy?._id || this.requestedBy).toString();
+
+  const { pools, returned } = await mongoose.connection.transaction(async (session) => {
+    const pools = await loadKitPools(this.lineItems, session);
+
+    const plan = this.lineItems.flatMap(line => line.items.map(entry => ({
+      line,
+      entry,
+      pool: pools[line.poolId.toString()]
+    })));
+
+    const problems = plan
+      .filter(({ entry, pool }) => {
+        const item = pool?.findItemByUniqueId(entry.uniqueId);
+        return !item || item.status !== 'Issued' || item.currentlyIssuedTo?.userId?.toString() !== requesterId;
+      })
+      .map(({ line, entry }) => `${entry.uniqueId} (${line.poolName}) is no longer issued to this officer`);
+
+    if (problems.length > 0) {
+      throw new Error(problems.join('; '));
+    }
+
+    const returned = [];
+    for (const { entry, pool } of plan) {
+      const condition = conditions[entry.uniqueId] || entry.declaredCondition;
+      await pool.returnItem(entry.uniqueId, condition, remarks, returnedTo, { session });
+      returned.push({ entry, condition });
+    }
+    return { pools, returned };
+  });
+
+  broadcastKitPools(pools);
+
+  returned.forEach(({ entry, condition }) => {
+    entry.condition = condition;
+  });
+
+  return returned.length;
 };
 
 // Static method to get pending requests
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const eventStream = require('../utils/eventStream');
+
+// A signed-in device. Access tokens carry the session ID and stop working as soon
+// as the session is revoked; the refresh token is stored only as a hash and is
+// replaced on every refresh.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the refresh token this one replaced, to recognise a reused (stolen) token
+  previousTokenHash: String,
+  rotatedAt: Date,
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  device: String,
+  ip: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedReason: String
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Refresh tokens are stored as SHA-256 hashes only
+sessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Short "Browser on OS" description of a user agent for the sessions list
+sessionSchema.statics.describeDevice = function(userAgent = '') {
+  const browser = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  const os = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return userAgent ? 'Unknown device' : 'Unknown client';
+  return `${browser ? browser[0] : 'Browser'} on ${os ? os[0] : 'unknown OS'}`;
+};
+
+// Query for sessions that can still be used
+sessionSchema.statics.activeQuery = function(query = {}) {
+  return { ...query, revokedAt: null, expiresAt: { $gt: new Date() } };
+};
+
+// Revoke every active session matching the query and close their live update streams.
+// Returns the number of sessions revoked.
+sessionSchema.statics.revoke = async function(query, { revokedBy, reason } = {}) {
+  const sessions = await this.find(this.activeQuery(query)).select('_id');
+  if (sessions.length === 0) return 0;
+
+  const ids = sessions.map(session => session._id);
+  await this.updateMany(
+    { _id: { $in: ids }, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedBy, revokedReason: reason } }
+  );
+
+  eventStream.closeSessions(ids);
+  return ids.length;
+};
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Ensure virtual fields are serialized
+sessionSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.tokenHash;
+    delete ret.previousTokenHash;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
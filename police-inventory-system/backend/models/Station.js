@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const stationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Station name is required'],
+    trim: true,
+    maxlength: [100, 'Station name cannot exceed 100 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Station code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9-]{2,12}$/, 'Station code must be 2-12 letters, digits or hyphens']
+  },
+  type: {
+    type: String,
+    enum: ['Police Station', 'Malkhana', 'Armory', 'District HQ', 'Training Centre', 'Other'],
+    default: 'Police Station'
+  },
+  district: {
+    type: String,
+    trim: true
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Address cannot exceed 300 characters']
+  },
+  contactNumber: {
+    type: String,
+    trim: true
+  },
+  // Officer in charge of the station's stock
+  inCharge: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+stationSchema.index({ name: 1 });
+stationSchema.index({ district: 1 });
+
+// Ensure virtual fields are serialized
+stationSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Station', stationSchema);
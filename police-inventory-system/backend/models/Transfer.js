@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+const transferSchema = new mongoose.Schema({
+  transferId: {
+    type: String,
+    unique: true
+  },
+  poolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EquipmentPool',
+    required: true
+  },
+  poolName: {
+    type: String,
+    trim: true
+  },
+  fromStation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    required: true
+  },
+  toStation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    required: true
+  },
+  uniqueIds: {
+    type: [String],
+    validate: [ids => ids.length > 0, 'At least one item is required']
+  },
+  status: {
+    type: String,
+    enum: ['Requested', 'Dispatched', 'Received', 'Cancelled'],
+    default: 'Requested'
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  dispatchedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  dispatchedAt: Date,
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  receivedAt: Date,
+  receiptNotes: {
+    type: String,
+    maxlength: [500, 'Receipt notes cannot exceed 500 characters']
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+transferSchema.index({ status: 1, createdAt: -1 });
+transferSchema.index({ poolId: 1, status: 1 });
+transferSchema.index({ fromStation: 1 });
+transferSchema.index({ toStation: 1 });
+
+// Generate transfer ID (TRF-YYYYMMDD-0001) before validation
+transferSchema.pre('validate', async function(next) {
+  if (!this.transferId) {
+    const date = new Date();
+    const prefix = `TRF-${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+    try {
+      const lastTransfer = await this.constructor.findOne({
+        transferId: new RegExp(`^${prefix}`)
+      }).sort({ transferId: -1 });
+      const lastSequence = lastTransfer ? parseInt(lastTransfer.transferId.split('-')[2]) : 0;
+      this.transferId = `${prefix}-${String((lastSequence || 0) + 1).padStart(4, '0')}`;
+    } catch (error) {
+      console.error('Error generating transferId:', error);
+      this.transferId = `TRF-${Date.now()}`;
+    }
+  }
+  next();
+});
+
+// Virtual for number of items moved
+transferSchema.virtual('quantity').get(function() {
+  return this.uniqueIds ? this.uniqueIds.length : 0;
+});
+
+// Ensure virtual fields are serialized
+transferSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Transfer', transferSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const totp = require('../utils/totp');
+const passwordPolicy = require('../utils/passwordPolicy');
 
 // Valid Indian state codes
 const VALID_STATE_CODES = [
@@ -58,19 +60,17 @@ const validateGovEmail = (email) => {
   );
 };
 
-// Custom validator for password
+// Custom validator for password (see utils/passwordPolicy)
 // IMPORTANT: Skip validation if password is already hashed (starts with $2a$ or $2b$)
+const isHashed = (password) => /^\$2[aby]\$/.test(password);
+
 const validatePassword = (password) => {
   // Skip validation for already-hashed passwords (bcrypt hash format)
-  if (/^\$2[aby]\$/.test(password)) {
+  if (isHashed(password)) {
     return true; // Already hashed, validation passed
   }
-  
-  // Validate plain passwords
-  if (password.length !== 8) return false;
-  if (!/^[A-Z]/.test(password)) return false;
-  if (!/^[A-Z][a-zA-Z0-9]{7}$/.test(password)) return false;
-  return true;
+
+  return passwordPolicy.check(password).length === 0;
 };
 
 const userSchema = new mongoose.Schema({
@@ -143,9 +143,20 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Password is required'],
     validate: {
       validator: validatePassword,
-      message: 'Password must be exactly 8 characters, start with a capital letter, and rest can be letters or numbers. Example: Admin123'
+      message: (props) => passwordPolicy.check(props.value).join('. ')
     }
   },
+  // Hashes of the previous passwords, newest first, so they cannot be reused
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
+  passwordChangedAt: Date,
+  // Set for accounts created by an admin: the first login has to choose a new password
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
   role: {
     type: String,
     enum: {
@@ -176,6 +187,47 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  // Failed logins since the last successful one
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: Date,
+  lastFailedLoginIp: String,
+  // Logins are refused until then
+  lockedUntil: Date,
+  // Lockouts since the last successful login; each lasts twice as long as the one before
+  lockoutCount: {
+    type: Number,
+    default: 0
+  },
+  // Two-factor authentication with an authenticator app (TOTP); mandatory for admins
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Encrypted TOTP secret; pendingSecret holds one being enrolled until a code confirms it
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Hashes of the one-time recovery codes
+    recoveryCodes: {
+      type: [{
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    // Last time step a code was accepted for, so a code works only once
+    lastUsedStep: Number,
+    enabledAt: Date
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -194,9 +246,13 @@ userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   
   // Skip hashing if password is already hashed
-  if (/^\$2[aby]\$/.test(this.password)) {
+  if (isHashed(this.password)) {
     return next();
   }
+
+  if (!this.isModified('passwordChangedAt')) {
+    this.passwordChangedAt = new Date();
+  }
   
   try {
     const salt = await bcrypt.genSalt(12);
@@ -218,6 +274,143 @@ userSchema.methods.updateLastLogin = function() {
   return this.save();
 };
 
+// Replace the password, refusing the current and recent ones. Needs password and
+// passwordHistory selected; the caller saves. Throws an error with status 400 and
+// `errors` when the password is not allowed.
+userSchema.methods.setPassword = async function(newPassword) {
+  const reject = (problems) => Object.assign(new Error(problems.join('. ')), { status: 400, errors: problems });
+
+  const problems = passwordPolicy.check(newPassword);
+  if (problems.length > 0) throw reject(problems);
+
+  // The current password counts towards the history size
+  const recent = [this.password, ...(this.passwordHistory || [])]
+    .filter(isHashed)
+    .slice(0, passwordPolicy.HISTORY_SIZE);
+  if (await passwordPolicy.matchesHistory(newPassword, recent)) {
+    throw reject([`Password cannot be the same as any of your last ${passwordPolicy.HISTORY_SIZE} passwords`]);
+  }
+
+  this.passwordHistory = recent.slice(0, Math.max(passwordPolicy.HISTORY_SIZE - 1, 0));
+  this.password = newPassword;
+  this.passwordChangedAt = new Date();
+  this.mustChangePassword = false;
+};
+
+// Why the password has to be changed before the next session: 'required' (set by an
+// admin, e.g. a new account), 'expired' (older than the maximum age), or null
+userSchema.methods.passwordChangeReason = function(now = new Date()) {
+  if (this.mustChangePassword) return 'required';
+
+  // createdAt only covers accounts missed by scripts/backfillPasswordChangedAt.js
+  const expiry = passwordPolicy.expiresAt(this.passwordChangedAt || this.createdAt);
+  return expiry && expiry <= now ? 'expired' : null;
+};
+
+// Whether the account is temporarily locked after repeated failed logins
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+};
+
+// Count a failed login. Once maxAttempts is reached the account is locked for
+// lockoutMs, doubled for every earlier lockout (up to maxLockoutMs).
+// Returns the lock end when this failure locked the account.
+userSchema.methods.registerFailedLogin = async function(ip, { maxAttempts, lockoutMs, maxLockoutMs }) {
+  const now = new Date();
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    {
+      $inc: { failedLoginAttempts: 1 },
+      $set: { lastFailedLoginAt: now, lastFailedLoginIp: ip }
+    },
+    { new: true }
+  ).select('failedLoginAttempts lockoutCount lastFailedLoginAt lastFailedLoginIp lockedUntil');
+
+  Object.assign(this, {
+    failedLoginAttempts: updated.failedLoginAttempts,
+    lastFailedLoginAt: updated.lastFailedLoginAt,
+    lastFailedLoginIp: updated.lastFailedLoginIp
+  });
+
+  if (updated.failedLoginAttempts < maxAttempts) return null;
+
+  const lockedUntil = new Date(now.getTime() + Math.min(lockoutMs * 2 ** updated.lockoutCount, maxLockoutMs));
+
+  // The attempt counter restarts with the lock, so concurrent failures lock only once
+  const locked = await this.constructor.findOneAndUpdate(
+    { _id: this._id, failedLoginAttempts: { $gte: maxAttempts } },
+    {
+      $set: { failedLoginAttempts: 0, lockedUntil },
+      $inc: { lockoutCount: 1 }
+    },
+    { new: true }
+  ).select('failedLoginAttempts lockoutCount lockedUntil');
+
+  if (!locked) return null;
+
+  Object.assign(this, {
+    failedLoginAttempts: locked.failedLoginAttempts,
+    lockoutCount: locked.lockoutCount,
+    lockedUntil: locked.lockedUntil
+  });
+  return lockedUntil;
+};
+
+// Clear failed login tracking (successful login or admin unlock)
+userSchema.methods.clearLoginFailures = async function() {
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: { failedLoginAttempts: 0, lockoutCount: 0 },
+      $unset: { lockedUntil: 1, lastFailedLoginAt: 1, lastFailedLoginIp: 1 }
+    }
+  );
+
+  this.failedLoginAttempts = 0;
+  this.lockoutCount = 0;
+  this.lockedUntil = undefined;
+  this.lastFailedLoginAt = undefined;
+  this.lastFailedLoginIp = undefined;
+};
+
+// Admins cannot finish signing in until they have set up two-factor authentication
+userSchema.methods.requiresTwoFactorSetup = function() {
+  return this.role === 'admin' && !this.twoFactor?.enabled;
+};
+
+// Check a second factor (authenticator code or recovery code) and use it up.
+// Needs twoFactor.secret and twoFactor.recoveryCodes selected. Returns 'totp',
+// 'recovery' or null; `now` fixes the clock for the code check.
+userSchema.methods.useSecondFactor = async function({ code, recoveryCode }, now = Date.now()) {
+  if (!this.twoFactor?.enabled || !this.twoFactor.secret) return null;
+
+  if (code) {
+    const step = totp.verifyTotp(totp.decryptSecret(this.twoFactor.secret), code, {
+      now,
+      afterStep: this.twoFactor.lastUsedStep ?? -1
+    });
+    if (step === null) return null;
+
+    // Record the step atomically so the same code cannot be used twice
+    const result = await this.constructor.updateOne(
+      { _id: this._id, $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }] },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1 ? 'totp' : null;
+  }
+
+  if (recoveryCode) {
+    const hash = totp.hashRecoveryCode(recoveryCode);
+    const result = await this.constructor.updateOne(
+      { _id: this._id, 'twoFactor.recoveryCodes': { $elemMatch: { hash, usedAt: null } } },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date(now) } }
+    );
+    return result.modifiedCount === 1 ? 'recovery' : null;
+  }
+
+  return null;
+};
+
 // Get years of service
 userSchema.virtual('yearsOfService').get(function() {
   if (!this.dateOfJoining) return null;
@@ -230,7 +423,14 @@ userSchema.set('toJSON', {
   virtuals: true,
   transform: function(doc, ret) {
     delete ret.password;
+    delete ret.passwordHistory;
     delete ret.__v;
+    if (ret.twoFactor) {
+      delete ret.twoFactor.secret;
+      delete ret.twoFactor.pendingSecret;
+      delete ret.twoFactor.recoveryCodes;
+      delete ret.twoFactor.lastUsedStep;
+    }
     return ret;
   }
 });
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+// A claim against the supplier's warranty for a damaged item or a repair,
+// so the repair is charged to the warranty provider instead of being paid for
+const warrantyClaimSchema = new mongoose.Schema({
+  claimNumber: {
+    type: String,
+    unique: true
+  },
+  poolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EquipmentPool',
+    required: true
+  },
+  poolName: {
+    type: String,
+    trim: true
+  },
+  uniqueId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // What the claim is for: a Damaged incident or a Repair entry in the item's maintenanceHistory
+  basis: {
+    type: String,
+    enum: ['Damage', 'Repair'],
+    required: true
+  },
+  incident: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident'
+  },
+  maintenanceEntryId: mongoose.Schema.Types.ObjectId,
+  // Warranty as it stood when the claim was filed
+  warrantyExpiry: Date,
+  warrantyProvider: String,
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  // Cost of the repair being claimed
+  claimAmount: {
+    type: Number,
+    min: [0, 'Claim amount cannot be negative']
+  },
+  status: {
+    type: String,
+    enum: ['Open', 'Submitted', 'Approved', 'Rejected'],
+    default: 'Open'
+  },
+  providerReference: {
+    type: String,
+    trim: true
+  },
+  submittedAt: Date,
+  // Amount the provider covered, set on approval
+  recoveredAmount: {
+    type: Number,
+    min: [0, 'Recovered amount cannot be negative']
+  },
+  resolutionNotes: {
+    type: String,
+    maxlength: [500, 'Resolution notes cannot exceed 500 characters']
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date,
+  filedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+warrantyClaimSchema.index({ status: 1, createdAt: -1 });
+warrantyClaimSchema.index({ poolId: 1, uniqueId: 1 });
+warrantyClaimSchema.index({ incident: 1 });
+warrantyClaimSchema.index({ maintenanceEntryId: 1 });
+
+// Generate claim number (WCL-YYYYMMDD-0001) before validation
+warrantyClaimSchema.pre('validate', async function(next) {
+  if (!this.claimNumber) {
+    const date = new Date();
+    const prefix = `WCL-${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+    try {
+      const lastClaim = await this.constructor.findOne({
+        claimNumber: new RegExp(`^${prefix}`)
+      }).sort({ claimNumber: -1 });
+      const lastSequence = lastClaim ? parseInt(lastClaim.claimNumber.split('-')[2]) : 0;
+      this.claimNumber = `${prefix}-${String((lastSequence || 0) + 1).padStart(4, '0')}`;
+    } catch (error) {
+      console.error('Error generating claimNumber:', error);
+      this.claimNumber = `WCL-${Date.now()}`;
+    }
+  }
+  next();
+});
+
+// Ensure virtual fields are serialized
+warrantyClaimSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('WarrantyClaim', warrantyClaimSchema);
@@ -4,8 +4,19 @@ const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Equipment = require('../models/Equipment');
 const Request = require('../models/Request');
+const EquipmentPool = require('../models/EquipmentPool');
+const AuditLog = require('../models/AuditLog');
+const Incident = require('../models/Incident');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Session = require('../models/Session');
+const PasswordReset = require('../models/PasswordReset');
 const { auth } = require('../middleware/auth');
 const { adminOnly } = require('../middleware/roleCheck');
+const passwordPolicy = require('../utils/passwordPolicy');
+const { sendMail } = require('../utils/mailer');
+const { isDatabaseError } = require('../utils/transactions');
+
+const { ISSUE_STRATEGIES } = EquipmentPool;
 
 const router = express.Router();
 
@@ -24,7 +35,11 @@ router.get('/dashboard', async (req, res) => {
       availableEquipment,
       issuedEquipment,
       pendingRequests,
-      recentRequests
+      recentRequests,
+      overdueItems,
+      poolTotals,
+      openIncidents,
+      lowStockPools
     ] = await Promise.all([
       User.countDocuments({ isActive: true }),
       User.countDocuments({ role: 'officer', isActive: true }),
@@ -36,7 +51,20 @@ router.get('/dashboard', async (req, res) => {
         .populate('requestedBy', 'fullName officerId')
         .populate('equipmentId', 'name model serialNumber')
         .sort({ createdAt: -1 })
-        .limit(5)
+        .limit(5),
+      EquipmentPool.findOverdueItems(),
+      EquipmentPool.aggregate([
+        {
+          $group: {
+            _id: null,
+            damaged: { $sum: '$damagedCount' },
+            lost: { $sum: '$lostCount' },
+            retired: { $sum: '$retiredCount' }
+          }
+        }
+      ]),
+      Incident.countDocuments({ status: 'Open' }),
+      EquipmentPool.findLowStock()
     ]);
 
     const equipmentCategories = await Equipment.aggregate([
@@ -57,10 +85,19 @@ router.get('/dashboard', async (req, res) => {
           availableEquipment,
           issuedEquipment,
           pendingRequests,
-          requestsThisMonth
+          requestsThisMonth,
+          overdueItems: overdueItems.length,
+          escalatedOverdueItems: overdueItems.filter(item => item.shouldEscalate).length,
+          damagedItems: poolTotals[0]?.damaged || 0,
+          lostItems: poolTotals[0]?.lost || 0,
+          retiredItems: poolTotals[0]?.retired || 0,
+          openIncidents,
+          lowStockPools: lowStockPools.length
         },
         equipmentCategories,
-        recentRequests
+        recentRequests,
+        lowStockPools,
+        overdueItems: overdueItems.slice(0, 5)
       }
     });
 
@@ -146,9 +183,7 @@ router.post('/users', [
   body('email')
     .isEmail()
     .withMessage('Must be a valid email'),
-  body('password')
-    .isLength({ min: 8, max: 8 })
-    .withMessage('Password must be exactly 8 characters'),
+  passwordPolicy.passwordField('password'),
   body('dateOfJoining')
     .isISO8601()
     .withMessage('Must be a valid date'),
@@ -195,11 +230,15 @@ router.post('/users', [
       rank,
       designation,
       role: role || 'officer',
+      // The admin knows this password, so the officer replaces it at first login
+      mustChangePassword: true,
       createdBy: req.user._id
     });
 
     await user.save();
 
+    req.audit({ action: 'user.create', targetModel: 'User', targetId: user._id, after: user });
+
     res.status(201).json({
       success: true,
       message: 'Officer created successfully',
@@ -258,6 +297,7 @@ router.put('/users/:id', [
     if (designation !== undefined) updates.designation = designation;
     if (isActive !== undefined) updates.isActive = isActive;
 
+    const before = await User.findById(req.params.id).select('-password');
     const user = await User.findByIdAndUpdate(
       req.params.id,
       updates,
@@ -271,6 +311,13 @@ router.put('/users/:id', [
       });
     }
 
+    // A deactivated user is signed out everywhere
+    if (!user.isActive) {
+      await Session.revoke({ user: user._id }, { revokedBy: req.user._id, reason: 'User deactivated' });
+    }
+
+    req.audit({ action: 'user.update', targetModel: 'User', targetId: user._id, before, after: user });
+
     res.json({
       success: true,
       message: 'User updated successfully',
@@ -287,6 +334,266 @@ router.put('/users/:id', [
   }
 });
 
+// @route   PUT /api/admin/users/:id/unlock
+// @desc    Unlock an account locked after failed logins and clear its failed attempts
+// @access  Private (Admin only)
+router.put('/users/:id/unlock', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const before = {
+      failedLoginAttempts: user.failedLoginAttempts,
+      lockedUntil: user.lockedUntil,
+      lockoutCount: user.lockoutCount
+    };
+    const wasLocked = user.isLocked();
+
+    await user.clearLoginFailures();
+
+    req.audit({ action: 'user.unlock', targetModel: 'User', targetId: user._id, before, after: { failedLoginAttempts: 0, lockedUntil: null, lockoutCount: 0 } });
+
+    res.json({
+      success: true,
+      message: wasLocked ? `${user.fullName}'s account unlocked` : `Failed login attempts cleared for ${user.fullName}`,
+      data: { user }
+    });
+
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error unlocking user',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/reset-password
+// @desc    Replace a user's password with a temporary one they must change at their
+//          next login; signs them out and cancels pending reset links. The temporary
+//          password is returned once for the admin to hand over.
+// @access  Private (Admin only)
+router.put('/users/:id/reset-password', async (req, res) => {
+  try {
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use Change Password for your own account'
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('+passwordHistory');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const temporaryPassword = passwordPolicy.generateTemporary();
+    await user.setPassword(temporaryPassword);
+    user.mustChangePassword = true;
+    await user.save();
+
+    await user.clearLoginFailures();
+    await PasswordReset.deleteMany({ user: user._id, usedAt: null });
+    const revoked = await Session.revoke({ user: user._id }, { revokedBy: req.user._id, reason: 'Password reset by admin' });
+
+    // The password has already changed: if the notice cannot be sent the response
+    // says so, and the temporary password is still returned
+    const notified = await sendMail({
+      to: user.email,
+      subject: 'Your Police Inventory password was reset',
+      text: `Hello ${user.fullName},\n\n` +
+        `${req.user.fullName} reset your password and signed you out of every device. ` +
+        'Ask them for the temporary password; you will choose a new one when you next sign in.'
+    });
+
+    req.audit({
+      action: 'user.password.reset',
+      targetModel: 'User',
+      targetId: user._id,
+      after: { mustChangePassword: true, sessionsRevoked: revoked }
+    });
+
+    res.json({
+      success: true,
+      message: `Password reset for ${user.fullName}. They must change it at their next login` +
+        (notified ? '' : '. The email notice could not be sent'),
+      data: { temporaryPassword, notified }
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resetting password',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   DELETE /api/admin/users/:id/two-factor
+// @desc    Reset a user's two-factor authentication (lost device) and sign them out;
+//          admins set it up again at their next login
+// @access  Private (Admin only)
+router.delete('/users/:id/two-factor', async (req, res) => {
+  try {
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Another admin has to reset your two-factor authentication'
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('fullName role twoFactor');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: `${user.fullName} does not use two-factor authentication`
+      });
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: { twoFactor: { enabled: false } } });
+    const revoked = await Session.revoke({ user: user._id }, { revokedBy: req.user._id, reason: 'Two-factor reset' });
+
+    req.audit({
+      action: 'user.2fa.reset',
+      targetModel: 'User',
+      targetId: user._id,
+      before: { twoFactor: { enabled: true } },
+      after: { twoFactor: { enabled: false }, sessionsRevoked: revoked }
+    });
+
+    res.json({
+      success: true,
+      message: user.role === 'admin'
+        ? `Two-factor reset for ${user.fullName}. They will set it up again at their next login`
+        : `Two-factor reset for ${user.fullName}`
+    });
+
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resetting two-factor authentication',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:id/sessions
+// @desc    A user's active sessions (device, IP, last seen)
+// @access  Private (Admin only)
+router.get('/users/:id/sessions', async (req, res) => {
+  try {
+    const sessions = await Session.find(Session.activeQuery({ user: req.params.id }))
+      .select('device userAgent ip lastSeenAt createdAt expiresAt')
+      .sort({ lastSeenAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toJSON(),
+          current: session._id.equals(req.sessionId)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching sessions',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   DELETE /api/admin/users/:id/sessions/:sessionId
+// @desc    Revoke one of a user's sessions
+// @access  Private (Admin only)
+router.delete('/users/:id/sessions/:sessionId', async (req, res) => {
+  try {
+    const revoked = await Session.revoke(
+      { _id: req.params.sessionId, user: req.params.id },
+      { revokedBy: req.user._id, reason: 'Revoked by admin' }
+    );
+
+    if (revoked === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    req.audit({ action: 'user.session.revoke', targetModel: 'User', targetId: req.params.id, after: { sessionId: req.params.sessionId } });
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+
+  } catch (error) {
+    console.error('Revoke user session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking session',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   DELETE /api/admin/users/:id/sessions
+// @desc    Revoke all of a user's sessions
+// @access  Private (Admin only)
+router.delete('/users/:id/sessions', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('fullName');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const revoked = await Session.revoke(
+      { user: user._id },
+      { revokedBy: req.user._id, reason: 'Revoked by admin' }
+    );
+
+    req.audit({ action: 'user.session.revokeAll', targetModel: 'User', targetId: user._id, after: { sessionsRevoked: revoked } });
+
+    res.json({
+      success: true,
+      message: `Signed ${user.fullName} out of ${revoked} session(s)`,
+      data: { revoked }
+    });
+
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking sessions',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
 // @route   GET /api/admin/requests
 // @desc    Get all requests with filters
 // @access  Private (Admin only)
@@ -337,58 +644,264 @@ router.get('/requests', async (req, res) => {
   }
 });
 
+// Undo the claim taken by the approve route when nothing was issued or returned
+const releaseApproveClaim = (requestId) => Request.updateOne(
+  { _id: requestId, status: 'Approved' },
+  { $set: { status: 'Pending' }, $unset: { processedBy: 1, processedDate: 1, approvedDate: 1 } }
+);
+
 // @route   PUT /api/admin/requests/:id/approve
-// @desc    Approve a request
+// @desc    Approve a request (issues a pool item for pool requests)
 // @access  Private (Admin only)
 router.put('/requests/:id/approve', [
-  body('notes').optional().isLength({ max: 500 })
+  body('notes').optional().isLength({ max: 500 }),
+  body('uniqueId').optional().trim(),
+  body('strategy').optional({ checkFalsy: true }).isIn(ISSUE_STRATEGIES).withMessage(`Strategy must be one of: ${ISSUE_STRATEGIES.join(', ')}`),
+  body('location').optional().trim(),
+  body('condition').optional().isIn(['Excellent', 'Good', 'Fair', 'Poor']),
+  body('approvedQuantity').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Approved quantity must be at least 1'),
+  body('approvedQuantities').optional().isObject().withMessage('Approved quantities must map kit lines to numbers'),
+  body('conditions').optional().isObject().withMessage('Conditions must map item IDs to conditions')
 ], async (req, res) => {
   try {
-    const { notes } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { notes, uniqueId, strategy, location, condition, approvedQuantity, approvedQuantities, conditions } = req.body;
 
-    const request = await Request.findById(req.params.id)
+    // Claim the request before issuing anything, so two admins approving it at
+    // the same time cannot both hand out equipment
+    const now = new Date();
+    const request = await Request.findOneAndUpdate(
+      { _id: req.params.id, status: 'Pending' },
+      { $set: { status: 'Approved', processedBy: req.user._id, processedDate: now, approvedDate: now } }
+    )
       .populate('equipmentId')
       .populate('requestedBy');
 
     if (!request) {
-      return res.status(404).json({
-        success: false,
-        message: 'Request not found'
-      });
-    }
-
-    if (request.status !== 'Pending') {
+      if (!await Request.exists({ _id: req.params.id })) {
+        return res.status(404).json({
+          success: false,
+          message: 'Request not found'
+        });
+      }
       return res.status(400).json({
         success: false,
         message: 'Request is not in pending status'
       });
     }
 
-    // For issue requests, check if equipment is available
-    if (request.requestType === 'Issue') {
-      if (request.equipmentId.status !== 'Available') {
-        return res.status(400).json({
-          success: false,
-          message: 'Equipment is not available for issue'
-        });
+    // Until the equipment has been handed over, any way out puts the request back to Pending
+    let handedOver = false;
+    try {
+      let kitItemCount = 0;
+
+      if (request.kitId && request.requestType === 'Issue') {
+        // Kit request: issue every approved line as one unit
+        try {
+          kitItemCount = await request.issueKit(req.user._id, { approvedQuantities, strategy, location });
+        } catch (kitError) {
+          if (isDatabaseError(kitError)) throw kitError;
+          return res.status(409).json({
+            success: false,
+            message: kitError.message
+          });
+        }
+      } else if (request.kitId && request.requestType === 'Return') {
+        // Kit return: take back every item with its confirmed condition
+        const invalid = Object.values(conditions || {}).find(value => !['Excellent', 'Good', 'Fair', 'Poor'].includes(value));
+        if (invalid) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid condition: ${invalid}`
+          });
+        }
+
+        try {
+          kitItemCount = await request.returnKit(req.user._id, conditions, notes);
+        } catch (kitError) {
+          if (isDatabaseError(kitError)) throw kitError;
+          return res.status(409).json({
+            success: false,
+            message: kitError.message
+          });
+        }
+      } else if (request.requestType === 'Issue' && request.poolId) {
+        // Pool request: assign an actual item from the pool
+        const pool = await EquipmentPool.findById(request.poolId);
+        if (!pool) {
+          return res.status(404).json({
+            success: false,
+            message: 'Equipment pool not found'
+          });
+        }
+
+        const officer = request.requestedBy;
+
+        if (pool.isConsumable()) {
+          // Consumable request: issue the approved quantity, never more than was asked for
+          const quantity = approvedQuantity ? parseInt(approvedQuantity, 10) : request.quantity || 1;
+          if (request.quantity && quantity > request.quantity) {
+            return res.status(400).json({
+              success: false,
+              message: `Approved quantity cannot exceed the ${request.quantity} ${pool.unit} requested`
+            });
+          }
+
+          try {
+            const issue = await pool.issueConsumable(
+              officer._id,
+              officer.officerId,
+              officer.fullName,
+              officer.designation,
+              quantity,
+              request.reason,
+              req.user._id,
+              { expectedReturnDate: request.expectedReturnDate }
+            );
+            request.approvedQuantity = quantity;
+            request.consumableIssueId = issue._id;
+          } catch (issueError) {
+            return res.status(409).json({
+              success: false,
+              message: issueError.message
+            });
+          }
+        } else {
+          let assignedItem;
+
+          try {
+            assignedItem = await pool.issueItem(
+              officer._id,
+              officer.officerId,
+              officer.fullName,
+              officer.designation,
+              request.reason,
+              req.user._id,
+              {
+                uniqueId: uniqueId || undefined,
+                strategy,
+                location,
+                expectedReturnDate: request.expectedReturnDate
+              }
+            );
+          } catch (issueError) {
+            // Pool ran dry or the chosen item was taken since the request was made
+            return res.status(409).json({
+              success: false,
+              message: issueError.message
+            });
+          }
+
+          request.assignedEquipmentId = assignedItem.uniqueId;
+          request.assignedFromPool = true;
+        }
+      } else if (request.requestType === 'Return' && request.poolId) {
+        // Pool return: admin confirms receipt, optionally overriding the declared condition
+        const pool = await EquipmentPool.findById(request.poolId);
+        if (!pool) {
+          return res.status(404).json({
+            success: false,
+            message: 'Equipment pool not found'
+          });
+        }
+
+        const item = pool.findItemByUniqueId(request.assignedEquipmentId);
+        if (!item || item.currentlyIssuedTo?.userId?.toString() !== request.requestedBy._id.toString()) {
+          return res.status(409).json({
+            success: false,
+            message: `Item ${request.assignedEquipmentId} is no longer issued to this officer`
+          });
+        }
+
+        try {
+          await pool.returnItem(
+            request.assignedEquipmentId,
+            condition || request.declaredCondition,
+            notes,
+            req.user._id
+          );
+        } catch (returnError) {
+          return res.status(409).json({
+            success: false,
+            message: returnError.message
+          });
+        }
+      } else if (request.requestType === 'Issue') {
+        // Legacy request against a single Equipment document
+        if (!request.equipmentId || request.equipmentId.status !== 'Available') {
+          return res.status(400).json({
+            success: false,
+            message: 'Equipment is not available for issue'
+          });
+        }
+
+        // Issue equipment to user
+        await request.equipmentId.issueToUser(
+          request.requestedBy._id,
+          request.expectedReturnDate
+        );
       }
 
-      // Issue equipment to user
-      await request.equipmentId.issueToUser(
-        request.requestedBy._id,
-        request.expectedReturnDate
-      );
-    }
+      handedOver = true;
 
-    // Approve the request
-    await request.approve(req.user._id, notes);
+      // Approve the request
+      await request.approve(req.user._id, notes);
 
-    res.json({
-      success: true,
-      message: 'Request approved successfully',
-      data: { request }
-    });
+      // A confirmed pool or kit return needs no further action
+      if (request.requestType === 'Return' && (request.poolId || request.kitId)) {
+        await request.complete(req.user._id);
+      }
+
+      // Returning a kit closes the kit issue request it came from
+      if (request.kitId && request.requestType === 'Return' && request.parentRequest) {
+        const parent = await Request.findById(request.parentRequest);
+        if (parent?.status === 'Approved') {
+          await parent.complete(req.user._id, `Kit returned with ${request.requestId}`);
+        }
+      }
 
+      req.audit({
+        action: 'request.approve',
+        targetModel: 'Request',
+        targetId: request._id,
+        before: { status: 'Pending' },
+        after: {
+          status: request.status,
+          assignedEquipmentId: request.assignedEquipmentId,
+          poolId: request.poolId,
+          kitId: request.kitId,
+          lineItems: request.lineItems,
+          approvedQuantity: request.approvedQuantity,
+          adminNotes: request.adminNotes
+        }
+      });
+
+      let message = 'Request approved successfully';
+      if (request.kitId) {
+        message = `Request approved. ${kitItemCount} item(s) of the ${request.kitName} kit ${request.requestType === 'Return' ? 'returned' : 'issued'}`;
+      } else if (request.consumableIssueId) {
+        message = `Request approved. ${request.approvedQuantity} x ${request.poolName} issued`;
+      } else if (request.assignedFromPool) {
+        message = `Request approved. Item ${request.assignedEquipmentId} ${request.requestType === 'Return' ? 'returned' : 'issued'}`;
+      }
+
+      res.json({
+        success: true,
+        message,
+        data: { request }
+      });
+
+    } finally {
+      if (!handedOver) await releaseApproveClaim(request._id);
+    }
   } catch (error) {
     console.error('Approve request error:', error);
     res.status(500).json({
@@ -417,25 +930,37 @@ router.put('/requests/:id/reject', [
 
     const { reason } = req.body;
 
-    const request = await Request.findById(req.params.id);
+    // Claim the request while it is still Pending, so a concurrent approve that
+    // has already taken it is never overwritten
+    const request = await Request.findOneAndUpdate(
+      { _id: req.params.id, status: 'Pending' },
+      { $set: { status: 'Rejected', processedBy: req.user._id, processedDate: new Date(), adminNotes: reason } }
+    );
 
     if (!request) {
-      return res.status(404).json({
-        success: false,
-        message: 'Request not found'
-      });
-    }
-
-    if (request.status !== 'Pending') {
-      return res.status(400).json({
+      if (!await Request.exists({ _id: req.params.id })) {
+        return res.status(404).json({
+          success: false,
+          message: 'Request not found'
+        });
+      }
+      return res.status(409).json({
         success: false,
-        message: 'Request is not in pending status'
+        message: 'Request is no longer pending'
       });
     }
 
     // Reject the request
     await request.reject(req.user._id, reason);
 
+    req.audit({
+      action: 'request.reject',
+      targetModel: 'Request',
+      targetId: request._id,
+      before: { status: 'Pending' },
+      after: { status: request.status, adminNotes: request.adminNotes }
+    });
+
     res.json({
       success: true,
       message: 'Request rejected successfully',
@@ -452,6 +977,107 @@ router.put('/requests/:id/reject', [
   }
 });
 
+// @route   GET /api/admin/audit
+// @desc    Search the audit log
+// @access  Private (Admin only)
+router.get('/audit', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 25, 100);
+    const skip = (page - 1) * limit;
+    const { search, action, actor, targetModel, targetId, method, outcome, from, to } = req.query;
+
+    const query = {
+      ...(action && { action }),
+      ...(actor && { actor }),
+      ...(targetModel && { targetModel }),
+      ...(targetId && { targetId }),
+      ...(method && { method }),
+      ...(outcome === 'success' && { success: true }),
+      ...(outcome === 'failure' && { success: false })
+    };
+
+    if (from || to) {
+      query.createdAt = {
+        ...(from && { $gte: new Date(from) }),
+        ...(to && { $lte: new Date(to) })
+      };
+    }
+
+    if (search) {
+      query.$or = [
+        { actorName: { $regex: search, $options: 'i' } },
+        { action: { $regex: search, $options: 'i' } },
+        { path: { $regex: search, $options: 'i' } },
+        { targetId: search }
+      ];
+    }
+
+    const [entries, total, actions] = await Promise.all([
+      AuditLog.find(query)
+        .populate('actor', 'fullName officerId role')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      AuditLog.countDocuments(query),
+      AuditLog.distinct('action')
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        actions: actions.sort(),
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching audit log',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   GET /api/admin/overdue
+// @desc    Get pool items past their expected return date
+// @access  Private (Admin only)
+router.get('/overdue', async (req, res) => {
+  try {
+    const tier = req.query.tier || '';
+    let overdueItems = await EquipmentPool.findOverdueItems();
+
+    if (tier) {
+      overdueItems = overdueItems.filter(item => item.escalationTier === tier);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        overdueItems,
+        total: overdueItems.length,
+        escalated: overdueItems.filter(item => item.shouldEscalate).length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get overdue items error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching overdue items',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
 // @route   GET /api/admin/reports/summary
 // @desc    Get summary reports
 // @access  Private (Admin only)
@@ -463,7 +1089,8 @@ router.get('/reports/summary', async (req, res) => {
     const [
       requestsSummary,
       equipmentSummary,
-      userActivity
+      userActivity,
+      [procurementSummary]
     ] = await Promise.all([
       Request.aggregate([
         {
@@ -515,6 +1142,39 @@ router.get('/reports/summary', async (req, res) => {
         {
           $limit: 10
         }
+      ]),
+      // Value of the goods received against purchase orders in the period
+      PurchaseOrder.aggregate([
+        { $unwind: '$receipts' },
+        {
+          $match: {
+            'receipts.receivedAt': { $gte: startDate, $lte: endDate }
+          }
+        },
+        { $unwind: '$receipts.lines' },
+        {
+          $project: {
+            supplierName: 1,
+            category: '$receipts.lines.category',
+            quantity: '$receipts.lines.quantity',
+            cost: { $multiply: ['$receipts.lines.quantity', '$receipts.lines.unitCost'] }
+          }
+        },
+        {
+          $facet: {
+            bySupplier: [
+              { $group: { _id: '$supplierName', quantity: { $sum: '$quantity' }, cost: { $sum: '$cost' } } },
+              { $sort: { cost: -1 } }
+            ],
+            byCategory: [
+              { $group: { _id: '$category', quantity: { $sum: '$quantity' }, cost: { $sum: '$cost' } } },
+              { $sort: { cost: -1 } }
+            ],
+            total: [
+              { $group: { _id: null, quantity: { $sum: '$quantity' }, cost: { $sum: '$cost' } } }
+            ]
+          }
+        }
       ])
     ]);
 
@@ -524,6 +1184,12 @@ router.get('/reports/summary', async (req, res) => {
         requestsSummary,
         equipmentSummary,
         userActivity,
+        procurementSummary: {
+          bySupplier: procurementSummary.bySupplier,
+          byCategory: procurementSummary.byCategory,
+          totalCost: procurementSummary.total[0]?.cost || 0,
+          totalQuantity: procurementSummary.total[0]?.quantity || 0
+        },
         dateRange: { startDate, endDate }
       }
     });
@@ -1,9 +1,16 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const bwipjs = require('bwip-js');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const PasswordReset = require('../models/PasswordReset');
 const { auth } = require('../middleware/auth');
+const { createSession, rotateSession, signChallengeToken, verifyChallengeToken } = require('../utils/authTokens');
+const totp = require('../utils/totp');
+const { loginRefusal, recordFailedLogin, formatWait } = require('../utils/loginThrottle');
+const passwordPolicy = require('../utils/passwordPolicy');
+const { sendMail } = require('../utils/mailer');
 
 const router = express.Router();
 
@@ -18,11 +25,7 @@ const registerValidation = [
     .isEmail()
     .normalizeEmail()
     .withMessage('Please enter a valid email address'),
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  passwordPolicy.passwordField('password'),
   body('firstName')
     .isLength({ min: 1, max: 50 })
     .withMessage('First name is required and cannot exceed 50 characters')
@@ -51,6 +54,96 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
+// User details returned when a login completes
+const loginUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  fullName: user.fullName,
+  role: user.role,
+  department: user.department,
+  badgeNumber: user.badgeNumber,
+  isActive: user.isActive,
+  lastLogin: user.lastLogin,
+  twoFactor: { enabled: Boolean(user.twoFactor?.enabled) }
+});
+
+const PASSWORD_CHANGE_MESSAGES = {
+  required: 'Choose a new password to finish signing in',
+  expired: 'Your password has expired. Choose a new one to finish signing in'
+};
+
+// Finish a login once every factor is checked: reset failed attempts, start a
+// session and send the user and tokens (plus any extra data). A password that has
+// to be changed first earns a challenge token for change-password instead.
+const completeLogin = async (req, res, user, { message = 'Login successful', ...extra } = {}) => {
+  await user.clearLoginFailures();
+
+  const passwordChange = user.passwordChangeReason();
+  if (passwordChange) {
+    req.audit({ action: 'auth.login.passwordChange', actor: user, targetModel: 'User', targetId: user._id, after: { reason: passwordChange } });
+
+    return res.json({
+      success: true,
+      message: PASSWORD_CHANGE_MESSAGES[passwordChange],
+      data: {
+        passwordChangeRequired: true,
+        reason: passwordChange,
+        challengeToken: signChallengeToken(user, 'password-change'),
+        policy: passwordPolicy.describe(),
+        ...extra
+      }
+    });
+  }
+  await user.updateLastLogin();
+
+  req.audit({ action: 'auth.login', actor: user, targetModel: 'User', targetId: user._id, after: null });
+
+  // Start a session: short-lived access token plus a refresh token
+  const { token, refreshToken } = await createSession(user, req);
+
+  res.json({
+    success: true,
+    message,
+    data: {
+      user: loginUser(user),
+      token,
+      refreshToken,
+      ...extra
+    }
+  });
+};
+
+// For a signed-in user, or with a challenge token for `purpose` from login (an admin
+// enrolling in two-factor, or a password that has to be changed)
+const authOrChallenge = (purpose) => async (req, res, next) => {
+  if (!req.body.challengeToken) return auth(req, res, next);
+
+  try {
+    const userId = verifyChallengeToken(req.body.challengeToken, purpose);
+    const user = userId && await User.findOne({ _id: userId, isActive: true }).select('-password');
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sign-in has expired. Please sign in again.'
+      });
+    }
+
+    req.user = user;
+    req.viaChallenge = true;
+    next();
+  } catch (error) {
+    console.error('Login challenge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during authentication.'
+    });
+  }
+};
+
 // @route   POST /api/auth/register
 // @desc    Register a new user (Admin only for creating officers)
 // @access  Public for first admin, then Admin only
@@ -102,12 +195,22 @@ router.post('/register', registerValidation, async (req, res) => {
 
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-    );
+    req.audit({ action: 'auth.register', actor: req.user || user, targetModel: 'User', targetId: user._id, after: user });
+
+    // Admins set up two-factor authentication before their first session
+    if (user.requiresTwoFactorSetup()) {
+      return res.status(201).json({
+        success: true,
+        message: 'Admin registered successfully. Set up two-factor authentication to sign in',
+        data: {
+          twoFactorSetupRequired: true,
+          challengeToken: signChallengeToken(user, 'two-factor-setup')
+        }
+      });
+    }
+
+    // Start a session: short-lived access token plus a refresh token
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
@@ -126,7 +229,8 @@ router.post('/register', registerValidation, async (req, res) => {
           isActive: user.isActive,
           createdAt: user.createdAt
         },
-        token
+        token,
+        refreshToken
       }
     });
 
@@ -162,7 +266,21 @@ router.post('/login', loginValidation, async (req, res) => {
       isActive: true
     });
 
+    // Refuse while the address is blocked, the account is locked or a retry delay is running
+    const refusal = await loginRefusal(req.ip, user);
+    if (refusal) {
+      req.audit({ action: 'auth.login.refused', ...(user && { actor: user, targetModel: 'User', targetId: user._id }), after: null });
+      res.set('Retry-After', String(Math.max(Math.ceil((refusal.retryAt - Date.now()) / 1000), 1)));
+      return res.status(refusal.status).json({
+        success: false,
+        message: refusal.message,
+        data: { retryAt: refusal.retryAt }
+      });
+    }
+
     if (!user) {
+      await recordFailedLogin(req.ip, null);
+      req.audit({ action: 'auth.login.failed' });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -172,48 +290,373 @@ router.post('/login', loginValidation, async (req, res) => {
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      const { lockedUntil } = await recordFailedLogin(req.ip, user);
+
+      if (lockedUntil) {
+        req.audit({ action: 'auth.lockout', actor: user, targetModel: 'User', targetId: user._id, after: { lockedUntil, lockoutCount: user.lockoutCount } });
+        return res.status(423).json({
+          success: false,
+          message: `Too many failed logins. Account locked for ${formatWait(lockedUntil)}`,
+          data: { retryAt: lockedUntil }
+        });
+      }
+
+      req.audit({ action: 'auth.login.failed', actor: user, targetModel: 'User', targetId: user._id });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Update last login
-    await user.updateLastLogin();
+    // Second step: an authenticator code, or enrollment for an admin without two-factor
+    if (user.twoFactor?.enabled || user.requiresTwoFactorSetup()) {
+      const setup = !user.twoFactor?.enabled;
+      req.audit({ action: 'auth.login.password', actor: user, targetModel: 'User', targetId: user._id, after: null });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-    );
+      return res.json({
+        success: true,
+        message: setup
+          ? 'Set up two-factor authentication to finish signing in'
+          : 'Enter the code from your authenticator app',
+        data: {
+          [setup ? 'twoFactorSetupRequired' : 'twoFactorRequired']: true,
+          challengeToken: signChallengeToken(user, setup ? 'two-factor-setup' : 'two-factor')
+        }
+      });
+    }
+
+    await completeLogin(req, res, user);
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Second login step: an authenticator code or a recovery code
+// @access  Public (challenge token from login)
+router.post('/2fa/verify', [
+  body('challengeToken').isString().isLength({ min: 1 }).withMessage('Challenge token is required'),
+  body('code').optional({ checkFalsy: true }).trim().matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+  body('recoveryCode').optional({ checkFalsy: true }).trim().isLength({ min: 10, max: 12 }).withMessage('Invalid recovery code'),
+  body().custom(value => value.code || value.recoveryCode).withMessage('Enter a code or a recovery code')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const userId = verifyChallengeToken(req.body.challengeToken, 'two-factor');
+    const user = userId && await User.findOne({ _id: userId, isActive: true })
+      .select('+twoFactor.secret +twoFactor.recoveryCodes');
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sign-in has expired. Please sign in again.'
+      });
+    }
+
+    // Codes are throttled like passwords
+    const refusal = await loginRefusal(req.ip, user);
+    if (refusal) {
+      req.audit({ action: 'auth.login.refused', actor: user, targetModel: 'User', targetId: user._id, after: null });
+      res.set('Retry-After', String(Math.max(Math.ceil((refusal.retryAt - Date.now()) / 1000), 1)));
+      return res.status(refusal.status).json({
+        success: false,
+        message: refusal.message,
+        data: { retryAt: refusal.retryAt }
+      });
+    }
+
+    const method = await user.useSecondFactor({ code: req.body.code, recoveryCode: req.body.recoveryCode });
+    if (!method) {
+      const { lockedUntil } = await recordFailedLogin(req.ip, user);
+
+      if (lockedUntil) {
+        req.audit({ action: 'auth.lockout', actor: user, targetModel: 'User', targetId: user._id, after: { lockedUntil, lockoutCount: user.lockoutCount } });
+        return res.status(423).json({
+          success: false,
+          message: `Too many failed logins. Account locked for ${formatWait(lockedUntil)}`,
+          data: { retryAt: lockedUntil }
+        });
+      }
+
+      req.audit({ action: 'auth.2fa.failed', actor: user, targetModel: 'User', targetId: user._id, after: null });
+      return res.status(401).json({
+        success: false,
+        message: req.body.recoveryCode ? 'Invalid or already used recovery code' : 'Invalid authentication code'
+      });
+    }
+
+    if (method === 'recovery') {
+      const remaining = user.twoFactor.recoveryCodes.filter(entry => !entry.usedAt).length - 1;
+      return completeLogin(req, res, user, {
+        message: `Signed in with a recovery code. ${remaining} recovery code(s) left`,
+        recoveryCodesRemaining: remaining
+      });
+    }
+
+    await completeLogin(req, res, user);
+
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment: a new secret and its QR code for an authenticator app
+// @access  Private, or the setup challenge token from login
+router.post('/2fa/setup', authOrChallenge('two-factor-setup'), async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    await User.updateOne({ _id: req.user._id }, { $set: { 'twoFactor.pendingSecret': totp.encryptSecret(secret) } });
+
+    const otpauthUrl = totp.otpauthUrl({
+      secret,
+      account: req.user.email,
+      issuer: process.env.TWO_FACTOR_ISSUER || 'Police Inventory'
+    });
+    const qrCode = await bwipjs.toBuffer({ bcid: 'qrcode', text: otpauthUrl, scale: 4, eclevel: 'M' });
+
+    req.audit({ action: 'auth.2fa.setup', actor: req.user, targetModel: 'User', targetId: req.user._id, after: null });
 
     res.json({
       success: true,
-      message: 'Login successful',
       data: {
-        user: {
-          id: user._id,
-          username: user.username,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          fullName: user.fullName,
-          role: user.role,
-          department: user.department,
-          badgeNumber: user.badgeNumber,
-          isActive: user.isActive,
-          lastLogin: user.lastLogin
-        },
-        token
+        secret,
+        otpauthUrl,
+        qrCode: `data:image/png;base64,${qrCode.toString('base64')}`
       }
     });
 
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Two-factor setup error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during login',
+      message: 'Server error setting up two-factor authentication',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code from the app; returns the recovery codes.
+//          With the setup challenge token this also completes the login.
+// @access  Private, or the setup challenge token from login
+router.post('/2fa/enable', [
+  body('code').trim().matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+], authOrChallenge('two-factor-setup'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = totp.verifyTotp(totp.decryptSecret(user.twoFactor.pendingSecret), req.body.code);
+    if (step === null) {
+      req.audit({ action: 'auth.2fa.enable.failed', actor: user, targetModel: 'User', targetId: user._id, after: null });
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code. Check that the time on your device is correct and try again'
+      });
+    }
+
+    const recoveryCodes = totp.generateRecoveryCodes();
+    const enabled = await User.findOneAndUpdate(
+      { _id: user._id, 'twoFactor.enabled': { $ne: true } },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.secret': user.twoFactor.pendingSecret,
+          'twoFactor.recoveryCodes': recoveryCodes.map(code => ({ hash: totp.hashRecoveryCode(code) })),
+          'twoFactor.lastUsedStep': step,
+          'twoFactor.enabledAt': new Date()
+        },
+        $unset: { 'twoFactor.pendingSecret': 1 }
+      },
+      { new: true }
+    );
+
+    if (!enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    req.audit({ action: 'auth.2fa.enable', actor: user, targetModel: 'User', targetId: user._id, after: { twoFactor: { enabled: true } } });
+
+    if (req.viaChallenge) {
+      return completeLogin(req, res, enabled, {
+        message: 'Two-factor authentication enabled',
+        recoveryCodes
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error enabling two-factor authentication',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes (needs a current authenticator code)
+// @access  Private
+router.post('/2fa/recovery-codes', auth, [
+  body('code').trim().matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactor.secret');
+
+    if (await user.useSecondFactor({ code: req.body.code }) !== 'totp') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = totp.generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(code => ({ hash: totp.hashRecoveryCode(code) })) } }
+    );
+
+    req.audit({ action: 'auth.2fa.recoveryCodes', targetModel: 'User', targetId: user._id, after: null });
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. The old ones no longer work',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating recovery codes',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication (officers only; mandatory for admins)
+// @access  Private
+router.post('/2fa/disable', auth, [
+  body('password').isLength({ min: 1 }).withMessage('Password is required'),
+  body('code').trim().matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    if (req.user.role === 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is mandatory for admins'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactor.secret');
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const passwordMatches = await user.comparePassword(req.body.password);
+    if (!passwordMatches || await user.useSecondFactor({ code: req.body.code }) !== 'totp') {
+      req.audit({ action: 'auth.2fa.disable.failed', targetModel: 'User', targetId: user._id, after: null });
+      return res.status(400).json({
+        success: false,
+        message: 'Password or authentication code is incorrect'
+      });
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: { twoFactor: { enabled: false } } });
+
+    req.audit({ action: 'auth.2fa.disable', targetModel: 'User', targetId: user._id, before: { twoFactor: { enabled: true } }, after: { twoFactor: { enabled: false } } });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error disabling two-factor authentication',
       ...(process.env.NODE_ENV === 'development' && { error: error.message })
     });
   }
@@ -268,12 +711,15 @@ router.put('/profile', auth, [
     if (lastName) updates.lastName = lastName;
     if (department) updates.department = department;
 
+    const before = await User.findById(req.user._id).select('-password');
     const user = await User.findByIdAndUpdate(
       req.user._id,
       updates,
       { new: true, runValidators: true }
     ).select('-password');
 
+    req.audit({ action: 'auth.profile.update', targetModel: 'User', targetId: user._id, before, after: user });
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -290,17 +736,28 @@ router.put('/profile', auth, [
   }
 });
 
+// @route   GET /api/auth/password-policy
+// @desc    Password requirements, for showing next to password fields
+// @access  Public
+router.get('/password-policy', (req, res) => {
+  res.json({
+    success: true,
+    data: { policy: passwordPolicy.describe() }
+  });
+});
+
 // @route   POST /api/auth/change-password
-// @desc    Change user password
-// @access  Private
-router.post('/change-password', auth, [
-  body('currentPassword').isLength({ min: 1 }).withMessage('Current password is required'),
-  body('newPassword')
-    .isLength({ min: 6 })
-    .withMessage('New password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('New password must contain at least one lowercase letter, one uppercase letter, and one number')
-], async (req, res) => {
+// @desc    Change user password. With the password-change challenge token from login
+//          (new account or expired password) no current password is needed and the
+//          login completes.
+// @access  Private, or the password-change challenge token from login
+router.post('/change-password', [
+  body('currentPassword')
+    .if(body('challengeToken').not().exists({ checkFalsy: true }))
+    .isLength({ min: 1 })
+    .withMessage('Current password is required'),
+  passwordPolicy.passwordField('newPassword')
+], authOrChallenge('password-change'), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -313,24 +770,47 @@ router.post('/change-password', auth, [
 
     const { currentPassword, newPassword } = req.body;
 
-    const user = await User.findById(req.user._id);
+    const user = await User.findById(req.user._id).select('+passwordHistory');
 
-    // Check current password
-    const isMatch = await user.comparePassword(currentPassword);
-    if (!isMatch) {
+    // Check current password (the challenge token already proves it)
+    if (!req.viaChallenge && !await user.comparePassword(currentPassword)) {
+      req.audit({ action: 'auth.password.change.failed', targetModel: 'User', targetId: user._id, after: null });
       return res.status(400).json({
         success: false,
         message: 'Current password is incorrect'
       });
     }
 
-    // Update password
-    user.password = newPassword;
+    // Update password; the policy also refuses recently used passwords
+    try {
+      await user.setPassword(newPassword);
+    } catch (error) {
+      if (error.status !== 400) throw error;
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors.map(msg => ({ path: 'newPassword', msg }))
+      });
+    }
     await user.save();
 
+    // Sign out every other device that knew the old password
+    const revoked = await Session.revoke(
+      { user: user._id, ...(req.sessionId && { _id: { $ne: req.sessionId } }) },
+      { revokedBy: user._id, reason: 'Password changed' }
+    );
+
+    req.audit({ action: 'auth.password.change', actor: user, targetModel: 'User', targetId: user._id, after: { sessionsRevoked: revoked } });
+
+    if (req.viaChallenge) {
+      return completeLogin(req, res, user, { message: 'Password changed successfully' });
+    }
+
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: revoked > 0
+        ? `Password changed successfully. Signed out of ${revoked} other session(s)`
+        : 'Password changed successfully'
     });
 
   } catch (error) {
@@ -343,14 +823,315 @@ router.post('/change-password', auth, [
   }
 });
 
+// How long a forgot-password link works, and the minimum time between two for one account
+const RESET_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 30;
+const RESET_RESEND_MS = 60 * 1000;
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a single-use password reset link. The response is the same whether
+//          or not the account exists.
+// @access  Public
+router.post('/forgot-password', [
+  body('email').trim().isEmail().withMessage('Please enter a valid email address')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    // Addresses blocked for failed logins cannot request resets either
+    const refusal = await loginRefusal(req.ip, null);
+    if (refusal) {
+      res.set('Retry-After', String(Math.max(Math.ceil((refusal.retryAt - Date.now()) / 1000), 1)));
+      return res.status(refusal.status).json({
+        success: false,
+        message: refusal.message,
+        data: { retryAt: refusal.retryAt }
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email, isActive: true })
+      .collation({ locale: 'en', strength: 2 });
+
+    const recent = user && await PasswordReset.exists({
+      user: user._id,
+      usedAt: null,
+      createdAt: { $gt: new Date(Date.now() - RESET_RESEND_MS) }
+    });
+
+    if (user && !recent) {
+      // Failures here are logged but never change the response, so it cannot tell
+      // whether the account exists
+      try {
+        const token = await PasswordReset.issue(user, {
+          ip: req.ip,
+          expiresInMs: RESET_EXPIRES_MINUTES * 60 * 1000
+        });
+        const link = `${process.env.CLIENT_URL || 'http://localhost:3000'}/login?resetToken=${token}`;
+
+        // Not awaited: how long the mail takes must not give the account away either.
+        // sendMail logs its own failures and never rejects.
+        sendMail({
+          to: user.email,
+          subject: 'Reset your Police Inventory password',
+          text: `Hello ${user.fullName},\n\n` +
+            `A password reset was requested for your account from ${req.ip}. ` +
+            `Open this link within ${RESET_EXPIRES_MINUTES} minutes to choose a new password:\n\n${link}\n\n` +
+            'The link works once. If you did not ask for this, ignore this email; your password stays the same.'
+        });
+
+        req.audit({ action: 'auth.password.reset.request', actor: user, targetModel: 'User', targetId: user._id, after: null });
+      } catch (resetError) {
+        console.error('Password reset request error:', resetError);
+      }
+    } else {
+      req.audit({ action: 'auth.password.reset.request', after: null });
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account with that email exists, a reset link has been sent to it'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error requesting password reset',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with the token from the reset email; signs out every session
+// @access  Public (reset token)
+router.post('/reset-password', [
+  body('token').isString().isLength({ min: 1 }).withMessage('Reset token is required'),
+  passwordPolicy.passwordField('newPassword')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const invalid = () => res.status(400).json({
+      success: false,
+      message: 'This reset link is invalid or has expired. Request a new one'
+    });
+
+    const reset = await PasswordReset.findUsable(req.body.token);
+    const user = reset && await User.findOne({ _id: reset.user, isActive: true }).select('+passwordHistory');
+    if (!user) return invalid();
+
+    try {
+      await user.setPassword(req.body.newPassword);
+    } catch (error) {
+      if (error.status !== 400) throw error;
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors.map(msg => ({ path: 'newPassword', msg }))
+      });
+    }
+
+    // Single use: only the request that consumes the token changes the password
+    if (!await reset.consume(req.ip)) return invalid();
+
+    await user.save();
+    await user.clearLoginFailures();
+    const revoked = await Session.revoke({ user: user._id }, { reason: 'Password reset' });
+
+    req.audit({ action: 'auth.password.reset', actor: user, targetModel: 'User', targetId: user._id, after: { sessionsRevoked: revoked } });
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Sign in with your new password'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resetting password',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public (refresh token)
+router.post('/refresh', [
+  body('refreshToken').isString().isLength({ min: 1 }).withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { token, refreshToken } = await rotateSession(req.body.refreshToken, req);
+
+    res.json({
+      success: true,
+      data: { token, refreshToken }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error refreshing session',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    Current user's active sessions (device, IP, last seen)
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find(Session.activeQuery({ user: req.user._id }))
+      .select('device userAgent ip lastSeenAt createdAt expiresAt')
+      .sort({ lastSeenAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toJSON(),
+          current: session._id.equals(req.sessionId)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching sessions',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', auth, [
+  param('id').isMongoId().withMessage('Valid session ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const revoked = await Session.revoke(
+      { _id: req.params.id, user: req.user._id },
+      { revokedBy: req.user._id, reason: 'Revoked by user' }
+    );
+
+    if (revoked === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    req.audit({ action: 'auth.session.revoke', targetModel: 'Session', targetId: req.params.id, after: null });
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking session',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all of the current user's other sessions
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const revoked = await Session.revoke(
+      { user: req.user._id, _id: { $ne: req.sessionId } },
+      { revokedBy: req.user._id, reason: 'Revoked by user' }
+    );
+
+    req.audit({ action: 'auth.session.revokeAll', targetModel: 'User', targetId: req.user._id, after: { sessionsRevoked: revoked } });
+
+    res.json({
+      success: true,
+      message: `Signed out of ${revoked} other session(s)`,
+      data: { revoked }
+    });
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking sessions',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user (revokes the current session)
 // @access  Private
-router.post('/logout', auth, (req, res) => {
-  res.json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await Session.revoke({ _id: req.sessionId }, { revokedBy: req.user._id, reason: 'Logged out' });
+
+    req.audit({ action: 'auth.logout', targetModel: 'User', targetId: req.user._id });
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
 });
 
 module.exports = router;
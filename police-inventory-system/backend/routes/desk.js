@@ -0,0 +1,491 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const EquipmentPool = require('../models/EquipmentPool');
+const DeskReceipt = require('../models/DeskReceipt');
+const Request = require('../models/Request');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+const { adminOnly } = require('../middleware/roleCheck');
+const { parseItemCode } = require('../utils/itemLabels');
+const { isDatabaseError } = require('../utils/transactions');
+
+const router = express.Router();
+
+// The armory desk is staffed by admins only
+router.use(auth, adminOnly);
+
+const CONDITIONS = ['Excellent', 'Good', 'Fair', 'Poor'];
+
+// An officer ID card carries either the officerId or the user's database ID
+const findOfficer = (code) => {
+  const text = (code || '').trim();
+  return /^[a-f0-9]{24}$/i.test(text)
+    ? User.findById(text)
+    : User.findOne({ officerId: text.toUpperCase() });
+};
+
+const officerSummary = (officer) => ({
+  _id: officer._id,
+  officerId: officer.officerId,
+  fullName: officer.fullName,
+  designation: officer.designation,
+  rank: officer.rank
+});
+
+// Resolve scanned item codes to { code, pool, item }. Items in the same pool share one
+// pool document so sequential issues and returns see each other's changes.
+// Returns { resolved, problems } where problems lists every code that could not be used.
+const resolveItems = async (codes, session) => {
+  const pools = new Map();
+  const resolved = [];
+  const problems = [];
+  const seen = new Set();
+
+  for (const code of codes) {
+    const parsed = parseItemCode(code);
+    if (!parsed) {
+      problems.push(`${code}: not a valid item code`);
+      continue;
+    }
+
+    const candidates = parsed.poolId
+      ? await EquipmentPool.find({ _id: parsed.poolId, 'items.uniqueId': parsed.uniqueId }, null, { session })
+      : await EquipmentPool.find({ 'items.uniqueId': parsed.uniqueId }, null, { session });
+
+    if (candidates.length === 0) {
+      problems.push(`${parsed.uniqueId}: no such item`);
+      continue;
+    }
+
+    if (candidates.length > 1) {
+      problems.push(`${parsed.uniqueId}: exists in more than one pool, scan the label instead`);
+      continue;
+    }
+
+    const poolId = candidates[0]._id.toString();
+    if (!pools.has(poolId)) {
+      pools.set(poolId, candidates[0]);
+    }
+    const pool = pools.get(poolId);
+
+    const key = `${poolId}:${parsed.uniqueId}`;
+    if (seen.has(key)) {
+      problems.push(`${parsed.uniqueId}: scanned more than once`);
+      continue;
+    }
+    seen.add(key);
+
+    resolved.push({ code, pool, item: pool.findItemByUniqueId(parsed.uniqueId) });
+  }
+
+  return { resolved, problems };
+};
+
+// Resolve the codes again inside a transaction and fail it if any can no longer be used.
+// Every attempt of the transaction starts from fresh pool documents.
+const resolveInTransaction = async (codes, session) => {
+  const { resolved, problems } = await resolveItems(codes, session);
+  if (problems.length > 0) {
+    throw new Error(problems.join('; '));
+  }
+  return resolved;
+};
+
+// Push the new counts of every pool a committed desk transaction touched
+const broadcastPools = (lines) => {
+  const pools = new Map(lines.map(({ pool }) => [pool._id.toString(), pool]));
+  pools.forEach(pool => pool.broadcastCounts());
+};
+
+const processedBy = (user) => ({ _id: user._id, fullName: user.fullName, officerId: user.officerId });
+
+const receiptLine = (pool, item, extra = {}) => ({
+  poolId: pool._id,
+  poolName: pool.poolName,
+  category: pool.category,
+  uniqueId: item.uniqueId,
+  condition: item.condition,
+  ...extra
+});
+
+// @route   GET /api/desk/officer
+// @desc    Look up a scanned officer ID card (`?code=`) and the items they currently hold
+// @access  Private (Admin only)
+router.get('/officer', [
+  query('code').trim().isLength({ min: 1 }).withMessage('Officer code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const officer = await findOfficer(req.query.code);
+    if (!officer) {
+      return res.status(404).json({
+        success: false,
+        message: `No officer found for ${req.query.code}`
+      });
+    }
+
+    const pools = await EquipmentPool.find({ 'items.currentlyIssuedTo.userId': officer._id })
+      .select('poolName category items');
+
+    const issuedItems = pools.flatMap(pool => pool.items
+      .filter(item => item.status === 'Issued' && item.currentlyIssuedTo?.userId?.toString() === officer._id.toString())
+      .map(item => receiptLine(pool, item, {
+        issuedDate: item.currentlyIssuedTo.issuedDate,
+        expectedReturnDate: item.currentlyIssuedTo.expectedReturnDate,
+        purpose: item.currentlyIssuedTo.purpose
+      })));
+
+    res.json({
+      success: true,
+      data: {
+        officer: { ...officerSummary(officer), isActive: officer.isActive },
+        issuedItems
+      }
+    });
+
+  } catch (error) {
+    console.error('Desk officer lookup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error looking up officer',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   POST /api/desk/issue
+// @desc    Issue every scanned item to one officer. All items are checked first, then
+//          issued in one transaction together with the stored receipt.
+// @access  Private (Admin only)
+router.post('/issue', [
+  body('officerId').isMongoId().withMessage('Valid officer is required'),
+  body('codes').isArray({ min: 1, max: 50 }).withMessage('Scan between 1 and 50 items'),
+  body('codes.*').isString().trim().isLength({ min: 1 }).withMessage('Item codes cannot be empty'),
+  body('purpose').optional().trim().isLength({ max: 200 }).withMessage('Purpose cannot exceed 200 characters'),
+  body('expectedReturnDate').optional({ checkFalsy: true }).isISO8601().withMessage('Valid expected return date is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { officerId, codes, purpose, expectedReturnDate } = req.body;
+
+    const officer = await User.findById(officerId);
+    if (!officer || !officer.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Officer not found or inactive'
+      });
+    }
+
+    const { resolved, problems } = await resolveItems(codes);
+    resolved.forEach(({ pool, item }) => {
+      if (item.status !== 'Available') {
+        problems.push(`${item.uniqueId}: not available (status: ${item.status})`);
+      } else if (!pool.authorizedDesignations.includes(officer.designation)) {
+        problems.push(`${item.uniqueId}: ${pool.poolName} is not authorized for ${officer.designation}`);
+      }
+    });
+
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing was issued. Fix the scanned items and try again.',
+        errors: problems
+      });
+    }
+
+    // One transaction: either every item goes out and the receipt is stored, or nothing
+    // is written and no custody history is left behind
+    let issued;
+    let receipt;
+    try {
+      ({ issued, receipt } = await mongoose.connection.transaction(async (session) => {
+        const lines = [];
+        for (const { pool, item } of await resolveInTransaction(codes, session)) {
+          const issuedItem = await pool.issueItem(
+            officer._id,
+            officer.officerId,
+            officer.fullName,
+            officer.designation,
+            purpose,
+            req.user._id,
+            {
+              uniqueId: item.uniqueId,
+              expectedReturnDate: expectedReturnDate || undefined,
+              session
+            }
+          );
+          lines.push({ pool, item: issuedItem });
+        }
+
+        const [created] = await DeskReceipt.create([{
+          type: 'Issue',
+          officer: officerSummary(officer),
+          items: lines.map(({ pool, item }) => receiptLine(pool, item, {
+            issuedDate: item.currentlyIssuedTo.issuedDate,
+            expectedReturnDate: item.currentlyIssuedTo.expectedReturnDate
+          })),
+          purpose: purpose || 'Regular Duty',
+          processedBy: processedBy(req.user)
+        }], { session });
+
+        return { issued: lines, receipt: created };
+      }));
+    } catch (issueError) {
+      if (isDatabaseError(issueError)) throw issueError;
+
+      // Another desk or route changed an item after the checks
+      return res.status(409).json({
+        success: false,
+        message: `Nothing was issued: ${issueError.message}`
+      });
+    }
+
+    broadcastPools(issued);
+
+    req.audit({ action: 'desk.issue', targetModel: 'DeskReceipt', targetId: receipt._id, after: receipt.toObject() });
+
+    res.json({
+      success: true,
+      message: `${issued.length} item(s) issued to ${officer.fullName}`,
+      data: { receipt }
+    });
+
+  } catch (error) {
+    console.error('Desk issue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error issuing equipment',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   POST /api/desk/return
+// @desc    Take back every scanned item. Items must all be issued (to officerId, when given);
+//          they are returned in one transaction together with the stored receipt.
+// @access  Private (Admin only)
+router.post('/return', [
+  body('officerId').optional({ checkFalsy: true }).isMongoId().withMessage('Valid officer is required'),
+  body('items').isArray({ min: 1, max: 50 }).withMessage('Scan between 1 and 50 items'),
+  body('items.*.code').isString().trim().isLength({ min: 1 }).withMessage('Item codes cannot be empty'),
+  body('items.*.condition').isIn(CONDITIONS).withMessage('Valid condition is required'),
+  body('items.*.remarks').optional().trim().isLength({ max: 500 }).withMessage('Remarks cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { officerId, items } = req.body;
+
+    const officer = officerId ? await User.findById(officerId) : null;
+    if (officerId && !officer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Officer not found'
+      });
+    }
+
+    const { resolved, problems } = await resolveItems(items.map(entry => entry.code));
+    const details = new Map(items.map(entry => [entry.code, entry]));
+
+    resolved.forEach(({ item }) => {
+      if (item.status !== 'Issued') {
+        problems.push(`${item.uniqueId}: not currently issued (status: ${item.status})`);
+      } else if (officer && item.currentlyIssuedTo?.userId?.toString() !== officer._id.toString()) {
+        problems.push(`${item.uniqueId}: issued to ${item.currentlyIssuedTo?.officerName}, not ${officer.fullName}`);
+      }
+    });
+
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing was returned. Fix the scanned items and try again.',
+        errors: problems
+      });
+    }
+
+    // One transaction, as for issues
+    let returned;
+    let receipt;
+    try {
+      ({ returned, receipt } = await mongoose.connection.transaction(async (session) => {
+        const lines = [];
+        for (const { code, pool, item } of await resolveInTransaction(items.map(entry => entry.code), session)) {
+          // Who held it, for the receipt
+          const custody = item.currentlyIssuedTo.toObject();
+          if (officer && custody.userId?.toString() !== officer._id.toString()) {
+            throw new Error(`${item.uniqueId} is no longer issued to ${officer.fullName}`);
+          }
+          const { condition, remarks } = details.get(code);
+          const returnedItem = await pool.returnItem(item.uniqueId, condition, remarks, req.user._id, { session });
+          lines.push({ pool, item: returnedItem, custody });
+        }
+
+        const [created] = await DeskReceipt.create([{
+          type: 'Return',
+          officer: officer ? officerSummary(officer) : null,
+          items: lines.map(({ pool, item, custody }) => {
+            const latest = item.usageHistory[item.usageHistory.length - 1];
+            return receiptLine(pool, item, {
+              returnedBy: `${custody.officerName} (${custody.officerId})`,
+              daysUsed: latest.daysUsed,
+              remarks: latest.remarks
+            });
+          }),
+          processedBy: processedBy(req.user)
+        }], { session });
+
+        return { returned: lines, receipt: created };
+      }));
+    } catch (returnError) {
+      if (isDatabaseError(returnError)) throw returnError;
+
+      return res.status(409).json({
+        success: false,
+        message: `Nothing was returned: ${returnError.message}`
+      });
+    }
+
+    broadcastPools(returned);
+
+    // Pending return requests for these items are settled by the desk return
+    const pendingReturns = await Request.find({
+      requestType: 'Return',
+      status: 'Pending',
+      $or: returned.map(({ pool, item }) => ({ poolId: pool._id, assignedEquipmentId: item.uniqueId }))
+    });
+    for (const request of pendingReturns) {
+      await request.approve(req.user._id, `Returned at the armory desk (${receipt.receiptNo})`);
+      await request.complete(req.user._id);
+    }
+
+    req.audit({ action: 'desk.return', targetModel: 'DeskReceipt', targetId: receipt._id, after: receipt.toObject() });
+
+    res.json({
+      success: true,
+      message: `${returned.length} item(s) returned`,
+      data: { receipt }
+    });
+
+  } catch (error) {
+    console.error('Desk return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error returning equipment',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   GET /api/desk/receipts
+// @desc    Desk receipts, newest first. Filters: `officer` (user ID), `type`, `receiptNo` (partial)
+// @access  Private (Admin only)
+router.get('/receipts', [
+  query('officer').optional({ checkFalsy: true }).isMongoId().withMessage('Valid officer is required'),
+  query('type').optional({ checkFalsy: true }).isIn(['Issue', 'Return']).withMessage('Type must be Issue or Return'),
+  query('receiptNo').optional().trim().matches(/^[A-Za-z0-9-]*$/).withMessage('Receipt numbers contain only letters, digits and dashes')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const { officer, type, receiptNo } = req.query;
+
+    const filter = {
+      ...(officer && { 'officer._id': officer }),
+      ...(type && { type }),
+      ...(receiptNo && { receiptNo: { $regex: receiptNo, $options: 'i' } })
+    };
+
+    const [receipts, total] = await Promise.all([
+      DeskReceipt.find(filter)
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(limit),
+      DeskReceipt.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        receipts,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get desk receipts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching receipts',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   GET /api/desk/receipts/:receiptNo
+// @desc    One desk receipt, for reprinting
+// @access  Private (Admin only)
+router.get('/receipts/:receiptNo', async (req, res) => {
+  try {
+    const receipt = await DeskReceipt.findOne({ receiptNo: req.params.receiptNo.trim().toUpperCase() });
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Receipt not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { receipt }
+    });
+
+  } catch (error) {
+    console.error('Get desk receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching receipt',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+module.exports = router;
@@ -3,9 +3,15 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Equipment = require('../models/Equipment');
 const EquipmentPool = require('../models/EquipmentPool');
+const Incident = require('../models/Incident');
+const Request = require('../models/Request');
 const User = require('../models/User');
 const { auth } = require('../middleware/auth');
 const { adminOnly } = require('../middleware/roleCheck');
+const { broadcast } = require('../utils/eventStream');
+const { FORMATS, parseItemCode, writeLabelSheet } = require('../utils/itemLabels');
+
+const { ISSUE_STRATEGIES } = EquipmentPool;
 
 const router = express.Router();
 
@@ -21,11 +27,20 @@ router.use(auth);
 // @access Private (Admin only)
 router.get('/pools', adminOnly, async (req, res) => {
   try {
-    const { category, designation, search } = req.query;
+    const { category, designation, search, station } = req.query;
     
     const query = {
       ...(category && { category }),
       ...(designation && { authorizedDesignations: designation }),
+      // Pools with at least one item held at the station
+      ...(station && {
+        $and: [{
+          $or: [
+            { 'items.station': station },
+            { station, items: { $elemMatch: { station: { $exists: false } } } }
+          ]
+        }]
+      }),
       ...(search && {
         $or: [
           { poolName: { $regex: search, $options: 'i' } },
@@ -77,7 +92,7 @@ router.get('/authorized-pools', async (req, res) => {
     };
     
     const pools = await EquipmentPool.find(query)
-      .select('poolName category model totalQuantity availableCount issuedCount')
+      .select('poolName category model totalQuantity availableCount issuedCount trackingType unit')
       .sort({ poolName: 1 });
     
     pools.forEach(pool => pool.updateCounts());
@@ -106,7 +121,7 @@ router.get('/pools/by-designation', async (req, res) => {
     const pools = await EquipmentPool.find({
       authorizedDesignations: designation
     })
-    .select('poolName category model totalQuantity availableCount issuedCount items.uniqueId items.status')
+    .select('poolName category model totalQuantity availableCount issuedCount trackingType unit items.uniqueId items.status')
     .sort({ poolName: 1 });
     
     pools.forEach(pool => pool.updateCounts());
@@ -136,10 +151,21 @@ router.post('/pools', adminOnly, [
     'Medical Supplies', 'Office Equipment', 'Other'
   ]).withMessage('Valid category is required'),
   body('model').trim().isLength({ min: 1 }).withMessage('Model is required'),
+  body('trackingType').optional().isIn(['Individual', 'Consumable']).withMessage('Tracking type must be Individual or Consumable'),
   body('totalQuantity').isInt({ min: 1 }).withMessage('Total quantity must be at least 1'),
-  body('prefix').trim().isLength({ min: 2, max: 5 }).withMessage('Prefix must be 2-5 characters'),
+  // Consumable pools have no numbered items; their opening stock is received as a lot
+  body('prefix').if(body('trackingType').not().equals('Consumable'))
+    .trim().isLength({ min: 2, max: 5 }).withMessage('Prefix must be 2-5 characters'),
+  body('lotNumber').if(body('trackingType').equals('Consumable'))
+    .trim().isLength({ min: 1 }).withMessage('Lot number is required for consumable stock'),
+  body('unit').optional().trim().isLength({ min: 1, max: 30 }).withMessage('Unit must be 1-30 characters'),
+  body('reorderThreshold').optional().isInt({ min: 0 }).withMessage('Reorder threshold cannot be negative'),
+  body('reorderQuantity').optional().isInt({ min: 0 }).withMessage('Reorder quantity cannot be negative'),
+  body('expiryDate').optional({ checkFalsy: true }).isISO8601().withMessage('Valid expiry date is required'),
   body('authorizedDesignations').isArray({ min: 1 }).withMessage('At least one authorized designation is required'),
-  body('location').trim().isLength({ min: 1 }).withMessage('Location is required')
+  body('location').trim().isLength({ min: 1 }).withMessage('Location is required'),
+  body('station').optional({ checkFalsy: true }).isMongoId().withMessage('Valid station is required'),
+  body('warrantyExpiry').optional({ checkFalsy: true }).isISO8601().withMessage('Valid warranty expiry date is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -154,8 +180,11 @@ router.post('/pools', adminOnly, [
     const {
       poolName, category, subCategory, model, manufacturer,
       totalQuantity, prefix, authorizedDesignations, location,
-      purchaseDate, totalCost, supplier, notes
+      purchaseDate, totalCost, supplier, notes, station,
+      trackingType = 'Individual', unit, reorderThreshold, reorderQuantity, lotNumber, expiryDate,
+      warrantyPeriod, warrantyExpiry, warrantyProvider
     } = req.body;
+    const consumable = trackingType === 'Consumable';
     
     const pool = new EquipmentPool({
       poolName,
@@ -170,31 +199,55 @@ router.post('/pools', adminOnly, [
       totalCost,
       supplier,
       notes,
+      itemPrefix: consumable ? undefined : prefix,
+      trackingType,
+      unit: unit || undefined,
+      reorderThreshold,
+      reorderQuantity,
+      station: station || undefined,
+      warrantyInfo: {
+        warrantyPeriod,
+        warrantyExpiry: warrantyExpiry ? new Date(warrantyExpiry) : undefined,
+        warrantyProvider
+      },
       addedBy: req.user._id
     });
     
-    // Generate items with unique IDs
-    for (let i = 0; i < totalQuantity; i++) {
-      const num = (i + 1).toString().padStart(3, '0');
-      const uniqueId = `${prefix}${num}`;
-      
-      pool.items.push({
-        uniqueId,
-        status: 'Available',
-        condition: 'Excellent',
-        location
+    if (consumable) {
+      pool.lots.push({
+        lotNumber,
+        quantity: totalQuantity,
+        receivedQuantity: totalQuantity,
+        receivedDate: new Date(),
+        expiryDate: expiryDate ? new Date(expiryDate) : undefined,
+        cost: totalCost,
+        receivedBy: req.user._id
+      });
+    } else {
+      // Generate items with unique IDs
+      pool.generateUniqueIds(prefix, 1, totalQuantity).forEach(uniqueId => {
+        pool.items.push({
+          uniqueId,
+          status: 'Available',
+          condition: 'Excellent',
+          location,
+          addedAt: new Date()
+        });
       });
     }
     
     pool.updateCounts();
     await pool.save();
+    pool.broadcastCounts();
+    
+    req.audit({ action: 'pool.create', targetModel: 'EquipmentPool', targetId: pool._id, after: pool });
     
     const populatedPool = await EquipmentPool.findById(pool._id)
       .populate('addedBy', 'fullName officerId');
     
     res.status(201).json({
       success: true,
-      message: `Equipment pool created with ${totalQuantity} items`,
+      message: `Equipment pool created with ${totalQuantity} ${consumable ? pool.unit : 'items'}`,
       data: { pool: populatedPool }
     });
     
@@ -241,11 +294,17 @@ router.get('/pools/:poolId', async (req, res) => {
 });
 
 // @route POST /api/equipment/pools/:poolId/issue
-// @desc Issue equipment from pool
+// @desc Issue equipment from pool: a chosen `uniqueId`, or the item picked by `strategy`.
+//       Consumable pools issue `quantity` units instead.
 // @access Private (Admin only)
 router.post('/pools/:poolId/issue', adminOnly, [
   body('userId').isMongoId().withMessage('Valid user ID is required'),
-  body('purpose').optional().trim()
+  body('purpose').optional().trim(),
+  body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('expectedReturnDate').optional({ checkFalsy: true }).isISO8601().withMessage('Valid expected return date is required'),
+  body('uniqueId').optional({ checkFalsy: true }).trim(),
+  body('strategy').optional({ checkFalsy: true }).isIn(ISSUE_STRATEGIES).withMessage(`Strategy must be one of: ${ISSUE_STRATEGIES.join(', ')}`),
+  body('location').optional().trim()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -257,7 +316,7 @@ router.post('/pools/:poolId/issue', adminOnly, [
       });
     }
     
-    const { userId, purpose } = req.body;
+    const { userId, purpose, uniqueId, strategy, location } = req.body;
     
     const pool = await EquipmentPool.findById(req.params.poolId);
     if (!pool) {
@@ -275,15 +334,54 @@ router.post('/pools/:poolId/issue', adminOnly, [
       });
     }
     
+    if (pool.isConsumable()) {
+      const quantity = parseInt(req.body.quantity, 10) || 1;
+      const issue = await pool.issueConsumable(
+        user._id,
+        user.officerId,
+        user.fullName,
+        user.designation,
+        quantity,
+        purpose,
+        req.user._id,
+        { expectedReturnDate: req.body.expectedReturnDate ? new Date(req.body.expectedReturnDate) : undefined }
+      );
+      
+      req.audit({
+        action: 'pool.stock.issue',
+        targetModel: 'EquipmentPool',
+        targetId: pool._id,
+        after: { issueId: issue._id, quantity, lots: issue.lots, issuedTo: user._id, purpose }
+      });
+      
+      return res.json({
+        success: true,
+        message: `${quantity} ${pool.unit} issued successfully`,
+        data: {
+          issue,
+          issuedTo: `${user.fullName} (${user.officerId})`,
+          poolAvailableCount: pool.availableCount
+        }
+      });
+    }
+    
     const assignedItem = await pool.issueItem(
       user._id,
       user.officerId,
       user.fullName,
       user.designation,
       purpose,
-      req.user._id
+      req.user._id,
+      { uniqueId: uniqueId || undefined, strategy, location }
     );
     
+    req.audit({
+      action: 'pool.item.issue',
+      targetModel: 'EquipmentPool',
+      targetId: pool._id,
+      after: { uniqueId: assignedItem.uniqueId, status: assignedItem.status, issuedTo: user._id, purpose, strategy }
+    });
+    
     res.json({
       success: true,
       message: 'Equipment issued successfully',
@@ -339,6 +437,14 @@ router.post('/pools/:poolId/return', adminOnly, [
       req.user._id
     );
     
+    req.audit({
+      action: 'pool.item.return',
+      targetModel: 'EquipmentPool',
+      targetId: pool._id,
+      before: { uniqueId, status: 'Issued' },
+      after: { uniqueId, status: returnedItem.status, condition: returnedItem.condition, remarks }
+    });
+    
     res.json({
       success: true,
       message: 'Equipment returned successfully',
@@ -359,144 +465,335 @@ router.post('/pools/:poolId/return', adminOnly, [
   }
 });
 
-// @route GET /api/equipment/pools/:poolId/items/:uniqueId/history
-// @desc Get complete history of specific item
-// @access Private
-router.get('/pools/:poolId/items/:uniqueId/history', async (req, res) => {
+// @route PUT /api/equipment/pools/:poolId/reorder
+// @desc Set the pool's reorder threshold and reorder quantity
+// @access Private (Admin only)
+router.put('/pools/:poolId/reorder', adminOnly, [
+  body('reorderThreshold').isInt({ min: 0 }).withMessage('Reorder threshold cannot be negative'),
+  body('reorderQuantity').optional().isInt({ min: 0 }).withMessage('Reorder quantity cannot be negative')
+], async (req, res) => {
   try {
-    const pool = await EquipmentPool.findById(req.params.poolId)
-      .populate('items.usageHistory.userId', 'fullName officerId designation')
-      .populate('items.usageHistory.issuedBy', 'fullName officerId')
-      .populate('items.usageHistory.returnedTo', 'fullName officerId');
-    
-    if (!pool) {
-      return res.status(404).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'Equipment pool not found'
+        message: 'Validation errors',
+        errors: errors.array()
       });
     }
     
-    const item = pool.findItemByUniqueId(req.params.uniqueId);
-    if (!item) {
+    const reorderThreshold = parseInt(req.body.reorderThreshold, 10);
+    const reorderQuantity = parseInt(req.body.reorderQuantity, 10) || 0;
+    
+    const before = await EquipmentPool.findById(req.params.poolId).select('reorderThreshold reorderQuantity');
+    if (!before) {
       return res.status(404).json({
         success: false,
-        message: 'Item not found in pool'
+        message: 'Equipment pool not found'
       });
     }
     
+    // Counts are left alone, so this cannot race an issue or return
+    const pool = await EquipmentPool.findByIdAndUpdate(
+      req.params.poolId,
+      {
+        $set: { reorderThreshold, reorderQuantity, lastModifiedBy: req.user._id },
+        // A new threshold re-arms the alert; the next check decides whether the pool is low
+        $unset: { lowStockAlertedAt: '' }
+      },
+      { new: true }
+    ).select('poolName reorderThreshold reorderQuantity availableCount');
+    
+    req.audit({
+      action: 'pool.reorder.update',
+      targetModel: 'EquipmentPool',
+      targetId: pool._id,
+      before: { reorderThreshold: before.reorderThreshold, reorderQuantity: before.reorderQuantity },
+      after: { reorderThreshold, reorderQuantity }
+    });
+    
     res.json({
       success: true,
-      data: {
-        poolName: pool.poolName,
-        uniqueId: item.uniqueId,
-        currentStatus: item.status,
-        currentCondition: item.condition,
-        usageHistory: item.usageHistory,
-        maintenanceHistory: item.maintenanceHistory
-      }
+      message: reorderThreshold > 0
+        ? `${pool.poolName} will be flagged at ${reorderThreshold} available`
+        : `Low-stock alerts turned off for ${pool.poolName}`,
+      data: { pool }
     });
     
   } catch (error) {
-    console.error('Get item history error:', error);
+    console.error('Update reorder settings error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error fetching item history'
+      message: 'Server error updating reorder settings',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
     });
   }
 });
 
-// @route GET /api/equipment/my-equipment-history
-// @desc Get equipment history for logged-in officer
-// @access Private
-router.get('/my-equipment-history', async (req, res) => {
+// @route PUT /api/equipment/pools/:poolId/warranty
+// @desc Set the warranty covering the pool's items (items can carry their own expiry)
+// @access Private (Admin only)
+router.put('/pools/:poolId/warranty', adminOnly, [
+  body('warrantyExpiry').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Valid warranty expiry date is required'),
+  body('warrantyPeriod').optional().trim().isLength({ max: 50 }).withMessage('Warranty period cannot exceed 50 characters'),
+  body('warrantyProvider').optional().trim().isLength({ max: 100 }).withMessage('Warranty provider cannot exceed 100 characters')
+], async (req, res) => {
   try {
-    const pools = await EquipmentPool.find({
-      'items.usageHistory.officerId': req.user.officerId
-    })
-    .select('poolName category model items');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
     
-    const myHistory = pools.map(pool => {
-      const myItems = pool.items
-        .filter(item => 
-          item.usageHistory.some(h => h.officerId === req.user.officerId)
-        )
-        .map(item => ({
-          uniqueId: item.uniqueId,
-          currentStatus: item.status,
-          myUsage: item.usageHistory.filter(h => h.officerId === req.user.officerId)
-        }));
-      
-      return {
-        poolName: pool.poolName,
-        category: pool.category,
-        model: pool.model,
-        itemsUsed: myItems
-      };
-    }).filter(pool => pool.itemsUsed.length > 0);
+    const before = await EquipmentPool.findById(req.params.poolId).select('warrantyInfo');
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment pool not found'
+      });
+    }
+    
+    const { warrantyExpiry, warrantyPeriod, warrantyProvider } = req.body;
+    const warrantyInfo = {
+      warrantyPeriod: warrantyPeriod || undefined,
+      warrantyExpiry: warrantyExpiry ? new Date(warrantyExpiry) : undefined,
+      warrantyProvider: warrantyProvider || undefined
+    };
+    
+    // Replacing warrantyInfo also clears alertedFor, so a new expiry is alerted about again
+    const pool = await EquipmentPool.findByIdAndUpdate(
+      req.params.poolId,
+      { $set: { warrantyInfo, lastModifiedBy: req.user._id } },
+      { new: true }
+    ).select('poolName warrantyInfo');
+    
+    req.audit({
+      action: 'pool.warranty.update',
+      targetModel: 'EquipmentPool',
+      targetId: pool._id,
+      before: { warrantyInfo: before.warrantyInfo },
+      after: { warrantyInfo: pool.warrantyInfo }
+    });
     
     res.json({
       success: true,
-      data: { history: myHistory }
+      message: pool.warrantyInfo.warrantyExpiry
+        ? `${pool.poolName} is under warranty until ${pool.warrantyInfo.warrantyExpiry.toDateString()}`
+        : `Warranty removed from ${pool.poolName}`,
+      data: { pool }
     });
     
   } catch (error) {
-    console.error('Get my equipment history error:', error);
+    console.error('Update warranty error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error fetching equipment history'
+      message: 'Server error updating warranty',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
     });
   }
 });
 
-// @route GET /api/equipment/currently-issued
-// @desc Get all currently issued equipment
+// @route POST /api/equipment/pools/:poolId/lots
+// @desc Receive a lot of stock into a consumable pool
 // @access Private (Admin only)
-router.get('/currently-issued', adminOnly, async (req, res) => {
+router.post('/pools/:poolId/lots', adminOnly, [
+  body('lotNumber').trim().isLength({ min: 1, max: 50 }).withMessage('Lot number is required'),
+  body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('expiryDate').optional({ checkFalsy: true }).isISO8601().withMessage('Valid expiry date is required'),
+  body('cost').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('Cost cannot be negative'),
+  body('notes').optional().trim()
+], async (req, res) => {
   try {
-    const pools = await EquipmentPool.find()
-      .populate('items.currentlyIssuedTo.userId', 'fullName officerId designation')
-      .select('poolName category model items');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
     
-    const issuedItems = [];
+    const pool = await EquipmentPool.findById(req.params.poolId);
+    if (!pool) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment pool not found'
+      });
+    }
     
-    pools.forEach(pool => {
-      pool.items.forEach(item => {
-        if (item.status === 'Issued' && item.currentlyIssuedTo) {
-          issuedItems.push({
-            poolName: pool.poolName,
-            uniqueId: item.uniqueId,
-            category: pool.category,
-            model: pool.model,
-            issuedTo: item.currentlyIssuedTo
-          });
-        }
+    const { lotNumber, expiryDate, cost, notes } = req.body;
+    const lot = await pool.receiveLot({
+      lotNumber,
+      quantity: parseInt(req.body.quantity, 10),
+      expiryDate,
+      cost,
+      notes
+    }, req.user._id);
+    
+    req.audit({ action: 'pool.lot.receive', targetModel: 'EquipmentPool', targetId: pool._id, after: lot });
+    
+    res.status(201).json({
+      success: true,
+      message: `Received ${lot.quantity} ${pool.unit} in lot ${lot.lotNumber}`,
+      data: { lot, poolAvailableCount: pool.availableCount }
+    });
+    
+  } catch (error) {
+    console.error('Receive lot error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Server error receiving stock'
+    });
+  }
+});
+
+// @route POST /api/equipment/pools/:poolId/consumable-issues/:issueId/settle
+// @desc Settle a consumable issue: take back the unused quantity and record what was expended
+// @access Private (Admin only)
+router.post('/pools/:poolId/consumable-issues/:issueId/settle', adminOnly, [
+  body('returnedQuantity').isInt({ min: 0 }).withMessage('Returned quantity cannot be negative'),
+  body('expendedQuantity').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Expended quantity cannot be negative'),
+  body('remarks').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+    
+    const pool = await EquipmentPool.findById(req.params.poolId);
+    if (!pool) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment pool not found'
       });
+    }
+    
+    const { returnedQuantity, expendedQuantity, remarks } = req.body;
+    const issue = await pool.settleConsumableIssue(req.params.issueId, {
+      returnedQuantity: parseInt(returnedQuantity, 10),
+      expendedQuantity: expendedQuantity == null ? undefined : parseInt(expendedQuantity, 10),
+      remarks
+    }, req.user._id);
+    
+    // A consumable issue request is completed once its stock is settled
+    const request = await Request.findOne({ consumableIssueId: issue._id, status: 'Approved' });
+    if (request) {
+      await request.complete(req.user._id, remarks);
+    }
+    
+    req.audit({
+      action: 'pool.stock.settle',
+      targetModel: 'EquipmentPool',
+      targetId: pool._id,
+      before: { issueId: issue._id, status: 'Issued', quantity: issue.quantity },
+      after: {
+        issueId: issue._id,
+        status: issue.status,
+        returnedQuantity: issue.returnedQuantity,
+        expendedQuantity: issue.expendedQuantity,
+        unaccountedQuantity: issue.unaccountedQuantity
+      }
     });
     
     res.json({
       success: true,
-      data: { 
-        issuedItems,
-        total: issuedItems.length
+      message: issue.unaccountedQuantity > 0
+        ? `Issue settled with ${issue.unaccountedQuantity} ${pool.unit} unaccounted for`
+        : 'Issue settled',
+      data: { issue, poolAvailableCount: pool.availableCount }
+    });
+    
+  } catch (error) {
+    console.error('Settle consumable issue error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Server error settling issue'
+    });
+  }
+});
+
+// @route GET /api/equipment/pools/:poolId/items/:uniqueId/history
+// @desc Get complete history of specific item
+// @access Private
+router.get('/pools/:poolId/items/:uniqueId/history', async (req, res) => {
+  try {
+    const pool = await EquipmentPool.findById(req.params.poolId);
+    
+    if (!pool) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment pool not found'
+      });
+    }
+    
+    if (!pool.findItemByUniqueId(req.params.uniqueId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found in pool'
+      });
+    }
+    
+    // Verify before populating so the hashes are checked against the stored ids
+    const [verification] = pool.verifyCustodyChain(req.params.uniqueId);
+    
+    await pool.populate([
+      { path: 'items.usageHistory.userId', select: 'fullName officerId designation' },
+      { path: 'items.usageHistory.issuedBy', select: 'fullName officerId' },
+      { path: 'items.usageHistory.returnedTo', select: 'fullName officerId' },
+      { path: 'items.purchaseOrder', select: 'poNumber supplierName orderReference' }
+    ]);
+    
+    const item = pool.findItemByUniqueId(req.params.uniqueId);
+    
+    res.json({
+      success: true,
+      data: {
+        poolId: pool._id,
+        poolName: pool.poolName,
+        uniqueId: item.uniqueId,
+        currentStatus: item.status,
+        currentCondition: item.condition,
+        location: item.location || pool.location,
+        addedAt: item.addedAt,
+        unitCost: item.unitCost,
+        purchaseOrder: item.purchaseOrder,
+        usageHistory: item.usageHistory,
+        maintenanceHistory: item.maintenanceHistory,
+        verification
       }
     });
     
   } catch (error) {
-    console.error('Get currently issued equipment error:', error);
+    console.error('Get item history error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error fetching issued equipment'
+      message: 'Server error fetching item history'
     });
   }
 });
 
-// @route DELETE /api/equipment/pools/:poolId
-// @desc Delete equipment pool
+// @route GET /api/equipment/pools/:poolId/labels
+// @desc Printable PDF sheet of QR / Code128 labels for a pool, or for `?ids=GLK001,GLK002`
 // @access Private (Admin only)
-router.delete('/pools/:poolId', adminOnly, async (req, res) => {
+router.get('/pools/:poolId/labels', adminOnly, async (req, res) => {
   try {
-    const pool = await EquipmentPool.findByIdAndDelete(req.params.poolId);
+    const format = req.query.format || 'both';
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of ${FORMATS.join(', ')}`
+      });
+    }
     
+    const pool = await EquipmentPool.findById(req.params.poolId);
     if (!pool) {
       return res.status(404).json({
         success: false,
@@ -504,6 +801,769 @@ router.delete('/pools/:poolId', adminOnly, async (req, res) => {
       });
     }
     
+    let items;
+    if (req.query.ids) {
+      const ids = req.query.ids.split(',').map(id => id.trim()).filter(Boolean);
+      const missing = ids.filter(id => !pool.findItemByUniqueId(id));
+      if (missing.length > 0) {
+        return res.status(404).json({
+          success: false,
+          message: `Items not found in pool: ${missing.join(', ')}`
+        });
+      }
+      items = ids.map(id => pool.findItemByUniqueId(id));
+    } else {
+      // Retired items no longer need labels
+      items = pool.items.filter(item => item.status !== 'Retired');
+    }
+    
+    if (items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No items to label'
+      });
+    }
+    
+    const filename = `${pool.poolName.replace(/[^A-Za-z0-9-]+/g, '_')}-labels.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    
+    await writeLabelSheet(res, pool, items, format);
+    
+  } catch (error) {
+    console.error('Generate labels error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating labels',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route GET /api/equipment/items/resolve
+// @desc Resolve a scanned label (`?code=`) to its pool and item
+// @access Private (Admin only)
+router.get('/items/resolve', adminOnly, async (req, res) => {
+  try {
+    const parsed = parseItemCode(req.query.code);
+    if (!parsed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Not a valid item code'
+      });
+    }
+    
+    // Bare uniqueIds are looked up across all pools
+    const pools = parsed.poolId
+      ? await EquipmentPool.find({ _id: parsed.poolId, 'items.uniqueId': parsed.uniqueId })
+      : await EquipmentPool.find({ 'items.uniqueId': parsed.uniqueId });
+    
+    if (pools.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `No item found for ${parsed.uniqueId}`
+      });
+    }
+    
+    if (pools.length > 1) {
+      return res.status(409).json({
+        success: false,
+        message: `${parsed.uniqueId} exists in more than one pool. Scan the label instead.`,
+        data: { pools: pools.map(pool => ({ poolId: pool._id, poolName: pool.poolName })) }
+      });
+    }
+    
+    const [pool] = pools;
+    const item = pool.findItemByUniqueId(parsed.uniqueId);
+    
+    res.json({
+      success: true,
+      data: {
+        poolId: pool._id,
+        poolName: pool.poolName,
+        category: pool.category,
+        uniqueId: item.uniqueId,
+        status: item.status,
+        condition: item.condition,
+        location: item.location || pool.location,
+        currentlyIssuedTo: item.status === 'Issued' ? item.currentlyIssuedTo : undefined
+      }
+    });
+    
+  } catch (error) {
+    console.error('Resolve item code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resolving item code'
+    });
+  }
+});
+
+// @route GET /api/equipment/pools/:poolId/verify
+// @desc Verify the custody hash chains of every item in a pool
+// @access Private (Admin only)
+router.get('/pools/:poolId/verify', adminOnly, async (req, res) => {
+  try {
+    const pool = await EquipmentPool.findById(req.params.poolId);
+    
+    if (!pool) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment pool not found'
+      });
+    }
+    
+    const items = pool.verifyCustodyChain(req.query.uniqueId);
+    const broken = items.filter(item => !item.valid);
+    
+    res.json({
+      success: true,
+      data: {
+        poolId: pool._id,
+        poolName: pool.poolName,
+        valid: broken.length === 0,
+        checkedItems: items.length,
+        brokenItems: broken.length,
+        items
+      }
+    });
+    
+  } catch (error) {
+    console.error('Verify custody chain error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying custody chain',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route GET /api/equipment/custody/verify
+// @desc Verify the custody hash chains of all pools; lists only items with a broken link
+// @access Private (Admin only)
+router.get('/custody/verify', adminOnly, async (req, res) => {
+  try {
+    const pools = await EquipmentPool.find()
+      .select('poolName items.uniqueId items.usageHistory items.maintenanceHistory');
+    
+    let checkedItems = 0;
+    const brokenItems = [];
+    
+    pools.forEach(pool => {
+      pool.verifyCustodyChain().forEach(result => {
+        checkedItems++;
+        if (!result.valid) {
+          brokenItems.push({ poolId: pool._id, poolName: pool.poolName, ...result });
+        }
+      });
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        valid: brokenItems.length === 0,
+        checkedPools: pools.length,
+        checkedItems,
+        brokenItems
+      }
+    });
+    
+  } catch (error) {
+    console.error('Verify all custody chains error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying custody chains',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route POST /api/equipment/pools/:poolId/items/:uniqueId/send-to-maintenance
+// @desc Take an available or damaged item out of service for maintenance
+// @access Private (Admin only)
+router.post('/pools/:poolId/items/:uniqueId/send-to-maintenance', adminOnly, [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+    
+    const pool = await EquipmentPool.findById(req.params.poolId);
+    if (!pool) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment pool not found'
+      });
+    }
+    
+    const previousStatus = pool.findItemByUniqueId(req.params.uniqueId)?.status;
+    const item = await pool.sendToMaintenance(req.params.uniqueId, req.body.reason);
+    
+    req.audit({
+      action: 'pool.item.maintenance.start',
+      targetModel: 'EquipmentPool',
+      targetId: pool._id,
+      before: { uniqueId: item.uniqueId, status: previousStatus },
+      after: { uniqueId: item.uniqueId, status: item.status, reason: item.maintenanceReason }
+    });
+    
+    res.json({
+      success: true,
+      message: `${item.uniqueId} sent to maintenance`,
+      data: {
+        uniqueId: item.uniqueId,
+        status: item.status,
+        maintenanceStartedAt: item.maintenanceStartedAt,
+        poolAvailableCount: pool.availableCount,
+        poolMaintenanceCount: pool.maintenanceCount
+      }
+    });
+    
+  } catch (error) {
+    console.error('Send to maintenance error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Server error sending item to maintenance'
+    });
+  }
+});
+
+// @route POST /api/equipment/pools/:poolId/items/:uniqueId/maintenance
+// @desc Log a maintenance entry for an item
+// @access Private (Admin only)
+router.post('/pools/:poolId/items/:uniqueId/maintenance', adminOnly, [
+  body('type').isIn(['Routine', 'Repair', 'Inspection', 'Upgrade', 'Cleaning']).withMessage('Valid maintenance type is required'),
+  body('date').optional().isISO8601().withMessage('Valid date is required'),
+  body('description').optional().trim(),
+  body('cost').optional().isFloat({ min: 0 }).withMessage('Cost cannot be negative'),
+  body('performedBy').optional().trim(),
+  body('nextMaintenanceDate').optional().isISO8601().withMessage('Valid next maintenance date is required'),
+  body('nextInspectionDate').optional().isISO8601().withMessage('Valid next inspection date is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+    
+    const pool = await EquipmentPool.findById(req.params.poolId);
+    if (!pool) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment pool not found'
+      });
+    }
+    
+    const { type, date, description, cost, performedBy, nextMaintenanceDate, nextInspectionDate } = req.body;
+    
+    const item = await pool.logMaintenance(req.params.uniqueId, {
+      type,
+      date,
+      description,
+      cost,
+      performedBy: performedBy || req.user.fullName,
+      nextMaintenanceDate,
+      nextInspectionDate
+    });
+    
+    req.audit({ action: 'pool.item.maintenance.log', targetModel: 'EquipmentPool', targetId: pool._id });
+    
+    const entry = item.maintenanceHistory[item.maintenanceHistory.length - 1];
+    // Repairs under warranty should be claimed from the provider rather than paid for
+    const underWarranty = type === 'Repair' && pool.isUnderWarranty(item, entry.date);
+    
+    res.status(201).json({
+      success: true,
+      message: underWarranty
+        ? `Maintenance entry recorded. ${item.uniqueId} is under warranty until ${pool.warrantyExpiryOf(item).toDateString()}; file a warranty claim for this repair`
+        : 'Maintenance entry recorded',
+      data: {
+        underWarranty,
+        uniqueId: item.uniqueId,
+        entry,
+        lastInspectionDate: item.lastInspectionDate,
+        nextInspectionDate: item.nextInspectionDate
+      }
+    });
+    
+  } catch (error) {
+    console.error('Log maintenance error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Server error logging maintenance'
+    });
+  }
+});
+
+// @route POST /api/equipment/pools/:poolId/items/:uniqueId/return-to-service
+// @desc Return an item from maintenance to the available pool
+// @access Private (Admin only)
+router.post('/pools/:poolId/items/:uniqueId/return-to-service', adminOnly, [
+  body('condition').optional().isIn(['Excellent', 'Good', 'Fair', 'Poor']).withMessage('Valid condition is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+    
+    const pool = await EquipmentPool.findById(req.params.poolId);
+    if (!pool) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment pool not found'
+      });
+    }
+    
+    const item = await pool.returnToService(req.params.uniqueId, req.body.condition);
+    
+    req.audit({
+      action: 'pool.item.maintenance.complete',
+      targetModel: 'EquipmentPool',
+      targetId: pool._id,
+      before: { uniqueId: item.uniqueId, status: 'Maintenance' },
+      after: { uniqueId: item.uniqueId, status: item.status, condition: item.condition }
+    });
+    
+    res.json({
+      success: true,
+      message: `${item.uniqueId} returned to service`,
+      data: {
+        uniqueId: item.uniqueId,
+        status: item.status,
+        condition: item.condition,
+        poolAvailableCount: pool.availableCount,
+        poolMaintenanceCount: pool.maintenanceCount
+      }
+    });
+    
+  } catch (error) {
+    console.error('Return to service error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Server error returning item to service'
+    });
+  }
+});
+
+// @route POST /api/equipment/pools/:poolId/items
+// @desc Add newly procured items to a pool, continuing its ID numbering
+// @access Private (Admin only)
+router.post('/pools/:poolId/items', adminOnly, [
+  body('count').isInt({ min: 1, max: 500 }).withMessage('Count must be between 1 and 500'),
+  body('condition').optional().isIn(['Excellent', 'Good', 'Fair', 'Poor']).withMessage('Valid condition is required'),
+  body('location').optional().trim().isLength({ min: 1 }).withMessage('Location cannot be empty'),
+  body('cost').optional().isFloat({ min: 0 }).withMessage('Cost cannot be negative')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+    
+    const pool = await EquipmentPool.findById(req.params.poolId);
+    if (!pool) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment pool not found'
+      });
+    }
+    
+    const count = parseInt(req.body.count);
+    const previousQuantity = pool.totalQuantity;
+    const items = await pool.addItems(count, {
+      condition: req.body.condition,
+      location: req.body.location,
+      cost: req.body.cost
+    });
+    const uniqueIds = items.map(item => item.uniqueId);
+    
+    req.audit({
+      action: 'pool.items.add',
+      targetModel: 'EquipmentPool',
+      targetId: pool._id,
+      before: { totalQuantity: previousQuantity },
+      after: { totalQuantity: pool.totalQuantity, uniqueIds }
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: `Added ${count} item${count > 1 ? 's' : ''} (${uniqueIds[0]} - ${uniqueIds[uniqueIds.length - 1]})`,
+      data: {
+        items,
+        totalQuantity: pool.totalQuantity,
+        poolAvailableCount: pool.availableCount
+      }
+    });
+    
+  } catch (error) {
+    console.error('Add pool items error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Server error adding items'
+    });
+  }
+});
+
+// @route PUT /api/equipment/pools/:poolId/items/:uniqueId
+// @desc Edit an item's location, condition, notes, next inspection date or warranty expiry
+// @access Private (Admin only)
+router.put('/pools/:poolId/items/:uniqueId', adminOnly, [
+  body('location').optional().trim().isLength({ min: 1 }).withMessage('Location cannot be empty'),
+  body('condition').optional().isIn(['Excellent', 'Good', 'Fair', 'Poor']).withMessage('Valid condition is required'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  body('nextInspectionDate').optional({ nullable: true }).isISO8601().withMessage('Valid inspection date is required'),
+  body('warrantyExpiry').optional({ nullable: true }).isISO8601().withMessage('Valid warranty expiry date is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+    
+    const pool = await EquipmentPool.findById(req.params.poolId);
+    if (!pool) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment pool not found'
+      });
+    }
+    
+    const { location, condition, notes, nextInspectionDate, warrantyExpiry } = req.body;
+    const previous = pool.findItemByUniqueId(req.params.uniqueId);
+    const before = previous && {
+      location: previous.location,
+      condition: previous.condition,
+      notes: previous.notes,
+      nextInspectionDate: previous.nextInspectionDate,
+      warrantyExpiry: previous.warrantyExpiry
+    };
+    
+    const item = await pool.updateItem(req.params.uniqueId, { location, condition, notes, nextInspectionDate, warrantyExpiry });
+    
+    req.audit({
+      action: 'pool.item.update',
+      targetModel: 'EquipmentPool',
+      targetId: pool._id,
+      before: { uniqueId: item.uniqueId, ...before },
+      after: {
+        uniqueId: item.uniqueId,
+        location: item.location,
+        condition: item.condition,
+        notes: item.notes,
+        nextInspectionDate: item.nextInspectionDate,
+        warrantyExpiry: item.warrantyExpiry
+      }
+    });
+    
+    res.json({
+      success: true,
+      message: `${item.uniqueId} updated`,
+      data: { item }
+    });
+    
+  } catch (error) {
+    console.error('Update pool item error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Server error updating item'
+    });
+  }
+});
+
+// @route POST /api/equipment/pools/:poolId/items/:uniqueId/retire
+// @desc Permanently retire an item from service
+// @access Private (Admin only)
+router.post('/pools/:poolId/items/:uniqueId/retire', adminOnly, [
+  body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Reason must be 3-500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+    
+    const pool = await EquipmentPool.findById(req.params.poolId);
+    if (!pool) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment pool not found'
+      });
+    }
+    
+    // Items under an open incident are written off through the incident
+    const openIncident = await Incident.findOne({
+      poolId: pool._id,
+      uniqueId: req.params.uniqueId,
+      status: 'Open'
+    });
+    if (openIncident) {
+      return res.status(400).json({
+        success: false,
+        message: `Resolve incident ${openIncident.incidentId} to write off ${req.params.uniqueId}`
+      });
+    }
+    
+    const previousStatus = pool.findItemByUniqueId(req.params.uniqueId)?.status;
+    const item = await pool.retireItem(req.params.uniqueId, req.body.reason);
+    
+    req.audit({
+      action: 'pool.item.retire',
+      targetModel: 'EquipmentPool',
+      targetId: pool._id,
+      before: { uniqueId: item.uniqueId, status: previousStatus },
+      after: { uniqueId: item.uniqueId, status: item.status, reason: item.retirementReason }
+    });
+    
+    res.json({
+      success: true,
+      message: `${item.uniqueId} retired`,
+      data: {
+        uniqueId: item.uniqueId,
+        status: item.status,
+        retiredAt: item.retiredAt,
+        poolRetiredCount: pool.retiredCount
+      }
+    });
+    
+  } catch (error) {
+    console.error('Retire item error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Server error retiring item'
+    });
+  }
+});
+
+// Quote a CSV field when it contains a separator, quote or line break. Text that a
+// spreadsheet would run as a formula is prefixed with an apostrophe.
+const csvField = (value) => {
+  const raw = value === undefined || value === null ? '' : String(value);
+  const text = /^[=+\-@]/.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// @route GET /api/equipment/procurement-list
+// @desc Pools at or below their reorder threshold with the quantity to order.
+//       `?format=csv` downloads the list as a spreadsheet.
+// @access Private (Admin only)
+router.get('/procurement-list', adminOnly, async (req, res) => {
+  try {
+    const pools = await EquipmentPool.findLowStock();
+    
+    const lines = pools.map(pool => ({
+      poolId: pool._id,
+      poolName: pool.poolName,
+      category: pool.category,
+      model: pool.model,
+      manufacturer: pool.manufacturer,
+      supplier: pool.supplier,
+      unit: pool.trackingType === 'Consumable' ? pool.unit : 'items',
+      availableCount: pool.availableCount,
+      reorderThreshold: pool.reorderThreshold,
+      orderQuantity: pool.suggestedOrderQuantity(),
+      alertedAt: pool.lowStockAlertedAt
+    }));
+    
+    if (req.query.format === 'csv') {
+      const columns = [
+        ['Pool', 'poolName'],
+        ['Category', 'category'],
+        ['Model', 'model'],
+        ['Manufacturer', 'manufacturer'],
+        ['Supplier', 'supplier'],
+        ['Unit', 'unit'],
+        ['Available', 'availableCount'],
+        ['Reorder At', 'reorderThreshold'],
+        ['Order Quantity', 'orderQuantity']
+      ];
+      const csv = [
+        columns.map(([header]) => header).join(','),
+        ...lines.map(line => columns.map(([, key]) => csvField(line[key])).join(','))
+      ].join('\r\n');
+      
+      const date = new Date().toISOString().slice(0, 10);
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="procurement-list-${date}.csv"`);
+      return res.send(csv);
+    }
+    
+    res.json({
+      success: true,
+      data: { lines }
+    });
+    
+  } catch (error) {
+    console.error('Get procurement list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating procurement list',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route GET /api/equipment/inspections/due
+// @desc Get items due for inspection within the next `days` days (default 30), including overdue ones
+// @access Private (Admin only)
+router.get('/inspections/due', adminOnly, async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 30, 365);
+    const until = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    
+    const items = await EquipmentPool.findInspectionsDue(until, { category: req.query.category });
+    
+    res.json({
+      success: true,
+      data: {
+        items,
+        days,
+        overdueCount: items.filter(item => item.isOverdue).length
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get inspections due error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching inspection schedule',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route GET /api/equipment/my-equipment-history
+// @desc Get equipment history for logged-in officer
+// @access Private
+router.get('/my-equipment-history', async (req, res) => {
+  try {
+    const pools = await EquipmentPool.find({
+      'items.usageHistory.officerId': req.user.officerId
+    })
+    .select('poolName category model items');
+    
+    const myHistory = pools.map(pool => {
+      const myItems = pool.items
+        .filter(item => 
+          item.usageHistory.some(h => h.officerId === req.user.officerId)
+        )
+        .map(item => ({
+          uniqueId: item.uniqueId,
+          currentStatus: item.status,
+          myUsage: item.usageHistory.filter(h => h.officerId === req.user.officerId)
+        }));
+      
+      return {
+        poolName: pool.poolName,
+        category: pool.category,
+        model: pool.model,
+        itemsUsed: myItems
+      };
+    }).filter(pool => pool.itemsUsed.length > 0);
+    
+    res.json({
+      success: true,
+      data: { history: myHistory }
+    });
+    
+  } catch (error) {
+    console.error('Get my equipment history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching equipment history'
+    });
+  }
+});
+
+// @route GET /api/equipment/currently-issued
+// @desc Get all currently issued equipment
+// @access Private (Admin only)
+router.get('/currently-issued', adminOnly, async (req, res) => {
+  try {
+    const pools = await EquipmentPool.find()
+      .populate('items.currentlyIssuedTo.userId', 'fullName officerId designation')
+      .select('poolName category model items');
+    
+    const issuedItems = [];
+    
+    pools.forEach(pool => {
+      pool.items.forEach(item => {
+        if (item.status === 'Issued' && item.currentlyIssuedTo) {
+          issuedItems.push({
+            poolName: pool.poolName,
+            uniqueId: item.uniqueId,
+            category: pool.category,
+            model: pool.model,
+            issuedTo: item.currentlyIssuedTo
+          });
+        }
+      });
+    });
+    
+    res.json({
+      success: true,
+      data: { 
+        issuedItems,
+        total: issuedItems.length
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get currently issued equipment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching issued equipment'
+    });
+  }
+});
+
+// @route DELETE /api/equipment/pools/:poolId
+// @desc Delete equipment pool
+// @access Private (Admin only)
+router.delete('/pools/:poolId', adminOnly, async (req, res) => {
+  try {
+    const pool = await EquipmentPool.findByIdAndDelete(req.params.poolId);
+    
+    if (!pool) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment pool not found'
+      });
+    }
+    
+    broadcast('pool:deleted', { poolId: pool._id, poolName: pool.poolName });
+    
+    req.audit({ action: 'pool.delete', targetModel: 'EquipmentPool', targetId: pool._id, before: pool, after: null });
+    
     res.json({
       success: true,
       message: 'Equipment pool deleted successfully'
@@ -0,0 +1,331 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Incident = require('../models/Incident');
+const EquipmentPool = require('../models/EquipmentPool');
+const Notification = require('../models/Notification');
+const Request = require('../models/Request');
+const { auth } = require('../middleware/auth');
+const { adminOnly, adminOrOfficer } = require('../middleware/roleCheck');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(auth, adminOrOfficer);
+
+// Resolutions allowed for each incident type
+const RESOLUTIONS = {
+  Lost: ['Recovered', 'Written Off'],
+  Damaged: ['Repaired', 'Written Off']
+};
+
+// @route   POST /api/incidents
+// @desc    Report a pool item as lost or damaged
+// @access  Private (Officers for items they hold, admins for any item)
+router.post('/', [
+  body('poolId').isMongoId().withMessage('Valid pool ID is required'),
+  body('uniqueId').trim().isLength({ min: 1 }).withMessage('Unique ID is required'),
+  body('type').isIn(['Lost', 'Damaged']).withMessage('Type must be Lost or Damaged'),
+  body('description').trim().isLength({ min: 10, max: 1000 }).withMessage('Description must be 10-1000 characters'),
+  body('incidentDate').isISO8601().withMessage('Valid incident date is required'),
+  body('firNumber').optional().trim().isLength({ max: 50 }).withMessage('FIR/case number cannot exceed 50 characters'),
+  body('attachments').optional().isArray({ max: 5 }).withMessage('At most 5 attachments are allowed'),
+  body('attachments.*.url').optional().isURL().withMessage('Attachment URL must be valid')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { poolId, uniqueId, type, description, incidentDate, firNumber, attachments } = req.body;
+
+    if (new Date(incidentDate) > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Incident date cannot be in the future'
+      });
+    }
+
+    const pool = await EquipmentPool.findById(poolId);
+    if (!pool) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment pool not found'
+      });
+    }
+
+    const item = pool.findItemByUniqueId(uniqueId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found in pool'
+      });
+    }
+
+    const holderId = item.status === 'Issued' ? item.currentlyIssuedTo?.userId : undefined;
+
+    // Officers can only report items currently issued to them
+    if (req.user.role !== 'admin' && holderId?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only report items currently issued to you'
+      });
+    }
+
+    const existing = await Incident.findOne({ poolId, uniqueId, status: 'Open' });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `Incident ${existing.incidentId} is already open for ${uniqueId}`
+      });
+    }
+
+    const incident = new Incident({
+      type,
+      poolId,
+      poolName: pool.poolName,
+      uniqueId,
+      previousStatus: item.status,
+      description,
+      incidentDate: new Date(incidentDate),
+      firNumber,
+      attachments: (attachments || []).map(attachment => ({
+        filename: attachment.filename,
+        url: attachment.url
+      })),
+      reportedBy: req.user._id,
+      heldBy: holderId
+    });
+
+    // Validate (and generate the incident ID) before touching the item
+    await incident.validate();
+
+    try {
+      await pool.reportIncident(
+        uniqueId,
+        type,
+        `Incident ${incident.incidentId}: reported ${type.toLowerCase()}`,
+        req.user._id
+      );
+    } catch (itemError) {
+      return res.status(409).json({
+        success: false,
+        message: itemError.message
+      });
+    }
+
+    await incident.save();
+
+    // A pending return for this item can no longer be confirmed
+    const pendingReturns = await Request.find({
+      poolId,
+      assignedEquipmentId: uniqueId,
+      requestType: 'Return',
+      status: 'Pending'
+    });
+    for (const pendingReturn of pendingReturns) {
+      pendingReturn.status = 'Cancelled';
+      pendingReturn.adminNotes = `Cancelled by incident ${incident.incidentId}`;
+      await pendingReturn.save();
+    }
+
+    req.audit({ action: 'incident.report', targetModel: 'Incident', targetId: incident._id, after: incident });
+
+    await Notification.notifyAdmins({
+      type: 'IncidentReported',
+      title: `${type} item reported: ${uniqueId}`,
+      message: `${req.user.fullName} reported ${pool.poolName} (${uniqueId}) as ${type.toLowerCase()}` +
+        (firNumber ? `. FIR/case no. ${firNumber}` : ''),
+      incidentId: incident._id,
+      poolId,
+      uniqueId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Incident ${incident.incidentId} reported. ${uniqueId} marked as ${type}`,
+      data: { incident }
+    });
+
+  } catch (error) {
+    console.error('Report incident error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error reporting incident',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   GET /api/incidents
+// @desc    List incidents (admins see all, officers see the ones they reported or held)
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const { status, type, search } = req.query;
+
+    const query = {
+      ...(status && { status }),
+      ...(type && { type })
+    };
+
+    if (req.user.role !== 'admin') {
+      query.$or = [{ reportedBy: req.user._id }, { heldBy: req.user._id }];
+    }
+
+    if (search) {
+      query.$and = [{
+        $or: [
+          { incidentId: { $regex: search, $options: 'i' } },
+          { uniqueId: { $regex: search, $options: 'i' } },
+          { poolName: { $regex: search, $options: 'i' } },
+          { firNumber: { $regex: search, $options: 'i' } }
+        ]
+      }];
+    }
+
+    const [incidents, total] = await Promise.all([
+      Incident.find(query)
+        .populate('reportedBy', 'fullName officerId')
+        .populate('heldBy', 'fullName officerId')
+        .populate('resolvedBy', 'fullName officerId')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Incident.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        incidents,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get incidents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching incidents',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   PUT /api/incidents/:id/resolve
+// @desc    Resolve an incident as Recovered, Repaired or Written Off
+// @access  Private (Admin only)
+router.put('/:id/resolve', adminOnly, [
+  body('resolution').isIn(['Recovered', 'Written Off', 'Repaired']).withMessage('Valid resolution is required'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  body('condition').optional().isIn(['Excellent', 'Good', 'Fair', 'Poor']).withMessage('Valid condition is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { resolution, notes, condition } = req.body;
+
+    const incident = await Incident.findById(req.params.id);
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found'
+      });
+    }
+
+    if (incident.status !== 'Open') {
+      return res.status(400).json({
+        success: false,
+        message: 'Incident is already resolved'
+      });
+    }
+
+    if (!RESOLUTIONS[incident.type].includes(resolution)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${incident.type.toLowerCase()} item can only be resolved as ${RESOLUTIONS[incident.type].join(' or ')}`
+      });
+    }
+
+    const pool = await EquipmentPool.findById(incident.poolId);
+    if (!pool) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment pool not found'
+      });
+    }
+
+    try {
+      await pool.resolveIncident(incident.uniqueId, resolution, {
+        condition,
+        reason: `Incident ${incident.incidentId}${notes ? `: ${notes}` : ''}`
+      });
+    } catch (itemError) {
+      return res.status(409).json({
+        success: false,
+        message: itemError.message
+      });
+    }
+
+    incident.status = 'Resolved';
+    incident.resolution = resolution;
+    incident.resolutionNotes = notes;
+    incident.resolvedBy = req.user._id;
+    incident.resolvedAt = new Date();
+    await incident.save();
+
+    req.audit({
+      action: 'incident.resolve',
+      targetModel: 'Incident',
+      targetId: incident._id,
+      before: { status: 'Open' },
+      after: { status: incident.status, resolution, resolutionNotes: notes }
+    });
+
+    await Notification.notify(incident.reportedBy, {
+      type: 'IncidentResolved',
+      title: `Incident ${incident.incidentId} resolved`,
+      message: `${incident.poolName} (${incident.uniqueId}) was resolved as ${resolution}` +
+        (notes ? `: ${notes}` : ''),
+      incidentId: incident._id,
+      poolId: incident.poolId,
+      uniqueId: incident.uniqueId
+    });
+
+    res.json({
+      success: true,
+      message: `Incident ${incident.incidentId} resolved as ${resolution}`,
+      data: { incident }
+    });
+
+  } catch (error) {
+    console.error('Resolve incident error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resolving incident',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+module.exports = router;
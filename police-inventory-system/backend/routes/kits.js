@@ -0,0 +1,243 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Kit = require('../models/Kit');
+const EquipmentPool = require('../models/EquipmentPool');
+const { auth } = require('../middleware/auth');
+const { adminOnly } = require('../middleware/roleCheck');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(auth);
+
+// Fields shared by create and update; name and items are required on create only
+const kitValidation = [
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('items.*.poolId').isMongoId().withMessage('Valid pool is required for every kit line'),
+  body('items.*.quantity').isInt({ min: 1, max: 20 }).withMessage('Kit line quantity must be between 1 and 20'),
+  body('authorizedDesignations').optional().isArray().withMessage('Authorized designations must be a list')
+];
+
+// Check the kit lines against their pools. Returns { items, problems }: the lines with
+// pool names filled in, and everything that stops the kit from being saved.
+const checkKitItems = async (lines, designations) => {
+  const poolIds = lines.map(line => line.poolId.toString());
+  const pools = await EquipmentPool.find({ _id: { $in: poolIds } }).select('poolName authorizedDesignations trackingType');
+  const poolsById = Object.fromEntries(pools.map(pool => [pool._id.toString(), pool]));
+  const problems = [];
+
+  if (new Set(poolIds).size !== poolIds.length) {
+    problems.push('Each pool can appear only once in a kit; raise its quantity instead');
+  }
+
+  const items = lines.map(line => {
+    const pool = poolsById[line.poolId.toString()];
+    if (!pool) {
+      problems.push(`Pool ${line.poolId} not found`);
+      return line;
+    }
+
+    // Kit items are issued and returned one by one, which consumable stock is not
+    if (pool.isConsumable()) {
+      problems.push(`${pool.poolName} is a consumable pool and cannot be part of a kit`);
+    }
+
+    const unauthorized = designations.filter(designation => !pool.authorizedDesignations.includes(designation));
+    if (unauthorized.length > 0) {
+      problems.push(`${pool.poolName} is not authorized for ${unauthorized.join(', ')}`);
+    }
+
+    return { poolId: pool._id, poolName: pool.poolName, quantity: line.quantity };
+  });
+
+  return { items, problems };
+};
+
+// @route   GET /api/kits
+// @desc    List kits with current availability. Officers see active kits for their designation.
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const isAdmin = req.user.role === 'admin';
+    const query = isAdmin
+      ? (req.query.includeInactive === 'true' ? {} : { isActive: true })
+      : { isActive: true, authorizedDesignations: req.user.designation };
+
+    const kits = await Kit.find(query).sort({ name: 1 });
+
+    const pools = await EquipmentPool.find({ _id: { $in: kits.flatMap(kit => kit.items.map(item => item.poolId)) } })
+      .select('poolName category availableCount');
+    const poolsById = Object.fromEntries(pools.map(pool => [pool._id.toString(), pool]));
+
+    res.json({
+      success: true,
+      data: {
+        kits: kits.map(kit => {
+          const items = kit.items.map(item => {
+            const pool = poolsById[item.poolId.toString()];
+            return {
+              ...item.toObject(),
+              poolName: pool?.poolName || item.poolName,
+              category: pool?.category,
+              availableCount: pool?.availableCount || 0
+            };
+          });
+          return {
+            ...kit.toJSON(),
+            items,
+            available: items.every(item => item.availableCount >= item.quantity)
+          };
+        })
+      }
+    });
+
+  } catch (error) {
+    console.error('Get kits error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching kits',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   POST /api/kits
+// @desc    Create a kit
+// @access  Private (Admin only)
+router.post('/', adminOnly, [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Kit name must be 2-100 characters'),
+  body('items').isArray({ min: 1, max: 20 }).withMessage('A kit needs between 1 and 20 pools'),
+  ...kitValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, authorizedDesignations = [] } = req.body;
+
+    const existing = await Kit.findOne({ name });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `A kit named ${name} already exists`
+      });
+    }
+
+    const { items, problems } = await checkKitItems(req.body.items, authorizedDesignations);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: problems.join('. ')
+      });
+    }
+
+    const kit = await Kit.create({
+      name,
+      description,
+      items,
+      authorizedDesignations,
+      createdBy: req.user._id
+    });
+
+    req.audit({ action: 'kit.create', targetModel: 'Kit', targetId: kit._id, after: kit });
+
+    res.status(201).json({
+      success: true,
+      message: `Kit ${kit.name} created`,
+      data: { kit }
+    });
+
+  } catch (error) {
+    console.error('Create kit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating kit',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   PUT /api/kits/:id
+// @desc    Update a kit (set isActive to false to withdraw it)
+// @access  Private (Admin only)
+router.put('/:id', adminOnly, [
+  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Kit name must be 2-100 characters'),
+  body('items').optional().isArray({ min: 1, max: 20 }).withMessage('A kit needs between 1 and 20 pools'),
+  ...kitValidation,
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const kit = await Kit.findById(req.params.id);
+    if (!kit) {
+      return res.status(404).json({
+        success: false,
+        message: 'Kit not found'
+      });
+    }
+
+    const before = kit.toObject();
+
+    if (req.body.name && req.body.name !== kit.name) {
+      const existing = await Kit.findOne({ name: req.body.name });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: `A kit named ${req.body.name} already exists`
+        });
+      }
+    }
+
+    // Re-check the lines whenever the pools or the designations change
+    const designations = req.body.authorizedDesignations || kit.authorizedDesignations;
+    const { items, problems } = await checkKitItems(req.body.items || kit.items, designations);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: problems.join('. ')
+      });
+    }
+
+    ['name', 'description', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        kit[field] = req.body[field];
+      }
+    });
+    kit.items = items;
+    kit.authorizedDesignations = designations;
+
+    await kit.save();
+
+    req.audit({ action: 'kit.update', targetModel: 'Kit', targetId: kit._id, before, after: kit });
+
+    res.json({
+      success: true,
+      message: `Kit ${kit.name} updated`,
+      data: { kit }
+    });
+
+  } catch (error) {
+    console.error('Update kit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating kit',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+module.exports = router;
@@ -6,9 +6,26 @@ const Request = require('../models/Request');
 const { auth } = require('../middleware/auth');
 const { officerOnly, adminOrOfficer } = require('../middleware/roleCheck');
 const EquipmentPool = require('../models/EquipmentPool');
+const Kit = require('../models/Kit');
 
 const router = express.Router();
 
+const DEFAULT_ISSUE_DURATION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const DURATION_UNITS_MS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000
+};
+
+// Parse a free-text duration like "12 hours", "7 days" or "1 month" (defaults to 7 days)
+const parseExpectedDuration = (text) => {
+  const match = /^\s*(\d+)\s*(hour|day|week|month)s?\s*$/i.exec(text || '');
+  if (!match) return DEFAULT_ISSUE_DURATION_MS;
+  return parseInt(match[1]) * DURATION_UNITS_MS[match[2].toLowerCase()];
+};
+
 // Apply auth middleware to all routes
 router.use(auth);
 
@@ -37,6 +54,8 @@ router.get('/dashboard', officerOnly, async (req, res) => {
       status: 'Pending' 
     });
 
+    const myOverdueItems = await EquipmentPool.findOverdueItems(new Date(), req.user._id);
+
     res.json({
       success: true,
       data: {
@@ -44,9 +63,11 @@ router.get('/dashboard', officerOnly, async (req, res) => {
           myRequests,
           myIssuedEquipment,
           availableEquipment,
-          pendingRequests
+          pendingRequests,
+          overdueItems: myOverdueItems.length
         },
-        recentActivity
+        recentActivity,
+        overdueItems: myOverdueItems
       }
     });
 
@@ -184,6 +205,8 @@ router.post('/requests', officerOnly, [
 
     await request.save();
 
+    req.audit({ action: 'request.create', targetModel: 'Request', targetId: request._id, after: request });
+
     const populatedRequest = await Request.findById(request._id)
       .populate('equipmentId', 'name model serialNumber category')
       .populate('requestedBy', 'fullName officerId');
@@ -231,6 +254,14 @@ router.put('/requests/:id/cancel', officerOnly, async (req, res) => {
     request.status = 'Cancelled';
     await request.save();
 
+    req.audit({
+      action: 'request.cancel',
+      targetModel: 'Request',
+      targetId: request._id,
+      before: { status: 'Pending' },
+      after: { status: request.status }
+    });
+
     res.json({
       success: true,
       message: 'Request cancelled successfully',
@@ -272,6 +303,379 @@ router.get('/equipment/issued', officerOnly, async (req, res) => {
   }
 });
 
+// @route   GET /api/officer/pool-items/issued
+// @desc    Get pool items currently issued to the officer
+// @access  Private (Officer only)
+router.get('/pool-items/issued', officerOnly, async (req, res) => {
+  try {
+    const [pools, consumablePools, pendingReturns, kitRequests, pendingKitReturns] = await Promise.all([
+      EquipmentPool.find({ 'items.currentlyIssuedTo.userId': req.user._id })
+        .select('poolName category model manufacturer items'),
+      EquipmentPool.find({
+        consumableIssues: { $elemMatch: { userId: req.user._id, status: 'Issued' } }
+      }).select('poolName category model unit consumableIssues'),
+      Request.find({
+        requestedBy: req.user._id,
+        requestType: 'Return',
+        assignedFromPool: true,
+        status: 'Pending'
+      }).select('poolId assignedEquipmentId requestId'),
+      // Items issued as part of a kit are returned together
+      Request.find({
+        requestedBy: req.user._id,
+        requestType: 'Issue',
+        kitId: { $exists: true },
+        status: 'Approved'
+      }).select('requestId kitName lineItems'),
+      Request.find({
+        requestedBy: req.user._id,
+        requestType: 'Return',
+        kitId: { $exists: true },
+        status: 'Pending'
+      }).select('requestId parentRequest')
+    ]);
+
+    const issuedItems = [];
+
+    pools.forEach(pool => {
+      pool.items.forEach(item => {
+        if (item.status === 'Issued' &&
+            item.currentlyIssuedTo?.userId?.toString() === req.user._id.toString()) {
+          const kitRequest = kitRequests.find(r => r.lineItems.some(line =>
+            line.poolId.toString() === pool._id.toString() &&
+            line.items.some(entry => entry.uniqueId === item.uniqueId)
+          ));
+          const pendingReturn = pendingReturns.find(r =>
+            r.poolId.toString() === pool._id.toString() &&
+            r.assignedEquipmentId === item.uniqueId
+          ) || (kitRequest && pendingKitReturns.find(r =>
+            r.parentRequest?.toString() === kitRequest._id.toString()
+          ));
+
+          issuedItems.push({
+            poolId: pool._id,
+            poolName: pool.poolName,
+            category: pool.category,
+            model: pool.model,
+            manufacturer: pool.manufacturer,
+            uniqueId: item.uniqueId,
+            condition: item.condition,
+            issuedDate: item.currentlyIssuedTo.issuedDate,
+            expectedReturnDate: item.currentlyIssuedTo.expectedReturnDate,
+            purpose: item.currentlyIssuedTo.purpose,
+            pendingReturnRequestId: pendingReturn ? pendingReturn.requestId : null,
+            kitRequest: kitRequest
+              ? { _id: kitRequest._id, requestId: kitRequest.requestId, kitName: kitRequest.kitName }
+              : null
+          });
+        }
+      });
+    });
+
+    issuedItems.sort((a, b) => new Date(b.issuedDate) - new Date(a.issuedDate));
+
+    // Consumable stock still out, awaiting the expenditure report and settlement
+    const consumables = consumablePools.flatMap(pool => pool.consumableIssues
+      .filter(issue => issue.status === 'Issued' && issue.userId.toString() === req.user._id.toString())
+      .map(issue => ({
+        poolId: pool._id,
+        poolName: pool.poolName,
+        category: pool.category,
+        model: pool.model,
+        unit: pool.unit,
+        issueId: issue._id,
+        quantity: issue.quantity,
+        lots: issue.lots.map(lot => lot.lotNumber),
+        issuedDate: issue.issuedDate,
+        expectedReturnDate: issue.expectedReturnDate,
+        purpose: issue.purpose,
+        expenditureReport: issue.expenditureReport?.reportedAt ? issue.expenditureReport : null
+      }))
+    ).sort((a, b) => new Date(b.issuedDate) - new Date(a.issuedDate));
+
+    res.json({
+      success: true,
+      data: { items: issuedItems, consumables }
+    });
+
+  } catch (error) {
+    console.error('Get issued pool items error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching issued pool items',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   POST /api/officer/consumables/:poolId/:issueId/expenditure
+// @desc    Report how much of an issued consumable quantity was expended
+// @access  Private (Officer only)
+router.post('/consumables/:poolId/:issueId/expenditure', officerOnly, [
+  body('expendedQuantity').isInt({ min: 0 }).withMessage('Expended quantity cannot be negative'),
+  body('remarks').optional().trim().isLength({ max: 500 }).withMessage('Remarks cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const pool = await EquipmentPool.findById(req.params.poolId);
+    if (!pool || !pool.isConsumable()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Consumable pool not found'
+      });
+    }
+
+    const expendedQuantity = parseInt(req.body.expendedQuantity, 10);
+    let issue;
+    try {
+      issue = await pool.reportExpenditure(req.params.issueId, req.user._id, expendedQuantity, req.body.remarks);
+    } catch (reportError) {
+      return res.status(400).json({
+        success: false,
+        message: reportError.message
+      });
+    }
+
+    req.audit({
+      action: 'pool.stock.expenditure',
+      targetModel: 'EquipmentPool',
+      targetId: pool._id,
+      after: { issueId: issue._id, quantity: issue.quantity, expenditureReport: issue.expenditureReport }
+    });
+
+    res.json({
+      success: true,
+      message: `Reported ${expendedQuantity} of ${issue.quantity} ${pool.unit} expended. Return the remaining ${issue.quantity - expendedQuantity} to the armory.`,
+      data: { issue }
+    });
+
+  } catch (error) {
+    console.error('Report expenditure error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error reporting expenditure',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   POST /api/officer/return-requests/from-pool
+// @desc    Request to return a pool item issued to the officer
+// @access  Private (Officer only)
+router.post('/return-requests/from-pool', officerOnly, [
+  body('poolId').isMongoId().withMessage('Valid pool ID is required'),
+  body('uniqueId').trim().isLength({ min: 1 }).withMessage('Item ID is required'),
+  body('condition').isIn(['Excellent', 'Good', 'Fair', 'Poor']).withMessage('Valid condition is required'),
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reason is required and cannot exceed 500 characters'),
+  body('priority').optional().isIn(['Low', 'Medium', 'High', 'Urgent'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { poolId, uniqueId, condition, reason, priority } = req.body;
+
+    const pool = await EquipmentPool.findById(poolId);
+    if (!pool) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment pool not found'
+      });
+    }
+
+    const item = pool.findItemByUniqueId(uniqueId);
+    if (!item ||
+        item.status !== 'Issued' ||
+        item.currentlyIssuedTo?.userId?.toString() !== req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This item is not issued to you'
+      });
+    }
+
+    const existingRequest = await Request.findOne({
+      poolId,
+      assignedEquipmentId: uniqueId,
+      requestType: 'Return',
+      status: 'Pending'
+    });
+
+    if (existingRequest) {
+      return res.status(400).json({
+        success: false,
+        message: 'A return request for this item is already pending'
+      });
+    }
+
+    const request = new Request({
+      requestedBy: req.user._id,
+      poolId,
+      poolName: pool.poolName,
+      assignedEquipmentId: uniqueId,
+      assignedFromPool: true,
+      declaredCondition: condition,
+      requestType: 'Return',
+      reason,
+      priority: priority || 'Medium'
+    });
+
+    await request.save();
+
+    req.audit({ action: 'request.create', targetModel: 'Request', targetId: request._id, after: request });
+
+    const populatedRequest = await Request.findById(request._id)
+      .populate('requestedBy', 'fullName officerId');
+
+    res.status(201).json({
+      success: true,
+      message: 'Return request submitted successfully',
+      data: { request: populatedRequest }
+    });
+
+  } catch (error) {
+    console.error('Create pool return request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating return request',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   POST /api/officer/return-requests/from-kit
+// @desc    Request to return every item still held from an issued kit, with the condition of each
+// @access  Private (Officer only)
+router.post('/return-requests/from-kit', officerOnly, [
+  body('requestId').isMongoId().withMessage('Valid kit request is required'),
+  body('conditions').isObject().withMessage('A condition is required for every item'),
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reason is required and cannot exceed 500 characters'),
+  body('priority').optional().isIn(['Low', 'Medium', 'High', 'Urgent'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { requestId, conditions, reason, priority } = req.body;
+
+    const kitRequest = await Request.findOne({
+      _id: requestId,
+      requestedBy: req.user._id,
+      requestType: 'Issue',
+      kitId: { $exists: true },
+      status: 'Approved'
+    });
+
+    if (!kitRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'No issued kit found for this request'
+      });
+    }
+
+    const existingRequest = await Request.findOne({
+      parentRequest: kitRequest._id,
+      requestType: 'Return',
+      status: 'Pending'
+    });
+
+    if (existingRequest) {
+      return res.status(400).json({
+        success: false,
+        message: 'A return request for this kit is already pending'
+      });
+    }
+
+    // Items handed back separately since the kit was issued are left out
+    const pools = await EquipmentPool.find({ _id: { $in: kitRequest.lineItems.map(line => line.poolId) } })
+      .select('items.uniqueId items.status items.currentlyIssuedTo');
+    const heldIds = new Set(pools.flatMap(pool => pool.items
+      .filter(item => item.status === 'Issued' && item.currentlyIssuedTo?.userId?.toString() === req.user._id.toString())
+      .map(item => `${pool._id}:${item.uniqueId}`)));
+
+    const lineItems = kitRequest.lineItems
+      .map(line => ({
+        poolId: line.poolId,
+        poolName: line.poolName,
+        quantity: line.items.filter(entry => heldIds.has(`${line.poolId}:${entry.uniqueId}`)).length,
+        items: line.items
+          .filter(entry => heldIds.has(`${line.poolId}:${entry.uniqueId}`))
+          .map(entry => ({ uniqueId: entry.uniqueId, declaredCondition: conditions[entry.uniqueId] }))
+      }))
+      .filter(line => line.items.length > 0);
+
+    if (lineItems.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'You no longer hold any items from this kit'
+      });
+    }
+
+    const missing = lineItems
+      .flatMap(line => line.items)
+      .filter(entry => !['Excellent', 'Good', 'Fair', 'Poor'].includes(entry.declaredCondition))
+      .map(entry => entry.uniqueId);
+
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Select a valid condition for ${missing.join(', ')}`
+      });
+    }
+
+    const request = new Request({
+      requestedBy: req.user._id,
+      kitId: kitRequest.kitId,
+      kitName: kitRequest.kitName,
+      lineItems,
+      parentRequest: kitRequest._id,
+      requestType: 'Return',
+      reason,
+      priority: priority || 'Medium'
+    });
+
+    await request.save();
+
+    req.audit({ action: 'request.create', targetModel: 'Request', targetId: request._id, after: request });
+
+    const populatedRequest = await Request.findById(request._id)
+      .populate('requestedBy', 'fullName officerId');
+
+    res.status(201).json({
+      success: true,
+      message: 'Kit return request submitted successfully',
+      data: { request: populatedRequest }
+    });
+
+  } catch (error) {
+    console.error('Create kit return request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating kit return request',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
 // @route   GET /api/officer/inventory
 // @desc    View available equipment inventory (Equipment Pools authorized for officer)
 // @access  Private (Officer and Admin)
@@ -300,7 +704,7 @@ router.get('/inventory', adminOrOfficer, async (req, res) => {
 
     const [pools, total, categories] = await Promise.all([
       EquipmentPool.find(query)
-        .select('poolName category model manufacturer totalQuantity availableCount issuedCount location')
+        .select('poolName category model manufacturer totalQuantity availableCount issuedCount location trackingType unit')
         .sort({ poolName: 1 })
         .skip(skip)
         .limit(limit),
@@ -378,7 +782,8 @@ router.get('/equipment/:id', adminOrOfficer, async (req, res) => {
 router.post('/equipment-requests/from-pool', officerOnly, [
   body('poolId').isMongoId().withMessage('Valid pool ID is required'),
   body('poolName').trim().isLength({ min: 1 }).withMessage('Pool name is required'),
-  body('reason').trim().isLength({ min: 1 }).withMessage('Purpose is required')
+  body('reason').trim().isLength({ min: 1 }).withMessage('Purpose is required'),
+  body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -415,19 +820,31 @@ router.post('/equipment-requests/from-pool', officerOnly, [
       });
     }
     
+    // Consumables are requested by quantity
+    const quantity = pool.isConsumable() ? parseInt(req.body.quantity, 10) || 1 : undefined;
+    if (quantity > pool.availableCount) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${pool.availableCount} ${pool.unit} in stock`
+      });
+    }
+    
     const request = new Request({
       requestedBy: req.user._id,
       equipmentId: null,
       poolId: poolId,
       poolName: poolName,
+      quantity,
       requestType: 'Issue',
       reason: reason,
       priority: priority || 'Medium',
-      expectedReturnDate: expectedDuration ? new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) : undefined
+      expectedReturnDate: new Date(Date.now() + parseExpectedDuration(expectedDuration))
     });
     
     await request.save();
     
+    req.audit({ action: 'request.create', targetModel: 'Request', targetId: request._id, after: request });
+    
     const populatedRequest = await Request.findById(request._id)
       .populate('requestedBy', 'fullName officerId designation email');
     
@@ -445,6 +862,78 @@ router.post('/equipment-requests/from-pool', officerOnly, [
   }
 });
 
+// @route   POST /api/officer/equipment-requests/from-kit
+// @desc    Request a whole kit; one request with a line per kit pool
+// @access  Private (Officer only)
+router.post('/equipment-requests/from-kit', officerOnly, [
+  body('kitId').isMongoId().withMessage('Valid kit ID is required'),
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Purpose is required and cannot exceed 500 characters'),
+  body('priority').optional().isIn(['Low', 'Medium', 'High', 'Urgent'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { kitId, reason, priority, expectedDuration } = req.body;
+
+    const kit = await Kit.findOne({ _id: kitId, isActive: true });
+    if (!kit) {
+      return res.status(404).json({
+        success: false,
+        message: 'Kit not found'
+      });
+    }
+
+    if (!kit.authorizedDesignations.includes(req.user.designation)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to request this kit'
+      });
+    }
+
+    const request = new Request({
+      requestedBy: req.user._id,
+      kitId: kit._id,
+      kitName: kit.name,
+      lineItems: kit.items.map(item => ({
+        poolId: item.poolId,
+        poolName: item.poolName,
+        quantity: item.quantity
+      })),
+      requestType: 'Issue',
+      reason,
+      priority: priority || 'Medium',
+      expectedReturnDate: new Date(Date.now() + parseExpectedDuration(expectedDuration))
+    });
+
+    await request.save();
+
+    req.audit({ action: 'request.create', targetModel: 'Request', targetId: request._id, after: request });
+
+    const populatedRequest = await Request.findById(request._id)
+      .populate('requestedBy', 'fullName officerId designation email');
+
+    res.status(201).json({
+      success: true,
+      message: 'Kit request submitted successfully',
+      data: { request: populatedRequest }
+    });
+  } catch (error) {
+    console.error('Create kit request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating kit request',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
 // Get my requests
 router.get('/my-requests', officerOnly, async (req, res) => {
   try {
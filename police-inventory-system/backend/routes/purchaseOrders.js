@@ -0,0 +1,717 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const EquipmentPool = require('../models/EquipmentPool');
+const { auth } = require('../middleware/auth');
+const { adminOnly } = require('../middleware/roleCheck');
+
+const router = express.Router();
+
+// Purchase orders are handled by admins only
+router.use(auth, adminOnly);
+
+const POOL_CATEGORIES = [
+  'Firearm', 'Ammunition', 'Protective Gear', 'Communication Device',
+  'Vehicle', 'Tactical Equipment', 'Less-Lethal Weapon', 'Forensic Equipment',
+  'Medical Supplies', 'Office Equipment', 'Other'
+];
+
+const populateOrder = (query) => query
+  .populate('supplier', 'name contactPerson email phone')
+  .populate('createdBy', 'fullName officerId')
+  .populate('approvedBy', 'fullName officerId')
+  .populate('orderedBy', 'fullName officerId')
+  .populate('receipts.receivedBy', 'fullName officerId');
+
+// Fields shared by create and update; supplier and lines are required on create only
+const orderValidation = [
+  body('lines.*.poolId').optional({ checkFalsy: true }).isMongoId().withMessage('Valid pool is required'),
+  body('lines.*.quantity').isInt({ min: 1, max: 500 }).withMessage('Line quantity must be between 1 and 500'),
+  body('lines.*.unitCost').isFloat({ min: 0 }).withMessage('Unit cost cannot be negative'),
+  body('expectedDeliveryDate').optional({ checkFalsy: true }).isISO8601().withMessage('Valid delivery date is required'),
+  body('orderReference').optional().trim(),
+  body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters')
+];
+
+// Check the order lines. Lines with a poolId order more of an existing pool and take its
+// details; the others describe a new pool that is created when its goods are received.
+// Returns { lines, problems } like the kit line check.
+const checkOrderLines = async (lines) => {
+  const poolIds = lines.filter(line => line.poolId).map(line => line.poolId.toString());
+  const pools = await EquipmentPool.find({ _id: { $in: poolIds } })
+    .select('poolName category model manufacturer trackingType unit location');
+  const poolsById = Object.fromEntries(pools.map(pool => [pool._id.toString(), pool]));
+  const problems = [];
+
+  if (new Set(poolIds).size !== poolIds.length) {
+    problems.push('Each pool can appear only once in an order; raise its quantity instead');
+  }
+
+  const checked = lines.map(line => {
+    const quantity = parseInt(line.quantity);
+    const unitCost = Number(line.unitCost);
+
+    if (line.poolId) {
+      const pool = poolsById[line.poolId.toString()];
+      if (!pool) {
+        problems.push(`Pool ${line.poolId} not found`);
+        return line;
+      }
+      return {
+        poolId: pool._id,
+        poolName: pool.poolName,
+        category: pool.category,
+        model: pool.model,
+        manufacturer: pool.manufacturer,
+        trackingType: pool.trackingType,
+        unit: pool.unit,
+        location: pool.location,
+        quantity,
+        unitCost
+      };
+    }
+
+    const name = line.poolName?.trim() || 'New pool';
+    const trackingType = line.trackingType === 'Consumable' ? 'Consumable' : 'Individual';
+    if (!line.poolName?.trim()) problems.push('Pool name is required for a new pool');
+    if (!POOL_CATEGORIES.includes(line.category)) problems.push(`${name}: valid category is required`);
+    if (!line.model?.trim()) problems.push(`${name}: model is required`);
+    if (!line.location?.trim()) problems.push(`${name}: location is required`);
+    if (!Array.isArray(line.authorizedDesignations) || line.authorizedDesignations.length === 0) {
+      problems.push(`${name}: at least one authorized designation is required`);
+    }
+    if (trackingType === 'Individual' && !/^[A-Za-z0-9]{2,5}$/.test(line.itemPrefix || '')) {
+      problems.push(`${name}: item prefix must be 2-5 letters or digits`);
+    }
+
+    return {
+      newPool: true,
+      poolName: line.poolName?.trim(),
+      category: line.category,
+      model: line.model?.trim(),
+      manufacturer: line.manufacturer?.trim() || undefined,
+      trackingType,
+      unit: trackingType === 'Consumable' ? (line.unit?.trim() || undefined) : undefined,
+      itemPrefix: trackingType === 'Individual' ? line.itemPrefix.toUpperCase() : undefined,
+      authorizedDesignations: line.authorizedDesignations,
+      location: line.location?.trim(),
+      station: line.station || undefined,
+      quantity,
+      unitCost
+    };
+  });
+
+  return { lines: checked, problems };
+};
+
+// Load the pool a line receives into. A new-pool line creates its pool the first time;
+// the pool ID was fixed when the line was claimed, so two receipts cannot create it twice.
+const poolForLine = async (order, line, userId) => {
+  const existing = await EquipmentPool.findById(line.poolId);
+  if (existing) return existing;
+
+  if (!line.newPool) {
+    throw new Error(`Equipment pool for ${line.poolName} not found`);
+  }
+
+  try {
+    const pool = new EquipmentPool({
+      _id: line.poolId,
+      poolName: line.poolName,
+      category: line.category,
+      model: line.model,
+      manufacturer: line.manufacturer,
+      trackingType: line.trackingType,
+      unit: line.unit,
+      itemPrefix: line.itemPrefix,
+      authorizedDesignations: line.authorizedDesignations,
+      location: line.location,
+      station: line.station,
+      totalQuantity: 0,
+      purchaseDate: new Date(),
+      supplier: order.supplierName,
+      notes: `Created on receipt of purchase order ${order.poNumber}`,
+      addedBy: userId
+    });
+    pool.updateCounts();
+    await pool.save();
+    return pool;
+  } catch (error) {
+    if (error.code === 11000) {
+      return EquipmentPool.findById(line.poolId);
+    }
+    throw error;
+  }
+};
+
+// Receive part of a line: claim the quantity on the order, then add the items (or the lot)
+// to the pool. The claim is given back if the pool could not take the goods.
+const receiveLine = async (order, line, entry, userId) => {
+  const quantity = parseInt(entry.quantity);
+  const claimed = await order.claimLine(line, quantity);
+
+  try {
+    const pool = await poolForLine(order, claimed, userId);
+    const receipt = {
+      lineId: line._id,
+      poolId: pool._id,
+      poolName: pool.poolName,
+      category: pool.category,
+      quantity,
+      unitCost: claimed.unitCost
+    };
+
+    if (pool.isConsumable()) {
+      const lot = await pool.receiveLot({
+        lotNumber: entry.lotNumber,
+        quantity,
+        expiryDate: entry.expiryDate,
+        unitCost: claimed.unitCost,
+        purchaseOrder: order._id,
+        notes: `Purchase order ${order.poNumber}`
+      }, userId);
+      return { ...receipt, lotNumber: lot.lotNumber };
+    }
+
+    const items = await pool.addItems(quantity, {
+      condition: entry.condition,
+      location: claimed.location,
+      unitCost: claimed.unitCost,
+      purchaseOrder: order._id,
+      warrantyExpiry: entry.warrantyExpiry || undefined
+    });
+    return { ...receipt, uniqueIds: items.map(item => item.uniqueId) };
+  } catch (error) {
+    await order.releaseLine(line._id, quantity);
+    throw error;
+  }
+};
+
+// @route   GET /api/purchase-orders
+// @desc    List purchase orders (filter by status, supplier or pool)
+// @access  Private (Admin only)
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const { status, supplier, poolId, search } = req.query;
+
+    const query = {
+      ...(status && { status }),
+      ...(supplier && { supplier }),
+      ...(poolId && { 'lines.poolId': poolId }),
+      ...(search && {
+        $or: [
+          { poNumber: { $regex: search, $options: 'i' } },
+          { supplierName: { $regex: search, $options: 'i' } },
+          { orderReference: { $regex: search, $options: 'i' } },
+          { 'lines.poolName': { $regex: search, $options: 'i' } }
+        ]
+      })
+    };
+
+    const [orders, total] = await Promise.all([
+      populateOrder(PurchaseOrder.find(query))
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      PurchaseOrder.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        orders,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get purchase orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching purchase orders',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   GET /api/purchase-orders/:id
+// @desc    Get a purchase order with its receipts
+// @access  Private (Admin only)
+router.get('/:id', async (req, res) => {
+  try {
+    const order = await populateOrder(PurchaseOrder.findById(req.params.id));
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { order }
+    });
+
+  } catch (error) {
+    console.error('Get purchase order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching purchase order',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   POST /api/purchase-orders
+// @desc    Create a draft purchase order
+// @access  Private (Admin only)
+router.post('/', [
+  body('supplier').isMongoId().withMessage('Valid supplier is required'),
+  body('lines').isArray({ min: 1, max: 50 }).withMessage('An order needs between 1 and 50 lines'),
+  ...orderValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const supplier = await Supplier.findOne({ _id: req.body.supplier, isActive: true });
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const { lines, problems } = await checkOrderLines(req.body.lines);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: problems.join('. ')
+      });
+    }
+
+    const { expectedDeliveryDate, orderReference, notes } = req.body;
+
+    const order = await PurchaseOrder.create({
+      supplier: supplier._id,
+      supplierName: supplier.name,
+      lines,
+      expectedDeliveryDate: expectedDeliveryDate ? new Date(expectedDeliveryDate) : undefined,
+      orderReference,
+      notes,
+      createdBy: req.user._id
+    });
+
+    req.audit({ action: 'purchaseOrder.create', targetModel: 'PurchaseOrder', targetId: order._id, after: order });
+
+    res.status(201).json({
+      success: true,
+      message: `Purchase order ${order.poNumber} created`,
+      data: { order: await populateOrder(PurchaseOrder.findById(order._id)) }
+    });
+
+  } catch (error) {
+    console.error('Create purchase order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating purchase order',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   PUT /api/purchase-orders/:id
+// @desc    Edit a draft purchase order
+// @access  Private (Admin only)
+router.put('/:id', [
+  body('supplier').optional().isMongoId().withMessage('Valid supplier is required'),
+  body('lines').optional().isArray({ min: 1, max: 50 }).withMessage('An order needs between 1 and 50 lines'),
+  ...orderValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const order = await PurchaseOrder.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (order.status !== 'Draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft purchase orders can be edited'
+      });
+    }
+
+    const before = order.toObject();
+
+    if (req.body.supplier && req.body.supplier !== order.supplier.toString()) {
+      const supplier = await Supplier.findOne({ _id: req.body.supplier, isActive: true });
+      if (!supplier) {
+        return res.status(404).json({
+          success: false,
+          message: 'Supplier not found'
+        });
+      }
+      order.supplier = supplier._id;
+      order.supplierName = supplier.name;
+    }
+
+    if (req.body.lines) {
+      const { lines, problems } = await checkOrderLines(req.body.lines);
+      if (problems.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: problems.join('. ')
+        });
+      }
+      order.lines = lines;
+    }
+
+    ['orderReference', 'notes'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        order[field] = req.body[field];
+      }
+    });
+    if (req.body.expectedDeliveryDate !== undefined) {
+      order.expectedDeliveryDate = req.body.expectedDeliveryDate ? new Date(req.body.expectedDeliveryDate) : undefined;
+    }
+
+    await order.save();
+
+    req.audit({ action: 'purchaseOrder.update', targetModel: 'PurchaseOrder', targetId: order._id, before, after: order });
+
+    res.json({
+      success: true,
+      message: `Purchase order ${order.poNumber} updated`,
+      data: { order: await populateOrder(PurchaseOrder.findById(order._id)) }
+    });
+
+  } catch (error) {
+    console.error('Update purchase order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating purchase order',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   PUT /api/purchase-orders/:id/approve
+// @desc    Approve a draft purchase order
+// @access  Private (Admin only)
+router.put('/:id/approve', async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findOneAndUpdate(
+      { _id: req.params.id, status: 'Draft' },
+      { $set: { status: 'Approved', approvedBy: req.user._id, approvedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!order) {
+      const exists = await PurchaseOrder.exists({ _id: req.params.id });
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists ? 'Only draft purchase orders can be approved' : 'Purchase order not found'
+      });
+    }
+
+    req.audit({
+      action: 'purchaseOrder.approve',
+      targetModel: 'PurchaseOrder',
+      targetId: order._id,
+      before: { status: 'Draft' },
+      after: { status: order.status, totalCost: order.totalCost }
+    });
+
+    res.json({
+      success: true,
+      message: `Purchase order ${order.poNumber} approved`,
+      data: { order: await populateOrder(PurchaseOrder.findById(order._id)) }
+    });
+
+  } catch (error) {
+    console.error('Approve purchase order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error approving purchase order',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   PUT /api/purchase-orders/:id/order
+// @desc    Mark an approved purchase order as placed with the supplier
+// @access  Private (Admin only)
+router.put('/:id/order', [
+  body('orderReference').optional().trim(),
+  body('expectedDeliveryDate').optional({ checkFalsy: true }).isISO8601().withMessage('Valid delivery date is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { orderReference, expectedDeliveryDate } = req.body;
+
+    const order = await PurchaseOrder.findOneAndUpdate(
+      { _id: req.params.id, status: 'Approved' },
+      {
+        $set: {
+          status: 'Ordered',
+          orderedBy: req.user._id,
+          orderedAt: new Date(),
+          ...(orderReference && { orderReference }),
+          ...(expectedDeliveryDate && { expectedDeliveryDate: new Date(expectedDeliveryDate) })
+        }
+      },
+      { new: true }
+    );
+
+    if (!order) {
+      const exists = await PurchaseOrder.exists({ _id: req.params.id });
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists ? 'Only approved purchase orders can be placed' : 'Purchase order not found'
+      });
+    }
+
+    req.audit({
+      action: 'purchaseOrder.order',
+      targetModel: 'PurchaseOrder',
+      targetId: order._id,
+      before: { status: 'Approved' },
+      after: { status: order.status, orderReference: order.orderReference }
+    });
+
+    res.json({
+      success: true,
+      message: `Purchase order ${order.poNumber} placed with ${order.supplierName}`,
+      data: { order: await populateOrder(PurchaseOrder.findById(order._id)) }
+    });
+
+  } catch (error) {
+    console.error('Place purchase order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error placing purchase order',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   PUT /api/purchase-orders/:id/receive
+// @desc    Receive goods against an order: items or lots are added to the line's pool
+//          (created on first receipt for new pools) with the line's unit cost
+// @access  Private (Admin only)
+router.put('/:id/receive', [
+  body('lines').isArray({ min: 1 }).withMessage('Receive at least one line'),
+  body('lines.*.lineId').isMongoId().withMessage('Valid order line is required'),
+  body('lines.*.quantity').isInt({ min: 1, max: 500 }).withMessage('Received quantity must be between 1 and 500'),
+  body('lines.*.condition').optional().isIn(['Excellent', 'Good', 'Fair', 'Poor']).withMessage('Valid condition is required'),
+  body('lines.*.expiryDate').optional({ checkFalsy: true }).isISO8601().withMessage('Valid expiry date is required'),
+  body('lines.*.warrantyExpiry').optional({ checkFalsy: true }).isISO8601().withMessage('Valid warranty expiry date is required'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const order = await PurchaseOrder.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (!PurchaseOrder.RECEIVABLE_STATUSES.includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot receive goods against a ${order.status.toLowerCase()} purchase order`
+      });
+    }
+
+    // Check every entry before anything is received
+    const problems = [];
+    const lineIds = req.body.lines.map(entry => entry.lineId);
+    if (new Set(lineIds).size !== lineIds.length) {
+      problems.push('Each order line can appear only once in a receipt');
+    }
+    req.body.lines.forEach(entry => {
+      const line = order.lines.id(entry.lineId);
+      if (!line) {
+        problems.push(`Line ${entry.lineId} is not on this order`);
+        return;
+      }
+      const remaining = line.quantity - line.receivedQuantity;
+      if (parseInt(entry.quantity) > remaining) {
+        problems.push(`Only ${remaining} of ${line.poolName} remain to be received`);
+      }
+      if (line.trackingType === 'Consumable' && !entry.lotNumber?.trim()) {
+        problems.push(`${line.poolName}: lot number is required`);
+      }
+    });
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: problems.join('. ')
+      });
+    }
+
+    // Lines are received one by one; a line that fails is reported and the rest are kept
+    const receivedLines = [];
+    const failures = [];
+    for (const entry of req.body.lines) {
+      const line = order.lines.id(entry.lineId);
+      try {
+        receivedLines.push(await receiveLine(order, line, entry, req.user._id));
+      } catch (lineError) {
+        failures.push(`${line.poolName}: ${lineError.message}`);
+      }
+    }
+
+    if (receivedLines.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: failures.join('. ')
+      });
+    }
+
+    const updated = await PurchaseOrder.findByIdAndUpdate(
+      order._id,
+      {
+        $push: {
+          receipts: {
+            receivedAt: new Date(),
+            receivedBy: req.user._id,
+            notes: req.body.notes,
+            lines: receivedLines
+          }
+        }
+      },
+      { new: true }
+    );
+
+    // Claims are booked before the receipt, so the last receipt always sees every line complete
+    if (updated.isFullyReceived()) {
+      await PurchaseOrder.updateOne({ _id: order._id }, { $set: { status: 'Received', receivedAt: new Date() } });
+    } else {
+      await PurchaseOrder.updateOne({ _id: order._id, status: 'Ordered' }, { $set: { status: 'Partially Received' } });
+    }
+
+    req.audit({
+      action: 'purchaseOrder.receive',
+      targetModel: 'PurchaseOrder',
+      targetId: order._id,
+      before: { status: order.status },
+      after: { lines: receivedLines, failures }
+    });
+
+    const receivedCount = receivedLines.reduce((sum, line) => sum + line.quantity, 0);
+
+    res.json({
+      success: true,
+      message: failures.length > 0
+        ? `Received ${receivedCount} unit(s) against ${order.poNumber}. Not received: ${failures.join('. ')}`
+        : `Received ${receivedCount} unit(s) against ${order.poNumber}`,
+      data: {
+        order: await populateOrder(PurchaseOrder.findById(order._id)),
+        receivedLines,
+        failures
+      }
+    });
+
+  } catch (error) {
+    console.error('Receive purchase order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error receiving purchase order',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   PUT /api/purchase-orders/:id/cancel
+// @desc    Cancel a purchase order before any goods have been received
+// @access  Private (Admin only)
+router.put('/:id/cancel', async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        status: { $in: ['Draft', 'Approved', 'Ordered'] },
+        'lines.receivedQuantity': { $not: { $gt: 0 } }
+      },
+      { $set: { status: 'Cancelled', cancelledBy: req.user._id, cancelledAt: new Date() } }
+    );
+
+    if (!order) {
+      const exists = await PurchaseOrder.exists({ _id: req.params.id });
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists ? 'Only purchase orders with nothing received can be cancelled' : 'Purchase order not found'
+      });
+    }
+
+    req.audit({
+      action: 'purchaseOrder.cancel',
+      targetModel: 'PurchaseOrder',
+      targetId: order._id,
+      before: { status: order.status },
+      after: { status: 'Cancelled' }
+    });
+
+    res.json({
+      success: true,
+      message: `Purchase order ${order.poNumber} cancelled`,
+      data: { order: await populateOrder(PurchaseOrder.findById(order._id)) }
+    });
+
+  } catch (error) {
+    console.error('Cancel purchase order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error cancelling purchase order',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,202 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Station = require('../models/Station');
+const EquipmentPool = require('../models/EquipmentPool');
+const { auth } = require('../middleware/auth');
+const { adminOnly } = require('../middleware/roleCheck');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(auth);
+
+const STATION_TYPES = ['Police Station', 'Malkhana', 'Armory', 'District HQ', 'Training Centre', 'Other'];
+
+// Fields shared by create and update; name and code are required on create only
+const stationValidation = [
+  body('type').optional().isIn(STATION_TYPES).withMessage('Valid station type is required'),
+  body('district').optional().trim(),
+  body('address').optional().trim().isLength({ max: 300 }).withMessage('Address cannot exceed 300 characters'),
+  body('contactNumber').optional().trim(),
+  body('inCharge').optional({ nullable: true, checkFalsy: true }).isMongoId().withMessage('Valid officer is required')
+];
+
+// @route   GET /api/stations
+// @desc    List stations with the number of items each one holds
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const query = req.user.role === 'admin' && req.query.includeInactive === 'true'
+      ? {}
+      : { isActive: true };
+
+    const [stations, holdings] = await Promise.all([
+      Station.find(query)
+        .populate('inCharge', 'fullName officerId designation')
+        .sort({ name: 1 }),
+      // Items without a station of their own are held at their pool's station
+      EquipmentPool.aggregate([
+        { $unwind: '$items' },
+        { $match: { 'items.status': { $ne: 'Retired' } } },
+        {
+          $group: {
+            _id: { $ifNull: ['$items.station', '$station'] },
+            itemCount: { $sum: 1 },
+            availableCount: { $sum: { $cond: [{ $eq: ['$items.status', 'Available'] }, 1, 0] } }
+          }
+        }
+      ])
+    ]);
+
+    const holdingsByStation = Object.fromEntries(
+      holdings.filter(holding => holding._id).map(holding => [holding._id.toString(), holding])
+    );
+
+    res.json({
+      success: true,
+      data: {
+        stations: stations.map(station => ({
+          ...station.toJSON(),
+          itemCount: holdingsByStation[station._id.toString()]?.itemCount || 0,
+          availableCount: holdingsByStation[station._id.toString()]?.availableCount || 0
+        })),
+        unassignedCount: holdings.find(holding => !holding._id)?.itemCount || 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Get stations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching stations',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   POST /api/stations
+// @desc    Create a station
+// @access  Private (Admin only)
+router.post('/', adminOnly, [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Station name must be 2-100 characters'),
+  body('code').trim().matches(/^[A-Za-z0-9-]{2,12}$/).withMessage('Station code must be 2-12 letters, digits or hyphens'),
+  ...stationValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { name, code, type, district, address, contactNumber, inCharge } = req.body;
+
+    const existing = await Station.findOne({ code: code.toUpperCase() });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `Station code ${code.toUpperCase()} is already used by ${existing.name}`
+      });
+    }
+
+    const station = await Station.create({
+      name,
+      code,
+      type,
+      district,
+      address,
+      contactNumber,
+      inCharge: inCharge || undefined,
+      createdBy: req.user._id
+    });
+
+    req.audit({ action: 'station.create', targetModel: 'Station', targetId: station._id, after: station });
+
+    res.status(201).json({
+      success: true,
+      message: `Station ${station.name} created`,
+      data: { station }
+    });
+
+  } catch (error) {
+    console.error('Create station error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating station',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   PUT /api/stations/:id
+// @desc    Update a station (set isActive to false to close it)
+// @access  Private (Admin only)
+router.put('/:id', adminOnly, [
+  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Station name must be 2-100 characters'),
+  body('code').optional().trim().matches(/^[A-Za-z0-9-]{2,12}$/).withMessage('Station code must be 2-12 letters, digits or hyphens'),
+  ...stationValidation,
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const station = await Station.findById(req.params.id);
+    if (!station) {
+      return res.status(404).json({
+        success: false,
+        message: 'Station not found'
+      });
+    }
+
+    const before = station.toObject();
+
+    if (req.body.code && req.body.code.toUpperCase() !== station.code) {
+      const existing = await Station.findOne({ code: req.body.code.toUpperCase() });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: `Station code ${req.body.code.toUpperCase()} is already used by ${existing.name}`
+        });
+      }
+    }
+
+    ['name', 'code', 'type', 'district', 'address', 'contactNumber', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        station[field] = req.body[field];
+      }
+    });
+    if (req.body.inCharge !== undefined) {
+      station.inCharge = req.body.inCharge || undefined;
+    }
+
+    await station.save();
+
+    req.audit({ action: 'station.update', targetModel: 'Station', targetId: station._id, before, after: station });
+
+    res.json({
+      success: true,
+      message: `Station ${station.name} updated`,
+      data: { station }
+    });
+
+  } catch (error) {
+    console.error('Update station error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating station',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+module.exports = router;
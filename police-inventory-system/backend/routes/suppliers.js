@@ -0,0 +1,191 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Supplier = require('../models/Supplier');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const { auth } = require('../middleware/auth');
+const { adminOnly } = require('../middleware/roleCheck');
+
+const router = express.Router();
+
+// Suppliers are managed by admins only
+router.use(auth, adminOnly);
+
+// Fields shared by create and update; name is required on create only
+const supplierValidation = [
+  body('contactPerson').optional().trim(),
+  body('email').optional({ checkFalsy: true }).trim().isEmail().withMessage('Valid email is required'),
+  body('phone').optional().trim(),
+  body('address').optional().trim().isLength({ max: 300 }).withMessage('Address cannot exceed 300 characters'),
+  body('registrationNumber').optional().trim(),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+];
+
+// @route   GET /api/suppliers
+// @desc    List suppliers with their order count and the value received from them
+// @access  Private (Admin only)
+router.get('/', async (req, res) => {
+  try {
+    const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+
+    const [suppliers, totals] = await Promise.all([
+      Supplier.find(query).sort({ name: 1 }),
+      PurchaseOrder.aggregate([
+        { $match: { status: { $ne: 'Cancelled' } } },
+        { $unwind: '$lines' },
+        {
+          $group: {
+            _id: '$supplier',
+            orders: { $addToSet: '$_id' },
+            receivedValue: { $sum: { $multiply: ['$lines.receivedQuantity', '$lines.unitCost'] } }
+          }
+        }
+      ])
+    ]);
+
+    const totalsBySupplier = Object.fromEntries(totals.map(total => [total._id.toString(), total]));
+
+    res.json({
+      success: true,
+      data: {
+        suppliers: suppliers.map(supplier => ({
+          ...supplier.toJSON(),
+          orderCount: totalsBySupplier[supplier._id.toString()]?.orders.length || 0,
+          receivedValue: totalsBySupplier[supplier._id.toString()]?.receivedValue || 0
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get suppliers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching suppliers',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   POST /api/suppliers
+// @desc    Create a supplier
+// @access  Private (Admin only)
+router.post('/', [
+  body('name').trim().isLength({ min: 2, max: 150 }).withMessage('Supplier name must be 2-150 characters'),
+  ...supplierValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { name, contactPerson, email, phone, address, registrationNumber, notes } = req.body;
+
+    const existing = await Supplier.findOne({ name });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `A supplier named ${name} already exists`
+      });
+    }
+
+    const supplier = await Supplier.create({
+      name,
+      contactPerson,
+      email: email || undefined,
+      phone,
+      address,
+      registrationNumber,
+      notes,
+      createdBy: req.user._id
+    });
+
+    req.audit({ action: 'supplier.create', targetModel: 'Supplier', targetId: supplier._id, after: supplier });
+
+    res.status(201).json({
+      success: true,
+      message: `Supplier ${supplier.name} created`,
+      data: { supplier }
+    });
+
+  } catch (error) {
+    console.error('Create supplier error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating supplier',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   PUT /api/suppliers/:id
+// @desc    Update a supplier (set isActive to false to stop ordering from it)
+// @access  Private (Admin only)
+router.put('/:id', [
+  body('name').optional().trim().isLength({ min: 2, max: 150 }).withMessage('Supplier name must be 2-150 characters'),
+  ...supplierValidation,
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const before = supplier.toObject();
+
+    if (req.body.name && req.body.name !== supplier.name) {
+      const existing = await Supplier.findOne({ name: req.body.name });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: `A supplier named ${req.body.name} already exists`
+        });
+      }
+    }
+
+    ['name', 'contactPerson', 'phone', 'address', 'registrationNumber', 'notes', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        supplier[field] = req.body[field];
+      }
+    });
+    if (req.body.email !== undefined) {
+      supplier.email = req.body.email || undefined;
+    }
+
+    await supplier.save();
+
+    req.audit({ action: 'supplier.update', targetModel: 'Supplier', targetId: supplier._id, before, after: supplier });
+
+    res.json({
+      success: true,
+      message: `Supplier ${supplier.name} updated`,
+      data: { supplier }
+    });
+
+  } catch (error) {
+    console.error('Update supplier error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating supplier',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,391 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Transfer = require('../models/Transfer');
+const Station = require('../models/Station');
+const EquipmentPool = require('../models/EquipmentPool');
+const { auth } = require('../middleware/auth');
+const { adminOnly } = require('../middleware/roleCheck');
+
+const router = express.Router();
+
+// Transfers are handled by admins only
+router.use(auth, adminOnly);
+
+const OPEN_STATUSES = ['Requested', 'Dispatched'];
+
+const populateTransfer = (query) => query
+  .populate('fromStation', 'name code')
+  .populate('toStation', 'name code')
+  .populate('requestedBy', 'fullName officerId')
+  .populate('dispatchedBy', 'fullName officerId')
+  .populate('receivedBy', 'fullName officerId');
+
+// Load a transfer with its pool, or send the 404
+const loadTransfer = async (req, res) => {
+  const transfer = await Transfer.findById(req.params.id);
+  if (!transfer) {
+    res.status(404).json({
+      success: false,
+      message: 'Transfer not found'
+    });
+    return {};
+  }
+
+  const pool = await EquipmentPool.findById(transfer.poolId);
+  if (!pool) {
+    res.status(404).json({
+      success: false,
+      message: 'Equipment pool not found'
+    });
+    return {};
+  }
+
+  return { transfer, pool };
+};
+
+// @route   GET /api/transfers
+// @desc    List transfers (filter by status, station or pool)
+// @access  Private (Admin only)
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const { status, station, poolId, search } = req.query;
+
+    const query = {
+      ...(status && { status }),
+      ...(poolId && { poolId }),
+      ...(station && { $or: [{ fromStation: station }, { toStation: station }] }),
+      ...(search && {
+        $and: [{
+          $or: [
+            { transferId: { $regex: search, $options: 'i' } },
+            { poolName: { $regex: search, $options: 'i' } },
+            { uniqueIds: { $regex: search, $options: 'i' } }
+          ]
+        }]
+      })
+    };
+
+    const [transfers, total] = await Promise.all([
+      populateTransfer(Transfer.find(query))
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Transfer.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        transfers,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get transfers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching transfers',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   POST /api/transfers
+// @desc    Request a transfer of specific items (uniqueIds) or any N available items (quantity)
+// @access  Private (Admin only)
+router.post('/', [
+  body('poolId').isMongoId().withMessage('Valid pool ID is required'),
+  body('fromStation').isMongoId().withMessage('Valid origin station is required'),
+  body('toStation').isMongoId().withMessage('Valid destination station is required'),
+  body('uniqueIds').optional().isArray({ min: 1, max: 500 }).withMessage('Select between 1 and 500 items'),
+  body('quantity').optional().isInt({ min: 1, max: 500 }).withMessage('Quantity must be between 1 and 500'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { poolId, fromStation, toStation, uniqueIds, quantity, notes } = req.body;
+
+    if (!uniqueIds && !quantity) {
+      return res.status(400).json({
+        success: false,
+        message: 'Either uniqueIds or quantity is required'
+      });
+    }
+
+    if (fromStation === toStation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Origin and destination stations must differ'
+      });
+    }
+
+    const [pool, stations] = await Promise.all([
+      EquipmentPool.findById(poolId),
+      Station.find({ _id: { $in: [fromStation, toStation] }, isActive: true })
+    ]);
+
+    if (!pool) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment pool not found'
+      });
+    }
+
+    if (stations.length !== 2) {
+      return res.status(404).json({
+        success: false,
+        message: 'Origin or destination station not found'
+      });
+    }
+
+    // Items already on an open transfer cannot be requested again
+    const openTransfers = await Transfer.find({ poolId, status: { $in: OPEN_STATUSES } }).select('uniqueIds');
+    const reserved = new Set(openTransfers.flatMap(transfer => transfer.uniqueIds));
+
+    const eligible = pool.items.filter(item =>
+      item.status === 'Available' &&
+      pool.stationOf(item)?.toString() === fromStation &&
+      !reserved.has(item.uniqueId)
+    );
+
+    let selectedIds;
+    if (uniqueIds) {
+      const eligibleIds = new Set(eligible.map(item => item.uniqueId));
+      const ineligible = uniqueIds.filter(uniqueId => !eligibleIds.has(uniqueId));
+      if (ineligible.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Not available at the origin station or already on a transfer: ${ineligible.join(', ')}`
+        });
+      }
+      selectedIds = [...new Set(uniqueIds)];
+    } else {
+      if (eligible.length < quantity) {
+        return res.status(400).json({
+          success: false,
+          message: `Only ${eligible.length} item(s) of ${pool.poolName} are available at the origin station`
+        });
+      }
+      selectedIds = eligible.slice(0, quantity).map(item => item.uniqueId);
+    }
+
+    const transfer = await Transfer.create({
+      poolId,
+      poolName: pool.poolName,
+      fromStation,
+      toStation,
+      uniqueIds: selectedIds,
+      notes,
+      requestedBy: req.user._id
+    });
+
+    req.audit({ action: 'transfer.request', targetModel: 'Transfer', targetId: transfer._id, after: transfer });
+
+    res.status(201).json({
+      success: true,
+      message: `Transfer ${transfer.transferId} requested for ${selectedIds.length} item(s)`,
+      data: { transfer: await populateTransfer(Transfer.findById(transfer._id)) }
+    });
+
+  } catch (error) {
+    console.error('Request transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error requesting transfer',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   PUT /api/transfers/:id/dispatch
+// @desc    Dispatch a requested transfer; its items go In Transit
+// @access  Private (Admin only)
+router.put('/:id/dispatch', async (req, res) => {
+  try {
+    const { transfer, pool } = await loadTransfer(req, res);
+    if (!transfer) return;
+
+    if (transfer.status !== 'Requested') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot dispatch a ${transfer.status.toLowerCase()} transfer`
+      });
+    }
+
+    const [from, to] = await Promise.all([
+      Station.findById(transfer.fromStation),
+      Station.findById(transfer.toStation)
+    ]);
+
+    try {
+      await pool.dispatchTransfer(transfer, from?.name, to?.name);
+    } catch (itemError) {
+      return res.status(409).json({
+        success: false,
+        message: itemError.message
+      });
+    }
+
+    transfer.status = 'Dispatched';
+    transfer.dispatchedBy = req.user._id;
+    transfer.dispatchedAt = new Date();
+    await transfer.save();
+
+    req.audit({
+      action: 'transfer.dispatch',
+      targetModel: 'Transfer',
+      targetId: transfer._id,
+      before: { status: 'Requested' },
+      after: { status: transfer.status, uniqueIds: transfer.uniqueIds }
+    });
+
+    res.json({
+      success: true,
+      message: `Transfer ${transfer.transferId} dispatched to ${to?.name}`,
+      data: { transfer: await populateTransfer(Transfer.findById(transfer._id)) }
+    });
+
+  } catch (error) {
+    console.error('Dispatch transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error dispatching transfer',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   PUT /api/transfers/:id/receive
+// @desc    Confirm receipt of a dispatched transfer at the destination station
+// @access  Private (Admin only)
+router.put('/:id/receive', [
+  body('receiptNotes').optional().trim().isLength({ max: 500 }).withMessage('Receipt notes cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { transfer, pool } = await loadTransfer(req, res);
+    if (!transfer) return;
+
+    if (transfer.status !== 'Dispatched') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot receive a ${transfer.status.toLowerCase()} transfer`
+      });
+    }
+
+    const to = await Station.findById(transfer.toStation);
+
+    try {
+      await pool.receiveTransfer(transfer, to?.name);
+    } catch (itemError) {
+      return res.status(409).json({
+        success: false,
+        message: itemError.message
+      });
+    }
+
+    transfer.status = 'Received';
+    transfer.receivedBy = req.user._id;
+    transfer.receivedAt = new Date();
+    transfer.receiptNotes = req.body.receiptNotes;
+    await transfer.save();
+
+    req.audit({
+      action: 'transfer.receive',
+      targetModel: 'Transfer',
+      targetId: transfer._id,
+      before: { status: 'Dispatched' },
+      after: { status: transfer.status, receiptNotes: transfer.receiptNotes }
+    });
+
+    res.json({
+      success: true,
+      message: `Transfer ${transfer.transferId} received at ${to?.name}`,
+      data: { transfer: await populateTransfer(Transfer.findById(transfer._id)) }
+    });
+
+  } catch (error) {
+    console.error('Receive transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error receiving transfer',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   PUT /api/transfers/:id/cancel
+// @desc    Cancel a transfer that has not been dispatched yet
+// @access  Private (Admin only)
+router.put('/:id/cancel', async (req, res) => {
+  try {
+    const transfer = await Transfer.findById(req.params.id);
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    if (transfer.status !== 'Requested') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only requested transfers can be cancelled'
+      });
+    }
+
+    transfer.status = 'Cancelled';
+    transfer.cancelledBy = req.user._id;
+    transfer.cancelledAt = new Date();
+    await transfer.save();
+
+    req.audit({
+      action: 'transfer.cancel',
+      targetModel: 'Transfer',
+      targetId: transfer._id,
+      before: { status: 'Requested' },
+      after: { status: transfer.status }
+    });
+
+    res.json({
+      success: true,
+      message: `Transfer ${transfer.transferId} cancelled`,
+      data: { transfer }
+    });
+
+  } catch (error) {
+    console.error('Cancel transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error cancelling transfer',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,480 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const WarrantyClaim = require('../models/WarrantyClaim');
+const EquipmentPool = require('../models/EquipmentPool');
+const Equipment = require('../models/Equipment');
+const Incident = require('../models/Incident');
+const { auth } = require('../middleware/auth');
+const { adminOnly } = require('../middleware/roleCheck');
+
+const router = express.Router();
+
+// Warranty tracking is handled by admins only
+router.use(auth, adminOnly);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dashboard windows; everything is listed under the smallest window it falls in
+const EXPIRY_WINDOWS = [30, 60, 90];
+
+const withWindow = (entry, now) => {
+  const daysLeft = Math.ceil((new Date(entry.warrantyExpiry) - now) / DAY_MS);
+  return { ...entry, daysLeft, window: EXPIRY_WINDOWS.find(days => daysLeft <= days) || null };
+};
+
+// @route   GET /api/warranty/expiring
+// @desc    Pools, pool items and equipment whose warranty ends within `days` (default 90)
+// @access  Private (Admin only)
+router.get('/expiring', async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 90, 365);
+    const now = new Date();
+    const window = { $gte: now, $lte: new Date(now.getTime() + days * DAY_MS) };
+
+    const [pools, items, equipment] = await Promise.all([
+      EquipmentPool.find({ 'warrantyInfo.warrantyExpiry': window })
+        .select('poolName category model supplier totalQuantity warrantyInfo')
+        .sort({ 'warrantyInfo.warrantyExpiry': 1 })
+        .lean(),
+      // Items with a warranty of their own
+      EquipmentPool.aggregate([
+        { $match: { 'items.warrantyExpiry': window } },
+        { $unwind: '$items' },
+        {
+          $match: {
+            'items.warrantyExpiry': window,
+            'items.status': { $nin: ['Lost', 'Retired'] }
+          }
+        },
+        {
+          $project: {
+            _id: 0,
+            poolId: '$_id',
+            poolName: 1,
+            category: 1,
+            uniqueId: '$items.uniqueId',
+            status: '$items.status',
+            warrantyExpiry: '$items.warrantyExpiry',
+            warrantyProvider: '$warrantyInfo.warrantyProvider'
+          }
+        },
+        { $sort: { warrantyExpiry: 1 } }
+      ]),
+      Equipment.find({ 'warrantyInfo.warrantyExpiry': window, status: { $ne: 'Retired' } })
+        .select('name category serialNumber status warrantyInfo')
+        .sort({ 'warrantyInfo.warrantyExpiry': 1 })
+        .lean()
+    ]);
+
+    const result = {
+      pools: pools.map(pool => withWindow({
+        poolId: pool._id,
+        poolName: pool.poolName,
+        category: pool.category,
+        model: pool.model,
+        totalQuantity: pool.totalQuantity,
+        warrantyExpiry: pool.warrantyInfo.warrantyExpiry,
+        warrantyProvider: pool.warrantyInfo.warrantyProvider || pool.supplier
+      }, now)),
+      items: items.map(item => withWindow(item, now)),
+      equipment: equipment.map(record => withWindow({
+        equipmentId: record._id,
+        name: record.name,
+        category: record.category,
+        serialNumber: record.serialNumber,
+        status: record.status,
+        warrantyExpiry: record.warrantyInfo.warrantyExpiry,
+        warrantyProvider: record.warrantyInfo.warrantyProvider
+      }, now))
+    };
+
+    const all = [...result.pools, ...result.items, ...result.equipment];
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        counts: Object.fromEntries(EXPIRY_WINDOWS.map(windowDays => [
+          windowDays,
+          all.filter(entry => entry.daysLeft <= windowDays).length
+        ]))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get expiring warranties error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching expiring warranties',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   GET /api/warranty/claimable
+// @desc    Repairs and Damaged incidents on items that were under warranty at the time
+//          and have no warranty claim yet
+// @access  Private (Admin only)
+router.get('/claimable', async (req, res) => {
+  try {
+    const [repairs, incidents, claims] = await Promise.all([
+      EquipmentPool.aggregate([
+        { $match: { 'items.maintenanceHistory.type': 'Repair' } },
+        { $unwind: '$items' },
+        { $unwind: '$items.maintenanceHistory' },
+        { $match: { 'items.maintenanceHistory.type': 'Repair' } },
+        {
+          $project: {
+            _id: 0,
+            poolId: '$_id',
+            poolName: 1,
+            uniqueId: '$items.uniqueId',
+            maintenanceEntryId: '$items.maintenanceHistory._id',
+            date: '$items.maintenanceHistory.date',
+            description: '$items.maintenanceHistory.description',
+            cost: '$items.maintenanceHistory.cost',
+            performedBy: '$items.maintenanceHistory.performedBy',
+            warrantyExpiry: { $ifNull: ['$items.warrantyExpiry', '$warrantyInfo.warrantyExpiry'] },
+            warrantyProvider: '$warrantyInfo.warrantyProvider'
+          }
+        },
+        { $match: { $expr: { $and: ['$warrantyExpiry', { $lte: ['$date', '$warrantyExpiry'] }] } } },
+        { $sort: { date: -1 } }
+      ]),
+      Incident.find({ type: 'Damaged' }).select('incidentId poolId poolName uniqueId description incidentDate status').lean(),
+      WarrantyClaim.find({ status: { $ne: 'Rejected' } }).select('incident maintenanceEntryId').lean()
+    ]);
+
+    const claimedEntries = new Set(claims.filter(claim => claim.maintenanceEntryId).map(claim => claim.maintenanceEntryId.toString()));
+    const claimedIncidents = new Set(claims.filter(claim => claim.incident).map(claim => claim.incident.toString()));
+
+    // Incidents are checked against the warranty of their item on the incident date
+    const pools = await EquipmentPool.find({ _id: { $in: incidents.map(incident => incident.poolId) } })
+      .select('warrantyInfo items.uniqueId items.warrantyExpiry');
+    const poolsById = Object.fromEntries(pools.map(pool => [pool._id.toString(), pool]));
+
+    const claimableIncidents = incidents
+      .filter(incident => !claimedIncidents.has(incident._id.toString()))
+      .map(incident => {
+        const pool = poolsById[incident.poolId.toString()];
+        const item = pool?.findItemByUniqueId(incident.uniqueId);
+        return {
+          ...incident,
+          warrantyExpiry: pool?.warrantyExpiryOf(item),
+          warrantyProvider: pool?.warrantyInfo?.warrantyProvider,
+          underWarranty: Boolean(pool?.isUnderWarranty(item, incident.incidentDate))
+        };
+      })
+      .filter(incident => incident.underWarranty);
+
+    res.json({
+      success: true,
+      data: {
+        repairs: repairs.filter(repair => !claimedEntries.has(repair.maintenanceEntryId.toString())),
+        incidents: claimableIncidents
+      }
+    });
+
+  } catch (error) {
+    console.error('Get claimable repairs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching claimable repairs',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   GET /api/warranty/claims
+// @desc    List warranty claims (filter by status or pool)
+// @access  Private (Admin only)
+router.get('/claims', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const { status, poolId } = req.query;
+
+    const query = {
+      ...(status && { status }),
+      ...(poolId && { poolId })
+    };
+
+    const [claims, total, totals] = await Promise.all([
+      WarrantyClaim.find(query)
+        .populate('incident', 'incidentId')
+        .populate('filedBy', 'fullName officerId')
+        .populate('resolvedBy', 'fullName officerId')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      WarrantyClaim.countDocuments(query),
+      WarrantyClaim.aggregate([
+        { $match: { status: 'Approved' } },
+        { $group: { _id: null, recovered: { $sum: { $ifNull: ['$recoveredAmount', 0] } } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        claims,
+        recoveredTotal: totals[0]?.recovered || 0,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get warranty claims error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching warranty claims',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   POST /api/warranty/claims
+// @desc    File a warranty claim for a Damaged incident or a Repair maintenance entry.
+//          The item must have been under warranty on the incident or repair date.
+// @access  Private (Admin only)
+router.post('/claims', [
+  body('basis').isIn(['Damage', 'Repair']).withMessage('Basis must be Damage or Repair'),
+  body('poolId').isMongoId().withMessage('Valid pool ID is required'),
+  body('uniqueId').trim().isLength({ min: 1 }).withMessage('Unique ID is required'),
+  body('incidentId').if(body('basis').equals('Damage')).isMongoId().withMessage('Valid incident is required'),
+  body('maintenanceEntryId').if(body('basis').equals('Repair')).isMongoId().withMessage('Valid maintenance entry is required'),
+  body('description').trim().isLength({ min: 10, max: 1000 }).withMessage('Description must be 10-1000 characters'),
+  body('claimAmount').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('Claim amount cannot be negative')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { basis, poolId, uniqueId, incidentId, maintenanceEntryId, description, claimAmount } = req.body;
+
+    const pool = await EquipmentPool.findById(poolId);
+    const item = pool?.findItemByUniqueId(uniqueId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found in pool'
+      });
+    }
+
+    // Date the warranty has to cover, and the repair cost when it is known
+    let eventDate;
+    let repairCost;
+    if (basis === 'Damage') {
+      const incident = await Incident.findById(incidentId);
+      if (!incident || incident.type !== 'Damaged' || incident.poolId.toString() !== poolId || incident.uniqueId !== uniqueId) {
+        return res.status(404).json({
+          success: false,
+          message: `No damage incident found for ${uniqueId}`
+        });
+      }
+      eventDate = incident.incidentDate;
+    } else {
+      const entry = item.maintenanceHistory.id(maintenanceEntryId);
+      if (!entry || entry.type !== 'Repair') {
+        return res.status(404).json({
+          success: false,
+          message: `No repair entry found for ${uniqueId}`
+        });
+      }
+      eventDate = entry.date;
+      repairCost = entry.cost;
+    }
+
+    if (!pool.isUnderWarranty(item, eventDate)) {
+      const expiry = pool.warrantyExpiryOf(item);
+      return res.status(400).json({
+        success: false,
+        message: expiry
+          ? `${uniqueId}'s warranty ended on ${expiry.toDateString()}, before the ${basis === 'Damage' ? 'damage' : 'repair'}`
+          : `${uniqueId} has no warranty on record`
+      });
+    }
+
+    const link = basis === 'Damage' ? { incident: incidentId } : { maintenanceEntryId };
+    const existing = await WarrantyClaim.findOne({ ...link, status: { $ne: 'Rejected' } });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `Warranty claim ${existing.claimNumber} already covers this ${basis === 'Damage' ? 'incident' : 'repair'}`
+      });
+    }
+
+    const claim = await WarrantyClaim.create({
+      poolId: pool._id,
+      poolName: pool.poolName,
+      uniqueId,
+      basis,
+      ...link,
+      warrantyExpiry: pool.warrantyExpiryOf(item),
+      warrantyProvider: pool.warrantyInfo?.warrantyProvider || pool.supplier,
+      description,
+      claimAmount: claimAmount ? Number(claimAmount) : repairCost,
+      filedBy: req.user._id
+    });
+
+    req.audit({ action: 'warranty.claim.file', targetModel: 'WarrantyClaim', targetId: claim._id, after: claim });
+
+    res.status(201).json({
+      success: true,
+      message: `Warranty claim ${claim.claimNumber} filed for ${uniqueId}`,
+      data: { claim }
+    });
+
+  } catch (error) {
+    console.error('File warranty claim error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error filing warranty claim',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   PUT /api/warranty/claims/:id/submit
+// @desc    Record that an open claim was submitted to the warranty provider
+// @access  Private (Admin only)
+router.put('/claims/:id/submit', [
+  body('providerReference').optional().trim().isLength({ max: 100 }).withMessage('Provider reference cannot exceed 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const claim = await WarrantyClaim.findById(req.params.id);
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        message: 'Warranty claim not found'
+      });
+    }
+
+    if (claim.status !== 'Open') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot submit a ${claim.status.toLowerCase()} claim`
+      });
+    }
+
+    claim.status = 'Submitted';
+    claim.providerReference = req.body.providerReference;
+    claim.submittedAt = new Date();
+    await claim.save();
+
+    req.audit({
+      action: 'warranty.claim.submit',
+      targetModel: 'WarrantyClaim',
+      targetId: claim._id,
+      before: { status: 'Open' },
+      after: { status: claim.status, providerReference: claim.providerReference }
+    });
+
+    res.json({
+      success: true,
+      message: `Warranty claim ${claim.claimNumber} submitted`,
+      data: { claim }
+    });
+
+  } catch (error) {
+    console.error('Submit warranty claim error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error submitting warranty claim',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+// @route   PUT /api/warranty/claims/:id/resolve
+// @desc    Record the provider's decision on a claim
+// @access  Private (Admin only)
+router.put('/claims/:id/resolve', [
+  body('status').isIn(['Approved', 'Rejected']).withMessage('Status must be Approved or Rejected'),
+  body('recoveredAmount').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('Recovered amount cannot be negative'),
+  body('resolutionNotes').optional().trim().isLength({ max: 500 }).withMessage('Resolution notes cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const claim = await WarrantyClaim.findById(req.params.id);
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        message: 'Warranty claim not found'
+      });
+    }
+
+    if (!['Open', 'Submitted'].includes(claim.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Claim ${claim.claimNumber} is already ${claim.status.toLowerCase()}`
+      });
+    }
+
+    const previousStatus = claim.status;
+    const { status, recoveredAmount, resolutionNotes } = req.body;
+
+    claim.status = status;
+    claim.resolutionNotes = resolutionNotes;
+    claim.resolvedBy = req.user._id;
+    claim.resolvedAt = new Date();
+    if (status === 'Approved') {
+      // Without an amount the provider is taken to have covered the whole claim
+      claim.recoveredAmount = recoveredAmount ? Number(recoveredAmount) : claim.claimAmount;
+    }
+    await claim.save();
+
+    req.audit({
+      action: 'warranty.claim.resolve',
+      targetModel: 'WarrantyClaim',
+      targetId: claim._id,
+      before: { status: previousStatus },
+      after: { status: claim.status, recoveredAmount: claim.recoveredAmount, resolutionNotes: claim.resolutionNotes }
+    });
+
+    res.json({
+      success: true,
+      message: `Warranty claim ${claim.claimNumber} ${status.toLowerCase()}`,
+      data: { claim }
+    });
+
+  } catch (error) {
+    console.error('Resolve warranty claim error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resolving warranty claim',
+      ...(process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+/**
+ * Backfill password change dates
+ * Accounts created before the password policy existed have no passwordChangedAt,
+ * so their password age would be counted from createdAt and every account older
+ * than PASSWORD_MAX_AGE_DAYS would have to change its password at the next login.
+ * This sets passwordChangedAt to now for those accounts, starting their password
+ * age at the upgrade instead. Run it once, right after deploying the policy.
+ *
+ * Usage: node scripts/backfillPasswordChangedAt.js
+ */
+
+const mongoose = require('mongoose');
+const path = require('path');
+const fs = require('fs');
+
+// Load .env
+const envPaths = [
+  path.join(__dirname, '..', '.env'),
+  path.join(__dirname, '..', '..', '.env'),
+  path.join(process.cwd(), '.env')
+];
+
+for (const envPath of envPaths) {
+  if (fs.existsSync(envPath)) {
+    require('dotenv').config({ path: envPath });
+    break;
+  }
+}
+
+const User = require('../models/User');
+
+const backfill = async () => {
+  const result = await User.updateMany(
+    { passwordChangedAt: { $exists: false } },
+    { $set: { passwordChangedAt: new Date() } }
+  );
+
+  console.log(`\n✅ Set passwordChangedAt on ${result.modifiedCount} account(s)\n`);
+};
+
+const main = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/police-inventory', {
+      serverSelectionTimeoutMS: 5000
+    });
+    console.log('🔌 Connected to MongoDB\n');
+    await backfill();
+  } catch (error) {
+    console.error('❌ Fatal error:', error.message);
+  } finally {
+    await mongoose.connection.close();
+    process.exit(0);
+  }
+};
+
+main();
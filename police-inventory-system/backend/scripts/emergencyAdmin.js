@@ -61,7 +61,7 @@ const createEmergencyAdmin = async () => {
 
     // Hash password BEFORE inserting
     const salt = await bcrypt.genSalt(12);
-    const hashedPassword = await bcrypt.hash('Admin123', salt);
+    const hashedPassword = await bcrypt.hash('ChangeMe@Admin1', salt);
 
     // Create admin document directly
     const adminDoc = {
@@ -69,6 +69,7 @@ const createEmergencyAdmin = async () => {
       fullName: 'System Administrator',
       email: 'Admin@police.gov.in',
       password: hashedPassword,  // PRE-HASHED password
+      mustChangePassword: true,  // Replaced at first login
       role: 'admin',
       rank: 'Senior Command (DGP, SP, DCP)',
       designation: 'Director General of Police (DGP)',
@@ -86,7 +87,7 @@ const createEmergencyAdmin = async () => {
     console.log('📧 LOGIN CREDENTIALS:');
     console.log('━'.repeat(60));
     console.log('Email:    Admin@police.gov.in');
-    console.log('Password: Admin123');
+    console.log('Password: ChangeMe@Admin1 (change it at first login)');
     console.log('━'.repeat(60));
     console.log('\n✅ Password is already hashed and ready to use!');
     console.log('✅ Try logging in now!\n');
@@ -3,7 +3,7 @@
  * Updated for new validation format:
  * - Officer ID: STATERANKYEARSERIAL (e.g., INDGP20250001)
  * - Email: Must start with capital letter (e.g., Admin@police.gov.in)
- * - Password: 8 characters, capital start, alphanumeric (e.g., Admin123)
+ * - Password: see utils/passwordPolicy (default admin must change it at first login)
  * 
  * Usage: node scripts/quickFixAdmin.js
  */
@@ -98,7 +98,8 @@ const quickFixAdmin = async () => {
         officerId: 'INDGP20250001',               // STATE + RANK + YEAR + SERIAL (no separators)
         fullName: 'System Administrator',
         email: 'Admin@police.gov.in',            // Must start with capital letter
-        password: 'Admin123',                     // 8 chars, capital start, alphanumeric
+        password: 'ChangeMe@Admin1',              // Meets the default password policy
+        mustChangePassword: true,                 // Replaced at first login
         role: 'admin',
         rank: 'Senior Command (DGP, SP, DCP)',
         designation: 'Director General of Police (DGP)',
@@ -112,9 +113,9 @@ const quickFixAdmin = async () => {
       console.log('\n📧 Login Credentials:');
       console.log('━'.repeat(50));
       console.log('Email:    Admin@police.gov.in');
-      console.log('Password: Admin123');
+      console.log('Password: ChangeMe@Admin1');
       console.log('━'.repeat(50));
-      console.log('\n⚠️  IMPORTANT: Change the password after first login!\n');
+      console.log('\n⚠️  IMPORTANT: You will be asked to choose a new password at first login!\n');
       return;
     }
 
@@ -217,7 +218,7 @@ const quickFixAdmin = async () => {
 
     console.log('\n✅ You can now login with the above admin accounts!');
     console.log('\n⚠️  Note: If password was changed, use your updated password.');
-    console.log('   Default password for new admins: Admin123\n');
+    console.log('   Default password for new admins: ChangeMe@Admin1\n');
 
   } catch (error) {
     console.error('\n❌ Error during quick fix:', error.message);
@@ -0,0 +1,96 @@
+/**
+ * Seal legacy custody history
+ * Seals usage and maintenance history with the keyed chain (CUSTODY_CHAIN_KEY, or
+ * JWT_SECRET): entries written before the hash chain existed, and chains sealed
+ * before it was keyed. A chain is only resealed when its existing links check out;
+ * broken chains are left alone and reported. Verification rejects unsealed entries,
+ * so run this once after upgrading, before the server takes requests.
+ *
+ * Usage: node scripts/sealCustodyChain.js
+ */
+
+const mongoose = require('mongoose');
+const path = require('path');
+const fs = require('fs');
+
+// Load .env
+const envPaths = [
+  path.join(__dirname, '..', '.env'),
+  path.join(__dirname, '..', '..', '.env'),
+  path.join(process.cwd(), '.env')
+];
+
+for (const envPath of envPaths) {
+  if (fs.existsSync(envPath)) {
+    require('dotenv').config({ path: envPath });
+    break;
+  }
+}
+
+const EquipmentPool = require('../models/EquipmentPool');
+const { sealEntry, verifyChain } = require('../utils/custodyChain');
+
+const CHAINS = ['usageHistory', 'maintenanceHistory'];
+
+const sealPools = async () => {
+  const pools = await EquipmentPool.find().lean();
+  let sealedChains = 0;
+  let skippedChains = 0;
+
+  for (const pool of pools) {
+    for (const item of pool.items) {
+      for (const chain of CHAINS) {
+        const entries = item[chain] || [];
+        if (entries.length === 0) continue;
+
+        const context = { poolId: pool._id, uniqueId: item.uniqueId };
+        if (verifyChain(chain, context, entries).valid) continue;
+
+        const legacy = verifyChain(chain, context, entries, { legacy: true });
+        if (!legacy.valid) {
+          console.log(`   ⚠️  ${pool.poolName} / ${item.uniqueId} ${chain}: broken at entry #${legacy.brokenAt.index + 1} (${legacy.brokenAt.reason}), skipped`);
+          skippedChains++;
+          continue;
+        }
+
+        const sealed = [];
+        entries.forEach(entry => {
+          sealed.push({ ...entry, ...sealEntry(chain, context, sealed, entry) });
+        });
+
+        // Only replace the chain if nothing was appended meanwhile
+        const result = await EquipmentPool.updateOne(
+          { _id: pool._id },
+          { $set: { [`items.$[item].${chain}`]: sealed } },
+          { arrayFilters: [{ 'item.uniqueId': item.uniqueId, [`item.${chain}`]: { $size: entries.length } }] }
+        );
+
+        if (result.modifiedCount > 0) {
+          sealedChains++;
+        } else {
+          console.log(`   ⚠️  ${pool.poolName} / ${item.uniqueId} ${chain}: changed while sealing, run again`);
+          skippedChains++;
+        }
+      }
+    }
+  }
+
+  console.log(`\n✅ Sealed ${sealedChains} chain(s), skipped ${skippedChains}\n`);
+};
+
+const main = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/police-inventory', {
+      serverSelectionTimeoutMS: 5000
+    });
+    console.log('🔌 Connected to MongoDB\n');
+    await sealPools();
+  } catch (error) {
+    console.error('❌ Fatal error:', error.message);
+  } finally {
+    await mongoose.connection.close();
+    process.exit(0);
+  }
+};
+
+main();
@@ -10,6 +10,23 @@ const authRoutes = require('./routes/auth');
 const adminRoutes = require('./routes/admin');
 const officerRoutes = require('./routes/officer');
 const equipmentRoutes = require('./routes/equipment');
+const { startOverdueJob } = require('./jobs/overdueCheck');
+const { startInspectionReminderJob } = require('./jobs/inspectionReminder');
+const { startLowStockJob } = require('./jobs/lowStockCheck');
+const { startWarrantyExpiryJob } = require('./jobs/warrantyExpiry');
+const notificationRoutes = require('./routes/notifications');
+const incidentRoutes = require('./routes/incidents');
+const stationRoutes = require('./routes/stations');
+const transferRoutes = require('./routes/transfers');
+const deskRoutes = require('./routes/desk');
+const kitRoutes = require('./routes/kits');
+const supplierRoutes = require('./routes/suppliers');
+const purchaseOrderRoutes = require('./routes/purchaseOrders');
+const warrantyRoutes = require('./routes/warranty');
+const { auth } = require('./middleware/auth');
+const eventStream = require('./utils/eventStream');
+const { auditTrail } = require('./middleware/audit');
+const { supportsTransactions } = require('./utils/transactions');
 
 const app = express();
 
@@ -37,20 +54,53 @@ mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true
 })
-.then(() => {
+.then(async () => {
   console.log('✅ MongoDB connected successfully');
   console.log('📊 Database:', mongoose.connection.db.databaseName);
+
+  // Desk and kit issues and returns would fail on every request without transactions
+  if (!await supportsTransactions(mongoose.connection)) {
+    console.error('❌ MongoDB is a standalone server: transactions need a replica set (see Prerequisites in the README)');
+    process.exit(1);
+  }
+
+  // Background jobs
+  startOverdueJob();
+  startInspectionReminderJob();
+  startLowStockJob();
+  startWarrantyExpiryJob();
 })
 .catch(err => {
   console.error('❌ MongoDB connection error:', err.message);
   process.exit(1);
 });
 
+// Audit trail for every write
+app.use('/api', auditTrail);
+
 // Routes (no rate limiting)
 app.use('/api/auth', authRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/officer', officerRoutes);
 app.use('/api/equipment', equipmentRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/incidents', incidentRoutes);
+app.use('/api/stations', stationRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use('/api/desk', deskRoutes);
+app.use('/api/kits', kitRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/warranty', warrantyRoutes);
+
+// Live updates (Server-Sent Events). EventSource cannot send headers,
+// so the token may also be passed as ?token=
+app.get('/api/events', (req, res, next) => {
+  if (!req.header('Authorization') && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+}, auth, eventStream.subscribe);
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -60,6 +110,7 @@ app.get('/api/health', (req, res) => {
     environment: process.env.NODE_ENV || 'development',
     database: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
     rateLimiting: 'DISABLED',
+    liveClients: eventStream.clientCount(),
     uptime: process.uptime()
   });
 });
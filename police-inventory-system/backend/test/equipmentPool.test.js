@@ -0,0 +1,145 @@
+// Concurrency tests for EquipmentPool issueItem/returnItem against an in-memory MongoDB.
+// mongodb-memory-server downloads a mongod binary on first use, or uses the one
+// MONGOMS_SYSTEM_BINARY points to; if neither works the tests fail.
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const EquipmentPool = require('../models/EquipmentPool');
+
+// Issues and returns seal custody history, which needs a key
+process.env.CUSTODY_CHAIN_KEY = 'test-custody-chain-key';
+
+const DESIGNATION = 'Police Constable (PC)';
+const ITEM_COUNT = 10;
+
+let server;
+
+before(async () => {
+  server = await MongoMemoryServer.create();
+  await mongoose.connect(server.getUri());
+});
+
+after(async () => {
+  await mongoose.disconnect();
+  if (server) await server.stop();
+});
+
+let poolId;
+
+beforeEach(async () => {
+  await EquipmentPool.deleteMany({});
+
+  const pool = new EquipmentPool({
+    poolName: 'Glock 17',
+    category: 'Firearm',
+    model: 'Glock 17',
+    authorizedDesignations: [DESIGNATION],
+    totalQuantity: ITEM_COUNT,
+    location: 'Main Armory',
+    addedBy: new mongoose.Types.ObjectId()
+  });
+  pool.items = pool.generateUniqueIds('GLK', 1, ITEM_COUNT).map(uniqueId => ({
+    uniqueId,
+    status: 'Available',
+    condition: 'Good'
+  }));
+  pool.updateCounts();
+  await pool.save();
+  poolId = pool._id;
+});
+
+// An officer for each concurrent request
+const officer = (n) => ({
+  userId: new mongoose.Types.ObjectId(),
+  officerId: `PC${String(n).padStart(3, '0')}`,
+  officerName: `Officer ${n}`
+});
+
+// Each call loads its own copy of the pool, like separate API requests do
+const issueFromFreshCopy = async (n, options = {}) => {
+  const pool = await EquipmentPool.findById(poolId);
+  const { userId, officerId, officerName } = officer(n);
+  return pool.issueItem(userId, officerId, officerName, DESIGNATION, 'Patrol', userId, options);
+};
+
+// Stored counts must agree with the item statuses
+const assertCountsConsistent = (pool) => {
+  const byStatus = (status) => pool.items.filter(item => item.status === status).length;
+  assert.equal(pool.availableCount, byStatus('Available'));
+  assert.equal(pool.issuedCount, byStatus('Issued'));
+  assert.equal(pool.availableCount + pool.issuedCount, ITEM_COUNT);
+};
+
+test('concurrent issues never hand out the same item twice', async () => {
+  const results = await Promise.allSettled(
+    Array.from({ length: ITEM_COUNT + 5 }, (_, n) => issueFromFreshCopy(n))
+  );
+  const issued = results.filter(result => result.status === 'fulfilled').map(result => result.value.uniqueId);
+  const failed = results.filter(result => result.status === 'rejected');
+
+  assert.equal(new Set(issued).size, issued.length, `duplicate uniqueIds issued: ${issued}`);
+  assert.ok(failed.length >= 5, 'more issues succeeded than the pool has items');
+
+  const pool = await EquipmentPool.findById(poolId);
+  assertCountsConsistent(pool);
+  assert.equal(pool.issuedCount, issued.length);
+
+  // Every issued item is held by exactly the officer its single custody entry names
+  issued.forEach(uniqueId => {
+    const item = pool.findItemByUniqueId(uniqueId);
+    assert.equal(item.status, 'Issued');
+    assert.equal(item.usageHistory.length, 1);
+    assert.equal(item.usageHistory[0].officerId, item.currentlyIssuedTo.officerId);
+  });
+});
+
+test('concurrent issues of the same chosen item succeed only once', async () => {
+  const results = await Promise.allSettled(
+    Array.from({ length: 5 }, (_, n) => issueFromFreshCopy(n, { uniqueId: 'GLK001' }))
+  );
+
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+
+  const pool = await EquipmentPool.findById(poolId);
+  assertCountsConsistent(pool);
+  assert.equal(pool.issuedCount, 1);
+  assert.equal(pool.findItemByUniqueId('GLK001').usageHistory.length, 1);
+});
+
+test('concurrent returns of one item close its custody only once', async () => {
+  const item = await issueFromFreshCopy(1, { uniqueId: 'GLK001' });
+  const returnedTo = item.currentlyIssuedTo.userId;
+
+  const results = await Promise.allSettled(Array.from({ length: 5 }, async () => {
+    const pool = await EquipmentPool.findById(poolId);
+    return pool.returnItem('GLK001', 'Good', 'Shift over', returnedTo);
+  }));
+
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+
+  const pool = await EquipmentPool.findById(poolId);
+  assertCountsConsistent(pool);
+  assert.equal(pool.issuedCount, 0);
+  assert.equal(pool.findItemByUniqueId('GLK001').status, 'Available');
+});
+
+test('issues and returns running side by side keep the counts consistent', async () => {
+  const first = await Promise.all([1, 2, 3].map(n => issueFromFreshCopy(n)));
+
+  await Promise.allSettled([
+    ...first.map(async ({ uniqueId }) => {
+      const pool = await EquipmentPool.findById(poolId);
+      return pool.returnItem(uniqueId, 'Good', '', new mongoose.Types.ObjectId());
+    }),
+    ...[4, 5, 6, 7, 8].map(n => issueFromFreshCopy(n))
+  ]);
+
+  const pool = await EquipmentPool.findById(poolId);
+  assertCountsConsistent(pool);
+  pool.items.forEach(item => {
+    const open = item.usageHistory.filter(entry => !entry.returnedDate);
+    assert.equal(open.length, item.status === 'Issued' ? 1 : 0, `${item.uniqueId} custody does not match its status`);
+  });
+});
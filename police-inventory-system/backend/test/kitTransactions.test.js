@@ -0,0 +1,224 @@
+// Kit issue and return against an in-memory replica set. Every line goes through in one
+// transaction, so a failure part-way leaves no custody history or count change behind.
+// Also covers the startup check that refuses a standalone mongod, where every
+// transaction fails.
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet, MongoMemoryServer } = require('mongodb-memory-server');
+const EquipmentPool = require('../models/EquipmentPool');
+const Request = require('../models/Request');
+const User = require('../models/User');
+const { supportsTransactions, isDatabaseError } = require('../utils/transactions');
+
+// Issues and returns seal custody history, which needs a key
+process.env.CUSTODY_CHAIN_KEY = 'test-custody-chain-key';
+
+const DESIGNATION = 'Police Constable (PC)';
+const POOL_SIZE = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let replSet;
+
+before(async () => {
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  await mongoose.connect(replSet.getUri());
+  // Build the indexes up front so they do not race the transactions
+  await Promise.all([EquipmentPool.init(), Request.init(), User.init()]);
+});
+
+after(async () => {
+  await mongoose.disconnect();
+  if (replSet) await replSet.stop();
+});
+
+const adminId = new mongoose.Types.ObjectId();
+let officer;
+let pools;
+
+const createPool = async (poolName, prefix) => {
+  const pool = new EquipmentPool({
+    poolName,
+    category: 'Protective Gear',
+    model: poolName,
+    authorizedDesignations: [DESIGNATION],
+    totalQuantity: POOL_SIZE,
+    location: 'Main Armory',
+    addedBy: adminId
+  });
+  pool.items = pool.generateUniqueIds(prefix, 1, POOL_SIZE).map(uniqueId => ({
+    uniqueId,
+    status: 'Available',
+    condition: 'Good'
+  }));
+  pool.updateCounts();
+  return pool.save();
+};
+
+beforeEach(async () => {
+  await Promise.all([EquipmentPool.deleteMany({}), Request.deleteMany({}), User.deleteMany({})]);
+
+  officer = await User.create({
+    officerId: 'MHPC20210078',
+    fullName: 'Test Officer',
+    designation: DESIGNATION,
+    email: 'Officer@police.gov.in',
+    dateOfJoining: new Date('2021-06-01'),
+    // Already hashed, so the save skips the slow bcrypt round
+    password: bcrypt.hashSync('Unused-password-1', 4),
+    rank: 'Police Station Staff (HC, PC)'
+  });
+  pools = [await createPool('Body Armour', 'BA'), await createPool('Riot Helmet', 'RH')];
+});
+
+// A pending kit issue request for `quantity` items of each pool, loaded as the approve route does
+const kitIssueRequest = async (quantity) => {
+  const request = await Request.create({
+    requestedBy: officer._id,
+    kitId: new mongoose.Types.ObjectId(),
+    kitName: 'Riot Kit',
+    lineItems: pools.map(pool => ({ poolId: pool._id, poolName: pool.poolName, quantity })),
+    requestType: 'Issue',
+    expectedReturnDate: new Date(Date.now() + 7 * DAY_MS),
+    reason: 'Crowd control'
+  });
+  return Request.findById(request._id).populate('requestedBy');
+};
+
+// A kit return request for everything an approved kit issue handed out
+const kitReturnRequest = async (issueRequest) => {
+  const request = await Request.create({
+    requestedBy: officer._id,
+    kitId: issueRequest.kitId,
+    kitName: issueRequest.kitName,
+    lineItems: issueRequest.lineItems.map(line => ({
+      poolId: line.poolId,
+      poolName: line.poolName,
+      items: line.items.map(({ uniqueId }) => ({ uniqueId, declaredCondition: 'Good' }))
+    })),
+    parentRequest: issueRequest._id,
+    requestType: 'Return',
+    reason: 'Shift over'
+  });
+  return Request.findById(request._id).populate('requestedBy');
+};
+
+// Make the nth call of a pool method fail, as a crash or lost connection part-way would
+const failOnCall = (t, method, n) => {
+  const original = EquipmentPool.prototype[method];
+  let calls = 0;
+  t.mock.method(EquipmentPool.prototype, method, async function(...args) {
+    calls += 1;
+    if (calls === n) throw new Error(`${method} failed on call ${n}`);
+    return original.apply(this, args);
+  });
+};
+
+const storedPools = () => EquipmentPool.find({ _id: { $in: pools.map(pool => pool._id) } });
+
+const assertNothingIssued = async () => {
+  for (const pool of await storedPools()) {
+    assert.equal(pool.availableCount, POOL_SIZE, `${pool.poolName} available count`);
+    assert.equal(pool.issuedCount, 0, `${pool.poolName} issued count`);
+    pool.items.forEach(item => {
+      assert.equal(item.status, 'Available', `${item.uniqueId} status`);
+      assert.equal(item.usageHistory.length, 0, `${item.uniqueId} custody history`);
+    });
+  }
+};
+
+const assertAllIssuedTo = async (userId, count) => {
+  for (const pool of await storedPools()) {
+    const issued = pool.items.filter(item => item.status === 'Issued');
+    assert.equal(issued.length, count, `${pool.poolName} issued items`);
+    assert.equal(pool.issuedCount, count, `${pool.poolName} issued count`);
+    issued.forEach(item => {
+      assert.equal(item.currentlyIssuedTo.userId.toString(), userId.toString());
+      assert.equal(item.usageHistory.filter(entry => !entry.returnedDate).length, 1, `${item.uniqueId} open custody`);
+    });
+  }
+};
+
+test('the replica set supports transactions', async () => {
+  assert.equal(await supportsTransactions(mongoose.connection), true);
+});
+
+test('a standalone mongod is refused, and its transactions fail as database errors', async () => {
+  const standalone = await MongoMemoryServer.create();
+  const connection = mongoose.createConnection(standalone.getUri());
+  try {
+    await connection.asPromise();
+    assert.equal(await supportsTransactions(connection), false);
+
+    await assert.rejects(
+      connection.transaction(session => connection.db.collection('probes').insertOne({}, { session })),
+      error => isDatabaseError(error)
+    );
+  } finally {
+    await connection.close();
+    await standalone.stop();
+  }
+});
+
+test('a kit issue hands out every approved item together', async () => {
+  const request = await kitIssueRequest(2);
+
+  assert.equal(await request.issueKit(adminId), 4);
+
+  request.lineItems.forEach(line => {
+    assert.equal(line.approvedQuantity, 2);
+    assert.equal(line.items.length, 2);
+  });
+  await assertAllIssuedTo(officer._id, 2);
+});
+
+test('a kit issue that fails part-way leaves nothing issued', async (t) => {
+  const request = await kitIssueRequest(2);
+  // Two Body Armour items are already out when the first Riot Helmet fails
+  failOnCall(t, 'issueItem', 3);
+
+  await assert.rejects(request.issueKit(adminId), /issueItem failed on call 3/);
+
+  await assertNothingIssued();
+});
+
+test('a kit issue short of stock is refused with a conflict, not a database error', async () => {
+  const request = await kitIssueRequest(POOL_SIZE + 1);
+
+  await assert.rejects(request.issueKit(adminId), error => {
+    assert.match(error.message, new RegExp(`only ${POOL_SIZE} of ${POOL_SIZE + 1} available`));
+    assert.equal(isDatabaseError(error), false);
+    return true;
+  });
+
+  await assertNothingIssued();
+});
+
+test('a kit return takes back every item together', async () => {
+  const issueRequest = await kitIssueRequest(2);
+  await issueRequest.issueKit(adminId);
+  const returnRequest = await kitReturnRequest(issueRequest);
+  const [damaged] = returnRequest.lineItems[0].items;
+
+  assert.equal(await returnRequest.returnKit(adminId, { [damaged.uniqueId]: 'Fair' }, 'Shift over'), 4);
+
+  for (const pool of await storedPools()) {
+    assert.equal(pool.availableCount, POOL_SIZE);
+    assert.equal(pool.issuedCount, 0);
+  }
+  const bodyArmour = await EquipmentPool.findById(pools[0]._id);
+  assert.equal(bodyArmour.findItemByUniqueId(damaged.uniqueId).condition, 'Fair');
+});
+
+test('a kit return that fails part-way returns nothing', async (t) => {
+  const issueRequest = await kitIssueRequest(2);
+  await issueRequest.issueKit(adminId);
+  const returnRequest = await kitReturnRequest(issueRequest);
+  failOnCall(t, 'returnItem', 3);
+
+  await assert.rejects(returnRequest.returnKit(adminId, {}, 'Shift over'), /returnItem failed on call 3/);
+
+  await assertAllIssuedTo(officer._id, 2);
+});
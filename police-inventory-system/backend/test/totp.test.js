@@ -0,0 +1,133 @@
+// TOTP, recovery code and secret encryption tests. Every check runs against a fixed clock.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../utils/totp');
+
+process.env.TWO_FACTOR_KEY = 'test-two-factor-key';
+
+// RFC 6238 appendix B: the ASCII secret "12345678901234567890" with HMAC-SHA1.
+// The RFC lists 8-digit codes; a 6-digit code is their last six digits.
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130']
+];
+
+const NOW = Date.UTC(2026, 0, 15, 9, 30, 10);
+const STEP_MS = totp.STEP_SECONDS * 1000;
+
+test('generates the RFC 6238 SHA-1 test vectors', () => {
+  assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+
+  RFC_VECTORS.forEach(([seconds, code]) => {
+    assert.equal(totp.generateTotp(RFC_SECRET, { now: seconds * 1000 }), code.slice(-6), `T = ${seconds}`);
+  });
+});
+
+test('base32 secrets round-trip', () => {
+  const secret = totp.generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.equal(totp.base32Encode(totp.base32Decode(secret)), secret);
+  assert.throws(() => totp.base32Decode('NOT-BASE32!'), /Invalid base32 secret/);
+});
+
+test('accepts codes from one step either side of the clock', () => {
+  const current = totp.timeStep(NOW);
+
+  [-1, 0, 1].forEach(offset => {
+    const code = totp.generateTotp(RFC_SECRET, { now: NOW + offset * STEP_MS });
+    assert.equal(totp.verifyTotp(RFC_SECRET, code, { now: NOW }), current + offset, `offset ${offset}`);
+  });
+});
+
+test('rejects codes from outside the drift window', () => {
+  [-3, -2, 2, 3].forEach(offset => {
+    const code = totp.generateTotp(RFC_SECRET, { now: NOW + offset * STEP_MS });
+    assert.equal(totp.verifyTotp(RFC_SECRET, code, { now: NOW }), null, `offset ${offset}`);
+  });
+});
+
+test('rejects malformed codes', () => {
+  ['', '12345', '1234567', 'abcdef', null].forEach(code => {
+    assert.equal(totp.verifyTotp(RFC_SECRET, code, { now: NOW }), null, `code ${code}`);
+  });
+
+  const spaced = totp.generateTotp(RFC_SECRET, { now: NOW }).replace(/(\d{3})/, '$1 ');
+  assert.equal(totp.verifyTotp(RFC_SECRET, spaced, { now: NOW }), totp.timeStep(NOW));
+});
+
+test('refuses codes for steps that were already used', () => {
+  const current = totp.timeStep(NOW);
+  const code = totp.generateTotp(RFC_SECRET, { now: NOW });
+
+  assert.equal(totp.verifyTotp(RFC_SECRET, code, { now: NOW, afterStep: current - 1 }), current);
+  assert.equal(totp.verifyTotp(RFC_SECRET, code, { now: NOW, afterStep: current }), null);
+
+  // An earlier code still inside the drift window cannot be used after a later one
+  const previous = totp.generateTotp(RFC_SECRET, { now: NOW - STEP_MS });
+  assert.equal(totp.verifyTotp(RFC_SECRET, previous, { now: NOW, afterStep: current }), null);
+
+  const next = totp.generateTotp(RFC_SECRET, { now: NOW + STEP_MS });
+  assert.equal(totp.verifyTotp(RFC_SECRET, next, { now: NOW, afterStep: current }), current + 1);
+});
+
+test('recovery codes are unique and hash the same however they are typed', () => {
+  const codes = totp.generateRecoveryCodes();
+  assert.equal(codes.length, 10);
+  assert.equal(new Set(codes).size, codes.length);
+  codes.forEach(code => assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/));
+
+  const [code] = codes;
+  const hash = totp.hashRecoveryCode(code);
+  assert.equal(totp.hashRecoveryCode(code.toUpperCase()), hash);
+  assert.equal(totp.hashRecoveryCode(` ${code.replace('-', '')} `), hash);
+  assert.notEqual(totp.hashRecoveryCode(codes[1]), hash);
+});
+
+test('encrypted secrets decrypt to the original', () => {
+  const secret = totp.generateSecret();
+  const stored = totp.encryptSecret(secret);
+
+  assert.ok(!stored.includes(secret));
+  assert.equal(stored.split('.').length, 3);
+  assert.equal(totp.decryptSecret(stored), secret);
+  // A fresh IV every time
+  assert.notEqual(totp.encryptSecret(secret), stored);
+});
+
+test('tampered or foreign ciphertext fails to decrypt', () => {
+  const stored = totp.encryptSecret(totp.generateSecret());
+  const [iv, tag, encrypted] = stored.split('.');
+
+  const flipped = Buffer.from(encrypted, 'base64');
+  flipped[0] ^= 1;
+  assert.throws(() => totp.decryptSecret([iv, tag, flipped.toString('base64')].join('.')));
+
+  const otherTag = Buffer.from(tag, 'base64');
+  otherTag[0] ^= 1;
+  assert.throws(() => totp.decryptSecret([iv, otherTag.toString('base64'), encrypted].join('.')));
+
+  process.env.TWO_FACTOR_KEY = 'another-key';
+  try {
+    assert.throws(() => totp.decryptSecret(stored));
+  } finally {
+    process.env.TWO_FACTOR_KEY = 'test-two-factor-key';
+  }
+});
+
+test('refuses to encrypt without a key', () => {
+  const { TWO_FACTOR_KEY, JWT_SECRET } = process.env;
+  delete process.env.TWO_FACTOR_KEY;
+  delete process.env.JWT_SECRET;
+  try {
+    assert.throws(() => totp.encryptSecret('SECRET'), /TWO_FACTOR_KEY or JWT_SECRET/);
+  } finally {
+    process.env.TWO_FACTOR_KEY = TWO_FACTOR_KEY;
+    if (JWT_SECRET !== undefined) process.env.JWT_SECRET = JWT_SECRET;
+  }
+});
@@ -0,0 +1,133 @@
+// User.useSecondFactor against an in-memory MongoDB: codes and recovery codes are
+// used up atomically, so none of them works twice. The clock is fixed with `now`.
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const User = require('../models/User');
+const totp = require('../utils/totp');
+
+process.env.TWO_FACTOR_KEY = 'test-two-factor-key';
+
+const NOW = Date.UTC(2026, 0, 15, 9, 30, 10);
+const STEP_MS = totp.STEP_SECONDS * 1000;
+
+let server;
+
+before(async () => {
+  server = await MongoMemoryServer.create();
+  await mongoose.connect(server.getUri());
+});
+
+after(async () => {
+  await mongoose.disconnect();
+  if (server) await server.stop();
+});
+
+let userId;
+let secret;
+let recoveryCodes;
+
+beforeEach(async () => {
+  await User.deleteMany({});
+
+  secret = totp.generateSecret();
+  recoveryCodes = totp.generateRecoveryCodes();
+
+  const user = await User.create({
+    officerId: 'MHPC20210078',
+    fullName: 'Test Officer',
+    designation: 'Police Constable (PC)',
+    email: 'Officer@police.gov.in',
+    dateOfJoining: new Date('2021-06-01'),
+    // Already hashed, so the save skips the slow bcrypt round
+    password: bcrypt.hashSync('Unused-password-1', 4),
+    rank: 'Police Station Staff (HC, PC)',
+    twoFactor: {
+      enabled: true,
+      secret: totp.encryptSecret(secret),
+      recoveryCodes: recoveryCodes.map(code => ({ hash: totp.hashRecoveryCode(code) })),
+      enabledAt: new Date(NOW - 24 * 60 * 60 * 1000)
+    }
+  });
+  userId = user._id;
+});
+
+// Each sign-in loads its own copy of the user, like the login route does
+const loadUser = () => User.findById(userId).select('+twoFactor.secret +twoFactor.recoveryCodes');
+
+const codeAt = (now) => totp.generateTotp(secret, { now });
+
+test('an authenticator code works once', async () => {
+  const code = codeAt(NOW);
+
+  assert.equal(await (await loadUser()).useSecondFactor({ code }, NOW), 'totp');
+  assert.equal(await (await loadUser()).useSecondFactor({ code }, NOW), null);
+
+  const user = await loadUser();
+  assert.equal(user.twoFactor.lastUsedStep, totp.timeStep(NOW));
+});
+
+test('a code loaded before the first use cannot be replayed', async () => {
+  const code = codeAt(NOW);
+  const [first, second] = await Promise.all([loadUser(), loadUser()]);
+
+  assert.equal(await first.useSecondFactor({ code }, NOW), 'totp');
+  // Still sees the old lastUsedStep, so only the conditional update stops it
+  assert.equal(await second.useSecondFactor({ code }, NOW), null);
+});
+
+test('concurrent sign-ins with the same code succeed only once', async () => {
+  const code = codeAt(NOW);
+  const users = await Promise.all(Array.from({ length: 5 }, loadUser));
+
+  const results = await Promise.all(users.map(user => user.useSecondFactor({ code }, NOW)));
+  assert.equal(results.filter(result => result === 'totp').length, 1);
+});
+
+test('codes within the drift window are accepted but never an older one after a newer', async () => {
+  assert.equal(await (await loadUser()).useSecondFactor({ code: codeAt(NOW + STEP_MS) }, NOW), 'totp');
+  assert.equal(await (await loadUser()).useSecondFactor({ code: codeAt(NOW) }, NOW), null);
+  assert.equal(await (await loadUser()).useSecondFactor({ code: codeAt(NOW - STEP_MS) }, NOW), null);
+
+  // Two steps on, the next code is accepted again
+  const later = NOW + 2 * STEP_MS;
+  assert.equal(await (await loadUser()).useSecondFactor({ code: codeAt(later) }, later), 'totp');
+});
+
+test('codes outside the drift window are rejected', async () => {
+  assert.equal(await (await loadUser()).useSecondFactor({ code: codeAt(NOW - 2 * STEP_MS) }, NOW), null);
+  assert.equal(await (await loadUser()).useSecondFactor({ code: codeAt(NOW + 2 * STEP_MS) }, NOW), null);
+});
+
+test('a recovery code works once and leaves the others usable', async () => {
+  const [code, other] = recoveryCodes;
+
+  assert.equal(await (await loadUser()).useSecondFactor({ recoveryCode: code }, NOW), 'recovery');
+  assert.equal(await (await loadUser()).useSecondFactor({ recoveryCode: code }, NOW), null);
+  assert.equal(await (await loadUser()).useSecondFactor({ recoveryCode: code.toUpperCase() }, NOW), null);
+
+  assert.equal(await (await loadUser()).useSecondFactor({ recoveryCode: other.toUpperCase().replace('-', '') }, NOW), 'recovery');
+
+  const user = await loadUser();
+  const used = user.twoFactor.recoveryCodes.filter(entry => entry.usedAt);
+  assert.equal(used.length, 2);
+  used.forEach(entry => assert.equal(entry.usedAt.getTime(), NOW));
+});
+
+test('concurrent sign-ins with the same recovery code succeed only once', async () => {
+  const users = await Promise.all(Array.from({ length: 5 }, loadUser));
+
+  const results = await Promise.all(users.map(user => user.useSecondFactor({ recoveryCode: recoveryCodes[0] }, NOW)));
+  assert.equal(results.filter(result => result === 'recovery').length, 1);
+});
+
+test('unknown recovery codes and disabled two-factor are refused', async () => {
+  assert.equal(await (await loadUser()).useSecondFactor({ recoveryCode: 'aaaaa-bbbbb' }, NOW), null);
+
+  await User.updateOne({ _id: userId }, { $set: { 'twoFactor.enabled': false } });
+  assert.equal(await (await loadUser()).useSecondFactor({ code: codeAt(NOW) }, NOW), null);
+  assert.equal(await (await loadUser()).useSecondFactor({ recoveryCode: recoveryCodes[0] }, NOW), null);
+});
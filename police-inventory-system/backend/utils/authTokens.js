@@ -0,0 +1,123 @@
+// Access and refresh tokens.
+// The access token is a short-lived JWT naming the session it belongs to; the
+// refresh token ("<sessionId>.<secret>") is single use and replaced on every refresh.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 7;
+
+// Two tabs refreshing at once present the same token; within this window the
+// second one is refused without treating it as theft
+const REUSE_GRACE_MS = 30 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A correct password with two-factor still to do earns a challenge token instead
+// of a session: 'two-factor' to enter a code, 'two-factor-setup' to enroll first
+const CHALLENGE_EXPIRES_IN = '10m';
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { id: user._id, role: user.role, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+);
+
+const newSecret = () => crypto.randomBytes(32).toString('hex');
+
+const clientDetails = (req) => {
+  const userAgent = (req.get('User-Agent') || '').slice(0, 500);
+  return {
+    userAgent,
+    device: Session.describeDevice(userAgent),
+    ip: req.ip
+  };
+};
+
+// Start a session for a user who just signed in; returns both tokens
+const createSession = async (user, req) => {
+  const secret = newSecret();
+  const session = new Session({
+    user: user._id,
+    tokenHash: Session.hashToken(secret),
+    ...clientDetails(req),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * DAY_MS)
+  });
+  await session.save();
+
+  return {
+    session,
+    token: signAccessToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`
+  };
+};
+
+// Exchange a refresh token for new tokens. Throws an error with a status when
+// the token cannot be used; presenting an already replaced token revokes the session.
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId, secret] = (refreshToken || '').split('.');
+  const fail = (message) => Object.assign(new Error(message), { status: 401 });
+
+  if (!secret || !/^[a-f\d]{24}$/i.test(sessionId)) {
+    throw fail('Invalid refresh token.');
+  }
+
+  const hash = Session.hashToken(secret);
+  const now = new Date();
+  const nextSecret = newSecret();
+
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, tokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        tokenHash: Session.hashToken(nextSecret),
+        previousTokenHash: hash,
+        rotatedAt: now,
+        lastSeenAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_DAYS * DAY_MS),
+        ...clientDetails(req)
+      }
+    },
+    { new: true }
+  ).populate('user', 'role isActive');
+
+  if (!session) {
+    const reused = await Session.findOne({ _id: sessionId, previousTokenHash: hash, revokedAt: null });
+    if (reused && now - reused.rotatedAt > REUSE_GRACE_MS) {
+      await Session.revoke({ _id: reused._id }, { reason: 'Refresh token reused' });
+      req.audit?.({ action: 'auth.session.reuse', actor: { _id: reused.user }, targetModel: 'Session', targetId: reused._id });
+    }
+    throw fail('Session has expired or been revoked.');
+  }
+
+  if (!session.user || !session.user.isActive) {
+    await Session.revoke({ _id: session._id }, { reason: 'User inactive' });
+    throw fail('User account is inactive.');
+  }
+
+  return {
+    session,
+    token: signAccessToken(session.user, session._id),
+    refreshToken: `${session._id}.${nextSecret}`
+  };
+};
+
+const signChallengeToken = (user, purpose) => jwt.sign(
+  { id: user._id, purpose },
+  process.env.JWT_SECRET,
+  { expiresIn: CHALLENGE_EXPIRES_IN }
+);
+
+// User ID from a challenge token issued for `purpose`, or null
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = { createSession, rotateSession, signChallengeToken, verifyChallengeToken };
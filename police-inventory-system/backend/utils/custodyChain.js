@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+
+// Hash chain over an item's usageHistory and maintenanceHistory.
+// Each entry stores the hash of the previous entry (prevHash) and a hash of its own
+// fields plus prevHash, so editing, deleting or reordering any entry breaks every
+// later link. The pool id and uniqueId are part of the hash so entries cannot be
+// moved between items.
+// Hashes are HMAC-SHA256 with CUSTODY_CHAIN_KEY (or JWT_SECRET), so someone with only
+// database access cannot recompute them after editing an entry. Every entry must be
+// sealed: history written before the chain existed is sealed by scripts/sealCustodyChain.js.
+
+const GENESIS_HASH = '0'.repeat(64);
+
+const CHAIN_FIELDS = {
+  usageHistory: [
+    'userId', 'officerId', 'officerName', 'designation', 'issuedDate', 'returnedDate',
+    'daysUsed', 'purpose', 'conditionAtIssue', 'conditionAtReturn', 'remarks',
+    'issuedBy', 'returnedTo'
+  ],
+  maintenanceHistory: [
+    'date', 'type', 'description', 'cost', 'performedBy', 'nextMaintenanceDate'
+  ]
+};
+
+// Stable string form of a value as it round-trips through MongoDB
+const normalize = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value._id && typeof value._id !== 'function' && value._id.toString) return value._id.toString();
+  if (typeof value === 'object' && value.toString && value.toString !== Object.prototype.toString) {
+    return value.toString();
+  }
+  return value;
+};
+
+// An empty key would let anyone recompute the hashes, so refuse to hash without one
+const chainKey = () => {
+  const key = process.env.CUSTODY_CHAIN_KEY || process.env.JWT_SECRET;
+  if (!key) {
+    throw new Error('CUSTODY_CHAIN_KEY or JWT_SECRET must be set to seal custody history');
+  }
+  return key;
+};
+
+const entryPayload = (chain, context, entry, prevHash) => JSON.stringify([
+  chain,
+  context.poolId.toString(),
+  context.uniqueId,
+  entry._id ? entry._id.toString() : null,
+  CHAIN_FIELDS[chain].map(field => [field, normalize(entry[field])]),
+  prevHash
+]);
+
+const hashEntry = (chain, context, entry, prevHash) => crypto
+  .createHmac('sha256', chainKey())
+  .update(entryPayload(chain, context, entry, prevHash))
+  .digest('hex');
+
+// Unkeyed SHA-256 the chain used before it was keyed; only for resealing old history
+const legacyHashEntry = (chain, context, entry, prevHash) => crypto
+  .createHash('sha256')
+  .update(entryPayload(chain, context, entry, prevHash))
+  .digest('hex');
+
+// prevHash and hash for a new entry appended after `entries`
+const sealEntry = (chain, context, entries, entry) => {
+  const last = entries[entries.length - 1];
+  const prevHash = last?.hash || GENESIS_HASH;
+  return { prevHash, hash: hashEntry(chain, context, entry, prevHash) };
+};
+
+// Check one chain; reports the first broken link, if any. An entry without a hash
+// is a failure wherever it is, so stripping hashes cannot make a chain look valid.
+// options.legacy is for the sealing script only: it accepts leading unsealed entries
+// and hashes made before the chain was keyed.
+const verifyChain = (chain, context, entries = [], { legacy = false } = {}) => {
+  let prevHash = GENESIS_HASH;
+  let unsealed = 0;
+  let sealed = 0;
+
+  for (let index = 0; index < entries.length; index++) {
+    const entry = entries[index];
+
+    if (!entry.hash) {
+      if (legacy && sealed === 0) {
+        unsealed++;
+        continue;
+      }
+      return { valid: false, sealed, unsealed, brokenAt: { index, entryId: entry._id, reason: 'Entry is missing its hash' } };
+    }
+
+    if (entry.prevHash !== prevHash) {
+      return { valid: false, sealed, unsealed, brokenAt: { index, entryId: entry._id, reason: 'Entry does not link to the previous entry' } };
+    }
+
+    const matches = hashEntry(chain, context, entry, prevHash) === entry.hash ||
+      (legacy && legacyHashEntry(chain, context, entry, prevHash) === entry.hash);
+    if (!matches) {
+      return { valid: false, sealed, unsealed, brokenAt: { index, entryId: entry._id, reason: 'Entry contents were modified' } };
+    }
+
+    prevHash = entry.hash;
+    sealed++;
+  }
+
+  return { valid: true, sealed, unsealed, brokenAt: null };
+};
+
+// Verify both chains of a pool item
+const verifyItem = (poolId, item) => {
+  const context = { poolId, uniqueId: item.uniqueId };
+  const usage = verifyChain('usageHistory', context, item.usageHistory);
+  const maintenance = verifyChain('maintenanceHistory', context, item.maintenanceHistory);
+
+  return {
+    uniqueId: item.uniqueId,
+    valid: usage.valid && maintenance.valid,
+    usageHistory: usage,
+    maintenanceHistory: maintenance
+  };
+};
+
+module.exports = { GENESIS_HASH, hashEntry, sealEntry, verifyChain, verifyItem };
@@ -0,0 +1,72 @@
+// Server-Sent Events hub: keeps the open /api/events connections and pushes
+// live request and pool updates to them.
+
+const HEARTBEAT_MS = 25 * 1000;
+
+const clients = new Set();
+
+// Express handler for GET /api/events (expects req.user from auth middleware)
+const subscribe = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const client = {
+    res,
+    userId: req.user._id.toString(),
+    role: req.user.role,
+    sessionId: req.sessionId?.toString()
+  };
+  clients.add(client);
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  };
+  req.on('close', cleanup);
+
+  client.end = () => {
+    cleanup();
+    res.end();
+  };
+};
+
+// Send an event to every connected client allowed by the target filter.
+// target.roles limits by role, target.userIds adds specific users regardless of role.
+const broadcast = (event, data, target = {}) => {
+  const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  const userIds = (target.userIds || []).filter(Boolean).map(id => id.toString());
+
+  clients.forEach(client => {
+    const allowed = (!target.roles && !target.userIds) ||
+      (target.roles && target.roles.includes(client.role)) ||
+      userIds.includes(client.userId);
+
+    if (allowed) {
+      client.res.write(payload);
+    }
+  });
+};
+
+// End the streams opened by revoked sessions
+const closeSessions = (sessionIds) => {
+  const ids = sessionIds.map(id => id.toString());
+
+  clients.forEach(client => {
+    if (ids.includes(client.sessionId)) {
+      client.end();
+    }
+  });
+};
+
+const clientCount = () => clients.size;
+
+module.exports = { subscribe, broadcast, closeSessions, clientCount };
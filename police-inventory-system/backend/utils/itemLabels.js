@@ -0,0 +1,119 @@
+const PDFDocument = require('pdfkit');
+const bwipjs = require('bwip-js');
+
+// Printable item labels. The QR code holds a link to the app's scan route so a
+// phone camera opens the item directly; the Code128 barcode holds the shorter
+// "<poolId>:<uniqueId>" form for keyboard-wedge scanners. parseItemCode
+// accepts either, or a bare uniqueId typed by hand.
+
+const MM = 72 / 25.4;
+
+// A4 sheet of 3 x 8 labels, 70 x 37 mm each
+const SHEET = {
+  columns: 3,
+  rows: 8,
+  labelWidth: 70 * MM,
+  labelHeight: 37 * MM,
+  padding: 3 * MM
+};
+
+const FORMATS = ['qr', 'code128', 'both'];
+
+const clientUrl = () => (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const scanUrl = (poolId, uniqueId) =>
+  `${clientUrl()}/admin/scan/${poolId}/${encodeURIComponent(uniqueId)}`;
+
+const barcodeText = (poolId, uniqueId) => `${poolId}:${uniqueId}`;
+
+// Resolve a scanned or typed code to { poolId, uniqueId }; poolId is null for a bare uniqueId
+const parseItemCode = (code) => {
+  const text = (code || '').trim();
+  if (!text) return null;
+
+  const match = text.match(/([a-f0-9]{24})[:/]([^/?#\s]+)\/?(?:[?#].*)?$/i);
+  if (match) {
+    try {
+      return { poolId: match[1], uniqueId: decodeURIComponent(match[2]) };
+    } catch (error) {
+      // Malformed percent-encoding
+      return null;
+    }
+  }
+
+  return /^[A-Za-z0-9-]+$/.test(text) ? { poolId: null, uniqueId: text } : null;
+};
+
+const renderBarcode = (bcid, text) => bwipjs.toBuffer(bcid === 'qrcode'
+  ? { bcid, text, scale: 3, eclevel: 'M' }
+  : { bcid, text, scale: 2, height: 8, includetext: false });
+
+// Draw one label with its top-left corner at (x, y)
+const drawLabel = (doc, x, y, label) => {
+  const { labelWidth, labelHeight, padding } = SHEET;
+  const left = x + padding;
+  const top = y + padding;
+  const innerWidth = labelWidth - padding * 2;
+  const innerHeight = labelHeight - padding * 2;
+
+  // The Code128 barcode spans the full label width so its bars stay wide enough to scan
+  const barcodeHeight = label.code128 ? (label.qr ? 10 : 16) * MM : 0;
+  const qrSize = label.qr ? innerHeight - (barcodeHeight ? barcodeHeight + padding : 0) : 0;
+
+  if (label.qr) {
+    doc.image(label.qr, left, top, { fit: [qrSize, qrSize] });
+  }
+
+  const textX = left + (qrSize ? qrSize + padding : 0);
+  const textWidth = left + innerWidth - textX;
+
+  doc.font('Helvetica-Bold').fontSize(13)
+    .text(label.uniqueId, textX, top, { width: textWidth, lineBreak: false, ellipsis: true });
+  doc.font('Helvetica').fontSize(7)
+    .text(label.poolName, textX, doc.y + 1, { width: textWidth, height: 18, ellipsis: true });
+
+  if (label.code128) {
+    doc.image(label.code128, left, y + labelHeight - padding - barcodeHeight, {
+      width: innerWidth,
+      height: barcodeHeight
+    });
+  }
+};
+
+// Write a PDF sheet of labels for the given pool items to `stream`
+const writeLabelSheet = async (stream, pool, items, format = 'both') => {
+  const labels = await Promise.all(items.map(async item => ({
+    uniqueId: item.uniqueId,
+    poolName: pool.poolName,
+    qr: format !== 'code128' ? await renderBarcode('qrcode', scanUrl(pool._id, item.uniqueId)) : null,
+    code128: format !== 'qr' ? await renderBarcode('code128', barcodeText(pool._id, item.uniqueId)) : null
+  })));
+
+  const doc = new PDFDocument({ size: 'A4', margin: 0, info: { Title: `${pool.poolName} labels` } });
+  doc.pipe(stream);
+
+  const perSheet = SHEET.columns * SHEET.rows;
+  const offsetX = (doc.page.width - SHEET.columns * SHEET.labelWidth) / 2;
+  const offsetY = (doc.page.height - SHEET.rows * SHEET.labelHeight) / 2;
+
+  labels.forEach((label, index) => {
+    if (index > 0 && index % perSheet === 0) {
+      doc.addPage();
+    }
+
+    const position = index % perSheet;
+    const x = offsetX + (position % SHEET.columns) * SHEET.labelWidth;
+    const y = offsetY + Math.floor(position / SHEET.columns) * SHEET.labelHeight;
+    drawLabel(doc, x, y, label);
+  });
+
+  doc.end();
+};
+
+module.exports = {
+  FORMATS,
+  scanUrl,
+  barcodeText,
+  parseItemCode,
+  writeLabelSheet
+};
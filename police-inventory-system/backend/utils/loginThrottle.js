@@ -0,0 +1,100 @@
+// Login throttling: progressive delays and temporary lockout per account, and a
+// temporary block per IP address, after repeated failed logins.
+
+const LoginThrottle = require('../models/LoginThrottle');
+const Notification = require('../models/Notification');
+
+const MINUTE_MS = 60 * 1000;
+
+// Failed logins before an account is locked, and how long the first lockout lasts
+const MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * MINUTE_MS;
+const MAX_LOCKOUT_MS = 24 * 60 * MINUTE_MS;
+
+// Failed logins from one IP address within the window before it is blocked for a window
+const IP_MAX_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20;
+const IP_WINDOW_MS = (parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15) * MINUTE_MS;
+
+// Wait after the first failed login; doubles with every further failure
+const DELAY_BASE_MS = (parseFloat(process.env.LOGIN_DELAY_SECONDS) || 1) * 1000;
+const MAX_DELAY_MS = 30 * 1000;
+
+const delayAfter = (failures) => Math.min(DELAY_BASE_MS * 2 ** (failures - 1), MAX_DELAY_MS);
+
+const formatWait = (until, now = new Date()) => {
+  const seconds = Math.max(Math.ceil((until - now) / 1000), 1);
+  return seconds < 120 ? `${seconds} second(s)` : `${Math.ceil(seconds / 60)} minute(s)`;
+};
+
+// Why a login must be refused right now, or null when it may go ahead.
+// Returns { status, message, retryAt }.
+const loginRefusal = async (ip, user) => {
+  const now = new Date();
+
+  const blocked = await LoginThrottle.findOne({ ip, blockedUntil: { $gt: now } }).select('blockedUntil');
+  if (blocked) {
+    return {
+      status: 429,
+      message: `Too many failed login attempts from this address. Try again in ${formatWait(blocked.blockedUntil, now)}`,
+      retryAt: blocked.blockedUntil
+    };
+  }
+
+  if (!user) return null;
+
+  if (user.isLocked()) {
+    return {
+      status: 423,
+      message: `Account is locked after repeated failed logins. Try again in ${formatWait(user.lockedUntil, now)} or ask an administrator to unlock it`,
+      retryAt: user.lockedUntil
+    };
+  }
+
+  if (user.failedLoginAttempts > 0 && user.lastFailedLoginAt) {
+    const retryAt = new Date(user.lastFailedLoginAt.getTime() + delayAfter(user.failedLoginAttempts));
+    if (retryAt > now) {
+      return {
+        status: 429,
+        message: `Too many failed login attempts. Try again in ${formatWait(retryAt, now)}`,
+        retryAt
+      };
+    }
+  }
+
+  return null;
+};
+
+// Record a failed login from `ip` (for `user` when the account exists) and alert
+// admins about new lockouts. Returns { lockedUntil, ipBlocked }.
+const recordFailedLogin = async (ip, user) => {
+  const { record, blocked: ipBlocked } = await LoginThrottle.registerFailure(ip, {
+    maxFailures: IP_MAX_ATTEMPTS,
+    windowMs: IP_WINDOW_MS
+  });
+
+  if (ipBlocked) {
+    await Notification.notifyAdmins({
+      type: 'LoginBlocked',
+      title: `Logins blocked from ${ip}`,
+      message: `${record.failures} failed logins within ${IP_WINDOW_MS / MINUTE_MS} minutes. ` +
+        `Logins from this address are refused until ${record.blockedUntil.toLocaleString()}.`
+    });
+  }
+
+  const lockedUntil = user
+    ? await user.registerFailedLogin(ip, { maxAttempts: MAX_ATTEMPTS, lockoutMs: LOCKOUT_MS, maxLockoutMs: MAX_LOCKOUT_MS })
+    : null;
+
+  if (lockedUntil) {
+    await Notification.notifyAdmins({
+      type: 'AccountLocked',
+      title: `${user.fullName}'s account is locked`,
+      message: `${MAX_ATTEMPTS} failed logins, the last from ${ip}. Locked until ${lockedUntil.toLocaleString()} ` +
+        `(lockout ${user.lockoutCount}). Unlock it from User Management if the attempts were genuine.`
+    });
+  }
+
+  return { lockedUntil, ipBlocked };
+};
+
+module.exports = { loginRefusal, recordFailedLogin, formatWait };
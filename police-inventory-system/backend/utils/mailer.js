@@ -0,0 +1,51 @@
+// Outgoing mail through a pluggable transport, chosen with MAIL_TRANSPORT:
+// - 'console' (default): print messages to the server log
+// - 'file': write each message as a JSON file to MAIL_FILE_DIR, for local testing
+// - anything else: path of a module exporting `send(message)`, e.g. a wrapper
+//   around an SMTP client or a mail API
+// A message is { from, to, subject, text }.
+
+const fs = require('fs');
+const path = require('path');
+
+const FROM = process.env.MAIL_FROM || 'Police Inventory <no-reply@police.gov.in>';
+const FILE_DIR = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'mail');
+
+const transports = {
+  console: {
+    send: async (message) => {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+  },
+  file: {
+    send: async (message) => {
+      await fs.promises.mkdir(FILE_DIR, { recursive: true });
+      const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.to.replace(/[^\w.@-]/g, '_')}.json`;
+      await fs.promises.writeFile(path.join(FILE_DIR, name), JSON.stringify(message, null, 2));
+    }
+  }
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    transport = transports[name] || require(path.resolve(name));
+  }
+  return transport;
+};
+
+// Send a message. Returns false (and logs) when the transport fails, so a mail
+// problem does not fail the request that triggered it.
+const sendMail = async ({ to, subject, text }) => {
+  try {
+    await getTransport().send({ from: FROM, to, subject, text });
+    return true;
+  } catch (error) {
+    console.error(`Mail to ${to} failed:`, error.message);
+    return false;
+  }
+};
+
+module.exports = { sendMail };
@@ -0,0 +1,146 @@
+// Password policy: length, character classes, a local blocklist of breached
+// passwords, reuse of recent passwords and maximum age. Configured from the environment.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { body } = require('express-validator');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// `chars` are used for generated passwords (no look-alikes such as O/0 or l/1)
+const CHARACTER_CLASSES = {
+  lower: { pattern: /[a-z]/, label: 'a lowercase letter', chars: 'abcdefghijkmnpqrstuvwxyz' },
+  upper: { pattern: /[A-Z]/, label: 'an uppercase letter', chars: 'ABCDEFGHJKLMNPQRSTUVWXYZ' },
+  digit: { pattern: /\d/, label: 'a number', chars: '23456789' },
+  symbol: { pattern: /[^a-zA-Z\d]/, label: 'a symbol', chars: '!@#$%&*?' }
+};
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const MIN_LENGTH = envInt('PASSWORD_MIN_LENGTH', 12);
+// bcrypt ignores everything after 72 bytes
+const MAX_LENGTH = 72;
+const REQUIRED_CLASSES = (process.env.PASSWORD_REQUIRED_CLASSES ?? 'lower,upper,digit')
+  .split(',')
+  .map(name => name.trim())
+  .filter(name => CHARACTER_CLASSES[name]);
+// Passwords at least this long are passphrases and skip the character classes (0 = never)
+const PASSPHRASE_LENGTH = envInt('PASSWORD_PASSPHRASE_LENGTH', 20);
+// Recent passwords, the current one included, that cannot be used again
+const HISTORY_SIZE = envInt('PASSWORD_HISTORY', 5);
+// Days before a password has to be changed (0 = never)
+const MAX_AGE_DAYS = envInt('PASSWORD_MAX_AGE_DAYS', 90);
+const BLOCKLIST_FILE = process.env.PASSWORD_BLOCKLIST_FILE ||
+  path.join(__dirname, '..', 'data', 'breached-passwords.txt');
+
+// One password per line ("#" starts a comment), compared case-insensitively; read on first use
+let blocklist = null;
+
+const loadBlocklist = () => {
+  if (!blocklist) {
+    try {
+      blocklist = new Set(
+        fs.readFileSync(BLOCKLIST_FILE, 'utf8')
+          .split(/\r?\n/)
+          .map(line => line.trim().toLowerCase())
+          .filter(line => line && !line.startsWith('#'))
+      );
+    } catch (error) {
+      console.error(`Password blocklist ${BLOCKLIST_FILE} could not be read:`, error.message);
+      blocklist = new Set();
+    }
+  }
+  return blocklist;
+};
+
+// Everything wrong with a new password, as messages (empty when it is acceptable)
+const check = (password) => {
+  const value = String(password || '');
+  const problems = [];
+
+  if (value.length < MIN_LENGTH) {
+    problems.push(`Password must be at least ${MIN_LENGTH} characters long`);
+  }
+  if (Buffer.byteLength(value) > MAX_LENGTH) {
+    problems.push(`Password cannot be longer than ${MAX_LENGTH} bytes`);
+  }
+
+  const passphrase = PASSPHRASE_LENGTH > 0 && value.length >= PASSPHRASE_LENGTH;
+  const missing = passphrase
+    ? []
+    : REQUIRED_CLASSES.filter(name => !CHARACTER_CLASSES[name].pattern.test(value));
+  if (missing.length > 0) {
+    const labels = missing.map(name => CHARACTER_CLASSES[name].label).join(', ');
+    problems.push(`Password must contain ${labels}` +
+      (PASSPHRASE_LENGTH > 0 ? ` (or be a passphrase of ${PASSPHRASE_LENGTH}+ characters)` : ''));
+  }
+
+  if (value && loadBlocklist().has(value.toLowerCase())) {
+    problems.push('Password appears in a list of breached passwords. Choose another one');
+  }
+
+  return problems;
+};
+
+// Whether `password` matches any of the given bcrypt hashes (current and recent passwords)
+const matchesHistory = async (password, hashes) => {
+  for (const hash of hashes) {
+    if (hash && await bcrypt.compare(password, hash)) return true;
+  }
+  return false;
+};
+
+// When a password set at `changedAt` has to be replaced, or null when it never expires
+const expiresAt = (changedAt) => {
+  if (MAX_AGE_DAYS <= 0 || !changedAt) return null;
+  return new Date(new Date(changedAt).getTime() + MAX_AGE_DAYS * DAY_MS);
+};
+
+// Random password that meets the policy, for an admin to hand to a user who
+// must change it at the next login
+const generateTemporary = () => {
+  const pick = (chars) => chars[crypto.randomInt(chars.length)];
+  const classes = ['lower', 'upper', 'digit', ...REQUIRED_CLASSES.filter(name => name === 'symbol')];
+  const all = classes.map(name => CHARACTER_CLASSES[name].chars).join('');
+
+  // One of every class, then random characters up to the length, shuffled
+  const chars = classes.map(name => pick(CHARACTER_CLASSES[name].chars));
+  while (chars.length < Math.max(MIN_LENGTH, 16)) chars.push(pick(all));
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join('');
+};
+
+// The policy in a form the client can show next to password fields
+const describe = () => ({
+  minLength: MIN_LENGTH,
+  maxLength: MAX_LENGTH,
+  requiredClasses: REQUIRED_CLASSES,
+  passphraseLength: PASSPHRASE_LENGTH,
+  historySize: HISTORY_SIZE,
+  maxAgeDays: MAX_AGE_DAYS
+});
+
+// express-validator rule enforcing the policy on a request field
+const passwordField = (field) => body(field).custom(value => {
+  const problems = check(value);
+  if (problems.length > 0) throw new Error(problems.join('. '));
+  return true;
+});
+
+module.exports = {
+  HISTORY_SIZE,
+  check,
+  matchesHistory,
+  expiresAt,
+  describe,
+  generateTemporary,
+  passwordField
+};
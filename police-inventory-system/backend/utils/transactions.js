@@ -0,0 +1,17 @@
+// Helpers for the MongoDB transactions used by armory desk and kit issues and returns.
+
+const mongoose = require('mongoose');
+
+// Transactions need a replica set member or a mongos; a standalone mongod rejects them
+const supportsTransactions = async (connection = mongoose.connection) => {
+  const hello = await connection.db.admin().command({ hello: 1 });
+  return Boolean(hello.setName) || hello.msg === 'isdbgrid';
+};
+
+// Failures of MongoDB or Mongoose themselves (no replica set, lost connection, a write
+// conflict that outlasted the retries...), as opposed to the plain Errors the models
+// throw when an item's state or a quantity rules the operation out
+const isDatabaseError = (error) =>
+  error instanceof mongoose.mongo.MongoError || error instanceof mongoose.Error;
+
+module.exports = { supportsTransactions, isDatabaseError };
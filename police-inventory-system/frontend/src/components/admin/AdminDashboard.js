@@ -1,16 +1,29 @@
 import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
 import Navigation from '../common/Navigation';
 import UserManagement from './UserManagement';
 import EquipmentManagement from './EquipmentManagement';
 import ProcessRequests from './ProcessRequests';
+import MaintenanceSchedule from './MaintenanceSchedule';
+import AuditLog from './AuditLog';
+import Incidents from './Incidents';
+import Stations from './Stations';
+import Kits from './Kits';
+import Procurement from './Procurement';
+import Warranty from './Warranty';
+import ScanItem from './ScanItem';
+import ArmoryDesk from './ArmoryDesk';
 import ReportsPage from './ReportsPage';
-import { adminAPI } from '../../utils/api';
+import { adminAPI, equipmentAPI } from '../../utils/api';
 import { toast } from 'react-toastify';
+import { useServerEvent } from '../../utils/serverEvents';
 // UI/UX Enhancement: The CSS file is the primary source of the new design.
 import './AdminDashboard.css';
 
 const AdminDashboard = () => {
-  const [activeSection, setActiveSection] = useState('dashboard');
+  // /admin/scan/:poolId/:uniqueId is opened from a QR label
+  const scanCode = useParams()['*']?.match(/^scan\/(.+)$/)?.[1];
+  const [activeSection, setActiveSection] = useState(scanCode ? 'scanItem' : 'dashboard');
   const [dashboardData, setDashboardData] = useState(null);
   const [loading, setLoading] = useState(true);
 
@@ -18,8 +31,17 @@ const AdminDashboard = () => {
     'dashboard',
     'userManagement',
     'equipmentManagement',
+    'stations',
+    'kits',
+    'procurement',
+    'warranty',
+    'scanItem',
+    'armoryDesk',
     'processRequests',
-    'reports'
+    'incidents',
+    'maintenance',
+    'reports',
+    'audit'
   ];
 
   useEffect(() => {
@@ -28,13 +50,23 @@ const AdminDashboard = () => {
     }
   }, [activeSection]);
 
-  const fetchDashboardData = async () => {
+  // Refresh the stats when requests or pool counts change elsewhere
+  useServerEvent(
+    ['request:created', 'request:approved', 'request:rejected', 'request:completed', 'pool:updated', 'pool:deleted'],
+    () => {
+      if (activeSection === 'dashboard') {
+        fetchDashboardData(true);
+      }
+    }
+  );
+
+  const fetchDashboardData = async (silent = false) => {
     /* UI/UX Enhancement: The 'loading' state is now styled 
       globally via .loading-state in AdminDashboard.css.
       Toast notifications are also styled via the new theme.
     */
     try {
-      setLoading(true);
+      if (!silent) setLoading(true);
       const response = await adminAPI.getDashboard();
       if (response.data.success) {
         setDashboardData(response.data.data);
@@ -65,10 +97,28 @@ const AdminDashboard = () => {
         return <UserManagement />;
       case 'equipmentManagement':
         return <EquipmentManagement />;
+      case 'stations':
+        return <Stations />;
+      case 'kits':
+        return <Kits />;
+      case 'procurement':
+        return <Procurement />;
+      case 'warranty':
+        return <Warranty />;
+      case 'scanItem':
+        return <ScanItem initialCode={scanCode} />;
+      case 'armoryDesk':
+        return <ArmoryDesk />;
       case 'processRequests':
         return <ProcessRequests />;
+      case 'incidents':
+        return <Incidents />;
+      case 'maintenance':
+        return <MaintenanceSchedule />;
       case 'reports':
         return <ReportsPage />;
+      case 'audit':
+        return <AuditLog />;
       default:
         return <DashboardStats data={dashboardData} />;
     }
@@ -99,6 +149,20 @@ const AdminDashboard = () => {
 const DashboardStats = ({ data }) => {
   if (!data) return null;
 
+  const handleExportProcurementList = async () => {
+    try {
+      const response = await equipmentAPI.getProcurementList({ format: 'csv' });
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'text/csv' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `procurement-list-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to export procurement list');
+    }
+  };
+
   /* UI/UX Enhancement: The .stats-grid and .dashboard-card styles 
     in the CSS have been refactored with theme variables for a 
     clean, consistent, and modern appearance.
@@ -143,9 +207,98 @@ const DashboardStats = ({ data }) => {
           // UI/UX Enhancement: Changed 'purple' to 'primary' to match new theme.
           color="primary"
         />
+
+        <StatCard
+          icon="⏰"
+          title="Overdue Returns"
+          value={data.stats.overdueItems}
+          subtitle={`${data.stats.escalatedOverdueItems} escalated`}
+          color="orange"
+          urgent={data.stats.escalatedOverdueItems > 0}
+        />
+
+        <StatCard
+          icon="⚠️"
+          title="Lost / Damaged"
+          value={data.stats.lostItems + data.stats.damagedItems}
+          subtitle={`${data.stats.openIncidents} open incidents • ${data.stats.retiredItems} retired`}
+          color="orange"
+          urgent={data.stats.openIncidents > 0}
+        />
+
+        <StatCard
+          icon="📦"
+          title="Low Stock"
+          value={data.stats.lowStockPools}
+          subtitle="Pools at reorder level"
+          color="orange"
+          urgent={data.stats.lowStockPools > 0}
+        />
       </div>
 
       <div className="dashboard-sections">
+        {data.overdueItems && data.overdueItems.length > 0 && (
+          <div className="dashboard-card">
+            <h3>Overdue Returns</h3>
+            <div className="recent-requests">
+              {data.overdueItems.map((item) => (
+                <div key={`${item.poolId}-${item.uniqueId || item.issueId}`} className="request-item">
+                  <div className="request-info">
+                    <div className="request-title">
+                      {item.label} • {item.poolName}
+                    </div>
+                    <div className="request-meta">
+                      {item.officer?.fullName} ({item.officer?.officerId}) • {item.escalationTier} priority
+                    </div>
+                  </div>
+                  <div className="request-status">
+                    <span className={`status-badge ${item.shouldEscalate ? 'status-escalated' : 'status-overdue'}`}>
+                      {item.daysOverdue > 0 ? `${item.daysOverdue}d overdue` : `${item.hoursOverdue}h overdue`}
+                    </span>
+                    <span className="request-date">
+                      Due {new Date(item.expectedReturnDate).toLocaleDateString()}
+                    </span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {data.lowStockPools && data.lowStockPools.length > 0 && (
+          <div className="dashboard-card">
+            <div className="items-header">
+              <h3>Low Stock</h3>
+              <button className="btn btn-sm btn-secondary" onClick={handleExportProcurementList}>
+                Export Procurement List
+              </button>
+            </div>
+            <div className="recent-requests">
+              {data.lowStockPools.map((pool) => {
+                const unit = pool.trackingType === 'Consumable' ? pool.unit : 'items';
+                return (
+                  <div key={pool._id} className="request-item">
+                    <div className="request-info">
+                      <div className="request-title">{pool.poolName}</div>
+                      <div className="request-meta">
+                        {pool.category} • {pool.issuedCount} {unit} out on issue • order {pool.reorderQuantity || pool.reorderThreshold}
+                      </div>
+                    </div>
+                    <div className="request-status">
+                      <span className="status-badge status-overdue">
+                        {pool.availableCount} {unit} left
+                      </span>
+                      <span className="request-date">
+                        Reorder at {pool.reorderThreshold}
+                      </span>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
         {data.equipmentCategories && data.equipmentCategories.length > 0 && (
           <div className="dashboard-card">
             <h3>Equipment Categories</h3>
@@ -212,8 +365,17 @@ const formatSectionTitle = (section) => {
     dashboard: 'Dashboard Overview',
     userManagement: 'User Management',
     equipmentManagement: 'Equipment Management',
+    stations: 'Stations & Transfers',
+    kits: 'Equipment Kits',
+    procurement: 'Suppliers & Purchase Orders',
+    warranty: 'Warranty & Claims',
+    scanItem: 'Scan Item',
+    armoryDesk: 'Armory Desk',
     processRequests: 'Process Requests',
-    reports: 'Reports & Analytics'
+    incidents: 'Lost & Damaged Incidents',
+    maintenance: 'Maintenance & Inspections',
+    reports: 'Reports & Analytics',
+    audit: 'Audit Log'
   };
   return titles[section] || section;
 };
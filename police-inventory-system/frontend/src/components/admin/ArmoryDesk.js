@@ -0,0 +1,574 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { deskAPI, equipmentAPI, formatDateTime } from '../../utils/api';
+import { toast } from 'react-toastify';
+
+const CONDITIONS = ['Excellent', 'Good', 'Fair', 'Poor'];
+
+// Ignore the same code seen again this soon; the camera reads a label many times a second
+const RESCAN_DELAY_MS = 2000;
+
+const cameraSupported = () =>
+  'BarcodeDetector' in window && !!navigator.mediaDevices?.getUserMedia;
+
+// Reads QR and Code128 labels from the device camera with the browser's BarcodeDetector.
+// Browsers without it fall back to the keyboard-wedge / manual entry field.
+const CameraScanner = ({ onDetect }) => {
+  const videoRef = useRef(null);
+  const lastRef = useRef({ code: null, at: 0 });
+  const onDetectRef = useRef(onDetect);
+  const [error, setError] = useState(null);
+
+  onDetectRef.current = onDetect;
+
+  useEffect(() => {
+    let stream;
+    let timer;
+    let stopped = false;
+
+    const start = async () => {
+      try {
+        const detector = new window.BarcodeDetector({ formats: ['qr_code', 'code_128'] });
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        if (stopped) return;
+
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+
+        timer = setInterval(async () => {
+          if (!videoRef.current || videoRef.current.readyState < 2) return;
+          try {
+            const [barcode] = await detector.detect(videoRef.current);
+            const now = Date.now();
+            if (barcode && (barcode.rawValue !== lastRef.current.code || now - lastRef.current.at > RESCAN_DELAY_MS)) {
+              lastRef.current = { code: barcode.rawValue, at: now };
+              onDetectRef.current(barcode.rawValue);
+            }
+          } catch (detectError) {
+            // A frame that cannot be decoded is simply skipped
+          }
+        }, 300);
+      } catch (startError) {
+        setError(startError.name === 'NotAllowedError'
+          ? 'Camera access was denied. Use the scanner or type the code instead.'
+          : 'Camera could not be started. Use the scanner or type the code instead.');
+      }
+    };
+
+    start();
+
+    return () => {
+      stopped = true;
+      clearInterval(timer);
+      stream?.getTracks().forEach(track => track.stop());
+    };
+  }, []);
+
+  if (error) {
+    return <div className="no-data"><p>{error}</p></div>;
+  }
+
+  return <video ref={videoRef} className="desk-camera" muted playsInline />;
+};
+
+const ArmoryDesk = () => {
+  const [mode, setMode] = useState('issue');
+  const [useCamera, setUseCamera] = useState(false);
+  const [officer, setOfficer] = useState(null);
+  const [heldItems, setHeldItems] = useState([]);
+  const [items, setItems] = useState([]);
+  const [code, setCode] = useState('');
+  const [purpose, setPurpose] = useState('');
+  const [expectedReturnDate, setExpectedReturnDate] = useState('');
+  const [receipt, setReceipt] = useState(null);
+  const [problems, setProblems] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const inputRef = useRef(null);
+
+  const canUseCamera = cameraSupported();
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, [officer, mode, receipt]);
+
+  const reset = () => {
+    setOfficer(null);
+    setHeldItems([]);
+    setItems([]);
+    setPurpose('');
+    setExpectedReturnDate('');
+    setReceipt(null);
+    setProblems([]);
+  };
+
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setItems([]);
+    setProblems([]);
+  };
+
+  const lookupOfficer = async (value) => {
+    try {
+      setLoading(true);
+      const response = await deskAPI.lookupOfficer(value);
+      if (response.data.success) {
+        const { officer: found, issuedItems } = response.data.data;
+        if (!found.isActive) {
+          toast.error(`${found.fullName} is inactive`);
+          return;
+        }
+        setOfficer(found);
+        setHeldItems(issuedItems);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Officer not found');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const addItem = async (value) => {
+    try {
+      setLoading(true);
+      const response = await equipmentAPI.resolveItemCode(value);
+      const item = response.data.data;
+
+      if (items.some(entry => entry.poolId === item.poolId && entry.uniqueId === item.uniqueId)) {
+        toast.info(`${item.uniqueId} is already on the list`);
+        return;
+      }
+
+      const expectedStatus = mode === 'issue' ? 'Available' : 'Issued';
+      if (item.status !== expectedStatus) {
+        toast.error(`${item.uniqueId} is ${item.status}, not ${expectedStatus.toLowerCase()}`);
+        return;
+      }
+
+      if (mode === 'return' && item.currentlyIssuedTo?.officerId !== officer.officerId) {
+        toast.error(`${item.uniqueId} is issued to ${item.currentlyIssuedTo?.officerName}`);
+        return;
+      }
+
+      // The server takes the unambiguous poolId:uniqueId form
+      setItems(current => [...current, {
+        ...item,
+        code: `${item.poolId}:${item.uniqueId}`,
+        returnCondition: item.condition,
+        remarks: ''
+      }]);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Could not resolve the scanned code');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleScan = (value) => {
+    const text = value.trim();
+    if (!text || loading) return;
+
+    if (receipt) {
+      reset();
+    }
+
+    if (!officer || receipt) {
+      lookupOfficer(text);
+    } else {
+      addItem(text);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    handleScan(code);
+    setCode('');
+  };
+
+  const updateItem = (index, field, value) => {
+    setItems(current => current.map((item, i) => (i === index ? { ...item, [field]: value } : item)));
+  };
+
+  const removeItem = (index) => {
+    setItems(current => current.filter((item, i) => i !== index));
+  };
+
+  const handleComplete = async () => {
+    try {
+      setLoading(true);
+      setProblems([]);
+      const response = mode === 'issue'
+        ? await deskAPI.issueItems({
+          officerId: officer._id,
+          codes: items.map(item => item.code),
+          purpose: purpose || undefined,
+          expectedReturnDate: expectedReturnDate || undefined
+        })
+        : await deskAPI.returnItems({
+          officerId: officer._id,
+          items: items.map(item => ({
+            code: item.code,
+            condition: item.returnCondition,
+            remarks: item.remarks || undefined
+          }))
+        });
+
+      toast.success(response.data.message);
+      setReceipt(response.data.data.receipt);
+    } catch (error) {
+      const errors = error.response?.data?.errors || [];
+      setProblems(errors.map(entry => (typeof entry === 'string' ? entry : entry.msg)));
+      toast.error(error.response?.data?.message || `Failed to ${mode} equipment`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (receipt) {
+    return (
+      <div className="armory-desk">
+        <DeskReceipt receipt={receipt} />
+        <div className="modal-actions">
+          <button className="btn btn-secondary" onClick={() => window.print()}>
+            Print Receipt
+          </button>
+          <button className="btn btn-primary" onClick={reset}>
+            {mode === 'receipts' ? 'Back to Receipts' : 'Next Officer'}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const header = (
+    <div className="management-header">
+      <div className="desk-modes">
+        <button
+          className={`btn ${mode === 'issue' ? 'btn-primary' : 'btn-secondary'}`}
+          onClick={() => switchMode('issue')}
+        >
+          Issue
+        </button>
+        <button
+          className={`btn ${mode === 'return' ? 'btn-primary' : 'btn-secondary'}`}
+          onClick={() => switchMode('return')}
+        >
+          Return
+        </button>
+        <button
+          className={`btn ${mode === 'receipts' ? 'btn-primary' : 'btn-secondary'}`}
+          onClick={() => switchMode('receipts')}
+        >
+          Receipts
+        </button>
+      </div>
+      {canUseCamera && mode !== 'receipts' && (
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={useCamera}
+            onChange={(e) => setUseCamera(e.target.checked)}
+          />
+          Use camera
+        </label>
+      )}
+    </div>
+  );
+
+  if (mode === 'receipts') {
+    return (
+      <div className="armory-desk">
+        {header}
+        <DeskReceiptHistory onOpen={setReceipt} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="armory-desk">
+      {header}
+
+      {useCamera && <CameraScanner onDetect={handleScan} />}
+
+      <form onSubmit={handleSubmit} className="scan-form">
+        <input
+          ref={inputRef}
+          type="text"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          className="form-control"
+          placeholder={officer
+            ? 'Scan an item label or type an item ID (e.g. GLK001)'
+            : 'Scan the officer ID card or type the officer ID'}
+          autoFocus
+        />
+        <button type="submit" className="btn btn-primary" disabled={loading || !code.trim()}>
+          {loading ? 'Looking up...' : officer ? 'Add Item' : 'Find Officer'}
+        </button>
+      </form>
+
+      {officer && (
+        <div className="details-section">
+          <h4>{officer.fullName}</h4>
+          <div className="detail-grid">
+            <div><strong>Officer ID:</strong> {officer.officerId}</div>
+            <div><strong>Designation:</strong> {officer.designation}</div>
+            <div><strong>Currently Holding:</strong> {heldItems.length} item(s)</div>
+          </div>
+          {mode === 'return' && heldItems.length > 0 && (
+            <div className="desk-held-items">
+              {heldItems.map(item => (
+                <button
+                  key={`${item.poolId}:${item.uniqueId}`}
+                  className="btn btn-sm btn-secondary"
+                  onClick={() => addItem(`${item.poolId}:${item.uniqueId}`)}
+                  disabled={loading}
+                >
+                  + {item.uniqueId} ({item.poolName})
+                </button>
+              ))}
+            </div>
+          )}
+          <button className="btn btn-sm btn-secondary" onClick={reset}>
+            Change Officer
+          </button>
+        </div>
+      )}
+
+      {officer && items.length > 0 && (
+        <div className="details-section">
+          <h4>{mode === 'issue' ? 'Items to Issue' : 'Items to Return'} ({items.length})</h4>
+          <div className="requests-table">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Item</th>
+                  <th>Pool</th>
+                  <th>Condition</th>
+                  {mode === 'return' && <th>Remarks</th>}
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {items.map((item, index) => (
+                  <tr key={item.code}>
+                    <td><strong>{item.uniqueId}</strong></td>
+                    <td>{item.poolName}</td>
+                    <td>
+                      {mode === 'issue' ? item.condition : (
+                        <select
+                          value={item.returnCondition}
+                          onChange={(e) => updateItem(index, 'returnCondition', e.target.value)}
+                          className="form-control"
+                        >
+                          {CONDITIONS.map(condition => (
+                            <option key={condition} value={condition}>{condition}</option>
+                          ))}
+                        </select>
+                      )}
+                    </td>
+                    {mode === 'return' && (
+                      <td>
+                        <input
+                          type="text"
+                          value={item.remarks}
+                          onChange={(e) => updateItem(index, 'remarks', e.target.value)}
+                          className="form-control"
+                          maxLength={500}
+                        />
+                      </td>
+                    )}
+                    <td>
+                      <button className="btn btn-sm btn-danger" onClick={() => removeItem(index)}>
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {mode === 'issue' && (
+            <div className="form-row">
+              <div className="form-group">
+                <label>Purpose</label>
+                <input
+                  type="text"
+                  value={purpose}
+                  onChange={(e) => setPurpose(e.target.value)}
+                  className="form-control"
+                  placeholder="Regular Duty"
+                  maxLength={200}
+                />
+              </div>
+              <div className="form-group">
+                <label>Expected Return Date</label>
+                <input
+                  type="date"
+                  value={expectedReturnDate}
+                  onChange={(e) => setExpectedReturnDate(e.target.value)}
+                  className="form-control"
+                />
+              </div>
+            </div>
+          )}
+
+          {problems.length > 0 && (
+            <ul className="desk-problems">
+              {problems.map(problem => <li key={problem}>{problem}</li>)}
+            </ul>
+          )}
+
+          <div className="modal-actions">
+            <button className="btn btn-primary" onClick={handleComplete} disabled={loading}>
+              {loading
+                ? 'Processing...'
+                : `${mode === 'issue' ? 'Issue' : 'Return'} ${items.length} Item(s)`}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Stored desk receipts, newest first, for looking one up and printing it again
+const DeskReceiptHistory = ({ onOpen }) => {
+  const [receipts, setReceipts] = useState([]);
+  const [search, setSearch] = useState('');
+  const [type, setType] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  const fetchReceipts = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await deskAPI.getReceipts({
+        receiptNo: search.trim() || undefined,
+        type: type || undefined
+      });
+      setReceipts(response.data.data.receipts);
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || 'Failed to fetch receipts');
+    } finally {
+      setLoading(false);
+    }
+  }, [search, type]);
+
+  useEffect(() => {
+    fetchReceipts();
+  }, [fetchReceipts]);
+
+  return (
+    <div className="details-section">
+      <div className="search-filters">
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="form-control"
+          placeholder="Receipt number (e.g. DSK-20240101-A1B2C3)"
+        />
+        <select value={type} onChange={(e) => setType(e.target.value)} className="form-control">
+          <option value="">All Types</option>
+          <option value="Issue">Issue</option>
+          <option value="Return">Return</option>
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="loading-container">
+          <div className="spinner"></div>
+          <p>Loading receipts...</p>
+        </div>
+      ) : receipts.length === 0 ? (
+        <div className="no-data">
+          <p>No receipts found.</p>
+        </div>
+      ) : (
+        <div className="requests-table">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Receipt No</th>
+                <th>Date</th>
+                <th>Type</th>
+                <th>Officer</th>
+                <th>Items</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {receipts.map(receipt => (
+                <tr key={receipt._id}>
+                  <td><strong>{receipt.receiptNo}</strong></td>
+                  <td>{formatDateTime(receipt.timestamp)}</td>
+                  <td>{receipt.type}</td>
+                  <td>{receipt.officer ? `${receipt.officer.fullName} (${receipt.officer.officerId})` : 'N/A'}</td>
+                  <td>{receipt.items.length}</td>
+                  <td>
+                    <button className="btn btn-sm btn-secondary" onClick={() => onOpen(receipt)}>
+                      View / Print
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const DeskReceipt = ({ receipt }) => (
+  <div className="desk-receipt">
+    <h3>{receipt.type === 'Issue' ? 'Equipment Issue Receipt' : 'Equipment Return Receipt'}</h3>
+    <div className="detail-grid">
+      <div><strong>Receipt No:</strong> {receipt.receiptNo}</div>
+      <div><strong>Date:</strong> {formatDateTime(receipt.timestamp)}</div>
+      {receipt.officer && (
+        <div>
+          <strong>Officer:</strong> {receipt.officer.fullName} ({receipt.officer.officerId})
+        </div>
+      )}
+      {receipt.officer && <div><strong>Designation:</strong> {receipt.officer.designation}</div>}
+      {receipt.purpose && <div><strong>Purpose:</strong> {receipt.purpose}</div>}
+      <div>
+        <strong>Processed By:</strong> {receipt.processedBy.fullName} ({receipt.processedBy.officerId})
+      </div>
+    </div>
+
+    <table className="table">
+      <thead>
+        <tr>
+          <th>Item</th>
+          <th>Pool</th>
+          <th>Category</th>
+          <th>Condition</th>
+          {receipt.type === 'Issue' ? <th>Due Back</th> : <th>Days Used</th>}
+        </tr>
+      </thead>
+      <tbody>
+        {receipt.items.map(item => (
+          <tr key={`${item.poolId}:${item.uniqueId}`}>
+            <td><strong>{item.uniqueId}</strong></td>
+            <td>{item.poolName}</td>
+            <td>{item.category}</td>
+            <td>{item.condition}</td>
+            <td>
+              {receipt.type === 'Issue'
+                ? (item.expectedReturnDate ? formatDateTime(item.expectedReturnDate) : 'N/A')
+                : item.daysUsed}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+
+    <div className="desk-signatures">
+      <div>Officer's signature</div>
+      <div>Armory in-charge</div>
+    </div>
+  </div>
+);
+
+export default ArmoryDesk;
@@ -0,0 +1,259 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { adminAPI } from '../../utils/api';
+import { toast } from 'react-toastify';
+
+const AuditLog = () => {
+  const [entries, setEntries] = useState([]);
+  const [actions, setActions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [filters, setFilters] = useState({
+    search: '',
+    action: '',
+    targetModel: '',
+    outcome: '',
+    from: '',
+    to: ''
+  });
+  const [expandedId, setExpandedId] = useState(null);
+
+  const fetchEntries = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await adminAPI.getAuditLog({
+        page: currentPage,
+        limit: 25,
+        ...Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''))
+      });
+
+      if (response.data.success) {
+        setEntries(response.data.data.entries);
+        setActions(response.data.data.actions);
+        setTotalPages(response.data.data.pagination.pages || 1);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, [currentPage, filters]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  const handleFilterChange = (e) => {
+    setFilters({
+      ...filters,
+      [e.target.name]: e.target.value
+    });
+    setCurrentPage(1);
+  };
+
+  return (
+    <div className="audit-log">
+      <div className="management-header">
+        <div className="search-filters">
+          <input
+            type="text"
+            name="search"
+            placeholder="Search actor, action or path..."
+            value={filters.search}
+            onChange={handleFilterChange}
+            className="form-control"
+          />
+
+          <select
+            name="action"
+            value={filters.action}
+            onChange={handleFilterChange}
+            className="form-control"
+          >
+            <option value="">All Actions</option>
+            {actions.map(action => (
+              <option key={action} value={action}>{action}</option>
+            ))}
+          </select>
+
+          <select
+            name="targetModel"
+            value={filters.targetModel}
+            onChange={handleFilterChange}
+            className="form-control"
+          >
+            <option value="">All Targets</option>
+            <option value="User">User</option>
+            <option value="Request">Request</option>
+            <option value="EquipmentPool">Equipment Pool</option>
+            <option value="Incident">Incident</option>
+            <option value="Station">Station</option>
+            <option value="Transfer">Transfer</option>
+            <option value="Kit">Kit</option>
+            <option value="Supplier">Supplier</option>
+            <option value="PurchaseOrder">Purchase Order</option>
+            <option value="WarrantyClaim">Warranty Claim</option>
+          </select>
+
+          <select
+            name="outcome"
+            value={filters.outcome}
+            onChange={handleFilterChange}
+            className="form-control"
+          >
+            <option value="">All Outcomes</option>
+            <option value="success">Succeeded</option>
+            <option value="failure">Failed</option>
+          </select>
+
+          <input
+            type="date"
+            name="from"
+            value={filters.from}
+            onChange={handleFilterChange}
+            className="form-control"
+          />
+          <input
+            type="date"
+            name="to"
+            value={filters.to}
+            onChange={handleFilterChange}
+            className="form-control"
+          />
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="loading-container">
+          <div className="spinner"></div>
+          <p>Loading audit log...</p>
+        </div>
+      ) : entries.length === 0 ? (
+        <div className="no-data">
+          <p>No audit entries found.</p>
+        </div>
+      ) : (
+        <>
+          <div className="requests-table">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Time</th>
+                  <th>Actor</th>
+                  <th>Action</th>
+                  <th>Target</th>
+                  <th>IP</th>
+                  <th>Result</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map(entry => (
+                  <React.Fragment key={entry._id}>
+                    <tr>
+                      <td>{new Date(entry.createdAt).toLocaleString()}</td>
+                      <td>
+                        {entry.actor?.fullName || entry.actorName || 'Anonymous'}
+                        {entry.actorRole && <div className="schedule-subtext">{entry.actorRole}</div>}
+                      </td>
+                      <td>
+                        <strong>{entry.action}</strong>
+                        <div className="schedule-subtext">{entry.method} {entry.path}</div>
+                      </td>
+                      <td>
+                        {entry.targetModel
+                          ? `${entry.targetModel} ${entry.targetId || ''}`
+                          : 'N/A'}
+                      </td>
+                      <td>{entry.ip || 'N/A'}</td>
+                      <td>
+                        <span className={`badge badge-${entry.success ? 'success' : 'danger'}`}>
+                          {entry.statusCode}
+                        </span>
+                      </td>
+                      <td>
+                        <button
+                          className="btn btn-sm btn-secondary"
+                          onClick={() => setExpandedId(expandedId === entry._id ? null : entry._id)}
+                        >
+                          {expandedId === entry._id ? 'Hide' : 'Details'}
+                        </button>
+                      </td>
+                    </tr>
+                    {expandedId === entry._id && (
+                      <tr>
+                        <td colSpan="7">
+                          <AuditDetails entry={entry} />
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {totalPages > 1 && (
+            <div className="pagination">
+              <button
+                onClick={() => setCurrentPage(prev => Math.max(prev - 1, 1))}
+                disabled={currentPage === 1}
+                className="btn btn-secondary"
+              >
+                Previous
+              </button>
+              <span>Page {currentPage} of {totalPages}</span>
+              <button
+                onClick={() => setCurrentPage(prev => Math.min(prev + 1, totalPages))}
+                disabled={currentPage === totalPages}
+                className="btn btn-secondary"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+const formatValue = (value) => {
+  if (value === undefined) return '—';
+  if (value === null) return 'null';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const AuditDetails = ({ entry }) => {
+  const changes = entry.changes ? Object.entries(entry.changes) : [];
+
+  return (
+    <div className="audit-details">
+      {changes.length > 0 ? (
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Field</th>
+              <th>Before</th>
+              <th>After</th>
+            </tr>
+          </thead>
+          <tbody>
+            {changes.map(([path, change]) => (
+              <tr key={path}>
+                <td><code>{path}</code></td>
+                <td>{formatValue(change.from)}</td>
+                <td>{formatValue(change.to)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <pre className="audit-payload">{JSON.stringify(entry.after ?? {}, null, 2)}</pre>
+      )}
+      {entry.userAgent && <div className="schedule-subtext">{entry.userAgent}</div>}
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -1,6 +1,10 @@
 import React, { useState, useEffect } from 'react';
-import { equipmentAPI } from '../../utils/api';
+import { equipmentAPI, stationAPI } from '../../utils/api';
 import { toast } from 'react-toastify';
+import { useServerEvent } from '../../utils/serverEvents';
+import { MaintenanceLogModal } from './MaintenanceSchedule';
+import IncidentReportModal from '../common/IncidentReportModal';
+import { TransferRequestModal } from './Stations';
 
 const EquipmentManagement = () => {
   // State management
@@ -9,8 +13,19 @@ const EquipmentManagement = () => {
   const [showCreatePoolModal, setShowCreatePoolModal] = useState(false);
   const [showPoolDetailsModal, setShowPoolDetailsModal] = useState(false);
   const [selectedPool, setSelectedPool] = useState(null);
+  const [maintenanceLogItem, setMaintenanceLogItem] = useState(null);
+  const [historyItem, setHistoryItem] = useState(null);
+  const [incidentItem, setIncidentItem] = useState(null);
+  const [editItem, setEditItem] = useState(null);
+  const [showAddItemsModal, setShowAddItemsModal] = useState(false);
+  const [showTransferModal, setShowTransferModal] = useState(false);
+  const [labelIds, setLabelIds] = useState([]);
+  const [labelFormat, setLabelFormat] = useState('both');
+  const [stations, setStations] = useState([]);
   const [searchTerm, setSearchTerm] = useState('');
   const [categoryFilter, setCategoryFilter] = useState('');
+  const [stationFilter, setStationFilter] = useState('');
+  const [groupByStation, setGroupByStation] = useState(false);
 
   // Form state for creating pool
   const [formData, setFormData] = useState({
@@ -19,13 +34,22 @@ const EquipmentManagement = () => {
     subCategory: '',
     model: '',
     manufacturer: '',
+    trackingType: 'Individual',
     totalQuantity: '',
     prefix: '',
+    unit: '',
+    lotNumber: '',
+    expiryDate: '',
+    reorderThreshold: '',
+    reorderQuantity: '',
     authorizedDesignations: [],
     location: '',
+    station: '',
     purchaseDate: '',
     totalCost: '',
     supplier: '',
+    warrantyExpiry: '',
+    warrantyProvider: '',
     notes: ''
   });
 
@@ -57,14 +81,32 @@ const EquipmentManagement = () => {
 
   useEffect(() => {
     fetchPools();
-  }, [searchTerm, categoryFilter]);
+  }, [searchTerm, categoryFilter, stationFilter]);
+
+  useEffect(() => {
+    stationAPI.getStations()
+      .then(response => setStations(response.data.data.stations))
+      .catch(() => toast.error('Failed to fetch stations'));
+  }, []);
+
+  // Keep pool counts live while items are issued and returned
+  useServerEvent('pool:updated', (data) => {
+    setPools(prev => prev.map(pool =>
+      pool._id === data.poolId ? { ...pool, ...data, _id: pool._id } : pool
+    ));
+  });
+
+  useServerEvent('pool:deleted', (data) => {
+    setPools(prev => prev.filter(pool => pool._id !== data.poolId));
+  });
 
   const fetchPools = async () => {
     try {
       setLoading(true);
       const response = await equipmentAPI.getEquipmentPools({
         search: searchTerm,
-        category: categoryFilter
+        category: categoryFilter,
+        station: stationFilter
       });
 
       if (response.data.success) {
@@ -111,9 +153,13 @@ const EquipmentManagement = () => {
     if (!formData.totalQuantity || formData.totalQuantity < 1) {
       return toast.error('Total quantity must be at least 1');
     }
-    if (!formData.prefix.trim() || formData.prefix.length < 2 || formData.prefix.length > 5) {
+    const consumable = formData.trackingType === 'Consumable';
+    if (!consumable && (!formData.prefix.trim() || formData.prefix.length < 2 || formData.prefix.length > 5)) {
       return toast.error('Prefix must be 2-5 characters');
     }
+    if (consumable && !formData.lotNumber.trim()) {
+      return toast.error('Lot number is required for consumable stock');
+    }
     if (formData.authorizedDesignations.length === 0) {
       return toast.error('At least one designation must be selected');
     }
@@ -122,10 +168,14 @@ const EquipmentManagement = () => {
     }
 
     try {
-      const response = await equipmentAPI.createEquipmentPool(formData);
+      const response = await equipmentAPI.createEquipmentPool({
+        ...formData,
+        reorderThreshold: formData.reorderThreshold || undefined,
+        reorderQuantity: formData.reorderQuantity || undefined
+      });
 
       if (response.data.success) {
-        toast.success(`Equipment pool created with \${formData.totalQuantity} items!`);
+        toast.success(response.data.message);
         setShowCreatePoolModal(false);
         resetForm();
         fetchPools();
@@ -144,13 +194,22 @@ const EquipmentManagement = () => {
       subCategory: '',
       model: '',
       manufacturer: '',
+      trackingType: 'Individual',
       totalQuantity: '',
       prefix: '',
+      unit: '',
+      lotNumber: '',
+      expiryDate: '',
+      reorderThreshold: '',
+      reorderQuantity: '',
       authorizedDesignations: [],
       location: '',
+      station: '',
       purchaseDate: '',
       totalCost: '',
       supplier: '',
+      warrantyExpiry: '',
+      warrantyProvider: '',
       notes: ''
     });
   };
@@ -159,6 +218,9 @@ const EquipmentManagement = () => {
     try {
       const response = await equipmentAPI.getEquipmentPoolDetails(pool._id);
       if (response.data.success) {
+        if (pool._id !== selectedPool?._id) {
+          setLabelIds([]);
+        }
         setSelectedPool(response.data.data.pool);
         setShowPoolDetailsModal(true);
       }
@@ -167,6 +229,98 @@ const EquipmentManagement = () => {
     }
   };
 
+  const refreshSelectedPool = async () => {
+    if (selectedPool) {
+      await handleViewPoolDetails(selectedPool);
+    }
+  };
+
+  const handleSendToMaintenance = async (uniqueId) => {
+    const reason = window.prompt(`Reason for sending ${uniqueId} to maintenance:`);
+    if (reason === null) return;
+
+    try {
+      await equipmentAPI.sendItemToMaintenance(selectedPool._id, uniqueId, { reason });
+      toast.success(`${uniqueId} sent to maintenance`);
+      refreshSelectedPool();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send item to maintenance');
+    }
+  };
+
+  const handleReturnToService = async (uniqueId) => {
+    const condition = window.prompt(`Condition of ${uniqueId} after maintenance (Excellent, Good, Fair, Poor):`, 'Good');
+    if (condition === null) return;
+
+    try {
+      await equipmentAPI.returnItemToService(selectedPool._id, uniqueId, { condition });
+      toast.success(`${uniqueId} returned to service`);
+      refreshSelectedPool();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to return item to service');
+    }
+  };
+
+  const toggleLabelItem = (uniqueId) => {
+    setLabelIds(prev => prev.includes(uniqueId)
+      ? prev.filter(id => id !== uniqueId)
+      : [...prev, uniqueId]);
+  };
+
+  // Labels for the ticked items, or for every item still in service
+  const handlePrintLabels = async () => {
+    try {
+      const response = await equipmentAPI.getItemLabels(selectedPool._id, {
+        format: labelFormat,
+        ...(labelIds.length > 0 && { ids: labelIds.join(',') })
+      });
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${selectedPool.poolName}-labels.pdf`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      // Errors arrive as a Blob because of the blob responseType
+      const message = error.response?.data instanceof Blob
+        ? JSON.parse(await error.response.data.text()).message
+        : null;
+      toast.error(message || 'Failed to generate labels');
+    }
+  };
+
+  const handleRetireItem = async (uniqueId) => {
+    const reason = window.prompt(`Reason for retiring ${uniqueId} (this cannot be undone):`);
+    if (reason === null) return;
+
+    try {
+      await equipmentAPI.retirePoolItem(selectedPool._id, uniqueId, { reason });
+      toast.success(`${uniqueId} retired`);
+      refreshSelectedPool();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to retire item');
+    }
+  };
+
+  const stationName = (stationId) =>
+    stations.find(station => station._id === stationId)?.name || 'No station';
+
+  // Non-retired items of the listed pools, grouped by the station holding them
+  const stationGroups = Object.values(pools.reduce((groups, pool) => {
+    pool.items.filter(item => item.status !== 'Retired').forEach(item => {
+      const stationId = item.station || pool.station || '';
+      if (stationFilter && stationId !== stationFilter) return;
+
+      const group = groups[stationId] = groups[stationId] || { stationId, pools: {} };
+      const counts = group.pools[pool._id] = group.pools[pool._id] || {
+        pool, total: 0, Available: 0, Issued: 0, 'In Transit': 0
+      };
+      counts.total += 1;
+      if (counts[item.status] !== undefined) counts[item.status] += 1;
+    });
+    return groups;
+  }, {})).sort((a, b) => stationName(a.stationId).localeCompare(stationName(b.stationId)));
+
   const handleDeletePool = async (poolId) => {
     if (!window.confirm('Are you sure you want to delete this entire equipment pool? This action cannot be undone.')) {
       return;
@@ -221,6 +375,24 @@ const EquipmentManagement = () => {
             <option key={cat} value={cat}>{cat}</option>
           ))}
         </select>
+        <select
+          value={stationFilter}
+          onChange={(e) => setStationFilter(e.target.value)}
+          className="filter-select"
+        >
+          <option value="">All Stations</option>
+          {stations.map(station => (
+            <option key={station._id} value={station._id}>{station.name}</option>
+          ))}
+        </select>
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={groupByStation}
+            onChange={(e) => setGroupByStation(e.target.checked)}
+          />
+          <span>Group by station</span>
+        </label>
       </div>
 
       {/* Pools Table */}
@@ -229,6 +401,48 @@ const EquipmentManagement = () => {
           <p>No equipment pools found.</p>
           <p>Click "Add Equipment Pool" to create one.</p>
         </div>
+      ) : groupByStation ? (
+        stationGroups.map(group => (
+          <div key={group.stationId || 'none'} className="station-group">
+            <h4>{stationName(group.stationId)}</h4>
+            <div className="table-container">
+              <table className="equipment-table">
+                <thead>
+                  <tr>
+                    <th>Pool Name</th>
+                    <th>Category</th>
+                    <th>Held Here</th>
+                    <th>Available</th>
+                    <th>Issued</th>
+                    <th>In Transit</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.values(group.pools).map(counts => (
+                    <tr key={counts.pool._id}>
+                      <td><strong>{counts.pool.poolName}</strong></td>
+                      <td><span className="badge badge-info">{counts.pool.category}</span></td>
+                      <td>{counts.total}</td>
+                      <td><span className="badge badge-success">{counts.Available}</span></td>
+                      <td><span className="badge badge-warning">{counts.Issued}</span></td>
+                      <td>{counts['In Transit']}</td>
+                      <td>
+                        <button
+                          className="btn btn-sm btn-secondary"
+                          onClick={() => handleViewPoolDetails(counts.pool)}
+                          title="View Details"
+                        >
+                          👁️ View
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ))
       ) : (
         <div className="table-container">
           <table className="equipment-table">
@@ -248,14 +462,25 @@ const EquipmentManagement = () => {
             <tbody>
               {pools.map(pool => (
                 <tr key={pool._id}>
-                  <td><strong>{pool.poolName}</strong></td>
+                  <td>
+                    <strong>{pool.poolName}</strong>
+                    {pool.trackingType === 'Consumable' && (
+                      <div className="issued-to">Consumable, in {pool.unit}</div>
+                    )}
+                    {pool.reorderThreshold > 0 && pool.availableCount <= pool.reorderThreshold && (
+                      <span className="badge badge-danger">Low stock</span>
+                    )}
+                  </td>
                   <td><span className="badge badge-info">{pool.category}</span></td>
                   <td>{pool.model}</td>
                   <td>{pool.totalQuantity}</td>
                   <td><span className="badge badge-success">{pool.availableCount}</span></td>
                   <td><span className="badge badge-warning">{pool.issuedCount}</span></td>
                   <td>{pool.utilizationRate}%</td>
-                  <td>{pool.location}</td>
+                  <td>
+                    {pool.location}
+                    {pool.station && <div className="issued-to">{stationName(pool.station)}</div>}
+                  </td>
                   <td>
                     <div className="action-buttons">
                       <button
@@ -371,33 +596,126 @@ const EquipmentManagement = () => {
                 <div className="form-section">
                   <h4>Quantity & ID Generation</h4>
 
+                  <div className="form-group">
+                    <label>Tracking</label>
+                    <select
+                      name="trackingType"
+                      value={formData.trackingType}
+                      onChange={handleInputChange}
+                    >
+                      <option value="Individual">Individual items (numbered IDs)</option>
+                      <option value="Consumable">Consumable stock (issued by quantity)</option>
+                    </select>
+                  </div>
+
+                  {formData.trackingType === 'Consumable' ? (
+                    <>
+                      <div className="form-row">
+                        <div className="form-group">
+                          <label>Opening Stock <span className="required">*</span></label>
+                          <input
+                            type="number"
+                            name="totalQuantity"
+                            value={formData.totalQuantity}
+                            onChange={handleInputChange}
+                            placeholder="e.g., 5000"
+                            min="1"
+                            required
+                          />
+                        </div>
+
+                        <div className="form-group">
+                          <label>Unit</label>
+                          <input
+                            type="text"
+                            name="unit"
+                            value={formData.unit}
+                            onChange={handleInputChange}
+                            placeholder="e.g., rounds"
+                          />
+                        </div>
+                      </div>
+
+                      <div className="form-row">
+                        <div className="form-group">
+                          <label>Lot / Batch Number <span className="required">*</span></label>
+                          <input
+                            type="text"
+                            name="lotNumber"
+                            value={formData.lotNumber}
+                            onChange={handleInputChange}
+                            placeholder="e.g., LOT-2024-117"
+                            required
+                          />
+                        </div>
+
+                        <div className="form-group">
+                          <label>Expiry Date</label>
+                          <input
+                            type="date"
+                            name="expiryDate"
+                            value={formData.expiryDate}
+                            onChange={handleInputChange}
+                          />
+                        </div>
+                      </div>
+                    </>
+                  ) : (
+                    <div className="form-row">
+                      <div className="form-group">
+                        <label>Total Quantity <span className="required">*</span></label>
+                        <input
+                          type="number"
+                          name="totalQuantity"
+                          value={formData.totalQuantity}
+                          onChange={handleInputChange}
+                          placeholder="e.g., 50"
+                          min="1"
+                          required
+                        />
+                      </div>
+
+                      <div className="form-group">
+                        <label>ID Prefix <span className="required">*</span></label>
+                        <input
+                          type="text"
+                          name="prefix"
+                          value={formData.prefix}
+                          onChange={handleInputChange}
+                          placeholder="e.g., GLK"
+                          maxLength="5"
+                          required
+                          style={{ textTransform: 'uppercase' }}
+                        />
+                        <small>2-5 characters. Will generate: {formData.prefix}001, {formData.prefix}002, etc.</small>
+                      </div>
+                    </div>
+                  )}
+
                   <div className="form-row">
                     <div className="form-group">
-                      <label>Total Quantity <span className="required">*</span></label>
+                      <label>Reorder Threshold</label>
                       <input
                         type="number"
-                        name="totalQuantity"
-                        value={formData.totalQuantity}
+                        name="reorderThreshold"
+                        value={formData.reorderThreshold}
                         onChange={handleInputChange}
-                        placeholder="e.g., 50"
-                        min="1"
-                        required
+                        placeholder="e.g., 5"
+                        min="0"
                       />
+                      <small>Admins are alerted when availability falls to this level. Leave empty for no alerts.</small>
                     </div>
 
                     <div className="form-group">
-                      <label>ID Prefix <span className="required">*</span></label>
+                      <label>Reorder Quantity</label>
                       <input
-                        type="text"
-                        name="prefix"
-                        value={formData.prefix}
+                        type="number"
+                        name="reorderQuantity"
+                        value={formData.reorderQuantity}
                         onChange={handleInputChange}
-                        placeholder="e.g., GLK"
-                        maxLength="5"
-                        required
-                        style={{ textTransform: 'uppercase' }}
+                        placeholder="e.g., 20"
+                        min="0"
                       />
-                      <small>2-5 characters. Will generate: {formData.prefix}001, {formData.prefix}002, etc.</small>
                     </div>
                   </div>
                 </div>
@@ -437,6 +755,20 @@ const EquipmentManagement = () => {
                     />
                   </div>
 
+                  <div className="form-group">
+                    <label>Station</label>
+                    <select
+                      name="station"
+                      value={formData.station}
+                      onChange={handleInputChange}
+                    >
+                      <option value="">No station</option>
+                      {stations.map(station => (
+                        <option key={station._id} value={station._id}>{station.name}</option>
+                      ))}
+                    </select>
+                  </div>
+
                   <div className="form-row">
                     <div className="form-group">
                       <label>Purchase Date</label>
@@ -472,6 +804,29 @@ const EquipmentManagement = () => {
                     />
                   </div>
 
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label>Warranty Expiry</label>
+                      <input
+                        type="date"
+                        name="warrantyExpiry"
+                        value={formData.warrantyExpiry}
+                        onChange={handleInputChange}
+                      />
+                    </div>
+
+                    <div className="form-group">
+                      <label>Warranty Provider</label>
+                      <input
+                        type="text"
+                        name="warrantyProvider"
+                        value={formData.warrantyProvider}
+                        onChange={handleInputChange}
+                        placeholder="Defaults to the supplier"
+                      />
+                    </div>
+                  </div>
+
                   <div className="form-group">
                     <label>Notes</label>
                     <textarea
@@ -527,30 +882,75 @@ const EquipmentManagement = () => {
                   <div><strong>Model:</strong> {selectedPool.model}</div>
                   <div><strong>Manufacturer:</strong> {selectedPool.manufacturer || 'N/A'}</div>
                   <div><strong>Location:</strong> {selectedPool.location}</div>
+                  <div><strong>Station:</strong> {selectedPool.station ? stationName(selectedPool.station) : 'N/A'}</div>
                 </div>
               </div>
 
-              <div className="details-section">
-                <h4>Statistics</h4>
-                <div className="stats-grid">
-                  <div className="stat-card">
-                    <span className="stat-value">{selectedPool.totalQuantity}</span>
-                    <span className="stat-label">Total Items</span>
-                  </div>
-                  <div className="stat-card success">
-                    <span className="stat-value">{selectedPool.availableCount}</span>
-                    <span className="stat-label">Available</span>
-                  </div>
-                  <div className="stat-card warning">
-                    <span className="stat-value">{selectedPool.issuedCount}</span>
-                    <span className="stat-label">Issued</span>
+              {selectedPool.trackingType === 'Consumable' ? (
+                <div className="details-section">
+                  <h4>Statistics</h4>
+                  <div className="stats-grid">
+                    <div className={`stat-card ${selectedPool.availableCount <= selectedPool.reorderThreshold ? 'danger' : 'success'}`}>
+                      <span className="stat-value">{selectedPool.availableCount}</span>
+                      <span className="stat-label">In Stock ({selectedPool.unit})</span>
+                    </div>
+                    <div className="stat-card warning">
+                      <span className="stat-value">{selectedPool.issuedCount}</span>
+                      <span className="stat-label">Out on Issue</span>
+                    </div>
+                    <div className="stat-card secondary">
+                      <span className="stat-value">{selectedPool.reorderThreshold || 0}</span>
+                      <span className="stat-label">Reorder At</span>
+                    </div>
+                    <div className="stat-card info">
+                      <span className="stat-value">{selectedPool.lots.filter(lot => lot.quantity > 0).length}</span>
+                      <span className="stat-label">Lots in Stock</span>
+                    </div>
                   </div>
-                  <div className="stat-card info">
-                    <span className="stat-value">{selectedPool.utilizationRate}%</span>
-                    <span className="stat-label">Utilization</span>
+                </div>
+              ) : (
+                <div className="details-section">
+                  <h4>Statistics</h4>
+                  <div className="stats-grid">
+                    <div className="stat-card">
+                      <span className="stat-value">{selectedPool.totalQuantity}</span>
+                      <span className="stat-label">Total Items</span>
+                    </div>
+                    <div className="stat-card success">
+                      <span className="stat-value">{selectedPool.availableCount}</span>
+                      <span className="stat-label">Available</span>
+                    </div>
+                    <div className="stat-card warning">
+                      <span className="stat-value">{selectedPool.issuedCount}</span>
+                      <span className="stat-label">Issued</span>
+                    </div>
+                    <div className="stat-card secondary">
+                      <span className="stat-value">{selectedPool.maintenanceCount}</span>
+                      <span className="stat-label">Maintenance</span>
+                    </div>
+                    <div className="stat-card warning">
+                      <span className="stat-value">{selectedPool.damagedCount || 0}</span>
+                      <span className="stat-label">Damaged</span>
+                    </div>
+                    <div className="stat-card secondary">
+                      <span className="stat-value">{selectedPool.lostCount || 0}</span>
+                      <span className="stat-label">Lost</span>
+                    </div>
+                    <div className="stat-card secondary">
+                      <span className="stat-value">{selectedPool.retiredCount || 0}</span>
+                      <span className="stat-label">Retired</span>
+                    </div>
+                    <div className="stat-card info">
+                      <span className="stat-value">{selectedPool.inTransitCount || 0}</span>
+                      <span className="stat-label">In Transit</span>
+                    </div>
+                    <div className="stat-card info">
+                      <span className="stat-value">{selectedPool.utilizationRate}%</span>
+                      <span className="stat-label">Utilization</span>
+                    </div>
                   </div>
                 </div>
-              </div>
+              )}
 
               <div className="details-section">
                 <h4>Authorized Designations</h4>
@@ -563,30 +963,168 @@ const EquipmentManagement = () => {
                 </div>
               </div>
 
-              <div className="details-section">
-                <h4>Items in Pool</h4>
-                <div className="items-list">
-                  {selectedPool.items.slice(0, 10).map(item => (
-                    <div key={item.uniqueId} className="item-row">
-                      <span className="item-id">{item.uniqueId}</span>
-                      <span className={`badge badge-${
-                        item.status === 'Available' ? 'success' :
-                        item.status === 'Issued' ? 'warning' : 'secondary'
-                      }`}>
-                        {item.status}
-                      </span>
-                      {item.currentlyIssuedTo && (
-                        <span className="issued-to">
-                          → {item.currentlyIssuedTo.officerName} ({item.currentlyIssuedTo.officerId})
-                        </span>
+              <ReorderSettings
+                key={selectedPool._id}
+                pool={selectedPool}
+                onSaved={() => {
+                  refreshSelectedPool();
+                  fetchPools();
+                }}
+              />
+
+              <WarrantySettings
+                key={`warranty-${selectedPool._id}`}
+                pool={selectedPool}
+                onSaved={refreshSelectedPool}
+              />
+
+              {selectedPool.trackingType === 'Consumable' ? (
+                <ConsumableStock
+                  pool={selectedPool}
+                  onChange={() => {
+                    refreshSelectedPool();
+                    fetchPools();
+                  }}
+                />
+              ) : (
+                <div className="details-section">
+                  <div className="items-header">
+                    <h4>Items in Pool</h4>
+                    <div className="action-buttons">
+                      <select
+                        value={labelFormat}
+                        onChange={(e) => setLabelFormat(e.target.value)}
+                        className="filter-select"
+                        title="Label format"
+                      >
+                        <option value="both">QR + Barcode</option>
+                        <option value="qr">QR only</option>
+                        <option value="code128">Barcode only</option>
+                      </select>
+                      <button
+                        className="btn btn-sm btn-secondary"
+                        onClick={handlePrintLabels}
+                      >
+                        🏷️ Print Labels ({labelIds.length || 'all'})
+                      </button>
+                      {stations.length > 1 && (
+                        <button
+                          className="btn btn-sm btn-secondary"
+                          onClick={() => setShowTransferModal(true)}
+                        >
+                          Transfer Items
+                        </button>
                       )}
+                      <button
+                        className="btn btn-sm btn-primary"
+                        onClick={() => setShowAddItemsModal(true)}
+                      >
+                        + Add Items
+                      </button>
                     </div>
-                  ))}
-                  {selectedPool.items.length > 10 && (
-                    <p className="more-items">... and {selectedPool.items.length - 10} more items</p>
-                  )}
+                  </div>
+                  <div className="items-list">
+                    {selectedPool.items.map(item => (
+                      <div key={item.uniqueId} className="item-row">
+                        <input
+                          type="checkbox"
+                          checked={labelIds.includes(item.uniqueId)}
+                          onChange={() => toggleLabelItem(item.uniqueId)}
+                          title="Include in label sheet"
+                        />
+                        <button
+                          type="button"
+                          className="item-id link-button"
+                          title="View custody history"
+                          onClick={() => setHistoryItem(item.uniqueId)}
+                        >
+                          {item.uniqueId}
+                        </button>
+                        <span className={`badge badge-${
+                          item.status === 'Available' ? 'success' :
+                          item.status === 'Issued' ? 'warning' :
+                          item.status === 'Maintenance' ? 'info' :
+                          item.status === 'In Transit' ? 'primary' :
+                          ['Damaged', 'Lost'].includes(item.status) ? 'danger' : 'secondary'
+                        }`}>
+                          {item.status}
+                        </span>
+                        {item.currentlyIssuedTo && (
+                          <span className="issued-to">
+                            → {item.currentlyIssuedTo.officerName} ({item.currentlyIssuedTo.officerId})
+                          </span>
+                        )}
+                        {item.nextInspectionDate && (
+                          <span className="issued-to">
+                            Inspection due {new Date(item.nextInspectionDate).toLocaleDateString()}
+                          </span>
+                        )}
+                        {item.status === 'Retired' && (
+                          <span className="issued-to">
+                            {new Date(item.retiredAt).toLocaleDateString()}: {item.retirementReason}
+                          </span>
+                        )}
+                        {item.location && item.location !== selectedPool.location && (
+                          <span className="issued-to">@ {item.location}</span>
+                        )}
+                        {item.station && item.station !== selectedPool.station && (
+                          <span className="issued-to">{stationName(item.station)}</span>
+                        )}
+                        <div className="action-buttons">
+                          {['Available', 'Damaged'].includes(item.status) && (
+                            <button
+                              className="btn btn-sm btn-secondary"
+                              onClick={() => handleSendToMaintenance(item.uniqueId)}
+                            >
+                              To Maintenance
+                            </button>
+                          )}
+                          {item.status === 'Maintenance' && (
+                            <button
+                              className="btn btn-sm btn-success"
+                              onClick={() => handleReturnToService(item.uniqueId)}
+                            >
+                              Return to Service
+                            </button>
+                          )}
+                          {!['Lost', 'Retired'].includes(item.status) && (
+                            <button
+                              className="btn btn-sm btn-primary"
+                              onClick={() => setMaintenanceLogItem(item.uniqueId)}
+                            >
+                              Log
+                            </button>
+                          )}
+                          {!['Lost', 'Retired'].includes(item.status) && (
+                            <button
+                              className="btn btn-sm btn-danger"
+                              onClick={() => setIncidentItem(item.uniqueId)}
+                            >
+                              Report Incident
+                            </button>
+                          )}
+                          {item.status !== 'Retired' && (
+                            <button
+                              className="btn btn-sm btn-secondary"
+                              onClick={() => setEditItem(item)}
+                            >
+                              Edit
+                            </button>
+                          )}
+                          {['Available', 'Maintenance', 'Damaged'].includes(item.status) && (
+                            <button
+                              className="btn btn-sm btn-secondary"
+                              onClick={() => handleRetireItem(item.uniqueId)}
+                            >
+                              Retire
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
                 </div>
-              </div>
+              )}
             </div>
 
             <div className="modal-footer">
@@ -600,6 +1138,1061 @@ const EquipmentManagement = () => {
           </div>
         </div>
       )}
+
+      {maintenanceLogItem && selectedPool && (
+        <MaintenanceLogModal
+          poolId={selectedPool._id}
+          uniqueId={maintenanceLogItem}
+          onClose={() => setMaintenanceLogItem(null)}
+          onSuccess={() => {
+            setMaintenanceLogItem(null);
+            refreshSelectedPool();
+          }}
+        />
+      )}
+
+      {historyItem && selectedPool && (
+        <ItemHistoryModal
+          poolId={selectedPool._id}
+          uniqueId={historyItem}
+          onClose={() => setHistoryItem(null)}
+        />
+      )}
+
+      {showAddItemsModal && selectedPool && (
+        <AddItemsModal
+          pool={selectedPool}
+          onClose={() => setShowAddItemsModal(false)}
+          onSuccess={() => {
+            setShowAddItemsModal(false);
+            refreshSelectedPool();
+            fetchPools();
+          }}
+        />
+      )}
+
+      {showTransferModal && selectedPool && (
+        <TransferRequestModal
+          pool={selectedPool}
+          stations={stations}
+          onClose={() => setShowTransferModal(false)}
+          onSuccess={() => {
+            setShowTransferModal(false);
+            refreshSelectedPool();
+          }}
+        />
+      )}
+
+      {editItem && selectedPool && (
+        <EditItemModal
+          poolId={selectedPool._id}
+          item={editItem}
+          onClose={() => setEditItem(null)}
+          onSuccess={() => {
+            setEditItem(null);
+            refreshSelectedPool();
+          }}
+        />
+      )}
+
+      {incidentItem && selectedPool && (
+        <IncidentReportModal
+          poolId={selectedPool._id}
+          poolName={selectedPool.poolName}
+          uniqueId={incidentItem}
+          onClose={() => setIncidentItem(null)}
+          onSuccess={() => {
+            setIncidentItem(null);
+            refreshSelectedPool();
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+// Reorder threshold and quantity, edited in place on the pool details
+const ReorderSettings = ({ pool, onSaved }) => {
+  const [formData, setFormData] = useState({
+    reorderThreshold: pool.reorderThreshold || 0,
+    reorderQuantity: pool.reorderQuantity || 0
+  });
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await equipmentAPI.updateReorderSettings(pool._id, {
+        reorderThreshold: Number(formData.reorderThreshold),
+        reorderQuantity: Number(formData.reorderQuantity)
+      });
+      toast.success(response.data.message);
+      onSaved();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update reorder settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="details-section">
+      <h4>Reorder Settings</h4>
+      <form onSubmit={handleSubmit} className="kit-line">
+        <label>Reorder at</label>
+        <input
+          type="number"
+          name="reorderThreshold"
+          min="0"
+          value={formData.reorderThreshold}
+          onChange={handleChange}
+          className="form-control"
+        />
+        <label>Order</label>
+        <input
+          type="number"
+          name="reorderQuantity"
+          min="0"
+          value={formData.reorderQuantity}
+          onChange={handleChange}
+          className="form-control"
+        />
+        <button type="submit" className="btn btn-sm btn-primary" disabled={loading}>
+          {loading ? 'Saving...' : 'Save'}
+        </button>
+      </form>
+      <small>
+        {pool.reorderThreshold > 0
+          ? `Admins are alerted when ${pool.trackingType === 'Consumable' ? 'stock' : 'availability'} falls to ${pool.reorderThreshold}.`
+          : 'Set a threshold above 0 to get low-stock alerts for this pool.'}
+      </small>
+    </div>
+  );
+};
+
+const WarrantySettings = ({ pool, onSaved }) => {
+  const [formData, setFormData] = useState({
+    warrantyExpiry: pool.warrantyInfo?.warrantyExpiry ? pool.warrantyInfo.warrantyExpiry.slice(0, 10) : '',
+    warrantyPeriod: pool.warrantyInfo?.warrantyPeriod || '',
+    warrantyProvider: pool.warrantyInfo?.warrantyProvider || ''
+  });
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await equipmentAPI.updateWarranty(pool._id, {
+        ...formData,
+        warrantyExpiry: formData.warrantyExpiry || null
+      });
+      toast.success(response.data.message);
+      onSaved();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update warranty');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const expiry = pool.warrantyInfo?.warrantyExpiry && new Date(pool.warrantyInfo.warrantyExpiry);
+
+  return (
+    <div className="details-section">
+      <h4>Warranty</h4>
+      <form onSubmit={handleSubmit} className="kit-line">
+        <label>Expires</label>
+        <input
+          type="date"
+          name="warrantyExpiry"
+          value={formData.warrantyExpiry}
+          onChange={handleChange}
+          className="form-control"
+        />
+        <input
+          type="text"
+          name="warrantyPeriod"
+          value={formData.warrantyPeriod}
+          onChange={handleChange}
+          className="form-control"
+          placeholder="Period (e.g., 2 years)"
+        />
+        <input
+          type="text"
+          name="warrantyProvider"
+          value={formData.warrantyProvider}
+          onChange={handleChange}
+          className="form-control"
+          placeholder="Provider"
+        />
+        <button type="submit" className="btn btn-sm btn-primary" disabled={loading}>
+          {loading ? 'Saving...' : 'Save'}
+        </button>
+      </form>
+      <small>
+        {!expiry
+          ? 'No pool-wide warranty. Items can still carry their own warranty expiry.'
+          : expiry < new Date()
+            ? `The pool-wide warranty ended on ${expiry.toLocaleDateString()}.`
+            : `Items without their own warranty are covered until ${expiry.toLocaleDateString()}.`}
+      </small>
+    </div>
+  );
+};
+
+// Lots and outstanding issues of a consumable pool
+const ConsumableStock = ({ pool, onChange }) => {
+  const [showReceiveModal, setShowReceiveModal] = useState(false);
+  const [settleIssue, setSettleIssue] = useState(null);
+
+  const now = new Date();
+  const lots = [...pool.lots].sort((a, b) => new Date(b.receivedDate) - new Date(a.receivedDate));
+  const openIssues = pool.consumableIssues.filter(issue => issue.status === 'Issued');
+  const settledIssues = pool.consumableIssues
+    .filter(issue => issue.status === 'Settled')
+    .sort((a, b) => new Date(b.settledAt) - new Date(a.settledAt))
+    .slice(0, 10);
+
+  return (
+    <>
+      <div className="details-section">
+        <div className="items-header">
+          <h4>Lots</h4>
+          <button
+            className="btn btn-sm btn-primary"
+            onClick={() => setShowReceiveModal(true)}
+          >
+            + Receive Stock
+          </button>
+        </div>
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Lot</th>
+              <th>In Stock</th>
+              <th>Received</th>
+              <th>Expiry</th>
+            </tr>
+          </thead>
+          <tbody>
+            {lots.map(lot => {
+              const expired = lot.expiryDate && new Date(lot.expiryDate) <= now;
+              return (
+                <tr key={lot._id}>
+                  <td><strong>{lot.lotNumber}</strong></td>
+                  <td>{lot.quantity} / {lot.receivedQuantity} {pool.unit}</td>
+                  <td>{new Date(lot.receivedDate).toLocaleDateString()}</td>
+                  <td>
+                    {lot.expiryDate ? new Date(lot.expiryDate).toLocaleDateString() : 'N/A'}
+                    {expired && lot.quantity > 0 && <span className="badge badge-danger"> Expired</span>}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="details-section">
+        <h4>Out on Issue</h4>
+        {openIssues.length === 0 ? (
+          <p className="help-text">Nothing is out on issue.</p>
+        ) : (
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Officer</th>
+                <th>Quantity</th>
+                <th>Lots</th>
+                <th>Issued</th>
+                <th>Reported Expended</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {openIssues.map(issue => (
+                <tr key={issue._id}>
+                  <td>{issue.officerName} ({issue.officerId})</td>
+                  <td>{issue.quantity} {pool.unit}</td>
+                  <td>{issue.lots.map(lot => `${lot.lotNumber} (${lot.quantity})`).join(', ')}</td>
+                  <td>
+                    {new Date(issue.issuedDate).toLocaleDateString()}
+                    {issue.expectedReturnDate && (
+                      <div className="issued-to">Due {new Date(issue.expectedReturnDate).toLocaleDateString()}</div>
+                    )}
+                  </td>
+                  <td>
+                    {issue.expenditureReport?.reportedAt ? (
+                      <>
+                        {issue.expenditureReport.expendedQuantity}
+                        {issue.expenditureReport.remarks && (
+                          <div className="issued-to">{issue.expenditureReport.remarks}</div>
+                        )}
+                      </>
+                    ) : 'Not reported'}
+                  </td>
+                  <td>
+                    <button
+                      className="btn btn-sm btn-success"
+                      onClick={() => setSettleIssue(issue)}
+                    >
+                      Settle
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {settledIssues.length > 0 && (
+        <div className="details-section">
+          <h4>Recently Settled</h4>
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Officer</th>
+                <th>Issued</th>
+                <th>Expended</th>
+                <th>Returned</th>
+                <th>Unaccounted</th>
+                <th>Settled</th>
+              </tr>
+            </thead>
+            <tbody>
+              {settledIssues.map(issue => (
+                <tr key={issue._id}>
+                  <td>{issue.officerName} ({issue.officerId})</td>
+                  <td>{issue.quantity}</td>
+                  <td>{issue.expendedQuantity}</td>
+                  <td>{issue.returnedQuantity}</td>
+                  <td>
+                    {issue.unaccountedQuantity > 0
+                      ? <span className="badge badge-danger">{issue.unaccountedQuantity}</span>
+                      : 0}
+                  </td>
+                  <td>{new Date(issue.settledAt).toLocaleDateString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {showReceiveModal && (
+        <ReceiveLotModal
+          pool={pool}
+          onClose={() => setShowReceiveModal(false)}
+          onSuccess={() => {
+            setShowReceiveModal(false);
+            onChange();
+          }}
+        />
+      )}
+
+      {settleIssue && (
+        <SettleIssueModal
+          pool={pool}
+          issue={settleIssue}
+          onClose={() => setSettleIssue(null)}
+          onSuccess={() => {
+            setSettleIssue(null);
+            onChange();
+          }}
+        />
+      )}
+    </>
+  );
+};
+
+const ReceiveLotModal = ({ pool, onClose, onSuccess }) => {
+  const [formData, setFormData] = useState({
+    lotNumber: '',
+    quantity: '',
+    expiryDate: '',
+    cost: '',
+    notes: ''
+  });
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await equipmentAPI.receiveLot(pool._id, {
+        lotNumber: formData.lotNumber,
+        quantity: Number(formData.quantity),
+        notes: formData.notes,
+        ...(formData.expiryDate && { expiryDate: formData.expiryDate }),
+        ...(formData.cost !== '' && { cost: Number(formData.cost) })
+      });
+      toast.success(response.data.message);
+      onSuccess();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to receive stock');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Receive Stock - {pool.poolName}</h3>
+          <button onClick={onClose} className="close-btn">&times;</button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">Lot / Batch Number *</label>
+              <input
+                type="text"
+                name="lotNumber"
+                value={formData.lotNumber}
+                onChange={handleChange}
+                className="form-control"
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Quantity ({pool.unit}) *</label>
+              <input
+                type="number"
+                name="quantity"
+                min="1"
+                value={formData.quantity}
+                onChange={handleChange}
+                className="form-control"
+                required
+              />
+            </div>
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">Expiry Date</label>
+              <input
+                type="date"
+                name="expiryDate"
+                value={formData.expiryDate}
+                onChange={handleChange}
+                className="form-control"
+              />
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Lot Cost</label>
+              <input
+                type="number"
+                name="cost"
+                min="0"
+                step="0.01"
+                value={formData.cost}
+                onChange={handleChange}
+                className="form-control"
+                placeholder="Added to the pool's total cost"
+              />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Notes</label>
+            <textarea
+              name="notes"
+              value={formData.notes}
+              onChange={handleChange}
+              className="form-control"
+              rows="2"
+            />
+          </div>
+
+          <div className="modal-actions">
+            <button
+              type="button"
+              onClick={onClose}
+              className="btn btn-secondary"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={loading}
+            >
+              {loading ? 'Receiving...' : 'Receive Stock'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const SettleIssueModal = ({ pool, issue, onClose, onSuccess }) => {
+  const reported = issue.expenditureReport?.reportedAt ? issue.expenditureReport.expendedQuantity : null;
+  const [formData, setFormData] = useState({
+    expendedQuantity: reported ?? '',
+    returnedQuantity: reported !== null ? issue.quantity - reported : '',
+    remarks: ''
+  });
+  const [loading, setLoading] = useState(false);
+
+  const unaccounted = issue.quantity - Number(formData.returnedQuantity || 0) - Number(formData.expendedQuantity || 0);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (unaccounted < 0) {
+      return toast.error(`Returned and expended cannot exceed the ${issue.quantity} ${pool.unit} issued`);
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await equipmentAPI.settleConsumableIssue(pool._id, issue._id, {
+        returnedQuantity: Number(formData.returnedQuantity || 0),
+        expendedQuantity: Number(formData.expendedQuantity || 0),
+        remarks: formData.remarks
+      });
+      toast.success(response.data.message);
+      onSuccess();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to settle issue');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Settle Issue - {issue.officerName}</h3>
+          <button onClick={onClose} className="close-btn">&times;</button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="form-note">
+            <p>
+              {issue.quantity} {pool.unit} issued on {new Date(issue.issuedDate).toLocaleDateString()}.
+              {reported !== null
+                ? ` The officer reported ${reported} expended.`
+                : ' The officer has not reported expenditure yet.'}
+            </p>
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">Expended *</label>
+              <input
+                type="number"
+                name="expendedQuantity"
+                min="0"
+                max={issue.quantity}
+                value={formData.expendedQuantity}
+                onChange={handleChange}
+                className="form-control"
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Returned Unused *</label>
+              <input
+                type="number"
+                name="returnedQuantity"
+                min="0"
+                max={issue.quantity}
+                value={formData.returnedQuantity}
+                onChange={handleChange}
+                className="form-control"
+                required
+              />
+            </div>
+          </div>
+
+          {unaccounted > 0 && (
+            <div className="form-note">
+              <p>{unaccounted} {pool.unit} will be recorded as unaccounted for.</p>
+            </div>
+          )}
+
+          <div className="form-group">
+            <label className="form-label">Remarks</label>
+            <textarea
+              name="remarks"
+              value={formData.remarks}
+              onChange={handleChange}
+              className="form-control"
+              rows="2"
+            />
+          </div>
+
+          <div className="modal-actions">
+            <button
+              type="button"
+              onClick={onClose}
+              className="btn btn-secondary"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={loading}
+            >
+              {loading ? 'Settling...' : 'Settle Issue'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const AddItemsModal = ({ pool, onClose, onSuccess }) => {
+  const [formData, setFormData] = useState({
+    count: 1,
+    condition: 'Excellent',
+    location: pool.location,
+    cost: ''
+  });
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await equipmentAPI.addPoolItems(pool._id, {
+        count: Number(formData.count),
+        condition: formData.condition,
+        location: formData.location,
+        ...(formData.cost !== '' && { cost: Number(formData.cost) })
+      });
+      toast.success(response.data.message);
+      onSuccess();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add items');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Add Items - {pool.poolName}</h3>
+          <button onClick={onClose} className="close-btn">&times;</button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">Number of Items *</label>
+              <input
+                type="number"
+                name="count"
+                min="1"
+                max="500"
+                value={formData.count}
+                onChange={handleChange}
+                className="form-control"
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Condition</label>
+              <select
+                name="condition"
+                value={formData.condition}
+                onChange={handleChange}
+                className="form-control"
+              >
+                <option value="Excellent">Excellent</option>
+                <option value="Good">Good</option>
+                <option value="Fair">Fair</option>
+                <option value="Poor">Poor</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">Location *</label>
+              <input
+                type="text"
+                name="location"
+                value={formData.location}
+                onChange={handleChange}
+                className="form-control"
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Batch Cost</label>
+              <input
+                type="number"
+                name="cost"
+                min="0"
+                step="0.01"
+                value={formData.cost}
+                onChange={handleChange}
+                className="form-control"
+                placeholder="Added to the pool's total cost"
+              />
+            </div>
+          </div>
+
+          <div className="form-note">
+            <p>New items continue the pool's numbering after its current {pool.totalQuantity} items.</p>
+          </div>
+
+          <div className="modal-actions">
+            <button
+              type="button"
+              onClick={onClose}
+              className="btn btn-secondary"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={loading}
+            >
+              {loading ? 'Adding...' : 'Add Items'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const EditItemModal = ({ poolId, item, onClose, onSuccess }) => {
+  const [formData, setFormData] = useState({
+    location: item.location || '',
+    condition: item.condition || 'Good',
+    notes: item.notes || '',
+    nextInspectionDate: item.nextInspectionDate ? item.nextInspectionDate.slice(0, 10) : '',
+    warrantyExpiry: item.warrantyExpiry ? item.warrantyExpiry.slice(0, 10) : ''
+  });
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      await equipmentAPI.updatePoolItem(poolId, item.uniqueId, {
+        ...formData,
+        nextInspectionDate: formData.nextInspectionDate || null,
+        warrantyExpiry: formData.warrantyExpiry || null
+      });
+      toast.success(`${item.uniqueId} updated`);
+      onSuccess();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update item');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Edit Item - {item.uniqueId}</h3>
+          <button onClick={onClose} className="close-btn">&times;</button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">Location *</label>
+              <input
+                type="text"
+                name="location"
+                value={formData.location}
+                onChange={handleChange}
+                className="form-control"
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Condition</label>
+              <select
+                name="condition"
+                value={formData.condition}
+                onChange={handleChange}
+                className="form-control"
+              >
+                <option value="Excellent">Excellent</option>
+                <option value="Good">Good</option>
+                <option value="Fair">Fair</option>
+                <option value="Poor">Poor</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">Next Inspection</label>
+              <input
+                type="date"
+                name="nextInspectionDate"
+                value={formData.nextInspectionDate}
+                onChange={handleChange}
+                className="form-control"
+              />
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Warranty Expiry</label>
+              <input
+                type="date"
+                name="warrantyExpiry"
+                value={formData.warrantyExpiry}
+                onChange={handleChange}
+                className="form-control"
+              />
+              <small>Leave empty to use the pool's warranty</small>
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Notes</label>
+            <textarea
+              name="notes"
+              value={formData.notes}
+              onChange={handleChange}
+              className="form-control"
+              rows="3"
+              maxLength="500"
+              placeholder="Serial number, markings, accessories..."
+            />
+          </div>
+
+          <div className="modal-actions">
+            <button
+              type="button"
+              onClick={onClose}
+              className="btn btn-secondary"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={loading}
+            >
+              {loading ? 'Saving...' : 'Save Changes'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const ChainStatus = ({ result }) => {
+  if (!result) return null;
+
+  if (!result.valid) {
+    return (
+      <span className="badge badge-danger" title={result.brokenAt.reason}>
+        Broken at entry #{result.brokenAt.index + 1}: {result.brokenAt.reason}
+      </span>
+    );
+  }
+
+  return (
+    <span className="badge badge-success">
+      Verified ({result.sealed} sealed)
+    </span>
+  );
+};
+
+export const ItemHistoryModal = ({ poolId, uniqueId, onClose }) => {
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        const response = await equipmentAPI.getItemHistory(poolId, uniqueId);
+        if (response.data.success) {
+          setHistory(response.data.data);
+        }
+      } catch (error) {
+        toast.error('Failed to fetch item history');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHistory();
+  }, [poolId, uniqueId]);
+
+  const brokenIndex = (chain) =>
+    history?.verification?.[chain]?.valid === false ? history.verification[chain].brokenAt.index : -1;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content large-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>{uniqueId} - Custody History</h3>
+          <button className="close-button" onClick={onClose}>×</button>
+        </div>
+
+        {loading ? (
+          <div className="loading-container">
+            <div className="spinner"></div>
+            <p>Loading history...</p>
+          </div>
+        ) : !history ? (
+          <div className="no-data">
+            <p>History unavailable.</p>
+          </div>
+        ) : (
+          <div className="pool-details">
+            {history.purchaseOrder && (
+              <div className="details-section">
+                <h4>Procurement</h4>
+                <p>
+                  Received {history.addedAt ? new Date(history.addedAt).toLocaleDateString() : ''} against{' '}
+                  <strong>{history.purchaseOrder.poNumber}</strong> from {history.purchaseOrder.supplierName}
+                  {history.unitCost !== undefined && ` at a unit cost of ${history.unitCost}`}
+                </p>
+              </div>
+            )}
+            <div className="details-section">
+              <h4>Usage History <ChainStatus result={history.verification?.usageHistory} /></h4>
+              {history.usageHistory.length === 0 ? (
+                <p className="more-items">Never issued.</p>
+              ) : (
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>#</th>
+                      <th>Officer</th>
+                      <th>Issued</th>
+                      <th>Returned</th>
+                      <th>Condition</th>
+                      <th>Purpose</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {history.usageHistory.map((entry, index) => (
+                      <tr key={entry._id} className={index >= brokenIndex('usageHistory') && brokenIndex('usageHistory') >= 0 ? 'chain-broken' : ''}>
+                        <td>{index + 1}</td>
+                        <td>{entry.userId?.fullName || entry.officerName} ({entry.officerId})</td>
+                        <td>{new Date(entry.issuedDate).toLocaleString()}</td>
+                        <td>{entry.returnedDate ? new Date(entry.returnedDate).toLocaleString() : 'Still issued'}</td>
+                        <td>{entry.conditionAtIssue} → {entry.conditionAtReturn || '—'}</td>
+                        <td>{entry.purpose}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
+            <div className="details-section">
+              <h4>Maintenance History <ChainStatus result={history.verification?.maintenanceHistory} /></h4>
+              {history.maintenanceHistory.length === 0 ? (
+                <p className="more-items">No maintenance recorded.</p>
+              ) : (
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>#</th>
+                      <th>Date</th>
+                      <th>Type</th>
+                      <th>Description</th>
+                      <th>Performed By</th>
+                      <th>Cost</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {history.maintenanceHistory.map((entry, index) => (
+                      <tr key={entry._id} className={index >= brokenIndex('maintenanceHistory') && brokenIndex('maintenanceHistory') >= 0 ? 'chain-broken' : ''}>
+                        <td>{index + 1}</td>
+                        <td>{new Date(entry.date).toLocaleDateString()}</td>
+                        <td>{entry.type}</td>
+                        <td>{entry.description || '—'}</td>
+                        <td>{entry.performedBy || '—'}</td>
+                        <td>{entry.cost ?? '—'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </div>
+        )}
+
+        <div className="modal-footer">
+          <button className="btn btn-secondary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
     </div>
   );
 };
@@ -0,0 +1,340 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { incidentAPI } from '../../utils/api';
+import { toast } from 'react-toastify';
+
+// Resolutions allowed for each incident type (mirrors the backend)
+const RESOLUTIONS = {
+  Lost: ['Recovered', 'Written Off'],
+  Damaged: ['Repaired', 'Written Off']
+};
+
+const Incidents = () => {
+  const [incidents, setIncidents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [statusFilter, setStatusFilter] = useState('Open');
+  const [typeFilter, setTypeFilter] = useState('');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [selectedIncident, setSelectedIncident] = useState(null);
+
+  const fetchIncidents = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await incidentAPI.getIncidents({
+        page: currentPage,
+        limit: 10,
+        status: statusFilter,
+        type: typeFilter,
+        search: searchTerm
+      });
+
+      if (response.data.success) {
+        setIncidents(response.data.data.incidents);
+        setTotalPages(response.data.data.pagination.pages || 1);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch incidents');
+    } finally {
+      setLoading(false);
+    }
+  }, [currentPage, statusFilter, typeFilter, searchTerm]);
+
+  useEffect(() => {
+    fetchIncidents();
+  }, [fetchIncidents]);
+
+  return (
+    <>
+      <div className="incidents">
+        <div className="management-header">
+          <div className="search-filters">
+            <input
+              type="text"
+              placeholder="Search incident, item or FIR number..."
+              value={searchTerm}
+              onChange={(e) => {
+                setSearchTerm(e.target.value);
+                setCurrentPage(1);
+              }}
+              className="form-control"
+            />
+            <select
+              value={statusFilter}
+              onChange={(e) => {
+                setStatusFilter(e.target.value);
+                setCurrentPage(1);
+              }}
+              className="form-control"
+            >
+              <option value="">All Status</option>
+              <option value="Open">Open</option>
+              <option value="Resolved">Resolved</option>
+            </select>
+            <select
+              value={typeFilter}
+              onChange={(e) => {
+                setTypeFilter(e.target.value);
+                setCurrentPage(1);
+              }}
+              className="form-control"
+            >
+              <option value="">All Types</option>
+              <option value="Lost">Lost</option>
+              <option value="Damaged">Damaged</option>
+            </select>
+          </div>
+        </div>
+
+        {loading ? (
+          <div className="loading-container">
+            <div className="spinner"></div>
+            <p>Loading incidents...</p>
+          </div>
+        ) : incidents.length === 0 ? (
+          <div className="no-data">
+            <p>No incidents found.</p>
+          </div>
+        ) : (
+          <>
+            <div className="requests-table">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Incident</th>
+                    <th>Item</th>
+                    <th>Type</th>
+                    <th>Reported By</th>
+                    <th>Held By</th>
+                    <th>FIR / Case No.</th>
+                    <th>Date</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {incidents.map(incident => (
+                    <tr key={incident._id}>
+                      <td>
+                        <strong>{incident.incidentId}</strong>
+                        <div className="schedule-subtext" title={incident.description}>
+                          {incident.description.length > 60
+                            ? `${incident.description.slice(0, 60)}...`
+                            : incident.description}
+                        </div>
+                      </td>
+                      <td>
+                        {incident.uniqueId}
+                        <div className="schedule-subtext">{incident.poolName}</div>
+                      </td>
+                      <td>
+                        <span className={`badge badge-${incident.type === 'Lost' ? 'danger' : 'warning'}`}>
+                          {incident.type}
+                        </span>
+                      </td>
+                      <td>{incident.reportedBy?.fullName || 'N/A'}</td>
+                      <td>{incident.heldBy?.fullName || '—'}</td>
+                      <td>{incident.firNumber || '—'}</td>
+                      <td>{new Date(incident.incidentDate).toLocaleDateString()}</td>
+                      <td>
+                        {incident.status === 'Open' ? (
+                          <span className="status-badge status-pending">Open</span>
+                        ) : (
+                          <span className="status-badge status-completed" title={incident.resolutionNotes}>
+                            {incident.resolution}
+                          </span>
+                        )}
+                      </td>
+                      <td>
+                        <div className="action-buttons">
+                          {incident.attachments?.map((attachment, index) => (
+                            <a
+                              key={attachment._id || index}
+                              href={attachment.url}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="btn btn-sm btn-secondary"
+                            >
+                              {attachment.filename || `Attachment ${index + 1}`}
+                            </a>
+                          ))}
+                          {incident.status === 'Open' && (
+                            <button
+                              className="btn btn-sm btn-primary"
+                              onClick={() => setSelectedIncident(incident)}
+                            >
+                              Resolve
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {totalPages > 1 && (
+              <div className="pagination">
+                <button
+                  onClick={() => setCurrentPage(prev => Math.max(prev - 1, 1))}
+                  disabled={currentPage === 1}
+                  className="btn btn-secondary"
+                >
+                  Previous
+                </button>
+                <span>Page {currentPage} of {totalPages}</span>
+                <button
+                  onClick={() => setCurrentPage(prev => Math.min(prev + 1, totalPages))}
+                  disabled={currentPage === totalPages}
+                  className="btn btn-secondary"
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {selectedIncident && (
+        <ResolveIncidentModal
+          incident={selectedIncident}
+          onClose={() => setSelectedIncident(null)}
+          onSuccess={() => {
+            setSelectedIncident(null);
+            fetchIncidents();
+          }}
+        />
+      )}
+    </>
+  );
+};
+
+const ResolveIncidentModal = ({ incident, onClose, onSuccess }) => {
+  const [formData, setFormData] = useState({
+    resolution: RESOLUTIONS[incident.type][0],
+    condition: 'Good',
+    notes: ''
+  });
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await incidentAPI.resolveIncident(incident._id, {
+        resolution: formData.resolution,
+        notes: formData.notes || undefined,
+        ...(formData.resolution !== 'Written Off' && { condition: formData.condition })
+      });
+      toast.success(response.data.message);
+      onSuccess();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to resolve incident');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Resolve {incident.incidentId}</h3>
+          <button onClick={onClose} className="close-btn">&times;</button>
+        </div>
+
+        <div className="request-details">
+          <p><strong>Item:</strong> {incident.uniqueId} ({incident.poolName})</p>
+          <p><strong>Reported:</strong> {incident.type} on {new Date(incident.incidentDate).toLocaleDateString()}</p>
+          <p><strong>Description:</strong> {incident.description}</p>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">Resolution *</label>
+              <select
+                name="resolution"
+                value={formData.resolution}
+                onChange={handleChange}
+                className="form-control"
+              >
+                {RESOLUTIONS[incident.type].map(resolution => (
+                  <option key={resolution} value={resolution}>{resolution}</option>
+                ))}
+              </select>
+            </div>
+
+            {formData.resolution !== 'Written Off' && (
+              <div className="form-group">
+                <label className="form-label">Condition</label>
+                <select
+                  name="condition"
+                  value={formData.condition}
+                  onChange={handleChange}
+                  className="form-control"
+                >
+                  <option value="Excellent">Excellent</option>
+                  <option value="Good">Good</option>
+                  <option value="Fair">Fair</option>
+                  <option value="Poor">Poor</option>
+                </select>
+              </div>
+            )}
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Notes</label>
+            <textarea
+              name="notes"
+              value={formData.notes}
+              onChange={handleChange}
+              className="form-control"
+              rows="3"
+              placeholder={formData.resolution === 'Written Off'
+                ? 'Write-off authority, order number...'
+                : 'Where it was recovered, repair details...'}
+            />
+          </div>
+
+          <div className="form-note">
+            <p>
+              {formData.resolution === 'Written Off'
+                ? `${incident.uniqueId} will be retired permanently.`
+                : `${incident.uniqueId} will return to the available pool.`}
+            </p>
+          </div>
+
+          <div className="modal-actions">
+            <button
+              type="button"
+              onClick={onClose}
+              className="btn btn-secondary"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className={`btn ${formData.resolution === 'Written Off' ? 'btn-danger' : 'btn-success'}`}
+              disabled={loading}
+            >
+              {loading ? 'Resolving...' : `Mark ${formData.resolution}`}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Incidents;
@@ -0,0 +1,339 @@
+import React, { useState, useEffect } from 'react';
+import { kitAPI, equipmentAPI } from '../../utils/api';
+import { toast } from 'react-toastify';
+
+const DESIGNATIONS = [
+  'Director General of Police (DGP)',
+  'Superintendent of Police (SP)',
+  'Deputy Commissioner of Police (DCP)',
+  'Deputy Superintendent of Police (DSP)',
+  'Police Inspector (PI)',
+  'Sub-Inspector (SI)',
+  'Police Sub-Inspector (PSI)',
+  'Head Constable (HC)',
+  'Police Constable (PC)'
+];
+
+const Kits = () => {
+  const [kits, setKits] = useState([]);
+  const [pools, setPools] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editKit, setEditKit] = useState(null);
+
+  useEffect(() => {
+    fetchKits();
+    equipmentAPI.getEquipmentPools()
+      .then(response => setPools(response.data.data.pools))
+      .catch(() => toast.error('Failed to fetch equipment pools'));
+  }, []);
+
+  const fetchKits = async () => {
+    try {
+      setLoading(true);
+      const response = await kitAPI.getKits({ includeInactive: true });
+      if (response.data.success) {
+        setKits(response.data.data.kits);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch kits');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+        <p>Loading kits...</p>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <div className="kits">
+        <div className="management-header">
+          <h3>Equipment Kits</h3>
+          <button
+            className="btn btn-primary"
+            onClick={() => setEditKit({})}
+          >
+            + Add Kit
+          </button>
+        </div>
+
+        {kits.length === 0 ? (
+          <div className="no-data">
+            <p>No kits yet. A kit bundles items from several pools so officers can request them together.</p>
+          </div>
+        ) : (
+          <div className="requests-table">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Kit</th>
+                  <th>Contents</th>
+                  <th>Authorized For</th>
+                  <th>Stock</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {kits.map(kit => (
+                  <tr key={kit._id}>
+                    <td>
+                      <strong>{kit.name}</strong>
+                      {kit.description && <div className="schedule-subtext">{kit.description}</div>}
+                    </td>
+                    <td>
+                      {kit.items.map(item => (
+                        <div key={item.poolId}>
+                          {item.quantity} x {item.poolName}
+                          <span className="schedule-subtext"> ({item.availableCount} available)</span>
+                        </div>
+                      ))}
+                    </td>
+                    <td>{kit.authorizedDesignations.length} designation(s)</td>
+                    <td>
+                      <span className={`badge badge-${kit.available ? 'success' : 'warning'}`}>
+                        {kit.available ? 'In stock' : 'Short'}
+                      </span>
+                    </td>
+                    <td>
+                      <span className={`badge badge-${kit.isActive ? 'success' : 'secondary'}`}>
+                        {kit.isActive ? 'Active' : 'Withdrawn'}
+                      </span>
+                    </td>
+                    <td>
+                      <button
+                        className="btn btn-sm btn-secondary"
+                        onClick={() => setEditKit(kit)}
+                      >
+                        Edit
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {editKit && (
+        <KitModal
+          kit={editKit}
+          pools={pools}
+          onClose={() => setEditKit(null)}
+          onSuccess={() => {
+            setEditKit(null);
+            fetchKits();
+          }}
+        />
+      )}
+    </>
+  );
+};
+
+const KitModal = ({ kit, pools, onClose, onSuccess }) => {
+  const isNew = !kit._id;
+  const [formData, setFormData] = useState({
+    name: kit.name || '',
+    description: kit.description || '',
+    isActive: kit.isActive !== false,
+    authorizedDesignations: kit.authorizedDesignations || []
+  });
+  const [lines, setLines] = useState(
+    kit.items?.map(item => ({ poolId: item.poolId, quantity: item.quantity })) || [{ poolId: '', quantity: 1 }]
+  );
+  const [loading, setLoading] = useState(false);
+
+  // Only designations every chosen pool is authorized for can be given the kit
+  const chosenPools = lines.map(line => pools.find(pool => pool._id === line.poolId)).filter(Boolean);
+  const allowedDesignations = DESIGNATIONS.filter(designation =>
+    chosenPools.every(pool => pool.authorizedDesignations.includes(designation))
+  );
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData({
+      ...formData,
+      [name]: type === 'checkbox' ? checked : value
+    });
+  };
+
+  const handleDesignationToggle = (designation) => {
+    setFormData(prev => ({
+      ...prev,
+      authorizedDesignations: prev.authorizedDesignations.includes(designation)
+        ? prev.authorizedDesignations.filter(d => d !== designation)
+        : [...prev.authorizedDesignations, designation]
+    }));
+  };
+
+  const updateLine = (index, field, value) => {
+    setLines(current => current.map((line, i) => (i === index ? { ...line, [field]: value } : line)));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.authorizedDesignations.length === 0) {
+      return toast.error('Select at least one designation');
+    }
+
+    setLoading(true);
+
+    try {
+      const data = {
+        ...formData,
+        // Designations dropped because of a pool change are not sent
+        authorizedDesignations: formData.authorizedDesignations.filter(d => allowedDesignations.includes(d)),
+        items: lines.map(line => ({ poolId: line.poolId, quantity: parseInt(line.quantity) }))
+      };
+      const response = isNew
+        ? await kitAPI.createKit(data)
+        : await kitAPI.updateKit(kit._id, data);
+      toast.success(response.data.message);
+      onSuccess();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save kit');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>{isNew ? 'Add Kit' : `Edit ${kit.name}`}</h3>
+          <button onClick={onClose} className="close-btn">&times;</button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label className="form-label">Name *</label>
+            <input
+              type="text"
+              name="name"
+              value={formData.name}
+              onChange={handleChange}
+              className="form-control"
+              placeholder="e.g., Raid Kit"
+              required
+            />
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Description</label>
+            <textarea
+              name="description"
+              value={formData.description}
+              onChange={handleChange}
+              className="form-control"
+              rows="2"
+            />
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Contents *</label>
+            {lines.map((line, index) => (
+              <div key={index} className="kit-line">
+                <select
+                  value={line.poolId}
+                  onChange={(e) => updateLine(index, 'poolId', e.target.value)}
+                  className="form-control"
+                  required
+                >
+                  <option value="">Select pool</option>
+                  {pools.map(pool => (
+                    <option key={pool._id} value={pool._id}>{pool.poolName}</option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  min="1"
+                  max="20"
+                  value={line.quantity}
+                  onChange={(e) => updateLine(index, 'quantity', e.target.value)}
+                  className="form-control"
+                  required
+                />
+                <button
+                  type="button"
+                  className="btn btn-sm btn-danger"
+                  onClick={() => setLines(current => current.filter((l, i) => i !== index))}
+                  disabled={lines.length === 1}
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              className="btn btn-sm btn-secondary"
+              onClick={() => setLines(current => [...current, { poolId: '', quantity: 1 }])}
+            >
+              + Add Pool
+            </button>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Authorized Designations *</label>
+            <div className="designation-grid">
+              {allowedDesignations.map(designation => (
+                <label key={designation} className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={formData.authorizedDesignations.includes(designation)}
+                    onChange={() => handleDesignationToggle(designation)}
+                  />
+                  <span>{designation}</span>
+                </label>
+              ))}
+            </div>
+            {allowedDesignations.length === 0 && (
+              <small>No designation is authorized for every pool in this kit.</small>
+            )}
+          </div>
+
+          {!isNew && (
+            <div className="form-group">
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  name="isActive"
+                  checked={formData.isActive}
+                  onChange={handleChange}
+                />
+                <span>Active (officers can request this kit)</span>
+              </label>
+            </div>
+          )}
+
+          <div className="modal-actions">
+            <button
+              type="button"
+              onClick={onClose}
+              className="btn btn-secondary"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={loading}
+            >
+              {loading ? 'Saving...' : 'Save Kit'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Kits;
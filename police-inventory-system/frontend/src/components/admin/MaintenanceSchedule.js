@@ -0,0 +1,428 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { equipmentAPI } from '../../utils/api';
+import { toast } from 'react-toastify';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const dayKey = (date) => new Date(date).toDateString();
+
+const MaintenanceSchedule = () => {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [days, setDays] = useState(30);
+  const [month, setMonth] = useState(() => {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), 1);
+  });
+  const [selectedDay, setSelectedDay] = useState(null);
+  const [logTarget, setLogTarget] = useState(null);
+
+  const fetchSchedule = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await equipmentAPI.getInspectionsDue({ days });
+      if (response.data.success) {
+        setItems(response.data.data.items);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch inspection schedule');
+    } finally {
+      setLoading(false);
+    }
+  }, [days]);
+
+  useEffect(() => {
+    fetchSchedule();
+  }, [fetchSchedule]);
+
+  const handleSendToMaintenance = async (item) => {
+    const reason = window.prompt(`Reason for sending ${item.uniqueId} to maintenance:`, 'Scheduled inspection');
+    if (reason === null) return;
+
+    try {
+      await equipmentAPI.sendItemToMaintenance(item.poolId, item.uniqueId, { reason });
+      toast.success(`${item.uniqueId} sent to maintenance`);
+      fetchSchedule();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send item to maintenance');
+    }
+  };
+
+  const handleReturnToService = async (item) => {
+    try {
+      await equipmentAPI.returnItemToService(item.poolId, item.uniqueId, {});
+      toast.success(`${item.uniqueId} returned to service`);
+      fetchSchedule();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to return item to service');
+    }
+  };
+
+  // Items per calendar day; overdue inspections are shown on today
+  const today = new Date();
+  const itemsByDay = items.reduce((groups, item) => {
+    const key = item.isOverdue ? dayKey(today) : dayKey(item.nextInspectionDate);
+    (groups[key] = groups[key] || []).push(item);
+    return groups;
+  }, {});
+
+  const firstWeekday = month.getDay();
+  const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+  const calendarCells = [
+    ...Array(firstWeekday).fill(null),
+    ...Array.from({ length: daysInMonth }, (_, i) => new Date(month.getFullYear(), month.getMonth(), i + 1))
+  ];
+
+  const visibleItems = selectedDay ? (itemsByDay[selectedDay] || []) : items;
+  const overdueCount = items.filter(item => item.isOverdue).length;
+
+  const changeMonth = (offset) => {
+    setMonth(new Date(month.getFullYear(), month.getMonth() + offset, 1));
+    setSelectedDay(null);
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+        <p>Loading inspection schedule...</p>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <div className="maintenance-schedule">
+        <div className="management-header">
+          <div className="search-filters">
+            <select
+              value={days}
+              onChange={(e) => {
+                setDays(Number(e.target.value));
+                setSelectedDay(null);
+              }}
+              className="form-control"
+            >
+              <option value={7}>Due in 7 days</option>
+              <option value={30}>Due in 30 days</option>
+              <option value={90}>Due in 90 days</option>
+              <option value={365}>Due in 1 year</option>
+            </select>
+          </div>
+          {overdueCount > 0 && (
+            <span className="status-badge status-escalated">
+              {overdueCount} overdue inspection{overdueCount > 1 ? 's' : ''}
+            </span>
+          )}
+        </div>
+
+        <div className="inspection-calendar">
+          <div className="calendar-header">
+            <button className="btn btn-sm btn-secondary" onClick={() => changeMonth(-1)}>‹</button>
+            <h3>{month.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}</h3>
+            <button className="btn btn-sm btn-secondary" onClick={() => changeMonth(1)}>›</button>
+          </div>
+
+          <div className="calendar-grid">
+            {WEEKDAYS.map(weekday => (
+              <div key={weekday} className="calendar-weekday">{weekday}</div>
+            ))}
+            {calendarCells.map((date, index) => {
+              if (!date) {
+                return <div key={`blank-${index}`} className="calendar-day empty" />;
+              }
+
+              const key = dayKey(date);
+              const dueItems = itemsByDay[key] || [];
+              const hasOverdue = dueItems.some(item => item.isOverdue);
+
+              return (
+                <div
+                  key={key}
+                  className={[
+                    'calendar-day',
+                    key === dayKey(today) ? 'today' : '',
+                    key === selectedDay ? 'selected' : '',
+                    dueItems.length > 0 ? 'has-items' : ''
+                  ].join(' ')}
+                  onClick={() => setSelectedDay(key === selectedDay ? null : key)}
+                >
+                  <span className="calendar-date">{date.getDate()}</span>
+                  {dueItems.length > 0 && (
+                    <span className={`calendar-count ${hasOverdue ? 'overdue' : ''}`}>
+                      {dueItems.length}
+                    </span>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        <h4 className="schedule-title">
+          {selectedDay ? `Due on ${selectedDay}` : `All items due within ${days} days`}
+        </h4>
+
+        {visibleItems.length === 0 ? (
+          <div className="no-data">
+            <p>No inspections due.</p>
+          </div>
+        ) : (
+          <div className="equipment-table">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Item</th>
+                  <th>Pool</th>
+                  <th>Location</th>
+                  <th>Status</th>
+                  <th>Last Inspection</th>
+                  <th>Next Inspection</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleItems.map(item => (
+                  <tr key={`${item.poolId}-${item.uniqueId}`}>
+                    <td><strong>{item.uniqueId}</strong></td>
+                    <td>
+                      {item.poolName}
+                      <div className="schedule-subtext">{item.category}</div>
+                    </td>
+                    <td>{item.location || 'N/A'}</td>
+                    <td>
+                      <span className={`badge badge-${
+                        item.status === 'Available' ? 'success' :
+                        item.status === 'Maintenance' ? 'info' :
+                        item.status === 'Issued' ? 'warning' : 'secondary'
+                      }`}>
+                        {item.status}
+                      </span>
+                    </td>
+                    <td>
+                      {item.lastInspectionDate
+                        ? new Date(item.lastInspectionDate).toLocaleDateString()
+                        : 'Never'}
+                    </td>
+                    <td>
+                      <span className={item.isOverdue ? 'status-badge status-escalated' : ''}>
+                        {new Date(item.nextInspectionDate).toLocaleDateString()}
+                      </span>
+                    </td>
+                    <td>
+                      <div className="action-buttons">
+                        <button
+                          className="btn btn-sm btn-primary"
+                          onClick={() => setLogTarget(item)}
+                        >
+                          Log Inspection
+                        </button>
+                        {['Available', 'Damaged'].includes(item.status) && (
+                          <button
+                            className="btn btn-sm btn-secondary"
+                            onClick={() => handleSendToMaintenance(item)}
+                          >
+                            To Maintenance
+                          </button>
+                        )}
+                        {item.status === 'Maintenance' && (
+                          <button
+                            className="btn btn-sm btn-success"
+                            onClick={() => handleReturnToService(item)}
+                          >
+                            Return to Service
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {logTarget && (
+        <MaintenanceLogModal
+          poolId={logTarget.poolId}
+          uniqueId={logTarget.uniqueId}
+          defaultType="Inspection"
+          onClose={() => setLogTarget(null)}
+          onSuccess={() => {
+            setLogTarget(null);
+            fetchSchedule();
+          }}
+        />
+      )}
+    </>
+  );
+};
+
+export const MaintenanceLogModal = ({ poolId, uniqueId, defaultType = 'Routine', onClose, onSuccess }) => {
+  const [formData, setFormData] = useState({
+    type: defaultType,
+    date: new Date().toISOString().slice(0, 10),
+    description: '',
+    cost: '',
+    performedBy: '',
+    nextMaintenanceDate: '',
+    nextInspectionDate: ''
+  });
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    // Only send the fields that were filled in
+    const payload = Object.fromEntries(
+      Object.entries(formData).filter(([, value]) => value !== '')
+    );
+
+    try {
+      const response = await equipmentAPI.logItemMaintenance(poolId, uniqueId, payload);
+      if (response.data.data.underWarranty) {
+        toast.warning(response.data.message);
+      } else {
+        toast.success(`${formData.type} recorded for ${uniqueId}`);
+      }
+      onSuccess();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to record maintenance');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Log Maintenance - {uniqueId}</h3>
+          <button onClick={onClose} className="close-btn">&times;</button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">Type *</label>
+              <select
+                name="type"
+                value={formData.type}
+                onChange={handleChange}
+                className="form-control"
+              >
+                <option value="Routine">Routine</option>
+                <option value="Repair">Repair</option>
+                <option value="Inspection">Inspection</option>
+                <option value="Upgrade">Upgrade</option>
+                <option value="Cleaning">Cleaning</option>
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Date</label>
+              <input
+                type="date"
+                name="date"
+                value={formData.date}
+                onChange={handleChange}
+                className="form-control"
+              />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Description</label>
+            <textarea
+              name="description"
+              value={formData.description}
+              onChange={handleChange}
+              className="form-control"
+              rows="3"
+              placeholder="Work performed, findings, parts replaced..."
+            />
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">Cost</label>
+              <input
+                type="number"
+                name="cost"
+                min="0"
+                step="0.01"
+                value={formData.cost}
+                onChange={handleChange}
+                className="form-control"
+              />
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Performed By</label>
+              <input
+                type="text"
+                name="performedBy"
+                value={formData.performedBy}
+                onChange={handleChange}
+                className="form-control"
+                placeholder="Defaults to you"
+              />
+            </div>
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">Next Maintenance</label>
+              <input
+                type="date"
+                name="nextMaintenanceDate"
+                value={formData.nextMaintenanceDate}
+                onChange={handleChange}
+                className="form-control"
+              />
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Next Inspection</label>
+              <input
+                type="date"
+                name="nextInspectionDate"
+                value={formData.nextInspectionDate}
+                onChange={handleChange}
+                className="form-control"
+              />
+            </div>
+          </div>
+
+          <div className="modal-actions">
+            <button
+              type="button"
+              onClick={onClose}
+              className="btn btn-secondary"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={loading}
+            >
+              {loading ? 'Saving...' : 'Save Entry'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default MaintenanceSchedule;
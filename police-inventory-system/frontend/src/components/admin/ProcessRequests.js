@@ -2,6 +2,7 @@
 import React, { useState, useEffect } from 'react';
 import { adminAPI, equipmentAPI } from '../../utils/api';
 import { toast } from 'react-toastify';
+import { useServerEvent } from '../../utils/serverEvents';
 
 const ProcessRequests = () => {
   const [requests, setRequests] = useState([]);
@@ -18,9 +19,24 @@ const ProcessRequests = () => {
     fetchRequests();
   }, [currentPage, statusFilter, typeFilter]);
 
-  const fetchRequests = async () => {
+  // Another desk officer created or processed a request: refresh the queue
+  // and close our modal if it was for the same request
+  useServerEvent(
+    ['request:created', 'request:approved', 'request:rejected', 'request:completed', 'request:cancelled'],
+    (data, event) => {
+      if (selectedRequest?._id === data._id && event !== 'request:created' && (showApprovalModal || showRejectionModal)) {
+        toast.info(`Request ${data.requestId} was just ${data.status.toLowerCase()} by another user`);
+        setShowApprovalModal(false);
+        setShowRejectionModal(false);
+        setSelectedRequest(null);
+      }
+      fetchRequests(true);
+    }
+  );
+
+  const fetchRequests = async (silent = false) => {
     try {
-      setLoading(true);
+      if (!silent) setLoading(true);
       const response = await adminAPI.getRequests({
         page: currentPage,
         limit: 10,
@@ -114,6 +130,7 @@ const ProcessRequests = () => {
                     <th>Request ID</th>
                     <th>Officer Name</th>
                     <th>Equipment Name</th>
+                    <th>Assigned Item</th>
                     <th>Type</th>
                     <th>Priority</th>
                     <th>Date</th>
@@ -127,13 +144,35 @@ const ProcessRequests = () => {
                       <td>{request._id.slice(-8).toUpperCase()}</td>
                       <td>
                         {request.requestedBy 
-                          ? `${request.requestedBy.firstName} ${request.requestedBy.lastName}` 
+                          ? request.requestedBy.fullName 
                           : 'N/A'}
                       </td>
                       <td>
-                        {request.equipmentId 
+                        {request.kitName ? (
+                          <>
+                            <strong>{request.kitName}</strong> (kit)
+                            {request.lineItems.map(line => (
+                              <div key={line._id} className="schedule-subtext">
+                                {request.requestType === 'Return' ? line.items.length : line.quantity} x {line.poolName}
+                              </div>
+                            ))}
+                          </>
+                        ) : request.equipmentId 
                           ? request.equipmentId.name 
-                          : 'N/A'}
+                          : request.quantity
+                            ? `${request.quantity} x ${request.poolName}`
+                            : request.poolName || 'N/A'}
+                      </td>
+                      <td>
+                        {request.kitName && request.lineItems.some(line => line.items.length > 0)
+                          ? request.lineItems.flatMap(line => line.items).map(item => (
+                            <div key={item.uniqueId}><code>{item.uniqueId}</code></div>
+                          ))
+                          : request.assignedEquipmentId
+                            ? <code>{request.assignedEquipmentId}</code>
+                            : request.consumableIssueId
+                              ? `${request.approvedQuantity} issued`
+                              : '—'}
                       </td>
                       <td>
                         <span className={`badge badge-${request.requestType === 'Issue' ? 'info' : 'warning'}`}>
@@ -223,11 +262,63 @@ const ProcessRequests = () => {
   );
 };
 
+// How the server picks an item when none is chosen; mirrors ISSUE_STRATEGIES on EquipmentPool
+const ISSUE_STRATEGIES = [
+  { value: 'first', label: 'Next available (pool order)' },
+  { value: 'bestCondition', label: 'Best condition first' },
+  { value: 'leastUsed', label: 'Least used first' },
+  { value: 'sameLocation', label: 'Same location first' }
+];
+
 const ApprovalModal = ({ request, onClose, onSuccess }) => {
   const [formData, setFormData] = useState({
-    notes: ''
+    notes: '',
+    uniqueId: '',
+    strategy: 'first',
+    location: '',
+    condition: request.declaredCondition || '',
+    approvedQuantity: request.quantity || ''
   });
   const [loading, setLoading] = useState(false);
+  const [availableItems, setAvailableItems] = useState([]);
+  // Kit issues: quantity approved per line; kit returns: condition confirmed per item
+  const [approvedQuantities, setApprovedQuantities] = useState(() => Object.fromEntries(
+    (request.lineItems || []).map(line => [line._id, line.quantity])
+  ));
+  const [conditions, setConditions] = useState(() => Object.fromEntries(
+    (request.lineItems || []).flatMap(line => line.items).map(item => [item.uniqueId, item.declaredCondition])
+  ));
+
+  const isKitIssue = request.requestType === 'Issue' && !!request.kitId;
+  const isKitReturn = request.requestType === 'Return' && !!request.kitId;
+  // Consumable requests carry a quantity and are issued from stock, not by item
+  const isConsumableIssue = request.requestType === 'Issue' && !!request.quantity;
+  const isPoolIssue = request.requestType === 'Issue' && !!request.poolId && !isConsumableIssue;
+  const isPoolReturn = request.requestType === 'Return' && !!request.poolId;
+  const locations = [...new Set(availableItems.map(item => item.location).filter(Boolean))];
+
+  useEffect(() => {
+    if (!isPoolIssue) return;
+
+    const fetchAvailableItems = async () => {
+      try {
+        const response = await equipmentAPI.getEquipmentPoolDetails(request.poolId);
+        if (response.data.success) {
+          const { pool } = response.data.data;
+          // Items without a location of their own are kept at the pool's location
+          setAvailableItems(
+            pool.items
+              .filter(item => item.status === 'Available')
+              .map(item => ({ ...item, location: item.location || pool.location }))
+          );
+        }
+      } catch (error) {
+        console.error('Failed to fetch pool items:', error);
+      }
+    };
+
+    fetchAvailableItems();
+  }, [isPoolIssue, request.poolId]);
 
   const handleChange = (e) => {
     setFormData({
@@ -241,8 +332,23 @@ const ApprovalModal = ({ request, onClose, onSuccess }) => {
     setLoading(true);
 
     try {
-      await adminAPI.approveRequest(request._id, formData);
-      toast.success('Request approved successfully');
+      const response = await adminAPI.approveRequest(request._id, {
+        ...formData,
+        ...(isKitIssue && { approvedQuantities }),
+        ...(isKitReturn && { conditions })
+      });
+      const assignedId = response.data.data.request.assignedEquipmentId;
+      if (request.kitId) {
+        toast.success(response.data.message);
+      } else if (isPoolReturn) {
+        toast.success(`Item ${assignedId} returned to ${request.poolName}`);
+      } else if (isConsumableIssue) {
+        toast.success(response.data.message);
+      } else {
+        toast.success(assignedId
+          ? `Request approved. Assigned item: ${assignedId}`
+          : 'Request approved successfully');
+      }
 
       if (request.requestType === 'Return' && request.equipmentId?._id) {
         try {
@@ -257,7 +363,7 @@ const ApprovalModal = ({ request, onClose, onSuccess }) => {
 
       onSuccess();
     } catch (error) {
-      toast.error('Failed to approve request');
+      toast.error(error.response?.data?.message || 'Failed to approve request');
     } finally {
       setLoading(false);
     }
@@ -267,11 +373,162 @@ const ApprovalModal = ({ request, onClose, onSuccess }) => {
     <div className="modal-overlay" onClick={onClose}>
       <div className="modal-content" onClick={(e) => e.stopPropagation()}>
         <div className="modal-header">
-          <h3>Approve Request</h3>
+          <h3>{isPoolReturn || isKitReturn ? 'Confirm Return' : 'Approve Request'}</h3>
           <button onClick={onClose} className="close-btn">&times;</button>
         </div>
 
         <form onSubmit={handleSubmit}>
+          {isPoolIssue && (
+            <div className="form-group">
+              <label className="form-label">Item to Issue from {request.poolName}</label>
+              <select
+                name="uniqueId"
+                value={formData.uniqueId}
+                onChange={handleChange}
+                className="form-control"
+              >
+                <option value="">Auto-assign by strategy</option>
+                {availableItems.map(item => (
+                  <option key={item.uniqueId} value={item.uniqueId}>
+                    {item.uniqueId} ({item.condition}, issued {item.usageHistory?.length || 0}x, {item.location || 'N/A'})
+                  </option>
+                ))}
+              </select>
+              {availableItems.length === 0 && (
+                <small>No items are currently available in this pool.</small>
+              )}
+            </div>
+          )}
+
+          {isConsumableIssue && (
+            <div className="form-group">
+              <label className="form-label">Quantity to Issue from {request.poolName}</label>
+              <input
+                type="number"
+                name="approvedQuantity"
+                min="1"
+                max={request.quantity}
+                value={formData.approvedQuantity}
+                onChange={handleChange}
+                className="form-control"
+                required
+              />
+              <small>Requested: {request.quantity}. Stock is drawn from the earliest-expiring lots first.</small>
+            </div>
+          )}
+
+          {isKitIssue && (
+            <div className="form-group">
+              <label className="form-label">Approve Quantities for the {request.kitName} Kit</label>
+              {request.lineItems.map(line => (
+                <div key={line._id} className="kit-line">
+                  <span>{line.poolName}</span>
+                  <input
+                    type="number"
+                    min="0"
+                    max={line.quantity}
+                    value={approvedQuantities[line._id]}
+                    onChange={(e) => setApprovedQuantities({ ...approvedQuantities, [line._id]: e.target.value })}
+                    className="form-control"
+                  />
+                  <span>of {line.quantity}</span>
+                </div>
+              ))}
+              <small>Lower a quantity to approve the kit in part; 0 leaves that pool out.</small>
+            </div>
+          )}
+
+          {isKitReturn && (
+            <div className="form-group">
+              <label className="form-label">Condition on Receipt</label>
+              {request.lineItems.flatMap(line => line.items.map(item => (
+                <div key={item.uniqueId} className="kit-line">
+                  <span>{item.uniqueId} ({line.poolName})</span>
+                  <select
+                    value={conditions[item.uniqueId]}
+                    onChange={(e) => setConditions({ ...conditions, [item.uniqueId]: e.target.value })}
+                    className="form-control"
+                  >
+                    <option value="Excellent">Excellent</option>
+                    <option value="Good">Good</option>
+                    <option value="Fair">Fair</option>
+                    <option value="Poor">Poor</option>
+                  </select>
+                  <small>Declared: {item.declaredCondition}</small>
+                </div>
+              )))}
+            </div>
+          )}
+
+          {(isPoolIssue || isKitIssue) && !formData.uniqueId && (
+            <div className="form-group">
+              <label className="form-label">Assignment Strategy</label>
+              <select
+                name="strategy"
+                value={formData.strategy}
+                onChange={handleChange}
+                className="form-control"
+              >
+                {ISSUE_STRATEGIES.map(strategy => (
+                  <option key={strategy.value} value={strategy.value}>{strategy.label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {isKitIssue && formData.strategy === 'sameLocation' && (
+            <div className="form-group">
+              <label className="form-label">Location</label>
+              <input
+                type="text"
+                name="location"
+                value={formData.location}
+                onChange={handleChange}
+                className="form-control"
+                placeholder="e.g., Armory Room 2"
+                required
+              />
+            </div>
+          )}
+
+          {isPoolIssue && !formData.uniqueId && formData.strategy === 'sameLocation' && (
+            <div className="form-group">
+              <label className="form-label">Location</label>
+              <select
+                name="location"
+                value={formData.location}
+                onChange={handleChange}
+                className="form-control"
+                required
+              >
+                <option value="">Select location</option>
+                {locations.map(location => (
+                  <option key={location} value={location}>{location}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {isPoolReturn && (
+            <div className="form-group">
+              <label className="form-label">
+                Condition on Receipt of {request.assignedEquipmentId}
+              </label>
+              <select
+                name="condition"
+                value={formData.condition}
+                onChange={handleChange}
+                className="form-control"
+              >
+                <option value="Excellent">Excellent</option>
+                <option value="Good">Good</option>
+                <option value="Fair">Fair</option>
+                <option value="Poor">Poor</option>
+              </select>
+              <small>Officer declared: {request.declaredCondition || 'N/A'}</small>
+            </div>
+          )}
+
           <div className="form-group">
             <label className="form-label">Approval Notes (Optional)</label>
             <textarea
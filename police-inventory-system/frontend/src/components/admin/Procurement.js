@@ -0,0 +1,1070 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { supplierAPI, purchaseOrderAPI, equipmentAPI } from '../../utils/api';
+import { toast } from 'react-toastify';
+
+const CATEGORIES = [
+  'Firearm', 'Ammunition', 'Protective Gear', 'Communication Device',
+  'Vehicle', 'Tactical Equipment', 'Less-Lethal Weapon', 'Forensic Equipment',
+  'Medical Supplies', 'Office Equipment', 'Other'
+];
+
+const DESIGNATIONS = [
+  'Director General of Police (DGP)',
+  'Superintendent of Police (SP)',
+  'Deputy Commissioner of Police (DCP)',
+  'Deputy Superintendent of Police (DSP)',
+  'Police Inspector (PI)',
+  'Sub-Inspector (SI)',
+  'Police Sub-Inspector (PSI)',
+  'Head Constable (HC)',
+  'Police Constable (PC)'
+];
+
+const ORDER_STATUS_CLASSES = {
+  Draft: 'status-pending',
+  Approved: 'status-approved',
+  Ordered: 'status-approved',
+  'Partially Received': 'status-escalated',
+  Received: 'status-completed',
+  Cancelled: 'status-cancelled'
+};
+
+const formatAmount = (amount) => (amount || 0).toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+const EMPTY_LINE = {
+  newPool: false,
+  poolId: '',
+  poolName: '',
+  category: '',
+  model: '',
+  manufacturer: '',
+  trackingType: 'Individual',
+  itemPrefix: '',
+  unit: '',
+  location: '',
+  authorizedDesignations: [],
+  quantity: 1,
+  unitCost: ''
+};
+
+const Procurement = () => {
+  const [suppliers, setSuppliers] = useState([]);
+  const [pools, setPools] = useState([]);
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [supplierFilter, setSupplierFilter] = useState('');
+  const [editSupplier, setEditSupplier] = useState(null);
+  const [editOrder, setEditOrder] = useState(null);
+  const [receiveOrder, setReceiveOrder] = useState(null);
+
+  useEffect(() => {
+    fetchSuppliers();
+    equipmentAPI.getEquipmentPools()
+      .then(response => setPools(response.data.data.pools))
+      .catch(() => toast.error('Failed to fetch equipment pools'));
+  }, []);
+
+  const fetchSuppliers = async () => {
+    try {
+      const response = await supplierAPI.getSuppliers({ includeInactive: true });
+      if (response.data.success) {
+        setSuppliers(response.data.data.suppliers);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch suppliers');
+    }
+  };
+
+  const fetchOrders = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await purchaseOrderAPI.getOrders({
+        page: currentPage,
+        limit: 10,
+        status: statusFilter,
+        supplier: supplierFilter
+      });
+
+      if (response.data.success) {
+        setOrders(response.data.data.orders);
+        setTotalPages(response.data.data.pagination.pages || 1);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch purchase orders');
+    } finally {
+      setLoading(false);
+    }
+  }, [currentPage, statusFilter, supplierFilter]);
+
+  useEffect(() => {
+    fetchOrders();
+  }, [fetchOrders]);
+
+  const refresh = () => {
+    fetchSuppliers();
+    fetchOrders();
+  };
+
+  const handleApprove = async (order) => {
+    if (!window.confirm(`Approve ${order.poNumber} for ${formatAmount(order.totalCost)}?`)) {
+      return;
+    }
+
+    try {
+      const response = await purchaseOrderAPI.approveOrder(order._id);
+      toast.success(response.data.message);
+      fetchOrders();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to approve purchase order');
+    }
+  };
+
+  const handlePlace = async (order) => {
+    const orderReference = window.prompt(
+      `Place ${order.poNumber} with ${order.supplierName}. Supplier reference (optional):`,
+      order.orderReference || ''
+    );
+    if (orderReference === null) return;
+
+    try {
+      const response = await purchaseOrderAPI.placeOrder(order._id, {
+        orderReference: orderReference || undefined
+      });
+      toast.success(response.data.message);
+      fetchOrders();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to place purchase order');
+    }
+  };
+
+  const handleCancel = async (order) => {
+    if (!window.confirm(`Cancel purchase order ${order.poNumber}?`)) {
+      return;
+    }
+
+    try {
+      const response = await purchaseOrderAPI.cancelOrder(order._id);
+      toast.success(response.data.message);
+      fetchOrders();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to cancel purchase order');
+    }
+  };
+
+  const activeSuppliers = suppliers.filter(supplier => supplier.isActive);
+
+  return (
+    <>
+      <div className="procurement">
+        <div className="management-header">
+          <h3>Suppliers</h3>
+          <button
+            className="btn btn-primary"
+            onClick={() => setEditSupplier({})}
+          >
+            + Add Supplier
+          </button>
+        </div>
+
+        {suppliers.length === 0 ? (
+          <div className="no-data">
+            <p>No suppliers yet. Add one before raising a purchase order.</p>
+          </div>
+        ) : (
+          <div className="requests-table">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Supplier</th>
+                  <th>Contact</th>
+                  <th>Orders</th>
+                  <th>Received Value</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {suppliers.map(supplier => (
+                  <tr key={supplier._id}>
+                    <td>
+                      <strong>{supplier.name}</strong>
+                      {supplier.registrationNumber && <div className="schedule-subtext">{supplier.registrationNumber}</div>}
+                    </td>
+                    <td>
+                      {supplier.contactPerson || 'N/A'}
+                      <div className="schedule-subtext">
+                        {[supplier.phone, supplier.email].filter(Boolean).join(' | ')}
+                      </div>
+                    </td>
+                    <td>{supplier.orderCount}</td>
+                    <td>{formatAmount(supplier.receivedValue)}</td>
+                    <td>
+                      <span className={`badge badge-${supplier.isActive ? 'success' : 'secondary'}`}>
+                        {supplier.isActive ? 'Active' : 'Inactive'}
+                      </span>
+                    </td>
+                    <td>
+                      <button
+                        className="btn btn-sm btn-secondary"
+                        onClick={() => setEditSupplier(supplier)}
+                      >
+                        Edit
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="management-header">
+          <h3>Purchase Orders</h3>
+          <div className="search-filters">
+            <select
+              value={statusFilter}
+              onChange={(e) => {
+                setStatusFilter(e.target.value);
+                setCurrentPage(1);
+              }}
+              className="form-control"
+            >
+              <option value="">All Status</option>
+              {Object.keys(ORDER_STATUS_CLASSES).map(status => (
+                <option key={status} value={status}>{status}</option>
+              ))}
+            </select>
+            <select
+              value={supplierFilter}
+              onChange={(e) => {
+                setSupplierFilter(e.target.value);
+                setCurrentPage(1);
+              }}
+              className="form-control"
+            >
+              <option value="">All Suppliers</option>
+              {suppliers.map(supplier => (
+                <option key={supplier._id} value={supplier._id}>{supplier.name}</option>
+              ))}
+            </select>
+            <button
+              className="btn btn-primary"
+              onClick={() => setEditOrder({})}
+              disabled={activeSuppliers.length === 0}
+            >
+              + New Purchase Order
+            </button>
+          </div>
+        </div>
+
+        {loading ? (
+          <div className="loading-container">
+            <div className="spinner"></div>
+            <p>Loading purchase orders...</p>
+          </div>
+        ) : orders.length === 0 ? (
+          <div className="no-data">
+            <p>No purchase orders found.</p>
+          </div>
+        ) : (
+          <>
+            <div className="requests-table">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>PO</th>
+                    <th>Supplier</th>
+                    <th>Lines</th>
+                    <th>Value</th>
+                    <th>Raised</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {orders.map(order => (
+                    <tr key={order._id}>
+                      <td>
+                        <strong>{order.poNumber}</strong>
+                        {order.orderReference && <div className="schedule-subtext">Ref: {order.orderReference}</div>}
+                      </td>
+                      <td>{order.supplierName}</td>
+                      <td>
+                        {order.lines.map(line => (
+                          <div key={line._id}>
+                            {line.receivedQuantity}/{line.quantity} x {line.poolName}
+                            {line.newPool && !line.poolId && <span className="schedule-subtext"> (new pool)</span>}
+                          </div>
+                        ))}
+                      </td>
+                      <td>
+                        {formatAmount(order.totalCost)}
+                        {order.receivedCost > 0 && (
+                          <div className="schedule-subtext">{formatAmount(order.receivedCost)} received</div>
+                        )}
+                      </td>
+                      <td>
+                        {new Date(order.createdAt).toLocaleDateString()}
+                        <div className="schedule-subtext">{order.createdBy?.fullName}</div>
+                      </td>
+                      <td>
+                        <span className={`status-badge ${ORDER_STATUS_CLASSES[order.status]}`}>
+                          {order.status}
+                        </span>
+                        {order.expectedDeliveryDate && !['Received', 'Cancelled'].includes(order.status) && (
+                          <div className="schedule-subtext">
+                            Due {new Date(order.expectedDeliveryDate).toLocaleDateString()}
+                          </div>
+                        )}
+                      </td>
+                      <td>
+                        <div className="action-buttons">
+                          {order.status === 'Draft' && (
+                            <>
+                              <button
+                                className="btn btn-sm btn-secondary"
+                                onClick={() => setEditOrder(order)}
+                              >
+                                Edit
+                              </button>
+                              <button
+                                className="btn btn-sm btn-primary"
+                                onClick={() => handleApprove(order)}
+                              >
+                                Approve
+                              </button>
+                            </>
+                          )}
+                          {order.status === 'Approved' && (
+                            <button
+                              className="btn btn-sm btn-primary"
+                              onClick={() => handlePlace(order)}
+                            >
+                              Place Order
+                            </button>
+                          )}
+                          {['Ordered', 'Partially Received'].includes(order.status) && (
+                            <button
+                              className="btn btn-sm btn-success"
+                              onClick={() => setReceiveOrder(order)}
+                            >
+                              Receive
+                            </button>
+                          )}
+                          {['Draft', 'Approved', 'Ordered'].includes(order.status) && (
+                            <button
+                              className="btn btn-sm btn-danger"
+                              onClick={() => handleCancel(order)}
+                            >
+                              Cancel
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {totalPages > 1 && (
+              <div className="pagination">
+                <button
+                  onClick={() => setCurrentPage(prev => Math.max(prev - 1, 1))}
+                  disabled={currentPage === 1}
+                  className="btn btn-secondary"
+                >
+                  Previous
+                </button>
+                <span>Page {currentPage} of {totalPages}</span>
+                <button
+                  onClick={() => setCurrentPage(prev => Math.min(prev + 1, totalPages))}
+                  disabled={currentPage === totalPages}
+                  className="btn btn-secondary"
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {editSupplier && (
+        <SupplierModal
+          supplier={editSupplier}
+          onClose={() => setEditSupplier(null)}
+          onSuccess={() => {
+            setEditSupplier(null);
+            fetchSuppliers();
+          }}
+        />
+      )}
+
+      {editOrder && (
+        <PurchaseOrderModal
+          order={editOrder}
+          suppliers={activeSuppliers}
+          pools={pools}
+          onClose={() => setEditOrder(null)}
+          onSuccess={() => {
+            setEditOrder(null);
+            fetchOrders();
+          }}
+        />
+      )}
+
+      {receiveOrder && (
+        <ReceiveOrderModal
+          order={receiveOrder}
+          onClose={() => setReceiveOrder(null)}
+          onSuccess={() => {
+            setReceiveOrder(null);
+            refresh();
+            // New pools may have been created by the receipt
+            equipmentAPI.getEquipmentPools()
+              .then(response => setPools(response.data.data.pools))
+              .catch(() => {});
+          }}
+        />
+      )}
+    </>
+  );
+};
+
+const SupplierModal = ({ supplier, onClose, onSuccess }) => {
+  const isNew = !supplier._id;
+  const [formData, setFormData] = useState({
+    name: supplier.name || '',
+    contactPerson: supplier.contactPerson || '',
+    phone: supplier.phone || '',
+    email: supplier.email || '',
+    address: supplier.address || '',
+    registrationNumber: supplier.registrationNumber || '',
+    notes: supplier.notes || '',
+    isActive: supplier.isActive !== false
+  });
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData({
+      ...formData,
+      [name]: type === 'checkbox' ? checked : value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = isNew
+        ? await supplierAPI.createSupplier(formData)
+        : await supplierAPI.updateSupplier(supplier._id, formData);
+      toast.success(response.data.message);
+      onSuccess();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save supplier');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>{isNew ? 'Add Supplier' : `Edit ${supplier.name}`}</h3>
+          <button onClick={onClose} className="close-btn">&times;</button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">Name *</label>
+              <input
+                type="text"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                className="form-control"
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Registration / GST No.</label>
+              <input
+                type="text"
+                name="registrationNumber"
+                value={formData.registrationNumber}
+                onChange={handleChange}
+                className="form-control"
+              />
+            </div>
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">Contact Person</label>
+              <input
+                type="text"
+                name="contactPerson"
+                value={formData.contactPerson}
+                onChange={handleChange}
+                className="form-control"
+              />
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Phone</label>
+              <input
+                type="text"
+                name="phone"
+                value={formData.phone}
+                onChange={handleChange}
+                className="form-control"
+              />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Email</label>
+            <input
+              type="email"
+              name="email"
+              value={formData.email}
+              onChange={handleChange}
+              className="form-control"
+            />
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Address</label>
+            <textarea
+              name="address"
+              value={formData.address}
+              onChange={handleChange}
+              className="form-control"
+              rows="2"
+            />
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Notes</label>
+            <textarea
+              name="notes"
+              value={formData.notes}
+              onChange={handleChange}
+              className="form-control"
+              rows="2"
+            />
+          </div>
+
+          {!isNew && (
+            <div className="form-group">
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  name="isActive"
+                  checked={formData.isActive}
+                  onChange={handleChange}
+                />
+                <span>Active (new orders can be raised with this supplier)</span>
+              </label>
+            </div>
+          )}
+
+          <div className="modal-actions">
+            <button
+              type="button"
+              onClick={onClose}
+              className="btn btn-secondary"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={loading}
+            >
+              {loading ? 'Saving...' : 'Save Supplier'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const PurchaseOrderModal = ({ order, suppliers, pools, onClose, onSuccess }) => {
+  const isNew = !order._id;
+  const [formData, setFormData] = useState({
+    supplier: order.supplier?._id || '',
+    orderReference: order.orderReference || '',
+    expectedDeliveryDate: order.expectedDeliveryDate ? order.expectedDeliveryDate.slice(0, 10) : '',
+    notes: order.notes || ''
+  });
+  const [lines, setLines] = useState(
+    order.lines?.map(line => ({
+      ...EMPTY_LINE,
+      ...line,
+      poolId: line.poolId || '',
+      itemPrefix: line.itemPrefix || '',
+      unit: line.unit || ''
+    })) || [{ ...EMPTY_LINE }]
+  );
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({
+      ...formData,
+      [name]: value
+    });
+  };
+
+  const updateLine = (index, field, value) => {
+    setLines(current => current.map((line, i) => (i === index ? { ...line, [field]: value } : line)));
+  };
+
+  const toggleLineDesignation = (index, designation) => {
+    setLines(current => current.map((line, i) => (i === index
+      ? {
+        ...line,
+        authorizedDesignations: line.authorizedDesignations.includes(designation)
+          ? line.authorizedDesignations.filter(d => d !== designation)
+          : [...line.authorizedDesignations, designation]
+      }
+      : line)));
+  };
+
+  const orderTotal = lines.reduce((sum, line) => sum + (Number(line.quantity) || 0) * (Number(line.unitCost) || 0), 0);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const data = {
+        ...formData,
+        lines: lines.map(line => (line.newPool
+          ? {
+            poolName: line.poolName,
+            category: line.category,
+            model: line.model,
+            manufacturer: line.manufacturer,
+            trackingType: line.trackingType,
+            itemPrefix: line.trackingType === 'Individual' ? line.itemPrefix : undefined,
+            unit: line.trackingType === 'Consumable' ? line.unit : undefined,
+            location: line.location,
+            authorizedDesignations: line.authorizedDesignations,
+            quantity: parseInt(line.quantity),
+            unitCost: Number(line.unitCost)
+          }
+          : {
+            poolId: line.poolId,
+            quantity: parseInt(line.quantity),
+            unitCost: Number(line.unitCost)
+          }))
+      };
+      const response = isNew
+        ? await purchaseOrderAPI.createOrder(data)
+        : await purchaseOrderAPI.updateOrder(order._id, data);
+      toast.success(response.data.message);
+      onSuccess();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save purchase order');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content large-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>{isNew ? 'New Purchase Order' : `Edit ${order.poNumber}`}</h3>
+          <button onClick={onClose} className="close-btn">&times;</button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">Supplier *</label>
+              <select
+                name="supplier"
+                value={formData.supplier}
+                onChange={handleChange}
+                className="form-control"
+                required
+              >
+                <option value="">Select Supplier</option>
+                {suppliers.map(supplier => (
+                  <option key={supplier._id} value={supplier._id}>{supplier.name}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Expected Delivery</label>
+              <input
+                type="date"
+                name="expectedDeliveryDate"
+                value={formData.expectedDeliveryDate}
+                onChange={handleChange}
+                className="form-control"
+              />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Lines *</label>
+            {lines.map((line, index) => (
+              <div key={index} className="po-line">
+                <div className="kit-line">
+                  <select
+                    value={line.newPool ? 'new' : line.poolId}
+                    onChange={(e) => {
+                      const value = e.target.value;
+                      setLines(current => current.map((l, i) => (i === index
+                        ? { ...l, newPool: value === 'new', poolId: value === 'new' ? '' : value }
+                        : l)));
+                    }}
+                    className="form-control"
+                    required
+                  >
+                    <option value="">Select pool</option>
+                    {pools.map(pool => (
+                      <option key={pool._id} value={pool._id}>{pool.poolName}</option>
+                    ))}
+                    <option value="new">+ New pool...</option>
+                  </select>
+                  <input
+                    type="number"
+                    min="1"
+                    max="500"
+                    value={line.quantity}
+                    onChange={(e) => updateLine(index, 'quantity', e.target.value)}
+                    className="form-control"
+                    title="Quantity"
+                    required
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={line.unitCost}
+                    onChange={(e) => updateLine(index, 'unitCost', e.target.value)}
+                    className="form-control"
+                    placeholder="Unit cost"
+                    required
+                  />
+                  <button
+                    type="button"
+                    className="btn btn-sm btn-danger"
+                    onClick={() => setLines(current => current.filter((l, i) => i !== index))}
+                    disabled={lines.length === 1}
+                  >
+                    Remove
+                  </button>
+                </div>
+
+                {line.newPool && (
+                  <div className="po-line-details">
+                    <div className="form-row">
+                      <input
+                        type="text"
+                        value={line.poolName}
+                        onChange={(e) => updateLine(index, 'poolName', e.target.value)}
+                        className="form-control"
+                        placeholder="Pool name *"
+                        required
+                      />
+                      <select
+                        value={line.category}
+                        onChange={(e) => updateLine(index, 'category', e.target.value)}
+                        className="form-control"
+                        required
+                      >
+                        <option value="">Category *</option>
+                        {CATEGORIES.map(category => (
+                          <option key={category} value={category}>{category}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="form-row">
+                      <input
+                        type="text"
+                        value={line.model}
+                        onChange={(e) => updateLine(index, 'model', e.target.value)}
+                        className="form-control"
+                        placeholder="Model *"
+                        required
+                      />
+                      <input
+                        type="text"
+                        value={line.manufacturer}
+                        onChange={(e) => updateLine(index, 'manufacturer', e.target.value)}
+                        className="form-control"
+                        placeholder="Manufacturer"
+                      />
+                    </div>
+                    <div className="form-row">
+                      <select
+                        value={line.trackingType}
+                        onChange={(e) => updateLine(index, 'trackingType', e.target.value)}
+                        className="form-control"
+                      >
+                        <option value="Individual">Individually numbered items</option>
+                        <option value="Consumable">Consumable stock (lots)</option>
+                      </select>
+                      {line.trackingType === 'Individual' ? (
+                        <input
+                          type="text"
+                          value={line.itemPrefix}
+                          onChange={(e) => updateLine(index, 'itemPrefix', e.target.value.toUpperCase())}
+                          className="form-control"
+                          placeholder="Item ID prefix (e.g., GLK) *"
+                          maxLength="5"
+                          required
+                        />
+                      ) : (
+                        <input
+                          type="text"
+                          value={line.unit}
+                          onChange={(e) => updateLine(index, 'unit', e.target.value)}
+                          className="form-control"
+                          placeholder="Unit (e.g., rounds)"
+                        />
+                      )}
+                    </div>
+                    <input
+                      type="text"
+                      value={line.location}
+                      onChange={(e) => updateLine(index, 'location', e.target.value)}
+                      className="form-control"
+                      placeholder="Storage location *"
+                      required
+                    />
+                    <div className="designation-grid">
+                      {DESIGNATIONS.map(designation => (
+                        <label key={designation} className="checkbox-label">
+                          <input
+                            type="checkbox"
+                            checked={line.authorizedDesignations.includes(designation)}
+                            onChange={() => toggleLineDesignation(index, designation)}
+                          />
+                          <span>{designation}</span>
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+            ))}
+            <button
+              type="button"
+              className="btn btn-sm btn-secondary"
+              onClick={() => setLines(current => [...current, { ...EMPTY_LINE }])}
+            >
+              + Add Line
+            </button>
+            <p className="schedule-subtext">Order value: {formatAmount(orderTotal)}</p>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Notes</label>
+            <textarea
+              name="notes"
+              value={formData.notes}
+              onChange={handleChange}
+              className="form-control"
+              rows="2"
+              placeholder="Sanction order, budget head..."
+            />
+          </div>
+
+          <div className="modal-actions">
+            <button
+              type="button"
+              onClick={onClose}
+              className="btn btn-secondary"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={loading}
+            >
+              {loading ? 'Saving...' : 'Save Draft'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const ReceiveOrderModal = ({ order, onClose, onSuccess }) => {
+  const openLines = order.lines.filter(line => line.receivedQuantity < line.quantity);
+  const [entries, setEntries] = useState(
+    Object.fromEntries(openLines.map(line => [line._id, {
+      quantity: line.quantity - line.receivedQuantity,
+      condition: 'Excellent',
+      lotNumber: '',
+      expiryDate: '',
+      warrantyExpiry: ''
+    }]))
+  );
+  const [notes, setNotes] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const updateEntry = (lineId, field, value) => {
+    setEntries(current => ({ ...current, [lineId]: { ...current[lineId], [field]: value } }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const lines = openLines
+      .filter(line => parseInt(entries[line._id].quantity) > 0)
+      .map(line => ({
+        lineId: line._id,
+        quantity: parseInt(entries[line._id].quantity),
+        ...(line.trackingType === 'Consumable'
+          ? { lotNumber: entries[line._id].lotNumber, expiryDate: entries[line._id].expiryDate || undefined }
+          : { condition: entries[line._id].condition, warrantyExpiry: entries[line._id].warrantyExpiry || undefined })
+      }));
+
+    if (lines.length === 0) {
+      return toast.error('Enter a quantity for at least one line');
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await purchaseOrderAPI.receiveOrder(order._id, { lines, notes: notes || undefined });
+      if (response.data.data.failures.length > 0) {
+        toast.warning(response.data.message);
+      } else {
+        toast.success(response.data.message);
+      }
+      onSuccess();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to receive goods');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content large-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Receive Goods - {order.poNumber}</h3>
+          <button onClick={onClose} className="close-btn">&times;</button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <p className="schedule-subtext">
+            Received items are numbered into their pool with the order's unit cost.
+            Leave a quantity at 0 to receive that line later.
+          </p>
+
+          {openLines.map(line => (
+            <div key={line._id} className="form-group">
+              <label className="form-label">
+                {line.poolName} ({line.quantity - line.receivedQuantity} of {line.quantity} outstanding, {formatAmount(line.unitCost)} each)
+              </label>
+              <div className="kit-line">
+                <input
+                  type="number"
+                  min="0"
+                  max={line.quantity - line.receivedQuantity}
+                  value={entries[line._id].quantity}
+                  onChange={(e) => updateEntry(line._id, 'quantity', e.target.value)}
+                  className="form-control"
+                  title="Quantity received"
+                />
+                {line.trackingType === 'Consumable' ? (
+                  <>
+                    <input
+                      type="text"
+                      value={entries[line._id].lotNumber}
+                      onChange={(e) => updateEntry(line._id, 'lotNumber', e.target.value)}
+                      className="form-control"
+                      placeholder="Lot number *"
+                      required={parseInt(entries[line._id].quantity) > 0}
+                    />
+                    <input
+                      type="date"
+                      value={entries[line._id].expiryDate}
+                      onChange={(e) => updateEntry(line._id, 'expiryDate', e.target.value)}
+                      className="form-control"
+                      title="Expiry date"
+                    />
+                  </>
+                ) : (
+                  <>
+                    <select
+                      value={entries[line._id].condition}
+                      onChange={(e) => updateEntry(line._id, 'condition', e.target.value)}
+                      className="form-control"
+                    >
+                      {['Excellent', 'Good', 'Fair', 'Poor'].map(condition => (
+                        <option key={condition} value={condition}>{condition}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="date"
+                      value={entries[line._id].warrantyExpiry}
+                      onChange={(e) => updateEntry(line._id, 'warrantyExpiry', e.target.value)}
+                      className="form-control"
+                      title="Warranty expiry (leave empty to use the pool's warranty)"
+                    />
+                  </>
+                )}
+              </div>
+            </div>
+          ))}
+
+          <div className="form-group">
+            <label className="form-label">Notes</label>
+            <textarea
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              className="form-control"
+              rows="2"
+              placeholder="Delivery challan, invoice number..."
+            />
+          </div>
+
+          <div className="modal-actions">
+            <button
+              type="button"
+              onClick={onClose}
+              className="btn btn-secondary"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-success"
+              disabled={loading}
+            >
+              {loading ? 'Receiving...' : 'Receive Goods'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Procurement;
@@ -144,6 +144,44 @@ const ReportsPage = () => {
             </div>
           </div>
 
+          <div className="report-section">
+            <h3>Procurement Spend</h3>
+            <p>
+              {reportData.procurementSummary.totalQuantity} unit(s) received against purchase orders,
+              worth <strong>{reportData.procurementSummary.totalCost.toLocaleString()}</strong>
+            </p>
+            {reportData.procurementSummary.bySupplier.length > 0 && (
+              <div className="officers-table">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Supplier</th>
+                      <th>Units Received</th>
+                      <th>Value</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {reportData.procurementSummary.bySupplier.map((item) => (
+                      <tr key={item._id}>
+                        <td>{item._id}</td>
+                        <td>{item.quantity}</td>
+                        <td>{item.cost.toLocaleString()}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            <div className="summary-grid">
+              {reportData.procurementSummary.byCategory.map((item) => (
+                <div key={item._id} className="summary-card">
+                  <div className="summary-label">{item._id}</div>
+                  <div className="summary-value">{item.cost.toLocaleString()}</div>
+                </div>
+              ))}
+            </div>
+          </div>
+
           <div className="report-section">
             <p>
               From: <strong>{new Date(reportData.dateRange.startDate).toLocaleDateString()}</strong>
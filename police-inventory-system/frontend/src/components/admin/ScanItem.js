@@ -0,0 +1,103 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { equipmentAPI } from '../../utils/api';
+import { toast } from 'react-toastify';
+import { ItemHistoryModal } from './EquipmentManagement';
+
+// Scan-to-open: a keyboard-wedge scanner types the label's code into the
+// field and presses Enter. QR labels link straight here via /admin/scan/:poolId/:uniqueId.
+const ScanItem = ({ initialCode }) => {
+  const [code, setCode] = useState('');
+  const [item, setItem] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    if (initialCode) {
+      resolveCode(initialCode);
+    }
+  }, [initialCode]);
+
+  const resolveCode = async (value) => {
+    try {
+      setLoading(true);
+      const response = await equipmentAPI.resolveItemCode(value);
+      if (response.data.success) {
+        setItem(response.data.data);
+        setShowHistory(true);
+      }
+    } catch (error) {
+      setItem(null);
+      toast.error(error.response?.data?.message || 'Could not resolve the scanned code');
+    } finally {
+      setLoading(false);
+      setCode('');
+      inputRef.current?.focus();
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (code.trim()) {
+      resolveCode(code.trim());
+    }
+  };
+
+  return (
+    <>
+      <div className="scan-item">
+        <form onSubmit={handleSubmit} className="scan-form">
+          <input
+            ref={inputRef}
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className="form-control"
+            placeholder="Scan a label or type an item ID (e.g. GLK001)"
+            autoFocus
+          />
+          <button type="submit" className="btn btn-primary" disabled={loading || !code.trim()}>
+            {loading ? 'Looking up...' : 'Open'}
+          </button>
+        </form>
+
+        {item && (
+          <div className="details-section">
+            <h4>{item.uniqueId}</h4>
+            <div className="detail-grid">
+              <div><strong>Pool:</strong> {item.poolName}</div>
+              <div><strong>Category:</strong> {item.category}</div>
+              <div><strong>Status:</strong> {item.status}</div>
+              <div><strong>Condition:</strong> {item.condition}</div>
+              <div><strong>Location:</strong> {item.location || 'N/A'}</div>
+              {item.currentlyIssuedTo && (
+                <div>
+                  <strong>Issued To:</strong> {item.currentlyIssuedTo.officerName} ({item.currentlyIssuedTo.officerId})
+                </div>
+              )}
+            </div>
+            <button
+              className="btn btn-sm btn-secondary"
+              onClick={() => setShowHistory(true)}
+            >
+              View Custody History
+            </button>
+          </div>
+        )}
+      </div>
+
+      {showHistory && item && (
+        <ItemHistoryModal
+          poolId={item.poolId}
+          uniqueId={item.uniqueId}
+          onClose={() => {
+            setShowHistory(false);
+            inputRef.current?.focus();
+          }}
+        />
+      )}
+    </>
+  );
+};
+
+export default ScanItem;
@@ -0,0 +1,757 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { stationAPI, transferAPI, equipmentAPI } from '../../utils/api';
+import { toast } from 'react-toastify';
+
+const STATION_TYPES = ['Police Station', 'Malkhana', 'Armory', 'District HQ', 'Training Centre', 'Other'];
+
+const TRANSFER_STATUS_CLASSES = {
+  Requested: 'status-pending',
+  Dispatched: 'status-approved',
+  Received: 'status-completed',
+  Cancelled: 'status-cancelled'
+};
+
+const Stations = () => {
+  const [stations, setStations] = useState([]);
+  const [unassignedCount, setUnassignedCount] = useState(0);
+  const [transfers, setTransfers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [stationFilter, setStationFilter] = useState('');
+  const [editStation, setEditStation] = useState(null);
+  const [showTransferModal, setShowTransferModal] = useState(false);
+
+  useEffect(() => {
+    fetchStations();
+  }, []);
+
+  const fetchStations = async () => {
+    try {
+      const response = await stationAPI.getStations({ includeInactive: true });
+      if (response.data.success) {
+        setStations(response.data.data.stations);
+        setUnassignedCount(response.data.data.unassignedCount);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch stations');
+    }
+  };
+
+  const fetchTransfers = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await transferAPI.getTransfers({
+        page: currentPage,
+        limit: 10,
+        status: statusFilter,
+        station: stationFilter
+      });
+
+      if (response.data.success) {
+        setTransfers(response.data.data.transfers);
+        setTotalPages(response.data.data.pagination.pages || 1);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch transfers');
+    } finally {
+      setLoading(false);
+    }
+  }, [currentPage, statusFilter, stationFilter]);
+
+  useEffect(() => {
+    fetchTransfers();
+  }, [fetchTransfers]);
+
+  const refresh = () => {
+    fetchStations();
+    fetchTransfers();
+  };
+
+  const handleDispatch = async (transfer) => {
+    if (!window.confirm(`Dispatch ${transfer.uniqueIds.length} item(s) to ${transfer.toStation?.name}?`)) {
+      return;
+    }
+
+    try {
+      const response = await transferAPI.dispatchTransfer(transfer._id);
+      toast.success(response.data.message);
+      refresh();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to dispatch transfer');
+    }
+  };
+
+  const handleReceive = async (transfer) => {
+    const receiptNotes = window.prompt(
+      `Confirm ${transfer.uniqueIds.length} item(s) received at ${transfer.toStation?.name}. Notes (optional):`
+    );
+    if (receiptNotes === null) return;
+
+    try {
+      const response = await transferAPI.receiveTransfer(transfer._id, {
+        receiptNotes: receiptNotes || undefined
+      });
+      toast.success(response.data.message);
+      refresh();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to receive transfer');
+    }
+  };
+
+  const handleCancel = async (transfer) => {
+    if (!window.confirm(`Cancel transfer ${transfer.transferId}?`)) {
+      return;
+    }
+
+    try {
+      const response = await transferAPI.cancelTransfer(transfer._id);
+      toast.success(response.data.message);
+      fetchTransfers();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to cancel transfer');
+    }
+  };
+
+  return (
+    <>
+      <div className="stations">
+        <div className="management-header">
+          <h3>Stations</h3>
+          <button
+            className="btn btn-primary"
+            onClick={() => setEditStation({})}
+          >
+            + Add Station
+          </button>
+        </div>
+
+        {stations.length === 0 ? (
+          <div className="no-data">
+            <p>No stations yet. Add one to start tracking stock by station.</p>
+          </div>
+        ) : (
+          <div className="requests-table">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Code</th>
+                  <th>Name</th>
+                  <th>Type</th>
+                  <th>District</th>
+                  <th>Items Held</th>
+                  <th>Available</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stations.map(station => (
+                  <tr key={station._id}>
+                    <td><strong>{station.code}</strong></td>
+                    <td>
+                      {station.name}
+                      {station.address && <div className="schedule-subtext">{station.address}</div>}
+                    </td>
+                    <td>{station.type}</td>
+                    <td>{station.district || 'N/A'}</td>
+                    <td>{station.itemCount}</td>
+                    <td><span className="badge badge-success">{station.availableCount}</span></td>
+                    <td>
+                      <span className={`badge badge-${station.isActive ? 'success' : 'secondary'}`}>
+                        {station.isActive ? 'Active' : 'Closed'}
+                      </span>
+                    </td>
+                    <td>
+                      <button
+                        className="btn btn-sm btn-secondary"
+                        onClick={() => setEditStation(station)}
+                      >
+                        Edit
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {unassignedCount > 0 && (
+              <p className="schedule-subtext">
+                {unassignedCount} item(s) belong to pools without a station.
+              </p>
+            )}
+          </div>
+        )}
+
+        <div className="management-header">
+          <h3>Transfers</h3>
+          <div className="search-filters">
+            <select
+              value={statusFilter}
+              onChange={(e) => {
+                setStatusFilter(e.target.value);
+                setCurrentPage(1);
+              }}
+              className="form-control"
+            >
+              <option value="">All Status</option>
+              {Object.keys(TRANSFER_STATUS_CLASSES).map(status => (
+                <option key={status} value={status}>{status}</option>
+              ))}
+            </select>
+            <select
+              value={stationFilter}
+              onChange={(e) => {
+                setStationFilter(e.target.value);
+                setCurrentPage(1);
+              }}
+              className="form-control"
+            >
+              <option value="">All Stations</option>
+              {stations.map(station => (
+                <option key={station._id} value={station._id}>{station.name}</option>
+              ))}
+            </select>
+            <button
+              className="btn btn-primary"
+              onClick={() => setShowTransferModal(true)}
+              disabled={stations.filter(station => station.isActive).length < 2}
+            >
+              + New Transfer
+            </button>
+          </div>
+        </div>
+
+        {loading ? (
+          <div className="loading-container">
+            <div className="spinner"></div>
+            <p>Loading transfers...</p>
+          </div>
+        ) : transfers.length === 0 ? (
+          <div className="no-data">
+            <p>No transfers found.</p>
+          </div>
+        ) : (
+          <>
+            <div className="requests-table">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Transfer</th>
+                    <th>Pool</th>
+                    <th>Items</th>
+                    <th>From</th>
+                    <th>To</th>
+                    <th>Requested</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {transfers.map(transfer => (
+                    <tr key={transfer._id}>
+                      <td>
+                        <strong>{transfer.transferId}</strong>
+                        {transfer.notes && <div className="schedule-subtext">{transfer.notes}</div>}
+                      </td>
+                      <td>{transfer.poolName}</td>
+                      <td title={transfer.uniqueIds.join(', ')}>
+                        {transfer.uniqueIds.length}
+                        <div className="schedule-subtext">
+                          {transfer.uniqueIds.slice(0, 3).join(', ')}
+                          {transfer.uniqueIds.length > 3 && ', ...'}
+                        </div>
+                      </td>
+                      <td>{transfer.fromStation?.name || 'N/A'}</td>
+                      <td>{transfer.toStation?.name || 'N/A'}</td>
+                      <td>
+                        {new Date(transfer.createdAt).toLocaleDateString()}
+                        <div className="schedule-subtext">{transfer.requestedBy?.fullName}</div>
+                      </td>
+                      <td>
+                        <span
+                          className={`status-badge ${TRANSFER_STATUS_CLASSES[transfer.status]}`}
+                          title={transfer.receiptNotes}
+                        >
+                          {transfer.status}
+                        </span>
+                        {transfer.receivedAt && (
+                          <div className="schedule-subtext">
+                            {new Date(transfer.receivedAt).toLocaleDateString()} by {transfer.receivedBy?.fullName}
+                          </div>
+                        )}
+                      </td>
+                      <td>
+                        <div className="action-buttons">
+                          {transfer.status === 'Requested' && (
+                            <>
+                              <button
+                                className="btn btn-sm btn-primary"
+                                onClick={() => handleDispatch(transfer)}
+                              >
+                                Dispatch
+                              </button>
+                              <button
+                                className="btn btn-sm btn-secondary"
+                                onClick={() => handleCancel(transfer)}
+                              >
+                                Cancel
+                              </button>
+                            </>
+                          )}
+                          {transfer.status === 'Dispatched' && (
+                            <button
+                              className="btn btn-sm btn-success"
+                              onClick={() => handleReceive(transfer)}
+                            >
+                              Confirm Receipt
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {totalPages > 1 && (
+              <div className="pagination">
+                <button
+                  onClick={() => setCurrentPage(prev => Math.max(prev - 1, 1))}
+                  disabled={currentPage === 1}
+                  className="btn btn-secondary"
+                >
+                  Previous
+                </button>
+                <span>Page {currentPage} of {totalPages}</span>
+                <button
+                  onClick={() => setCurrentPage(prev => Math.min(prev + 1, totalPages))}
+                  disabled={currentPage === totalPages}
+                  className="btn btn-secondary"
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {editStation && (
+        <StationModal
+          station={editStation}
+          onClose={() => setEditStation(null)}
+          onSuccess={() => {
+            setEditStation(null);
+            fetchStations();
+          }}
+        />
+      )}
+
+      {showTransferModal && (
+        <TransferRequestModal
+          stations={stations.filter(station => station.isActive)}
+          onClose={() => setShowTransferModal(false)}
+          onSuccess={() => {
+            setShowTransferModal(false);
+            fetchTransfers();
+          }}
+        />
+      )}
+    </>
+  );
+};
+
+const StationModal = ({ station, onClose, onSuccess }) => {
+  const isNew = !station._id;
+  const [formData, setFormData] = useState({
+    name: station.name || '',
+    code: station.code || '',
+    type: station.type || 'Police Station',
+    district: station.district || '',
+    address: station.address || '',
+    contactNumber: station.contactNumber || '',
+    isActive: station.isActive !== false
+  });
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData({
+      ...formData,
+      [name]: type === 'checkbox' ? checked : value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = isNew
+        ? await stationAPI.createStation(formData)
+        : await stationAPI.updateStation(station._id, formData);
+      toast.success(response.data.message);
+      onSuccess();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save station');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>{isNew ? 'Add Station' : `Edit ${station.name}`}</h3>
+          <button onClick={onClose} className="close-btn">&times;</button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">Name *</label>
+              <input
+                type="text"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                className="form-control"
+                placeholder="e.g., Kotwali Police Station"
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Code *</label>
+              <input
+                type="text"
+                name="code"
+                value={formData.code}
+                onChange={handleChange}
+                className="form-control"
+                placeholder="e.g., KTW-PS"
+                maxLength="12"
+                style={{ textTransform: 'uppercase' }}
+                required
+              />
+            </div>
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">Type</label>
+              <select
+                name="type"
+                value={formData.type}
+                onChange={handleChange}
+                className="form-control"
+              >
+                {STATION_TYPES.map(type => (
+                  <option key={type} value={type}>{type}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">District</label>
+              <input
+                type="text"
+                name="district"
+                value={formData.district}
+                onChange={handleChange}
+                className="form-control"
+              />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Address</label>
+            <textarea
+              name="address"
+              value={formData.address}
+              onChange={handleChange}
+              className="form-control"
+              rows="2"
+            />
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">Contact Number</label>
+              <input
+                type="text"
+                name="contactNumber"
+                value={formData.contactNumber}
+                onChange={handleChange}
+                className="form-control"
+              />
+            </div>
+
+            {!isNew && (
+              <div className="form-group">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    name="isActive"
+                    checked={formData.isActive}
+                    onChange={handleChange}
+                  />
+                  <span>Active</span>
+                </label>
+              </div>
+            )}
+          </div>
+
+          <div className="modal-actions">
+            <button
+              type="button"
+              onClick={onClose}
+              className="btn btn-secondary"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={loading}
+            >
+              {loading ? 'Saving...' : 'Save Station'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+// Request a transfer. Pass `pool` to transfer from a known pool,
+// otherwise the pool is chosen in the form.
+export const TransferRequestModal = ({ pool: fixedPool, stations, onClose, onSuccess }) => {
+  const [pools, setPools] = useState(fixedPool ? [fixedPool] : []);
+  const [formData, setFormData] = useState({
+    poolId: fixedPool?._id || '',
+    fromStation: fixedPool?.station || '',
+    toStation: '',
+    mode: 'quantity',
+    quantity: 1,
+    notes: ''
+  });
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!fixedPool) {
+      equipmentAPI.getEquipmentPools()
+        .then(response => setPools(response.data.data.pools))
+        .catch(() => toast.error('Failed to fetch equipment pools'));
+    }
+  }, [fixedPool]);
+
+  const pool = pools.find(p => p._id === formData.poolId);
+
+  // Available items held at the origin station
+  const eligibleItems = pool && formData.fromStation
+    ? pool.items.filter(item =>
+      item.status === 'Available' && (item.station || pool.station) === formData.fromStation
+    )
+    : [];
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({
+      ...formData,
+      [name]: value
+    });
+    if (['poolId', 'fromStation'].includes(name)) {
+      setSelectedIds([]);
+    }
+  };
+
+  const toggleItem = (uniqueId) => {
+    setSelectedIds(prev => prev.includes(uniqueId)
+      ? prev.filter(id => id !== uniqueId)
+      : [...prev, uniqueId]);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.mode === 'items' && selectedIds.length === 0) {
+      return toast.error('Select at least one item');
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await transferAPI.requestTransfer({
+        poolId: formData.poolId,
+        fromStation: formData.fromStation,
+        toStation: formData.toStation,
+        ...(formData.mode === 'items'
+          ? { uniqueIds: selectedIds }
+          : { quantity: Number(formData.quantity) }),
+        notes: formData.notes || undefined
+      });
+      toast.success(response.data.message);
+      onSuccess();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to request transfer');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Request Transfer{fixedPool ? ` - ${fixedPool.poolName}` : ''}</h3>
+          <button onClick={onClose} className="close-btn">&times;</button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          {!fixedPool && (
+            <div className="form-group">
+              <label className="form-label">Equipment Pool *</label>
+              <select
+                name="poolId"
+                value={formData.poolId}
+                onChange={handleChange}
+                className="form-control"
+                required
+              >
+                <option value="">Select Pool</option>
+                {pools.map(p => (
+                  <option key={p._id} value={p._id}>{p.poolName}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">From *</label>
+              <select
+                name="fromStation"
+                value={formData.fromStation}
+                onChange={handleChange}
+                className="form-control"
+                required
+              >
+                <option value="">Select Station</option>
+                {stations.map(station => (
+                  <option key={station._id} value={station._id}>{station.name}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">To *</label>
+              <select
+                name="toStation"
+                value={formData.toStation}
+                onChange={handleChange}
+                className="form-control"
+                required
+              >
+                <option value="">Select Station</option>
+                {stations
+                  .filter(station => station._id !== formData.fromStation)
+                  .map(station => (
+                    <option key={station._id} value={station._id}>{station.name}</option>
+                  ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">Transfer</label>
+              <select
+                name="mode"
+                value={formData.mode}
+                onChange={handleChange}
+                className="form-control"
+              >
+                <option value="quantity">Any available items</option>
+                <option value="items">Specific items</option>
+              </select>
+            </div>
+
+            {formData.mode === 'quantity' && (
+              <div className="form-group">
+                <label className="form-label">Quantity *</label>
+                <input
+                  type="number"
+                  name="quantity"
+                  min="1"
+                  max={eligibleItems.length || undefined}
+                  value={formData.quantity}
+                  onChange={handleChange}
+                  className="form-control"
+                  required
+                />
+              </div>
+            )}
+          </div>
+
+          {pool && formData.fromStation && (
+            <p className="schedule-subtext">
+              {eligibleItems.length} available item(s) at the origin station
+            </p>
+          )}
+
+          {formData.mode === 'items' && eligibleItems.length > 0 && (
+            <div className="items-list">
+              {eligibleItems.map(item => (
+                <label key={item.uniqueId} className="checkbox-label item-row">
+                  <input
+                    type="checkbox"
+                    checked={selectedIds.includes(item.uniqueId)}
+                    onChange={() => toggleItem(item.uniqueId)}
+                  />
+                  <span className="item-id">{item.uniqueId}</span>
+                  <span className="issued-to">{item.condition}</span>
+                </label>
+              ))}
+            </div>
+          )}
+
+          <div className="form-group">
+            <label className="form-label">Notes</label>
+            <textarea
+              name="notes"
+              value={formData.notes}
+              onChange={handleChange}
+              className="form-control"
+              rows="2"
+              placeholder="Authority, vehicle, escort..."
+            />
+          </div>
+
+          <div className="modal-actions">
+            <button
+              type="button"
+              onClick={onClose}
+              className="btn btn-secondary"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={loading}
+            >
+              {loading ? 'Requesting...' : 'Request Transfer'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Stations;
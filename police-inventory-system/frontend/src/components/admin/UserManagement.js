@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { adminAPI } from '../../utils/api';
 import { toast } from 'react-toastify';
+import SessionsModal from '../common/SessionsModal';
+import { usePasswordPolicy, checkPassword, PasswordPolicyHint } from '../common/PasswordPolicy';
 
 // Valid Indian state codes
 const STATE_CODES = [
@@ -66,14 +68,59 @@ const RANK_CODES = [
   { code: 'IPS', name: 'Indian Police Service' }
 ];
 
+// Locked after repeated failed logins
+const isLocked = (user) => Boolean(user.lockedUntil && new Date(user.lockedUntil) > new Date());
+
+// Shows the temporary password from an admin reset once, for handing over to the user
+const TemporaryPasswordModal = ({ reset, onClose }) => {
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(reset.temporaryPassword);
+      toast.success('Temporary password copied');
+    } catch (error) {
+      toast.error('Copy failed, please note the password down');
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Temporary Password - {reset.user.fullName}</h3>
+          <button onClick={onClose} className="close-btn">&times;</button>
+        </div>
+
+        <p>
+          Give this password to {reset.user.fullName} in person or over a trusted channel.
+          It will not be shown again, and they must choose a new password when they sign in.
+        </p>
+        <p><code style={{fontSize: '1.2em'}}>{reset.temporaryPassword}</code></p>
+
+        <div className="modal-actions">
+          <button type="button" className="btn btn-secondary" onClick={handleCopy}>
+            Copy
+          </button>
+          <button type="button" className="btn btn-primary" onClick={onClose}>
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 const UserManagement = () => {
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showCreateModal, setShowCreateModal] = useState(false);
+  const [sessionsUser, setSessionsUser] = useState(null);
+  // { user, temporaryPassword } after an admin password reset
+  const [passwordReset, setPasswordReset] = useState(null);
   const [currentPage, setCurrentPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
   const [searchTerm, setSearchTerm] = useState('');
   const [roleFilter, setRoleFilter] = useState('');
+  const passwordPolicy = usePasswordPolicy();
   
   // Form validation errors
   const [errors, setErrors] = useState({});
@@ -205,8 +252,8 @@ const UserManagement = () => {
     // Validate Password
     if (!newUser.password) {
       newErrors.password = 'Password is required';
-    } else if (newUser.password.length < 8) {
-      newErrors.password = 'Password must be at least 8 characters';
+    } else if (checkPassword(newUser.password, passwordPolicy).length > 0) {
+      newErrors.password = checkPassword(newUser.password, passwordPolicy).join('. ');
     }
     
     return newErrors;
@@ -265,6 +312,45 @@ const UserManagement = () => {
     }
   };
 
+  const handleUnlock = async (user) => {
+    try {
+      const response = await adminAPI.unlockUser(user._id);
+      toast.success(response.data.message);
+      fetchUsers();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to unlock user');
+    }
+  };
+
+  const handleResetPassword = async (user) => {
+    if (!window.confirm(`Reset the password for ${user.fullName}? They will be signed out everywhere and must choose a new password at their next login.`)) {
+      return;
+    }
+
+    try {
+      const response = await adminAPI.resetUserPassword(user._id);
+      toast.success(response.data.message);
+      setPasswordReset({ user, temporaryPassword: response.data.data.temporaryPassword });
+      fetchUsers();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to reset password');
+    }
+  };
+
+  const handleResetTwoFactor = async (user) => {
+    if (!window.confirm(`Reset two-factor authentication for ${user.fullName}? They will be signed out everywhere.`)) {
+      return;
+    }
+
+    try {
+      const response = await adminAPI.resetTwoFactor(user._id);
+      toast.success(response.data.message);
+      fetchUsers();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to reset two-factor authentication');
+    }
+  };
+
   const handleToggleStatus = async (userId, currentStatus) => {
     try {
       await adminAPI.updateUser(userId, { isActive: !currentStatus });
@@ -582,6 +668,25 @@ const handleCreateUser = async (e) => {
                     <span className={`badge ${user.isActive ? 'badge-success' : 'badge-error'}`}>
                       {user.isActive ? 'Active' : 'Inactive'}
                     </span>
+                    {isLocked(user) && (
+                      <span
+                        className="badge badge-warning"
+                        title={`Locked until ${new Date(user.lockedUntil).toLocaleString()}, last failed login from ${user.lastFailedLoginIp || 'unknown IP'}`}
+                      >
+                        Locked
+                      </span>
+                    )}
+                    {user.twoFactor?.enabled && (
+                      <span className="badge badge-info" title="Two-factor authentication enabled">2FA</span>
+                    )}
+                    {user.mustChangePassword && (
+                      <span className="badge badge-warning" title="Must choose a new password at next login">
+                        Password Change
+                      </span>
+                    )}
+                    {!isLocked(user) && user.failedLoginAttempts > 0 && (
+                      <div><small>{user.failedLoginAttempts} failed login(s)</small></div>
+                    )}
                   </td>
                   <td>
                     <button
@@ -590,6 +695,34 @@ const handleCreateUser = async (e) => {
                     >
                       {user.isActive ? 'Deactivate' : 'Activate'}
                     </button>
+                    {(isLocked(user) || user.failedLoginAttempts > 0) && (
+                      <button
+                        className="btn btn-sm btn-primary"
+                        onClick={() => handleUnlock(user)}
+                      >
+                        Unlock
+                      </button>
+                    )}
+                    <button
+                      className="btn btn-sm btn-secondary"
+                      onClick={() => setSessionsUser(user)}
+                    >
+                      Sessions
+                    </button>
+                    <button
+                      className="btn btn-sm btn-warning"
+                      onClick={() => handleResetPassword(user)}
+                    >
+                      Reset Password
+                    </button>
+                    {user.twoFactor?.enabled && (
+                      <button
+                        className="btn btn-sm btn-warning"
+                        onClick={() => handleResetTwoFactor(user)}
+                      >
+                        Reset 2FA
+                      </button>
+                    )}
                   </td>
                 </tr>
               ))}
@@ -621,6 +754,14 @@ const handleCreateUser = async (e) => {
         </div>
       )}
 
+      {sessionsUser && (
+        <SessionsModal user={sessionsUser} onClose={() => setSessionsUser(null)} />
+      )}
+
+      {passwordReset && (
+        <TemporaryPasswordModal reset={passwordReset} onClose={() => setPasswordReset(null)} />
+      )}
+
       {/* Create User Modal */}
       {showCreateModal && (
         <div className="modal-overlay" onClick={() => {
@@ -799,11 +940,12 @@ const handleCreateUser = async (e) => {
                     type="password"
                     value={newUser.password}
                     onChange={(e) => handleInputChange('password', e.target.value)}
-                    placeholder="Minimum 8 characters"
-                    minLength="8"
+                    placeholder="Temporary password"
                     className={errors.password ? 'error' : ''}
                   />
                   {errors.password && <span className="error-message">{errors.password}</span>}
+                  <PasswordPolicyHint policy={passwordPolicy} />
+                  <small className="password-policy-hint">The officer chooses a new password at first login.</small>
                 </div>
               </div>
 
@@ -0,0 +1,614 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { warrantyAPI } from '../../utils/api';
+import { toast } from 'react-toastify';
+
+const CLAIM_STATUS_CLASSES = {
+  Open: 'status-pending',
+  Submitted: 'status-escalated',
+  Approved: 'status-completed',
+  Rejected: 'status-rejected'
+};
+
+const EXPIRY_WINDOWS = [30, 60, 90];
+
+const formatAmount = (amount) => (amount || 0).toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : 'N/A');
+
+const Warranty = () => {
+  const [expiring, setExpiring] = useState(null);
+  const [expiryWindow, setExpiryWindow] = useState(30);
+  const [claimable, setClaimable] = useState({ repairs: [], incidents: [] });
+  const [claims, setClaims] = useState([]);
+  const [recoveredTotal, setRecoveredTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [claimSource, setClaimSource] = useState(null);
+  const [resolveClaim, setResolveClaim] = useState(null);
+
+  useEffect(() => {
+    fetchExpiring();
+    fetchClaimable();
+  }, []);
+
+  const fetchExpiring = async () => {
+    try {
+      const response = await warrantyAPI.getExpiring({ days: 90 });
+      if (response.data.success) {
+        setExpiring(response.data.data);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch expiring warranties');
+    }
+  };
+
+  const fetchClaimable = async () => {
+    try {
+      const response = await warrantyAPI.getClaimable();
+      if (response.data.success) {
+        setClaimable(response.data.data);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch claimable repairs');
+    }
+  };
+
+  const fetchClaims = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await warrantyAPI.getClaims({
+        page: currentPage,
+        limit: 10,
+        status: statusFilter
+      });
+
+      if (response.data.success) {
+        setClaims(response.data.data.claims);
+        setRecoveredTotal(response.data.data.recoveredTotal);
+        setTotalPages(response.data.data.pagination.pages || 1);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch warranty claims');
+    } finally {
+      setLoading(false);
+    }
+  }, [currentPage, statusFilter]);
+
+  useEffect(() => {
+    fetchClaims();
+  }, [fetchClaims]);
+
+  const handleSubmitClaim = async (claim) => {
+    const providerReference = window.prompt(
+      `Submit ${claim.claimNumber} to ${claim.warrantyProvider || 'the warranty provider'}. Provider reference (optional):`,
+      ''
+    );
+    if (providerReference === null) return;
+
+    try {
+      const response = await warrantyAPI.submitClaim(claim._id, {
+        providerReference: providerReference || undefined
+      });
+      toast.success(response.data.message);
+      fetchClaims();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to submit warranty claim');
+    }
+  };
+
+  // Pools, items and equipment falling in the selected window
+  const expiringEntries = expiring
+    ? [
+      ...expiring.pools.map(pool => ({
+        key: `pool-${pool.poolId}`,
+        name: pool.poolName,
+        detail: `Pool-wide, ${pool.totalQuantity} item(s)`,
+        ...pool
+      })),
+      ...expiring.items.map(item => ({
+        key: `item-${item.poolId}-${item.uniqueId}`,
+        name: item.uniqueId,
+        detail: `${item.poolName} (${item.status})`,
+        ...item
+      })),
+      ...expiring.equipment.map(record => ({
+        key: `equipment-${record.equipmentId}`,
+        name: record.name,
+        detail: `Serial ${record.serialNumber}`,
+        ...record
+      }))
+    ]
+      .filter(entry => entry.daysLeft <= expiryWindow)
+      .sort((a, b) => a.daysLeft - b.daysLeft)
+    : [];
+
+  const claimableCount = claimable.repairs.length + claimable.incidents.length;
+
+  return (
+    <>
+      <div className="warranty">
+        <div className="management-header">
+          <h3>Expiring Warranties</h3>
+          <div className="search-filters">
+            <select
+              value={expiryWindow}
+              onChange={(e) => setExpiryWindow(parseInt(e.target.value))}
+              className="form-control"
+            >
+              {EXPIRY_WINDOWS.map(days => (
+                <option key={days} value={days}>
+                  Within {days} days{expiring ? ` (${expiring.counts[days]})` : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {!expiring ? (
+          <div className="loading-container">
+            <div className="spinner"></div>
+            <p>Loading warranties...</p>
+          </div>
+        ) : expiringEntries.length === 0 ? (
+          <div className="no-data">
+            <p>No warranties end within {expiryWindow} days.</p>
+          </div>
+        ) : (
+          <div className="requests-table">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Covers</th>
+                  <th>Provider</th>
+                  <th>Expires</th>
+                  <th>Days Left</th>
+                </tr>
+              </thead>
+              <tbody>
+                {expiringEntries.map(entry => (
+                  <tr key={entry.key}>
+                    <td>
+                      <strong>{entry.name}</strong>
+                      <div className="schedule-subtext">{entry.detail}</div>
+                    </td>
+                    <td>{entry.warrantyProvider || 'N/A'}</td>
+                    <td>{formatDate(entry.warrantyExpiry)}</td>
+                    <td>
+                      <span className={`status-badge ${entry.window === 30 ? 'status-rejected' : entry.window === 60 ? 'status-escalated' : 'status-pending'}`}>
+                        {entry.daysLeft} day(s)
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="management-header">
+          <h3>Repairs & Damage Under Warranty ({claimableCount})</h3>
+        </div>
+        <p className="schedule-subtext">
+          Repairs and damage incidents on items that were under warranty at the time, with no claim filed yet.
+        </p>
+
+        {claimableCount === 0 ? (
+          <div className="no-data">
+            <p>Nothing to claim.</p>
+          </div>
+        ) : (
+          <div className="requests-table">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Item</th>
+                  <th>Basis</th>
+                  <th>Date</th>
+                  <th>Details</th>
+                  <th>Warranty Until</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {claimable.repairs.map(repair => (
+                  <tr key={repair.maintenanceEntryId}>
+                    <td>
+                      <strong>{repair.uniqueId}</strong>
+                      <div className="schedule-subtext">{repair.poolName}</div>
+                    </td>
+                    <td>Repair</td>
+                    <td>{formatDate(repair.date)}</td>
+                    <td>
+                      {repair.description}
+                      {repair.cost > 0 && <div className="schedule-subtext">Cost {formatAmount(repair.cost)}</div>}
+                    </td>
+                    <td>{formatDate(repair.warrantyExpiry)}</td>
+                    <td>
+                      <button
+                        className="btn btn-sm btn-primary"
+                        onClick={() => setClaimSource({ basis: 'Repair', ...repair })}
+                      >
+                        File Claim
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+                {claimable.incidents.map(incident => (
+                  <tr key={incident._id}>
+                    <td>
+                      <strong>{incident.uniqueId}</strong>
+                      <div className="schedule-subtext">{incident.poolName}</div>
+                    </td>
+                    <td>Damage</td>
+                    <td>{formatDate(incident.incidentDate)}</td>
+                    <td>
+                      {incident.description}
+                      <div className="schedule-subtext">{incident.incidentId} ({incident.status})</div>
+                    </td>
+                    <td>{formatDate(incident.warrantyExpiry)}</td>
+                    <td>
+                      <button
+                        className="btn btn-sm btn-primary"
+                        onClick={() => setClaimSource({ basis: 'Damage', ...incident })}
+                      >
+                        File Claim
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="management-header">
+          <h3>Warranty Claims</h3>
+          <div className="search-filters">
+            <span className="schedule-subtext">Recovered: {formatAmount(recoveredTotal)}</span>
+            <select
+              value={statusFilter}
+              onChange={(e) => {
+                setStatusFilter(e.target.value);
+                setCurrentPage(1);
+              }}
+              className="form-control"
+            >
+              <option value="">All Status</option>
+              {Object.keys(CLAIM_STATUS_CLASSES).map(status => (
+                <option key={status} value={status}>{status}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {loading ? (
+          <div className="loading-container">
+            <div className="spinner"></div>
+            <p>Loading warranty claims...</p>
+          </div>
+        ) : claims.length === 0 ? (
+          <div className="no-data">
+            <p>No warranty claims found.</p>
+          </div>
+        ) : (
+          <>
+            <div className="requests-table">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Claim</th>
+                    <th>Item</th>
+                    <th>Basis</th>
+                    <th>Provider</th>
+                    <th>Amount</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {claims.map(claim => (
+                    <tr key={claim._id}>
+                      <td>
+                        <strong>{claim.claimNumber}</strong>
+                        <div className="schedule-subtext">
+                          {formatDate(claim.createdAt)} by {claim.filedBy?.fullName}
+                        </div>
+                      </td>
+                      <td>
+                        {claim.uniqueId}
+                        <div className="schedule-subtext">{claim.poolName}</div>
+                      </td>
+                      <td>
+                        {claim.basis}
+                        {claim.incident && <div className="schedule-subtext">{claim.incident.incidentId}</div>}
+                      </td>
+                      <td>
+                        {claim.warrantyProvider || 'N/A'}
+                        {claim.providerReference && <div className="schedule-subtext">Ref: {claim.providerReference}</div>}
+                      </td>
+                      <td>
+                        {formatAmount(claim.claimAmount)}
+                        {claim.status === 'Approved' && (
+                          <div className="schedule-subtext">{formatAmount(claim.recoveredAmount)} recovered</div>
+                        )}
+                      </td>
+                      <td>
+                        <span className={`status-badge ${CLAIM_STATUS_CLASSES[claim.status]}`}>
+                          {claim.status}
+                        </span>
+                        {claim.resolutionNotes && <div className="schedule-subtext">{claim.resolutionNotes}</div>}
+                      </td>
+                      <td>
+                        <div className="action-buttons">
+                          {claim.status === 'Open' && (
+                            <button
+                              className="btn btn-sm btn-primary"
+                              onClick={() => handleSubmitClaim(claim)}
+                            >
+                              Submit
+                            </button>
+                          )}
+                          {['Open', 'Submitted'].includes(claim.status) && (
+                            <button
+                              className="btn btn-sm btn-success"
+                              onClick={() => setResolveClaim(claim)}
+                            >
+                              Resolve
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {totalPages > 1 && (
+              <div className="pagination">
+                <button
+                  onClick={() => setCurrentPage(prev => Math.max(prev - 1, 1))}
+                  disabled={currentPage === 1}
+                  className="btn btn-secondary"
+                >
+                  Previous
+                </button>
+                <span>Page {currentPage} of {totalPages}</span>
+                <button
+                  onClick={() => setCurrentPage(prev => Math.min(prev + 1, totalPages))}
+                  disabled={currentPage === totalPages}
+                  className="btn btn-secondary"
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {claimSource && (
+        <FileClaimModal
+          source={claimSource}
+          onClose={() => setClaimSource(null)}
+          onSuccess={() => {
+            setClaimSource(null);
+            fetchClaimable();
+            fetchClaims();
+          }}
+        />
+      )}
+
+      {resolveClaim && (
+        <ResolveClaimModal
+          claim={resolveClaim}
+          onClose={() => setResolveClaim(null)}
+          onSuccess={() => {
+            setResolveClaim(null);
+            fetchClaimable();
+            fetchClaims();
+          }}
+        />
+      )}
+    </>
+  );
+};
+
+const FileClaimModal = ({ source, onClose, onSuccess }) => {
+  const [formData, setFormData] = useState({
+    description: source.description || '',
+    claimAmount: source.cost || ''
+  });
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await warrantyAPI.fileClaim({
+        basis: source.basis,
+        poolId: source.poolId,
+        uniqueId: source.uniqueId,
+        ...(source.basis === 'Damage'
+          ? { incidentId: source._id }
+          : { maintenanceEntryId: source.maintenanceEntryId }),
+        description: formData.description,
+        claimAmount: formData.claimAmount || undefined
+      });
+      toast.success(response.data.message);
+      onSuccess();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to file warranty claim');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>File Warranty Claim - {source.uniqueId}</h3>
+          <button onClick={onClose} className="close-btn">&times;</button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <p className="schedule-subtext">
+            {source.basis === 'Damage' ? `Damage incident ${source.incidentId}` : 'Repair'} on{' '}
+            {formatDate(source.basis === 'Damage' ? source.incidentDate : source.date)}, covered by{' '}
+            {source.warrantyProvider || 'the supplier'} until {formatDate(source.warrantyExpiry)}.
+          </p>
+
+          <div className="form-group">
+            <label className="form-label">Description *</label>
+            <textarea
+              name="description"
+              value={formData.description}
+              onChange={handleChange}
+              className="form-control"
+              rows="3"
+              minLength="10"
+              maxLength="1000"
+              required
+            />
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Claim Amount</label>
+            <input
+              type="number"
+              name="claimAmount"
+              min="0"
+              step="0.01"
+              value={formData.claimAmount}
+              onChange={handleChange}
+              className="form-control"
+            />
+            {source.basis === 'Repair' && <small>Defaults to the repair cost</small>}
+          </div>
+
+          <div className="modal-actions">
+            <button type="button" onClick={onClose} className="btn btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              {loading ? 'Filing...' : 'File Claim'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const ResolveClaimModal = ({ claim, onClose, onSuccess }) => {
+  const [formData, setFormData] = useState({
+    status: 'Approved',
+    recoveredAmount: claim.claimAmount ?? '',
+    resolutionNotes: ''
+  });
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await warrantyAPI.resolveClaim(claim._id, {
+        status: formData.status,
+        ...(formData.status === 'Approved' && formData.recoveredAmount !== '' && {
+          recoveredAmount: formData.recoveredAmount
+        }),
+        resolutionNotes: formData.resolutionNotes || undefined
+      });
+      toast.success(response.data.message);
+      onSuccess();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to resolve warranty claim');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Resolve {claim.claimNumber}</h3>
+          <button onClick={onClose} className="close-btn">&times;</button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label className="form-label">Outcome</label>
+            <select
+              name="status"
+              value={formData.status}
+              onChange={handleChange}
+              className="form-control"
+            >
+              <option value="Approved">Approved</option>
+              <option value="Rejected">Rejected</option>
+            </select>
+          </div>
+
+          {formData.status === 'Approved' && (
+            <div className="form-group">
+              <label className="form-label">Recovered Amount</label>
+              <input
+                type="number"
+                name="recoveredAmount"
+                min="0"
+                step="0.01"
+                value={formData.recoveredAmount}
+                onChange={handleChange}
+                className="form-control"
+              />
+              <small>Amount the provider covered</small>
+            </div>
+          )}
+
+          <div className="form-group">
+            <label className="form-label">Notes</label>
+            <textarea
+              name="resolutionNotes"
+              value={formData.resolutionNotes}
+              onChange={handleChange}
+              className="form-control"
+              rows="2"
+              maxLength="500"
+            />
+          </div>
+
+          <div className="modal-actions">
+            <button type="button" onClick={onClose} className="btn btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              {loading ? 'Saving...' : 'Resolve'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Warranty;
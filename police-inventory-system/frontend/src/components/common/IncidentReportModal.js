@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import { incidentAPI } from '../../utils/api';
+import { toast } from 'react-toastify';
+
+// Report a pool item as lost or damaged. Used by officers for items they hold
+// and by admins from the pool details view.
+const IncidentReportModal = ({ poolId, poolName, uniqueId, onClose, onSuccess }) => {
+  const [formData, setFormData] = useState({
+    type: 'Damaged',
+    incidentDate: new Date().toISOString().slice(0, 10),
+    description: '',
+    firNumber: ''
+  });
+  const [attachments, setAttachments] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleAttachmentChange = (index, field, value) => {
+    setAttachments(attachments.map((attachment, i) =>
+      i === index ? { ...attachment, [field]: value } : attachment
+    ));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await incidentAPI.reportIncident({
+        poolId,
+        uniqueId,
+        ...formData,
+        firNumber: formData.firNumber || undefined,
+        attachments: attachments.filter(attachment => attachment.url)
+      });
+      toast.success(response.data.message);
+      onSuccess();
+      onClose();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to report incident');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Report Lost / Damaged</h3>
+          <button onClick={onClose} className="close-btn">&times;</button>
+        </div>
+
+        <div className="equipment-summary">
+          <h4>{poolName}</h4>
+          <p>Item: {uniqueId}</p>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">Incident Type *</label>
+              <select
+                name="type"
+                value={formData.type}
+                onChange={handleChange}
+                className="form-control"
+              >
+                <option value="Damaged">Damaged</option>
+                <option value="Lost">Lost</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label className="form-label">Date of Incident *</label>
+              <input
+                type="date"
+                name="incidentDate"
+                value={formData.incidentDate}
+                max={new Date().toISOString().slice(0, 10)}
+                onChange={handleChange}
+                className="form-control"
+                required
+              />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Description *</label>
+            <textarea
+              name="description"
+              value={formData.description}
+              onChange={handleChange}
+              className="form-control"
+              rows="4"
+              minLength={10}
+              placeholder="Describe what happened, where and when..."
+              required
+            />
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">FIR / Case Number</label>
+            <input
+              type="text"
+              name="firNumber"
+              value={formData.firNumber}
+              onChange={handleChange}
+              className="form-control"
+              placeholder={formData.type === 'Lost' ? 'Required for lost firearms and ammunition' : 'Optional'}
+            />
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Attachments (links to photos, FIR copy)</label>
+            {attachments.map((attachment, index) => (
+              <div key={index} className="form-row">
+                <input
+                  type="text"
+                  value={attachment.filename}
+                  onChange={(e) => handleAttachmentChange(index, 'filename', e.target.value)}
+                  className="form-control"
+                  placeholder="Name"
+                />
+                <input
+                  type="url"
+                  value={attachment.url}
+                  onChange={(e) => handleAttachmentChange(index, 'url', e.target.value)}
+                  className="form-control"
+                  placeholder="https://..."
+                />
+              </div>
+            ))}
+            {attachments.length < 5 && (
+              <button
+                type="button"
+                className="btn btn-sm btn-secondary"
+                onClick={() => setAttachments([...attachments, { filename: '', url: '' }])}
+              >
+                + Add Attachment
+              </button>
+            )}
+          </div>
+
+          <div className="form-note">
+            <p><strong>Note:</strong> The item will be marked as {formData.type} immediately
+            and your custody of it will be closed. Admins will review and resolve the incident.</p>
+          </div>
+
+          <div className="modal-actions">
+            <button
+              type="button"
+              onClick={onClose}
+              className="btn btn-secondary"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-danger"
+              disabled={loading}
+            >
+              {loading ? 'Reporting...' : `Report ${formData.type}`}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default IncidentReportModal;
@@ -1,8 +1,358 @@
 import React, { useState } from 'react';
-import { Navigate } from 'react-router-dom';
+import { Navigate, useSearchParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
 import { useAuth } from '../../context/AuthContext';
+import { authAPI } from '../../utils/api';
+import { TwoFactorSetup } from './TwoFactorSetup';
+import { usePasswordPolicy, checkPassword, PasswordPolicyHint } from './PasswordPolicy';
 import './Login.css';
 
+// Card title and subtitle for each step besides the sign-in form
+const STEP_TEXT = {
+  twoFactorRequired: ['Two-Factor Verification', 'Enter the code from your authenticator app.'],
+  twoFactorSetupRequired: ['Set Up Two-Factor', 'Admin accounts must use an authenticator app.'],
+  passwordChangeRequired: ['Choose a New Password', 'You need a new password before signing in.'],
+  forgotPassword: ['Forgot Password', 'We will email you a link to reset it.'],
+  resetPassword: ['Reset Password', 'Choose a new password for your account.']
+};
+
+const CHALLENGE_KINDS = ['twoFactorRequired', 'twoFactorSetupRequired', 'passwordChangeRequired'];
+
+const challengeKind = (challenge) => CHALLENGE_KINDS.find(kind => challenge[kind]);
+
+// Second login step: a code from the authenticator app, or a recovery code
+const TwoFactorStep = ({ challengeToken, onChallenge, onCancel }) => {
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [value, setValue] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const { verifyTwoFactor } = useAuth();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+
+    const result = await verifyTwoFactor({
+      challengeToken,
+      ...(useRecoveryCode ? { recoveryCode: value } : { code: value })
+    });
+
+    if (result.challenge) {
+      onChallenge(result.challenge);
+    } else if (!result.success) {
+      setValue('');
+      setIsLoading(false);
+    }
+  };
+
+  const switchMethod = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setValue('');
+  };
+
+  return (
+    <>
+      <form onSubmit={handleSubmit} className="login-form">
+        <div className="form-group">
+          <label className="form-label">
+            {useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+          </label>
+          <input
+            type="text"
+            className="form-control"
+            value={value}
+            onChange={(e) => setValue(useRecoveryCode
+              ? e.target.value
+              : e.target.value.replace(/\D/g, '').slice(0, 6))}
+            inputMode={useRecoveryCode ? 'text' : 'numeric'}
+            autoComplete="one-time-code"
+            placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+            required
+            autoFocus
+          />
+        </div>
+
+        <button type="submit" className="btn-primary" disabled={isLoading}>
+          {isLoading ? (
+            <>
+              <span className="spinner"></span>
+              Verifying...
+            </>
+          ) : (
+            <>
+              <span className="btn-arrow">→</span>
+              Verify
+            </>
+          )}
+        </button>
+      </form>
+
+      <div className="auth-switch">
+        <button type="button" className="switch-btn" onClick={switchMethod}>
+          {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+        </button>
+        <span> · </span>
+        <button type="button" className="switch-btn" onClick={onCancel}>
+          Back to sign in
+        </button>
+      </div>
+    </>
+  );
+};
+
+// Last login step for a new account or an expired password; the challenge carries the policy
+const PasswordChangeStep = ({ challenge, onCancel }) => {
+  const [formData, setFormData] = useState({ newPassword: '', confirmPassword: '' });
+  const [isLoading, setIsLoading] = useState(false);
+  const { completeLogin } = useAuth();
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const problems = checkPassword(formData.newPassword, challenge.policy);
+    if (problems.length > 0) {
+      toast.error(problems.join('. '));
+      return;
+    }
+    if (formData.newPassword !== formData.confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await authAPI.changePassword({
+        challengeToken: challenge.challengeToken,
+        newPassword: formData.newPassword
+      });
+      completeLogin(response.data.data);
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to change password');
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <>
+      <form onSubmit={handleSubmit} className="login-form">
+        {challenge.reason === 'expired' && (
+          <p className="card-subtitle">Your password has expired.</p>
+        )}
+
+        <div className="form-group">
+          <label className="form-label">New Password</label>
+          <input
+            type="password"
+            name="newPassword"
+            className="form-control"
+            value={formData.newPassword}
+            onChange={handleChange}
+            autoComplete="new-password"
+            required
+            autoFocus
+          />
+          <PasswordPolicyHint policy={challenge.policy} />
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Confirm Password</label>
+          <input
+            type="password"
+            name="confirmPassword"
+            className="form-control"
+            value={formData.confirmPassword}
+            onChange={handleChange}
+            autoComplete="new-password"
+            required
+          />
+        </div>
+
+        <button type="submit" className="btn-primary" disabled={isLoading}>
+          {isLoading ? (
+            <>
+              <span className="spinner"></span>
+              Saving...
+            </>
+          ) : (
+            <>
+              <span className="btn-arrow">→</span>
+              Set Password
+            </>
+          )}
+        </button>
+      </form>
+
+      <div className="auth-switch">
+        <button type="button" className="switch-btn" onClick={onCancel}>
+          Back to sign in
+        </button>
+      </div>
+    </>
+  );
+};
+
+// Ask for a reset link by email
+const ForgotPasswordStep = ({ onCancel }) => {
+  const [email, setEmail] = useState('');
+  const [sent, setSent] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+
+    try {
+      const response = await authAPI.forgotPassword({ email });
+      toast.success(response.data.message);
+      setSent(true);
+    } catch (error) {
+      if (![423, 429].includes(error.response?.status)) {
+        toast.error(error.response?.data?.message || 'Failed to request a reset link');
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <>
+      {sent ? (
+        <p className="card-subtitle">
+          If an account exists for {email}, a reset link is on its way. It works once and expires soon.
+        </p>
+      ) : (
+        <form onSubmit={handleSubmit} className="login-form">
+          <div className="form-group">
+            <label className="form-label">Email</label>
+            <input
+              type="email"
+              className="form-control"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+              autoFocus
+              placeholder="name@agency.gov"
+            />
+          </div>
+
+          <button type="submit" className="btn-primary" disabled={isLoading}>
+            {isLoading ? (
+              <>
+                <span className="spinner"></span>
+                Sending...
+              </>
+            ) : (
+              <>
+                <span className="btn-arrow">→</span>
+                Send Reset Link
+              </>
+            )}
+          </button>
+        </form>
+      )}
+
+      <div className="auth-switch">
+        <button type="button" className="switch-btn" onClick={onCancel}>
+          Back to sign in
+        </button>
+      </div>
+    </>
+  );
+};
+
+// New password from the emailed reset link (?resetToken=...)
+const ResetPasswordStep = ({ token, onDone }) => {
+  const policy = usePasswordPolicy();
+  const [formData, setFormData] = useState({ newPassword: '', confirmPassword: '' });
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const problems = checkPassword(formData.newPassword, policy);
+    if (problems.length > 0) {
+      toast.error(problems.join('. '));
+      return;
+    }
+    if (formData.newPassword !== formData.confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await authAPI.resetPassword({ token, newPassword: formData.newPassword });
+      toast.success(response.data.message);
+      onDone();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to reset password');
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <>
+      <form onSubmit={handleSubmit} className="login-form">
+        <div className="form-group">
+          <label className="form-label">New Password</label>
+          <input
+            type="password"
+            name="newPassword"
+            className="form-control"
+            value={formData.newPassword}
+            onChange={handleChange}
+            autoComplete="new-password"
+            required
+            autoFocus
+          />
+          <PasswordPolicyHint policy={policy} />
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Confirm Password</label>
+          <input
+            type="password"
+            name="confirmPassword"
+            className="form-control"
+            value={formData.confirmPassword}
+            onChange={handleChange}
+            autoComplete="new-password"
+            required
+          />
+        </div>
+
+        <button type="submit" className="btn-primary" disabled={isLoading}>
+          {isLoading ? (
+            <>
+              <span className="spinner"></span>
+              Saving...
+            </>
+          ) : (
+            <>
+              <span className="btn-arrow">→</span>
+              Reset Password
+            </>
+          )}
+        </button>
+      </form>
+
+      <div className="auth-switch">
+        <button type="button" className="switch-btn" onClick={onDone}>
+          Back to sign in
+        </button>
+      </div>
+    </>
+  );
+};
+
 const Login = () => {
   const [isRegistering, setIsRegistering] = useState(false);
   const [formData, setFormData] = useState({
@@ -15,7 +365,12 @@ const Login = () => {
     badgeNumber: ''
   });
   const [isLoading, setIsLoading] = useState(false);
-  const { login, register, isAuthenticated, user } = useAuth();
+  // Pending step after the password: { twoFactorRequired | twoFactorSetupRequired | passwordChangeRequired, challengeToken }
+  const [challenge, setChallenge] = useState(null);
+  const [forgotPassword, setForgotPassword] = useState(false);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const resetToken = searchParams.get('resetToken');
+  const { login, register, completeLogin, isAuthenticated, user } = useAuth();
 
   // Redirect if already authenticated
   if (isAuthenticated && user) {
@@ -43,9 +398,59 @@ const Login = () => {
       });
     }
 
+    if (result.challenge) {
+      setChallenge(result.challenge);
+    }
+
     setIsLoading(false);
   };
 
+  const cancelChallenge = () => {
+    setChallenge(null);
+    setFormData({ ...formData, password: '' });
+  };
+
+  // Enrollment during login may still need a new password before the session starts
+  const handleTwoFactorEnabled = (data) => {
+    if (data.passwordChangeRequired) {
+      setChallenge(data);
+    } else {
+      completeLogin(data);
+    }
+  };
+
+  // The card shows the sign-in form unless a reset link, a login challenge or forgot-password is active
+  const step = resetToken
+    ? 'resetPassword'
+    : challenge ? challengeKind(challenge) : forgotPassword ? 'forgotPassword' : null;
+
+  const renderStep = () => {
+    switch (step) {
+      case 'resetPassword':
+        return <ResetPasswordStep token={resetToken} onDone={() => setSearchParams({})} />;
+      case 'forgotPassword':
+        return <ForgotPasswordStep onCancel={() => setForgotPassword(false)} />;
+      case 'twoFactorSetupRequired':
+        return (
+          <TwoFactorSetup
+            challengeToken={challenge.challengeToken}
+            onEnabled={handleTwoFactorEnabled}
+            onCancel={cancelChallenge}
+          />
+        );
+      case 'passwordChangeRequired':
+        return <PasswordChangeStep challenge={challenge} onCancel={cancelChallenge} />;
+      default:
+        return (
+          <TwoFactorStep
+            challengeToken={challenge.challengeToken}
+            onChallenge={setChallenge}
+            onCancel={cancelChallenge}
+          />
+        );
+    }
+  };
+
   const switchMode = () => {
     setIsRegistering(!isRegistering);
     setFormData({
@@ -88,194 +493,212 @@ const Login = () => {
         </div>
 
         {/* Login Card */}
-        <div className="login-card">
-          <div className="card-header">
-            <h2 className="card-title">
-              {isRegistering ? 'New Account' : 'Secure Login'}
-            </h2>
-            <p className="card-subtitle">
-              {isRegistering 
-                ? 'Create a new account with your details' 
-                : 'Use your official department email.'}
-            </p>
+        {step ? (
+          <div className="login-card">
+            <div className="card-header">
+              <h2 className="card-title">{STEP_TEXT[step][0]}</h2>
+              <p className="card-subtitle">{STEP_TEXT[step][1]}</p>
+            </div>
+
+            {renderStep()}
           </div>
+        ) : (
+          <div className="login-card">
+            <div className="card-header">
+              <h2 className="card-title">
+                {isRegistering ? 'New Account' : 'Secure Login'}
+              </h2>
+              <p className="card-subtitle">
+                {isRegistering 
+                  ? 'Create a new account with your details' 
+                  : 'Use your official department email.'}
+              </p>
+            </div>
+
+            <form onSubmit={handleSubmit} className="login-form">
+              {isRegistering && (
+                <>
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label className="form-label">First Name</label>
+                      <input
+                        type="text"
+                        name="firstName"
+                        className="form-control"
+                        value={formData.firstName}
+                        onChange={handleChange}
+                        required={isRegistering}
+                        placeholder="First Name"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label className="form-label">Last Name</label>
+                      <input
+                        type="text"
+                        name="lastName"
+                        className="form-control"
+                        value={formData.lastName}
+                        onChange={handleChange}
+                        required={isRegistering}
+                        placeholder="Last Name"
+                      />
+                    </div>
+                  </div>
 
-          <form onSubmit={handleSubmit} className="login-form">
-            {isRegistering && (
-              <>
-                <div className="form-row">
                   <div className="form-group">
-                    <label className="form-label">First Name</label>
+                    <label className="form-label">Email</label>
                     <input
-                      type="text"
-                      name="firstName"
+                      type="email"
+                      name="email"
                       className="form-control"
-                      value={formData.firstName}
+                      value={formData.email}
                       onChange={handleChange}
                       required={isRegistering}
-                      placeholder="First Name"
+                      placeholder="Email Address"
                     />
                   </div>
-                  <div className="form-group">
-                    <label className="form-label">Last Name</label>
+
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label className="form-label">Department</label>
+                      <input
+                        type="text"
+                        name="department"
+                        className="form-control"
+                        value={formData.department}
+                        onChange={handleChange}
+                        required={isRegistering}
+                        placeholder="Department"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label className="form-label">Badge Number</label>
+                      <input
+                        type="text"
+                        name="badgeNumber"
+                        className="form-control"
+                        value={formData.badgeNumber}
+                        onChange={handleChange}
+                        placeholder="Badge Number (Optional)"
+                      />
+                    </div>
+                  </div>
+                </>
+              )}
+
+              {!isRegistering && (
+                <div className="form-group">
+                  <label className="form-label">Email</label>
+                  <div className="input-wrapper">
+                    <svg className="input-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <rect x="2" y="4" width="20" height="16" rx="2"/>
+                      <path d="m22 7-8.97 5.7a1.94 1.94 0 0 1-2.06 0L2 7"/>
+                    </svg>
                     <input
                       type="text"
-                      name="lastName"
-                      className="form-control"
-                      value={formData.lastName}
+                      name="username"
+                      className="form-control with-icon"
+                      value={formData.username}
                       onChange={handleChange}
-                      required={isRegistering}
-                      placeholder="Last Name"
+                      required
+                      placeholder="name@agency.gov"
                     />
                   </div>
                 </div>
+              )}
 
+              {isRegistering && (
                 <div className="form-group">
-                  <label className="form-label">Email</label>
+                  <label className="form-label">Username</label>
                   <input
-                    type="email"
-                    name="email"
+                    type="text"
+                    name="username"
                     className="form-control"
-                    value={formData.email}
+                    value={formData.username}
                     onChange={handleChange}
-                    required={isRegistering}
-                    placeholder="Email Address"
+                    required
+                    placeholder="Username"
                   />
                 </div>
+              )}
 
-                <div className="form-row">
-                  <div className="form-group">
-                    <label className="form-label">Department</label>
-                    <input
-                      type="text"
-                      name="department"
-                      className="form-control"
-                      value={formData.department}
-                      onChange={handleChange}
-                      required={isRegistering}
-                      placeholder="Department"
-                    />
-                  </div>
-                  <div className="form-group">
-                    <label className="form-label">Badge Number</label>
-                    <input
-                      type="text"
-                      name="badgeNumber"
-                      className="form-control"
-                      value={formData.badgeNumber}
-                      onChange={handleChange}
-                      placeholder="Badge Number (Optional)"
-                    />
-                  </div>
-                </div>
-              </>
-            )}
-
-            {!isRegistering && (
               <div className="form-group">
-                <label className="form-label">Email</label>
+                <label className="form-label">Password</label>
                 <div className="input-wrapper">
                   <svg className="input-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                    <rect x="2" y="4" width="20" height="16" rx="2"/>
-                    <path d="m22 7-8.97 5.7a1.94 1.94 0 0 1-2.06 0L2 7"/>
+                    <rect x="3" y="11" width="18" height="11" rx="2" ry="2"/>
+                    <path d="M7 11V7a5 5 0 0 1 10 0v4"/>
                   </svg>
                   <input
-                    type="text"
-                    name="username"
+                    type="password"
+                    name="password"
                     className="form-control with-icon"
-                    value={formData.username}
+                    value={formData.password}
                     onChange={handleChange}
                     required
-                    placeholder="name@agency.gov"
+                    placeholder="••••••••"
+                    minLength={isRegistering ? "6" : undefined}
                   />
                 </div>
               </div>
-            )}
-
-            {isRegistering && (
-              <div className="form-group">
-                <label className="form-label">Username</label>
-                <input
-                  type="text"
-                  name="username"
-                  className="form-control"
-                  value={formData.username}
-                  onChange={handleChange}
-                  required
-                  placeholder="Username"
-                />
-              </div>
-            )}
 
-            <div className="form-group">
-              <label className="form-label">Password</label>
-              <div className="input-wrapper">
-                <svg className="input-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                  <rect x="3" y="11" width="18" height="11" rx="2" ry="2"/>
-                  <path d="M7 11V7a5 5 0 0 1 10 0v4"/>
-                </svg>
-                <input
-                  type="password"
-                  name="password"
-                  className="form-control with-icon"
-                  value={formData.password}
-                  onChange={handleChange}
-                  required
-                  placeholder="••••••••"
-                  minLength={isRegistering ? "6" : undefined}
-                />
-              </div>
-            </div>
+              {!isRegistering && (
+                <div className="checkbox-group">
+                  <label className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      name="rememberMe"
+                      className="checkbox-input"
+                      defaultChecked={false}
+                    />
+                    <span>Remember me</span>
+                  </label>
+                  <button
+                    type="button"
+                    className="switch-btn forgot-password-btn"
+                    onClick={() => setForgotPassword(true)}
+                  >
+                    Forgot password?
+                  </button>
+                </div>
+              )}
 
-            {!isRegistering && (
-              <div className="checkbox-group">
-                <label className="checkbox-label">
-                  <input
-                    type="checkbox"
-                    name="rememberMe"
-                    className="checkbox-input"
-                    defaultChecked={false}
-                  />
-                  <span>Remember me</span>
-                </label>
-              </div>
-            )}
+              <button
+                type="submit"
+                className="btn-primary"
+                disabled={isLoading}
+              >
+                {isLoading ? (
+                  <>
+                    <span className="spinner"></span>
+                    {isRegistering ? 'Creating Account...' : 'Signing in...'}
+                  </>
+                ) : (
+                  <>
+                    <span className="btn-arrow">→</span>
+                    {isRegistering ? 'Create Account' : 'Sign in'}
+                  </>
+                )}
+              </button>
+            </form>
 
-            <button
-              type="submit"
-              className="btn-primary"
-              disabled={isLoading}
-            >
-              {isLoading ? (
-                <>
-                  <span className="spinner"></span>
-                  {isRegistering ? 'Creating Account...' : 'Signing in...'}
-                </>
-              ) : (
-                <>
-                  <span className="btn-arrow">→</span>
-                  {isRegistering ? 'Create Account' : 'Sign in'}
-                </>
-              )}
-            </button>
-          </form>
-
-          {/* Auth Switch */}
-          <div className="auth-switch">
-            <span>
-              {isRegistering 
-                ? 'Already have an account? ' 
-                : 'New to Police Inventory? '}
-            </span>
-            <button
-              type="button"
-              className="switch-btn"
-              onClick={switchMode}
-            >
-              {isRegistering ? 'Sign In' : 'Create an account'}
-            </button>
+            {/* Auth Switch */}
+            <div className="auth-switch">
+              <span>
+                {isRegistering 
+                  ? 'Already have an account? ' 
+                  : 'New to Police Inventory? '}
+              </span>
+              <button
+                type="button"
+                className="switch-btn"
+                onClick={switchMode}
+              >
+                {isRegistering ? 'Sign In' : 'Create an account'}
+              </button>
+            </div>
           </div>
-        </div>
+        )}
       </div>
 
       {/* Footer */}
@@ -1,6 +1,10 @@
-import React from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useAuth } from '../../context/AuthContext';
 import { useNavigate } from 'react-router-dom';
+import { notificationAPI, formatDateTime } from '../../utils/api';
+import SessionsModal from './SessionsModal';
+import TwoFactorModal from './TwoFactorSetup';
+import ChangePasswordModal from './ChangePasswordModal';
 /*
   UI/UX Enhancement: This component is styled by Navigation.css.
   Enhancements include:
@@ -15,6 +19,9 @@ import './Navigation.css';
 const Navigation = ({ activeSection, setActiveSection, sections }) => {
   const { user, logout } = useAuth();
   const navigate = useNavigate();
+  const [showSessions, setShowSessions] = useState(false);
+  const [showTwoFactor, setShowTwoFactor] = useState(false);
+  const [showChangePassword, setShowChangePassword] = useState(false);
 
   const handleLogout = () => {
     logout();
@@ -32,7 +39,10 @@ const Navigation = ({ activeSection, setActiveSection, sections }) => {
     // UI/UX Enhancement: .navigation is the main styled sidebar
     <nav className="navigation">
       <div className="nav-header">
-        <h2>Police Inventory</h2>
+        <div className="nav-title-row">
+          <h2>Police Inventory</h2>
+          <NotificationBell />
+        </div>
         <div className="user-info">
           <span className="user-name">{user?.fullName || user?.username}</span>
           <span className="user-role">{user?.role}</span>
@@ -53,13 +63,140 @@ const Navigation = ({ activeSection, setActiveSection, sections }) => {
       </div>
 
       <div className="nav-footer">
+        <button className="nav-item" onClick={() => setShowSessions(true)}>
+          My Sessions
+        </button>
+        <button className="nav-item" onClick={() => setShowTwoFactor(true)}>
+          Two-Factor Auth
+        </button>
+        <button className="nav-item" onClick={() => setShowChangePassword(true)}>
+          Change Password
+        </button>
         {/* UI/UX Enhancement: .logout-btn is styled as a danger action */}
         <button className="nav-item logout-btn" onClick={handleLogout}>
           Logout
         </button>
       </div>
+
+      {showSessions && <SessionsModal onClose={() => setShowSessions(false)} />}
+      {showTwoFactor && <TwoFactorModal onClose={() => setShowTwoFactor(false)} />}
+      {showChangePassword && <ChangePasswordModal onClose={() => setShowChangePassword(false)} />}
     </nav>
   );
 };
 
+// How often the bell re-checks for new notifications
+const NOTIFICATION_POLL_MS = 60 * 1000;
+
+const NotificationBell = () => {
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [open, setOpen] = useState(false);
+  const dropdownRef = useRef(null);
+
+  const fetchNotifications = useCallback(async () => {
+    try {
+      const response = await notificationAPI.getNotifications({ limit: 10 });
+      if (response.data.success) {
+        setNotifications(response.data.data.notifications);
+        setUnreadCount(response.data.data.unreadCount);
+      }
+    } catch (error) {
+      console.error('Fetch notifications error:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchNotifications();
+    const timer = setInterval(fetchNotifications, NOTIFICATION_POLL_MS);
+    return () => clearInterval(timer);
+  }, [fetchNotifications]);
+
+  // Close the dropdown when clicking anywhere else
+  useEffect(() => {
+    if (!open) return;
+
+    const handleClickOutside = (e) => {
+      if (dropdownRef.current && !dropdownRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  const handleMarkAsRead = async (notification) => {
+    if (notification.isRead) return;
+
+    try {
+      await notificationAPI.markAsRead(notification._id);
+      setNotifications(prev => prev.map(n =>
+        n._id === notification._id ? { ...n, isRead: true } : n
+      ));
+      setUnreadCount(prev => Math.max(prev - 1, 0));
+    } catch (error) {
+      console.error('Mark notification read error:', error);
+    }
+  };
+
+  const handleMarkAllAsRead = async () => {
+    try {
+      await notificationAPI.markAllAsRead();
+      setNotifications(prev => prev.map(n => ({ ...n, isRead: true })));
+      setUnreadCount(0);
+    } catch (error) {
+      console.error('Mark all notifications read error:', error);
+    }
+  };
+
+  return (
+    <div className="notification-bell" ref={dropdownRef}>
+      <button
+        className="bell-button"
+        onClick={() => setOpen(prev => !prev)}
+        title="Notifications"
+      >
+        🔔
+        {unreadCount > 0 && (
+          <span className="bell-count">{unreadCount > 99 ? '99+' : unreadCount}</span>
+        )}
+      </button>
+
+      {open && (
+        <div className="notification-dropdown">
+          <div className="notification-dropdown-header">
+            <span>Notifications</span>
+            {unreadCount > 0 && (
+              <button className="mark-all-btn" onClick={handleMarkAllAsRead}>
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {notifications.length === 0 ? (
+            <div className="notification-empty">No notifications yet.</div>
+          ) : (
+            <div className="notification-list">
+              {notifications.map(notification => (
+                <div
+                  key={notification._id}
+                  className={`notification-item ${notification.isRead ? '' : 'unread'}`}
+                  onClick={() => handleMarkAsRead(notification)}
+                >
+                  <div className="notification-title">{notification.title}</div>
+                  {notification.message && (
+                    <div className="notification-message">{notification.message}</div>
+                  )}
+                  <div className="notification-time">{formatDateTime(notification.createdAt)}</div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
 export default Navigation;
\ No newline at end of file
@@ -0,0 +1,80 @@
+import React, { useState, useEffect } from 'react';
+import { authAPI } from '../../utils/api';
+
+const CLASS_LABELS = {
+  lower: 'a lowercase letter',
+  upper: 'an uppercase letter',
+  digit: 'a number',
+  symbol: 'a symbol'
+};
+
+const CLASS_PATTERNS = {
+  lower: /[a-z]/,
+  upper: /[A-Z]/,
+  digit: /\d/,
+  symbol: /[^a-zA-Z\d]/
+};
+
+// Fetched once and shared by every password form
+let policyPromise = null;
+
+export const usePasswordPolicy = () => {
+  const [policy, setPolicy] = useState(null);
+
+  useEffect(() => {
+    if (!policyPromise) {
+      policyPromise = authAPI.getPasswordPolicy()
+        .then(response => response.data.data.policy)
+        .catch(() => {
+          policyPromise = null;
+          return null;
+        });
+    }
+
+    let cancelled = false;
+    policyPromise.then(result => {
+      if (!cancelled) setPolicy(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return policy;
+};
+
+// Problems the browser can spot before submitting; the server also checks the
+// breached-password list and password history
+export const checkPassword = (password, policy) => {
+  if (!policy) return [];
+
+  const problems = [];
+  if (password.length < policy.minLength) {
+    problems.push(`Password must be at least ${policy.minLength} characters long`);
+  }
+
+  const passphrase = policy.passphraseLength > 0 && password.length >= policy.passphraseLength;
+  const missing = passphrase
+    ? []
+    : policy.requiredClasses.filter(name => !CLASS_PATTERNS[name].test(password));
+  if (missing.length > 0) {
+    problems.push(`Password must contain ${missing.map(name => CLASS_LABELS[name]).join(', ')}`);
+  }
+
+  return problems;
+};
+
+export const PasswordPolicyHint = ({ policy }) => {
+  if (!policy) return null;
+
+  const classes = policy.requiredClasses.map(name => CLASS_LABELS[name]).join(', ');
+
+  return (
+    <small className="password-policy-hint">
+      At least {policy.minLength} characters
+      {classes && ` with ${classes}`}
+      {classes && policy.passphraseLength > 0 && `, or a passphrase of ${policy.passphraseLength}+ characters`}.
+      {policy.historySize > 0 && ` Your last ${policy.historySize} passwords cannot be reused.`}
+    </small>
+  );
+};
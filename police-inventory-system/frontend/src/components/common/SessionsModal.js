@@ -0,0 +1,130 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { authAPI, adminAPI, formatDateTime } from '../../utils/api';
+import { toast } from 'react-toastify';
+
+// Signed-in devices of the current user, or of `user` when an admin manages someone else
+const SessionsModal = ({ user, onClose }) => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = user
+        ? await adminAPI.getUserSessions(user._id)
+        : await authAPI.getSessions();
+      setSessions(response.data.data.sessions);
+    } catch (error) {
+      toast.error('Failed to fetch sessions');
+    } finally {
+      setLoading(false);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleRevoke = async (session) => {
+    if (!window.confirm(`Sign out ${session.device} (${session.ip || 'unknown IP'})?`)) {
+      return;
+    }
+
+    try {
+      const response = user
+        ? await adminAPI.revokeUserSession(user._id, session._id)
+        : await authAPI.revokeSession(session._id);
+      toast.success(response.data.message);
+      fetchSessions();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to revoke session');
+    }
+  };
+
+  const handleRevokeAll = async () => {
+    const prompt = user
+      ? `Sign ${user.fullName} out of every session?`
+      : 'Sign out of every other session?';
+    if (!window.confirm(prompt)) {
+      return;
+    }
+
+    try {
+      const response = user
+        ? await adminAPI.revokeUserSessions(user._id)
+        : await authAPI.revokeOtherSessions();
+      toast.success(response.data.message);
+      fetchSessions();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to revoke sessions');
+    }
+  };
+
+  const revocable = sessions.filter(session => user || !session.current);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>{user ? `Sessions - ${user.fullName}` : 'My Sessions'}</h3>
+          <button onClick={onClose} className="close-btn">&times;</button>
+        </div>
+
+        {loading ? (
+          <p>Loading sessions...</p>
+        ) : sessions.length === 0 ? (
+          <p>No active sessions.</p>
+        ) : (
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Device</th>
+                <th>IP</th>
+                <th>Last Seen</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {sessions.map(session => (
+                <tr key={session._id}>
+                  <td title={session.userAgent}>
+                    {session.device}
+                    {session.current && <strong> (this device)</strong>}
+                    <div><small>Signed in {formatDateTime(session.createdAt)}</small></div>
+                  </td>
+                  <td>{session.ip || 'N/A'}</td>
+                  <td>{formatDateTime(session.lastSeenAt)}</td>
+                  <td>
+                    {!session.current && (
+                      <button
+                        className="btn btn-sm btn-danger"
+                        onClick={() => handleRevoke(session)}
+                      >
+                        Revoke
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <div className="modal-actions">
+          <button type="button" onClick={onClose} className="btn btn-secondary">
+            Close
+          </button>
+          <button
+            type="button"
+            className="btn btn-danger"
+            onClick={handleRevokeAll}
+            disabled={revocable.length === 0}
+          >
+            {user ? 'Revoke All' : 'Sign Out Other Sessions'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionsModal;
@@ -0,0 +1,331 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import { authAPI } from '../../utils/api';
+import { toast } from 'react-toastify';
+import './TwoFactor.css';
+
+// One-time recovery codes, shown once right after they are generated
+export const RecoveryCodeList = ({ codes }) => {
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      toast.success('Recovery codes copied');
+    } catch (error) {
+      toast.error('Copy failed, please write the codes down');
+    }
+  };
+
+  return (
+    <div className="recovery-codes">
+      <p className="two-factor-hint">
+        Each code signs you in once if you lose your authenticator device.
+        Store them somewhere safe; they will not be shown again.
+      </p>
+      <ul className="recovery-code-list">
+        {codes.map(code => <li key={code}><code>{code}</code></li>)}
+      </ul>
+      <button type="button" className="btn btn-secondary btn-sm" onClick={handleCopy}>
+        Copy Codes
+      </button>
+    </div>
+  );
+};
+
+// Enrollment: scan the QR code, confirm with a code, save the recovery codes.
+// With `challengeToken` (an admin signing in without two-factor) this also
+// signs the user in; `onEnabled` receives the enable response data.
+export const TwoFactorSetup = ({ challengeToken, onEnabled, onCancel }) => {
+  const [setup, setSetup] = useState(null);
+  const [setupError, setSetupError] = useState(null);
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    const startSetup = async () => {
+      try {
+        const response = await authAPI.setupTwoFactor(challengeToken ? { challengeToken } : {});
+        setSetup(response.data.data);
+      } catch (error) {
+        setSetupError(error.response?.data?.message || 'Failed to start two-factor setup');
+      }
+    };
+
+    startSetup();
+  }, [challengeToken]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+
+    try {
+      const response = await authAPI.enableTwoFactor({ code, ...(challengeToken && { challengeToken }) });
+      toast.success(response.data.message);
+      setResult(response.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to enable two-factor authentication');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (result) {
+    return (
+      <div className="two-factor-setup">
+        <RecoveryCodeList codes={result.recoveryCodes} />
+        <button type="button" className="btn btn-primary" onClick={() => onEnabled(result)}>
+          I have saved my recovery codes
+        </button>
+      </div>
+    );
+  }
+
+  if (setupError) {
+    return (
+      <div className="two-factor-setup">
+        <p className="two-factor-hint">{setupError}</p>
+        <button type="button" className="btn btn-secondary" onClick={onCancel}>
+          Back
+        </button>
+      </div>
+    );
+  }
+
+  if (!setup) {
+    return <p>Preparing two-factor setup...</p>;
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="two-factor-setup">
+      <p className="two-factor-hint">
+        Scan this QR code with an authenticator app (Google Authenticator, Authy, Microsoft Authenticator...)
+        or enter the key by hand, then type the 6-digit code it shows.
+      </p>
+      <img src={setup.qrCode} alt="Two-factor QR code" className="two-factor-qr" />
+      <div className="two-factor-secret">
+        <small>Key</small>
+        <code>{setup.secret.match(/.{1,4}/g).join(' ')}</code>
+      </div>
+
+      <div className="form-group">
+        <label className="form-label">Authentication Code</label>
+        <input
+          type="text"
+          className="form-control"
+          value={code}
+          onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          placeholder="123456"
+          required
+          autoFocus
+        />
+      </div>
+
+      <div className="modal-actions">
+        <button type="button" className="btn btn-secondary" onClick={onCancel}>
+          Cancel
+        </button>
+        <button type="submit" className="btn btn-primary" disabled={submitting || code.length !== 6}>
+          {submitting ? 'Verifying...' : 'Enable'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Self-service two-factor settings: enroll, new recovery codes, and (officers only) disable
+const TwoFactorModal = ({ onClose }) => {
+  const { user } = useAuth();
+  const [enabled, setEnabled] = useState(null);
+  const [mode, setMode] = useState(null);
+  const [formData, setFormData] = useState({ code: '', password: '' });
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    const fetchStatus = async () => {
+      try {
+        const response = await authAPI.getProfile();
+        setEnabled(Boolean(response.data.data.user.twoFactor?.enabled));
+      } catch (error) {
+        toast.error('Failed to load two-factor settings');
+      }
+    };
+
+    fetchStatus();
+  }, []);
+
+  const changeMode = (nextMode) => {
+    setMode(nextMode);
+    setFormData({ code: '', password: '' });
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+
+    try {
+      const response = await authAPI.regenerateRecoveryCodes({ code: formData.code });
+      toast.success(response.data.message);
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      changeMode(null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to generate recovery codes');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+
+    try {
+      const response = await authAPI.disableTwoFactor(formData);
+      toast.success(response.data.message);
+      setEnabled(false);
+      changeMode(null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to disable two-factor authentication');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleEnabled = () => {
+    setEnabled(true);
+    changeMode(null);
+  };
+
+  const codeInput = (
+    <div className="form-group">
+      <label>Authentication Code</label>
+      <input
+        type="text"
+        value={formData.code}
+        onChange={(e) => setFormData({ ...formData, code: e.target.value.replace(/\D/g, '').slice(0, 6) })}
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        placeholder="123456"
+        required
+      />
+    </div>
+  );
+
+  const renderBody = () => {
+    if (enabled === null) {
+      return <p>Loading...</p>;
+    }
+
+    if (mode === 'setup') {
+      return <TwoFactorSetup onEnabled={handleEnabled} onCancel={() => changeMode(null)} />;
+    }
+
+    if (recoveryCodes) {
+      return (
+        <>
+          <RecoveryCodeList codes={recoveryCodes} />
+          <div className="modal-actions">
+            <button type="button" className="btn btn-primary" onClick={() => setRecoveryCodes(null)}>
+              Done
+            </button>
+          </div>
+        </>
+      );
+    }
+
+    if (mode === 'recovery') {
+      return (
+        <form onSubmit={handleRegenerate}>
+          <p>Enter a code from your authenticator app. Your current recovery codes will stop working.</p>
+          {codeInput}
+          <div className="modal-actions">
+            <button type="button" className="btn btn-secondary" onClick={() => changeMode(null)}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={submitting}>
+              {submitting ? 'Generating...' : 'Generate New Codes'}
+            </button>
+          </div>
+        </form>
+      );
+    }
+
+    if (mode === 'disable') {
+      return (
+        <form onSubmit={handleDisable}>
+          <div className="form-group">
+            <label>Password</label>
+            <input
+              type="password"
+              value={formData.password}
+              onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+              required
+            />
+          </div>
+          {codeInput}
+          <div className="modal-actions">
+            <button type="button" className="btn btn-secondary" onClick={() => changeMode(null)}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-danger" disabled={submitting}>
+              {submitting ? 'Disabling...' : 'Disable Two-Factor'}
+            </button>
+          </div>
+        </form>
+      );
+    }
+
+    return (
+      <>
+        <p>
+          Status: <span className={`status-badge status-${enabled ? 'approved' : 'pending'}`}>
+            {enabled ? 'Enabled' : 'Not enabled'}
+          </span>
+        </p>
+        <p className="two-factor-hint">
+          {user?.role === 'admin'
+            ? 'Two-factor authentication is mandatory for admin accounts.'
+            : 'Two-factor authentication is optional for officers but strongly recommended.'}
+        </p>
+        <div className="modal-actions">
+          <button type="button" onClick={onClose} className="btn btn-secondary">
+            Close
+          </button>
+          {enabled ? (
+            <>
+              <button type="button" className="btn btn-primary" onClick={() => changeMode('recovery')}>
+                New Recovery Codes
+              </button>
+              {user?.role !== 'admin' && (
+                <button type="button" className="btn btn-danger" onClick={() => changeMode('disable')}>
+                  Disable
+                </button>
+              )}
+            </>
+          ) : (
+            <button type="button" className="btn btn-primary" onClick={() => changeMode('setup')}>
+              Set Up
+            </button>
+          )}
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Two-Factor Authentication</h3>
+          <button onClick={onClose} className="close-btn">&times;</button>
+        </div>
+
+        {renderBody()}
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorModal;
@@ -131,8 +131,44 @@ const OfficerDashboardStats = ({ data }) => {
           subtitle="Ready to request"
           color="green"
         />
+
+        {data.stats.overdueItems > 0 && (
+          <StatCard
+            icon="⏰"
+            title="Overdue Returns"
+            value={data.stats.overdueItems}
+            subtitle="Please return immediately"
+            color="orange"
+            urgent
+          />
+        )}
       </div>
 
+      {data.overdueItems && data.overdueItems.length > 0 && (
+        <div className="dashboard-card">
+          <h3>Overdue Equipment</h3>
+          <div className="recent-activity">
+            {data.overdueItems.map((item) => (
+              <div key={`${item.poolId}-${item.uniqueId || item.issueId}`} className="activity-item">
+                <div className="activity-info">
+                  <div className="activity-title">
+                    {item.poolName} ({item.label})
+                  </div>
+                  <div className="activity-meta">
+                    Due {new Date(item.expectedReturnDate).toLocaleDateString()}
+                  </div>
+                </div>
+                <div className="activity-status">
+                  <span className="status-badge status-overdue">
+                    {item.daysOverdue > 0 ? `${item.daysOverdue}d overdue` : `${item.hoursOverdue}h overdue`}
+                  </span>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {data.recentActivity && data.recentActivity.length > 0 && (
         <div className="dashboard-card">
           <h3>Recent Activity</h3>
@@ -143,7 +179,7 @@ const OfficerDashboardStats = ({ data }) => {
               <div key={request._id} className="activity-item">
                 <div className="activity-info">
                   <div className="activity-title">
-                    {request.equipmentId?.name}
+                    {request.kitName ? `${request.kitName} kit` : request.equipmentId?.name || (request.quantity ? `${request.approvedQuantity || request.quantity} x ${request.poolName}` : request.poolName)}
                   </div>
                   <div className="activity-meta">
                     {request.requestType} • {new Date(request.createdAt).toLocaleDateString()}
@@ -250,7 +286,7 @@ const MyRequests = () => {
                   </div>
 
                   <div className="request-details">
-                    <h4>{request.equipmentId?.name}</h4>
+                    <h4>{request.kitName ? `${request.kitName} kit` : request.equipmentId?.name || (request.quantity ? `${request.approvedQuantity || request.quantity} x ${request.poolName}` : request.poolName)}</h4>
                     <p className="request-meta">
                       {request.equipmentId?.model} • {request.requestType} • {new Date(request.createdAt).toLocaleDateString()}
                     </p>
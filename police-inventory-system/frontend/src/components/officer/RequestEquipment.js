@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { officerAPI } from '../../utils/api';
+import { officerAPI, kitAPI } from '../../utils/api';
 import { toast } from 'react-toastify';
 
 const RequestEquipment = ({ onRequestSubmitted }) => {
@@ -7,11 +7,14 @@ const RequestEquipment = ({ onRequestSubmitted }) => {
   const [loading, setLoading] = useState(true);
   const [showRequestModal, setShowRequestModal] = useState(false);
   const [selectedPool, setSelectedPool] = useState(null);
+  const [kits, setKits] = useState([]);
+  const [selectedKit, setSelectedKit] = useState(null);
   const [requestData, setRequestData] = useState({
     purpose: '',
     urgency: 'Normal',
     expectedDuration: '',
-    notes: ''
+    notes: '',
+    quantity: 1
   });
   const [categoryFilter, setCategoryFilter] = useState('');
   const [searchTerm, setSearchTerm] = useState('');
@@ -26,6 +29,21 @@ const RequestEquipment = ({ onRequestSubmitted }) => {
     fetchAuthorizedPools();
   }, [categoryFilter, searchTerm]);
 
+  useEffect(() => {
+    fetchKits();
+  }, []);
+
+  const fetchKits = async () => {
+    try {
+      const response = await kitAPI.getKits();
+      if (response.data.success) {
+        setKits(response.data.data.kits);
+      }
+    } catch (error) {
+      console.error('Fetch kits error:', error);
+    }
+  };
+
   const fetchAuthorizedPools = async () => {
     try {
       setLoading(true);
@@ -51,12 +69,27 @@ const RequestEquipment = ({ onRequestSubmitted }) => {
 
   const handleRequestEquipment = (pool) => {
     setSelectedPool(pool);
+    setSelectedKit(null);
     setShowRequestModal(true);
     setRequestData({
       purpose: '',
       urgency: 'Normal',
       expectedDuration: '',
-      notes: ''
+      notes: '',
+      quantity: 1
+    });
+  };
+
+  const handleRequestKit = (kit) => {
+    setSelectedKit(kit);
+    setSelectedPool(null);
+    setShowRequestModal(true);
+    setRequestData({
+      purpose: '',
+      urgency: 'Normal',
+      expectedDuration: '',
+      notes: '',
+      quantity: 1
     });
   };
 
@@ -68,11 +101,28 @@ const RequestEquipment = ({ onRequestSubmitted }) => {
     }
 
     try {
+      if (selectedKit) {
+        await officerAPI.requestKit({
+          kitId: selectedKit._id,
+          reason: requestData.purpose,
+          expectedDuration: requestData.expectedDuration
+        });
+        toast.success('Kit request submitted successfully!');
+        setShowRequestModal(false);
+        setSelectedKit(null);
+        fetchKits();
+        if (onRequestSubmitted) {
+          onRequestSubmitted();
+        }
+        return;
+      }
+
       const response = await officerAPI.requestEquipmentFromPool({
         poolId: selectedPool._id,
         poolName: selectedPool.poolName,
         category: selectedPool.category,
         model: selectedPool.model,
+        reason: requestData.purpose,
         ...requestData
       });
 
@@ -137,6 +187,47 @@ const RequestEquipment = ({ onRequestSubmitted }) => {
         </select>
       </div>
 
+      {/* Kits: several pools requested together */}
+      {kits.length > 0 && (
+        <>
+          <h3>Kits</h3>
+          <div className="equipment-grid">
+            {kits.map(kit => (
+              <div key={kit._id} className="equipment-card">
+                <div className="equipment-card-header">
+                  <h3>{kit.name}</h3>
+                  <span className={`badge badge-${kit.available ? 'success' : 'warning'}`}>
+                    {kit.available ? 'Available' : 'Partly available'}
+                  </span>
+                </div>
+
+                <div className="equipment-card-body">
+                  <div className="equipment-info">
+                    {kit.description && <p className="note-text">{kit.description}</p>}
+                    {kit.items.map(item => (
+                      <div key={item.poolId} className="info-row">
+                        <span className="info-label">{item.quantity} x {item.poolName}</span>
+                        <span className="info-value">{item.availableCount} available</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
+                <div className="equipment-card-footer">
+                  <button
+                    className="btn btn-primary btn-full-width"
+                    onClick={() => handleRequestKit(kit)}
+                  >
+                    Request Kit
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+          <h3>Individual Equipment</h3>
+        </>
+      )}
+
       {/* Equipment Pools Grid */}
       {pools.length === 0 ? (
         <div className="empty-state">
@@ -153,7 +244,7 @@ const RequestEquipment = ({ onRequestSubmitted }) => {
                   pool.availableCount > 10 ? 'success' : 
                   pool.availableCount > 5 ? 'warning' : 'error'
                 }`}>
-                  {pool.availableCount} Available
+                  {pool.availableCount} {pool.trackingType === 'Consumable' ? pool.unit : ''} Available
                 </span>
               </div>
               
@@ -203,11 +294,11 @@ const RequestEquipment = ({ onRequestSubmitted }) => {
       )}
 
       {/* Request Modal */}
-      {showRequestModal && selectedPool && (
+      {showRequestModal && (selectedPool || selectedKit) && (
         <div className="modal-overlay" onClick={() => setShowRequestModal(false)}>
           <div className="modal-content" onClick={(e) => e.stopPropagation()}>
             <div className="modal-header">
-              <h3>Request: {selectedPool.poolName}</h3>
+              <h3>Request: {selectedKit ? `${selectedKit.name} kit` : selectedPool.poolName}</h3>
               <button 
                 className="close-button"
                 onClick={() => setShowRequestModal(false)}
@@ -217,26 +308,63 @@ const RequestEquipment = ({ onRequestSubmitted }) => {
             </div>
             
             <form onSubmit={handleSubmitRequest} className="modal-body">
-              <div className="form-section">
-                <h4>Equipment Details</h4>
-                <div className="equipment-summary">
-                  <div className="summary-row">
-                    <strong>Pool:</strong> {selectedPool.poolName}
-                  </div>
-                  <div className="summary-row">
-                    <strong>Category:</strong> {selectedPool.category}
+              {selectedKit ? (
+                <div className="form-section">
+                  <h4>Kit Contents</h4>
+                  <div className="equipment-summary">
+                    {selectedKit.items.map(item => (
+                      <div key={item.poolId} className="summary-row">
+                        <strong>{item.quantity} x</strong> {item.poolName}
+                      </div>
+                    ))}
+                    <p className="note-text">
+                      The whole kit is approved and returned as one request. An admin may approve part of it
+                      if some items are short.
+                    </p>
                   </div>
-                  <div className="summary-row">
-                    <strong>Model:</strong> {selectedPool.model}
-                  </div>
-                  <div className="summary-row">
-                    <strong>Available:</strong> {selectedPool.availableCount} items
+                </div>
+              ) : (
+                <div className="form-section">
+                  <h4>Equipment Details</h4>
+                  <div className="equipment-summary">
+                    <div className="summary-row">
+                      <strong>Pool:</strong> {selectedPool.poolName}
+                    </div>
+                    <div className="summary-row">
+                      <strong>Category:</strong> {selectedPool.category}
+                    </div>
+                    <div className="summary-row">
+                      <strong>Model:</strong> {selectedPool.model}
+                    </div>
+                    <div className="summary-row">
+                      <strong>Available:</strong> {selectedPool.availableCount} {selectedPool.trackingType === 'Consumable' ? selectedPool.unit : 'items'}
+                    </div>
+                    {selectedPool.trackingType === 'Consumable' ? (
+                      <>
+                        <div className="form-group">
+                          <label>Quantity ({selectedPool.unit}) <span className="required">*</span></label>
+                          <input
+                            type="number"
+                            name="quantity"
+                            min="1"
+                            max={selectedPool.availableCount}
+                            value={requestData.quantity}
+                            onChange={handleInputChange}
+                            required
+                          />
+                        </div>
+                        <p className="note-text">
+                          Report how much you expended afterwards and return the unused quantity to the armory.
+                        </p>
+                      </>
+                    ) : (
+                      <p className="note-text">
+                        An item will be automatically assigned from this pool upon approval.
+                      </p>
+                    )}
                   </div>
-                  <p className="note-text">
-                    An item will be automatically assigned from this pool upon approval.
-                  </p>
                 </div>
-              </div>
+              )}
 
               <div className="form-section">
                 <h4>Request Information</h4>
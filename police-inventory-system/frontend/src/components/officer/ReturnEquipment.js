@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { officerAPI } from '../../utils/api';
 import { toast } from 'react-toastify';
+import IncidentReportModal from '../common/IncidentReportModal';
 
 /*
   UI/UX Enhancement: This component is now styled by OfficerDashboard.css.
@@ -11,22 +12,27 @@ import { toast } from 'react-toastify';
 */
 
 const ReturnEquipment = ({ onEquipmentReturned }) => {
-  const [issuedEquipment, setIssuedEquipment] = useState([]);
+  const [issuedItems, setIssuedItems] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showReturnModal, setShowReturnModal] = useState(false);
-  const [selectedEquipment, setSelectedEquipment] = useState(null);
+  const [selectedItem, setSelectedItem] = useState(null);
+  const [incidentItem, setIncidentItem] = useState(null);
+  const [returnKit, setReturnKit] = useState(null);
+  const [consumables, setConsumables] = useState([]);
+  const [reportIssue, setReportIssue] = useState(null);
 
   useEffect(() => {
-    fetchIssuedEquipment();
+    fetchIssuedItems();
   }, []);
 
-  const fetchIssuedEquipment = async () => {
+  const fetchIssuedItems = async () => {
     try {
       setLoading(true);
-      const response = await officerAPI.getIssuedEquipment();
+      const response = await officerAPI.getIssuedPoolItems();
 
       if (response.data.success) {
-        setIssuedEquipment(response.data.data.equipment);
+        setIssuedItems(response.data.data.items);
+        setConsumables(response.data.data.consumables || []);
       }
     } catch (error) {
       toast.error('Failed to fetch issued equipment');
@@ -35,8 +41,18 @@ const ReturnEquipment = ({ onEquipmentReturned }) => {
     }
   };
 
-  const handleReturnRequest = (equipment) => {
-    setSelectedEquipment(equipment);
+  // Items issued as part of a kit, grouped by the kit request they came from
+  const kitGroups = Object.values(issuedItems.reduce((groups, item) => {
+    if (item.kitRequest) {
+      const key = item.kitRequest._id;
+      groups[key] = groups[key] || { ...item.kitRequest, items: [] };
+      groups[key].items.push(item);
+    }
+    return groups;
+  }, {}));
+
+  const handleReturnRequest = (item) => {
+    setSelectedItem(item);
     setShowReturnModal(true);
   };
 
@@ -58,33 +74,100 @@ const ReturnEquipment = ({ onEquipmentReturned }) => {
         <p>Below are the equipment items currently assigned to you. Click "Return" to submit a return request.</p>
       </div>
 
-      {issuedEquipment.length === 0 ? (
-        /* UI/UX Enhancement: Styled by .no-data */
-        <div className="no-data">
-          <p>You don't have any equipment issued to you.</p>
+      {kitGroups.map(kit => {
+        const pendingReturn = kit.items.find(item => item.pendingReturnRequestId)?.pendingReturnRequestId;
+        return (
+          <div key={kit._id} className="kit-group">
+            <h4>{kit.kitName} kit ({kit.requestId})</h4>
+            <p>{kit.items.map(item => item.uniqueId).join(', ')}</p>
+            {pendingReturn ? (
+              <span className="status-badge status-pending">Return pending ({pendingReturn})</span>
+            ) : (
+              <button className="btn btn-sm btn-warning" onClick={() => setReturnKit(kit)}>
+                Return Kit
+              </button>
+            )}
+          </div>
+        );
+      })}
+
+      {consumables.length > 0 && (
+        <div className="issued-equipment-grid">
+          {consumables.map(issue => (
+            <ConsumableIssueCard
+              key={issue.issueId}
+              issue={issue}
+              onReport={setReportIssue}
+            />
+          ))}
         </div>
+      )}
+
+      {issuedItems.length === 0 ? (
+        consumables.length === 0 && (
+          /* UI/UX Enhancement: Styled by .no-data */
+          <div className="no-data">
+            <p>You don't have any equipment issued to you.</p>
+          </div>
+        )
       ) : (
         /* UI/UX Enhancement: Styled by .issued-equipment-grid */
         <div className="issued-equipment-grid">
-          {issuedEquipment.map((equipment) => (
-            <IssuedEquipmentCard
-              key={equipment._id}
-              equipment={equipment}
+          {issuedItems.map((item) => (
+            <IssuedItemCard
+              key={`${item.poolId}-${item.uniqueId}`}
+              item={item}
               onReturn={handleReturnRequest}
+              onReportIncident={setIncidentItem}
             />
           ))}
         </div>
       )}
 
-      {showReturnModal && selectedEquipment && (
+      {showReturnModal && selectedItem && (
         <ReturnModal
-          equipment={selectedEquipment}
+          item={selectedItem}
           onClose={() => {
             setShowReturnModal(false);
-            setSelectedEquipment(null);
+            setSelectedItem(null);
           }}
           onSuccess={() => {
-            fetchIssuedEquipment();
+            fetchIssuedItems();
+            if (onEquipmentReturned) onEquipmentReturned();
+          }}
+        />
+      )}
+
+      {returnKit && (
+        <KitReturnModal
+          kit={returnKit}
+          onClose={() => setReturnKit(null)}
+          onSuccess={() => {
+            fetchIssuedItems();
+            if (onEquipmentReturned) onEquipmentReturned();
+          }}
+        />
+      )}
+
+      {reportIssue && (
+        <ExpenditureModal
+          issue={reportIssue}
+          onClose={() => setReportIssue(null)}
+          onSuccess={() => {
+            setReportIssue(null);
+            fetchIssuedItems();
+          }}
+        />
+      )}
+
+      {incidentItem && (
+        <IncidentReportModal
+          poolId={incidentItem.poolId}
+          poolName={incidentItem.poolName}
+          uniqueId={incidentItem.uniqueId}
+          onClose={() => setIncidentItem(null)}
+          onSuccess={() => {
+            fetchIssuedItems();
             if (onEquipmentReturned) onEquipmentReturned();
           }}
         />
@@ -98,35 +181,35 @@ const ReturnEquipment = ({ onEquipmentReturned }) => {
   and adds .issued-card and .overdue styles for specific highlighting.
   All details (.issue-details) are now cleanly formatted.
 */
-const IssuedEquipmentCard = ({ equipment, onReturn }) => {
-  const isOverdue = equipment.issuedTo.expectedReturnDate && 
-    new Date(equipment.issuedTo.expectedReturnDate) < new Date();
+const IssuedItemCard = ({ item, onReturn, onReportIncident }) => {
+  const isOverdue = item.expectedReturnDate && 
+    new Date(item.expectedReturnDate) < new Date();
 
   const daysHeld = Math.floor(
-    (new Date() - new Date(equipment.issuedTo.issuedDate)) / (1000 * 60 * 60 * 24)
+    (new Date() - new Date(item.issuedDate)) / (1000 * 60 * 60 * 24)
   );
 
   return (
     <div className={`equipment-card issued-card ${isOverdue ? 'overdue' : ''}`}>
       <div className="equipment-info">
-        <h4>{equipment.name}</h4>
-        <p className="equipment-model">{equipment.model}</p>
+        <h4>{item.poolName}</h4>
+        <p className="equipment-model">{item.model}</p>
         <div className="equipment-details">
-          <span className="equipment-category">{equipment.category}</span>
-          <span className="equipment-serial">SN: {equipment.serialNumber}</span>
+          <span className="equipment-category">{item.category}</span>
+          <span className="equipment-serial">ID: {item.uniqueId}</span>
         </div>
 
         {/* UI/UX Enhancement: Styled by .issue-details */}
         <div className="issue-details">
           <div className="issue-info">
-            <strong>Issued:</strong> {new Date(equipment.issuedTo.issuedDate).toLocaleDateString()}
+            <strong>Issued:</strong> {new Date(item.issuedDate).toLocaleDateString()}
           </div>
           <div className="issue-info">
             <strong>Days Held:</strong> {daysHeld} days
           </div>
-          {equipment.issuedTo.expectedReturnDate && (
+          {item.expectedReturnDate && (
             <div className={`issue-info ${isOverdue ? 'overdue-text' : ''}`}>
-              <strong>Expected Return:</strong> {new Date(equipment.issuedTo.expectedReturnDate).toLocaleDateString()}
+              <strong>Expected Return:</strong> {new Date(item.expectedReturnDate).toLocaleDateString()}
               {isOverdue && <span className="overdue-label">OVERDUE</span>}
             </div>
           )}
@@ -135,17 +218,174 @@ const IssuedEquipmentCard = ({ equipment, onReturn }) => {
 
       <div className="equipment-actions">
         {/* UI/UX Enhancement: Buttons are styled by .btn */}
+        {item.pendingReturnRequestId ? (
+          <span className="status-badge status-pending">
+            Return pending ({item.pendingReturnRequestId})
+          </span>
+        ) : (
+          <button
+            onClick={() => onReturn(item)}
+            className={`btn btn-sm ${isOverdue ? 'btn-danger' : 'btn-warning'}`}
+          >
+            {isOverdue ? 'Return Overdue' : 'Return Equipment'}
+          </button>
+        )}
         <button
-          onClick={() => onReturn(equipment)}
-          className={`btn btn-sm ${isOverdue ? 'btn-danger' : 'btn-warning'}`}
+          onClick={() => onReportIncident(item)}
+          className="btn btn-sm btn-secondary"
         >
-          {isOverdue ? 'Return Overdue' : 'Return Equipment'}
+          Report Lost / Damaged
         </button>
       </div>
     </div>
   );
 };
 
+// Consumable stock issued by quantity; the unused quantity is handed back at the armory
+const ConsumableIssueCard = ({ issue, onReport }) => {
+  const isOverdue = issue.expectedReturnDate &&
+    new Date(issue.expectedReturnDate) < new Date();
+
+  return (
+    <div className={`equipment-card issued-card ${isOverdue ? 'overdue' : ''}`}>
+      <div className="equipment-info">
+        <h4>{issue.poolName}</h4>
+        <p className="equipment-model">{issue.model}</p>
+        <div className="equipment-details">
+          <span className="equipment-category">{issue.category}</span>
+          <span className="equipment-serial">{issue.quantity} {issue.unit}</span>
+        </div>
+
+        <div className="issue-details">
+          <div className="issue-info">
+            <strong>Issued:</strong> {new Date(issue.issuedDate).toLocaleDateString()}
+          </div>
+          <div className="issue-info">
+            <strong>Lots:</strong> {issue.lots.join(', ')}
+          </div>
+          {issue.expectedReturnDate && (
+            <div className={`issue-info ${isOverdue ? 'overdue-text' : ''}`}>
+              <strong>Return Unused By:</strong> {new Date(issue.expectedReturnDate).toLocaleDateString()}
+              {isOverdue && <span className="overdue-label">OVERDUE</span>}
+            </div>
+          )}
+          {issue.expenditureReport && (
+            <div className="issue-info">
+              <strong>Reported Expended:</strong> {issue.expenditureReport.expendedQuantity} {issue.unit}
+              {' '}(return {issue.quantity - issue.expenditureReport.expendedQuantity})
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="equipment-actions">
+        <button
+          onClick={() => onReport(issue)}
+          className="btn btn-sm btn-warning"
+        >
+          {issue.expenditureReport ? 'Correct Usage Report' : 'Report Usage'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const ExpenditureModal = ({ issue, onClose, onSuccess }) => {
+  const [formData, setFormData] = useState({
+    expendedQuantity: issue.expenditureReport?.expendedQuantity ?? '',
+    remarks: issue.expenditureReport?.remarks || ''
+  });
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await officerAPI.reportExpenditure(issue.poolId, issue.issueId, {
+        expendedQuantity: Number(formData.expendedQuantity),
+        remarks: formData.remarks
+      });
+      toast.success(response.data.message);
+      onSuccess();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to report usage');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Report Usage - {issue.poolName}</h3>
+          <button onClick={onClose} className="close-btn">&times;</button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label className="form-label">Quantity Expended ({issue.unit}) *</label>
+            <input
+              type="number"
+              name="expendedQuantity"
+              min="0"
+              max={issue.quantity}
+              value={formData.expendedQuantity}
+              onChange={handleChange}
+              className="form-control"
+              required
+            />
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Remarks</label>
+            <textarea
+              name="remarks"
+              value={formData.remarks}
+              onChange={handleChange}
+              className="form-control"
+              rows="3"
+              placeholder="e.g., Range qualification, 2 magazines"
+            />
+          </div>
+
+          <div className="form-note">
+            <p>
+              You were issued {issue.quantity} {issue.unit}. Hand the unused quantity back at the armory;
+              the admin settles the issue once it is received.
+            </p>
+          </div>
+
+          <div className="modal-actions">
+            <button
+              type="button"
+              onClick={onClose}
+              className="btn btn-secondary"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={loading}
+            >
+              {loading ? 'Saving...' : 'Submit Report'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
 /*
   UI/UX Enhancement: This modal is now fully styled by the CSS:
   - .overdue-notice provides clear warning.
@@ -153,11 +393,11 @@ const IssuedEquipmentCard = ({ equipment, onReturn }) => {
   - .form-note provides clear context to the user.
   - .modal-actions for the styled footer.
 */
-const ReturnModal = ({ equipment, onClose, onSuccess }) => {
+const ReturnModal = ({ item, onClose, onSuccess }) => {
   const [formData, setFormData] = useState({
     reason: '',
     priority: 'Medium',
-    condition: equipment.condition
+    condition: item.condition
   });
   const [loading, setLoading] = useState(false);
 
@@ -173,23 +413,23 @@ const ReturnModal = ({ equipment, onClose, onSuccess }) => {
     setLoading(true);
 
     try {
-      await officerAPI.createRequest({
-        equipmentId: equipment._id,
-        requestType: 'Return',
+      await officerAPI.createPoolReturnRequest({
+        poolId: item.poolId,
+        uniqueId: item.uniqueId,
         ...formData
       });
       toast.success('Return request submitted successfully');
       onSuccess();
       onClose();
     } catch (error) {
-      toast.error('Failed to submit return request');
+      toast.error(error.response?.data?.message || 'Failed to submit return request');
     } finally {
       setLoading(false);
     }
   };
 
-  const isOverdue = equipment.issuedTo.expectedReturnDate && 
-    new Date(equipment.issuedTo.expectedReturnDate) < new Date();
+  const isOverdue = item.expectedReturnDate && 
+    new Date(item.expectedReturnDate) < new Date();
 
   return (
     <div className="modal-overlay" onClick={onClose}>
@@ -203,15 +443,15 @@ const ReturnModal = ({ equipment, onClose, onSuccess }) => {
           /* UI/UX Enhancement: Styled by .overdue-notice */
           <div className="overdue-notice">
             <strong>⚠️ This equipment is overdue for return!</strong>
-            <p>Expected return date was: {new Date(equipment.issuedTo.expectedReturnDate).toLocaleDateString()}</p>
+            <p>Expected return date was: {new Date(item.expectedReturnDate).toLocaleDateString()}</p>
           </div>
         )}
 
         <div className="equipment-summary">
-          <h4>{equipment.name}</h4>
-          <p>{equipment.model} - {equipment.serialNumber}</p>
-          <p>Category: {equipment.category}</p>
-          <p>Issued Date: {new Date(equipment.issuedTo.issuedDate).toLocaleDateString()}</p>
+          <h4>{item.poolName}</h4>
+          <p>{item.model} - {item.uniqueId}</p>
+          <p>Category: {item.category}</p>
+          <p>Issued Date: {new Date(item.issuedDate).toLocaleDateString()}</p>
         </div>
 
         <form onSubmit={handleSubmit}>
@@ -255,7 +495,6 @@ const ReturnModal = ({ equipment, onClose, onSuccess }) => {
                 <option value="Good">Good</option>
                 <option value="Fair">Fair</option>
                 <option value="Poor">Poor</option>
-                <option value="Out of Service">Out of Service</option>
               </select>
             </div>
           </div>
@@ -288,4 +527,123 @@ const ReturnModal = ({ equipment, onClose, onSuccess }) => {
   );
 };
 
+// Return every item of an issued kit in one request, with the condition of each
+const KitReturnModal = ({ kit, onClose, onSuccess }) => {
+  const [conditions, setConditions] = useState(() => Object.fromEntries(
+    kit.items.map(item => [item.uniqueId, item.condition])
+  ));
+  const [formData, setFormData] = useState({
+    reason: '',
+    priority: 'Medium'
+  });
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      await officerAPI.createKitReturnRequest({
+        requestId: kit._id,
+        conditions,
+        ...formData
+      });
+      toast.success('Kit return request submitted successfully');
+      onSuccess();
+      onClose();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to submit kit return request');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Return {kit.kitName} Kit</h3>
+          <button onClick={onClose} className="close-btn">&times;</button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label className="form-label">Condition of Each Item</label>
+            {kit.items.map(item => (
+              <div key={`${item.poolId}-${item.uniqueId}`} className="kit-line">
+                <span>{item.uniqueId} ({item.poolName})</span>
+                <select
+                  value={conditions[item.uniqueId]}
+                  onChange={(e) => setConditions({ ...conditions, [item.uniqueId]: e.target.value })}
+                  className="form-control"
+                >
+                  <option value="Excellent">Excellent</option>
+                  <option value="Good">Good</option>
+                  <option value="Fair">Fair</option>
+                  <option value="Poor">Poor</option>
+                </select>
+              </div>
+            ))}
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Reason for Return</label>
+            <textarea
+              name="reason"
+              value={formData.reason}
+              onChange={handleChange}
+              className="form-control"
+              rows="3"
+              required
+            />
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Priority</label>
+            <select
+              name="priority"
+              value={formData.priority}
+              onChange={handleChange}
+              className="form-control"
+            >
+              <option value="Low">Low</option>
+              <option value="Medium">Medium</option>
+              <option value="High">High</option>
+              <option value="Urgent">Urgent</option>
+            </select>
+          </div>
+
+          <div className="form-note">
+            <p><strong>Note:</strong> Every item of the kit you still hold is returned together once an admin approves.</p>
+          </div>
+
+          <div className="modal-actions">
+            <button
+              type="button"
+              onClick={onClose}
+              className="btn btn-secondary"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={loading}
+            >
+              {loading ? 'Submitting...' : 'Submit Kit Return'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
 export default ReturnEquipment;
\ No newline at end of file
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { officerAPI } from '../../utils/api';
 import { toast } from 'react-toastify';
+import { useServerEvent } from '../../utils/serverEvents';
 
 /*
   UI/UX Enhancement: This component is now styled by OfficerDashboard.css.
@@ -25,6 +26,17 @@ const ViewInventory = () => {
     fetchEquipment();
   }, [currentPage, categoryFilter, searchTerm]);
 
+  // Patch availability in place as items are issued and returned
+  useServerEvent('pool:updated', (data) => {
+    const patch = (pool) => (pool._id === data.poolId ? { ...pool, ...data, _id: pool._id } : pool);
+    setEquipment(prev => prev.map(patch));
+    setSelectedPool(prev => (prev ? patch(prev) : prev));
+  });
+
+  useServerEvent('pool:deleted', (data) => {
+    setEquipment(prev => prev.filter(pool => pool._id !== data.poolId));
+  });
+
   const fetchEquipment = async () => {
     try {
       setLoading(true);
@@ -1,5 +1,5 @@
 import React, { createContext, useState, useContext, useEffect, useRef, useCallback } from 'react';
-import api from '../utils/api';
+import api, { authAPI, setSessionTokens, clearSessionTokens } from '../utils/api';
 import { toast } from 'react-toastify';
 
 const AuthContext = createContext();
@@ -34,8 +34,7 @@ export const AuthProvider = ({ children }) => {
 
   const clearSession = useCallback(debounce(() => {
     console.log('🧹 Clearing session data');
-    localStorage.removeItem('token');
-    delete api.defaults.headers.common['Authorization'];
+    clearSessionTokens();
     setUser(null);
     setIsAuthenticated(false);
     loginInProgress.current = false;
@@ -58,7 +57,7 @@ export const AuthProvider = ({ children }) => {
         // Set default authorization header
         api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
 
-        // Validate token by fetching user profile  
+        // Validate token by fetching user profile (an expired token is refreshed by the API interceptor)
         console.log('🔐 Validating token...');
         const response = await api.get('/auth/me');
 
@@ -90,6 +89,48 @@ export const AuthProvider = ({ children }) => {
     }
   }, [checkInitialAuth]);
 
+  // Start the session from a completed login response ({ user, token, refreshToken })
+  const completeLogin = useCallback(({ user, token, refreshToken }) => {
+    // Store the session tokens and set the default authorization header
+    setSessionTokens({ token, refreshToken });
+
+    // Update state
+    setUser(user);
+    setIsAuthenticated(true);
+  }, []);
+
+  // Second login step with an authenticator code or a recovery code
+  const verifyTwoFactor = async (data) => {
+    try {
+      const response = await authAPI.verifyTwoFactor(data);
+      const { user, recoveryCodesRemaining, passwordChangeRequired } = response.data.data;
+
+      // The password still has to be changed before the session starts
+      if (passwordChangeRequired) {
+        if (recoveryCodesRemaining !== undefined) {
+          toast.warning(`${recoveryCodesRemaining} recovery code(s) left`);
+        }
+        return { success: false, challenge: response.data.data, message: response.data.message };
+      }
+
+      completeLogin(response.data.data);
+
+      if (recoveryCodesRemaining !== undefined) {
+        toast.warning(response.data.message);
+      } else {
+        toast.success(`Welcome back, ${user.firstName}!`);
+      }
+
+      return { success: true, user };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Verification failed';
+      if (![423, 429].includes(error.response?.status)) {
+        toast.error(message);
+      }
+      return { success: false, message };
+    }
+  };
+
   const login = async (credentials) => {
     if (loginInProgress.current) {
       console.log('🔄 Login already in progress, ignoring');
@@ -104,20 +145,16 @@ export const AuthProvider = ({ children }) => {
       const response = await api.post('/auth/login', credentials);
 
       if (response.data.success) {
-        const { user, token } = response.data.data;
+        // Password accepted; a further step (code, two-factor setup or new password) is still needed
+        if (response.data.data.challengeToken) {
+          console.log('🔐 Further login step required');
+          return { success: false, challenge: response.data.data, message: response.data.message };
+        }
 
+        const { user } = response.data.data;
         console.log('✅ Login successful for:', user.username, 'Role:', user.role);
 
-        // Store token in localStorage
-        localStorage.setItem('token', token);
-
-        // Set default authorization header
-        api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-
-        // Update state
-        setUser(user);
-        setIsAuthenticated(true);
-
+        completeLogin(response.data.data);
         toast.success(`Welcome back, ${user.firstName}!`);
 
         return { success: true, user };
@@ -128,8 +165,8 @@ export const AuthProvider = ({ children }) => {
       console.error('❌ Login error:', error.message);
       const message = error.response?.data?.message || error.message || 'Login failed';
 
-      // Don't show toast for rate limiting errors (already handled by API)
-      if (!message.includes('Too many') && !message.includes('rate limit')) {
+      // Don't show toast for rate limiting and lockout errors (already handled by API)
+      if (![423, 429].includes(error.response?.status) && !message.includes('Too many') && !message.includes('rate limit')) {
         toast.error(message);
       }
 
@@ -155,15 +192,18 @@ export const AuthProvider = ({ children }) => {
       const response = await api.post('/auth/register', userData);
 
       if (response.data.success) {
-        const { user, token } = response.data.data;
+        // A new admin sets up two-factor authentication before signing in
+        if (response.data.data.challengeToken) {
+          toast.success(response.data.message);
+          return { success: false, challenge: response.data.data, message: response.data.message };
+        }
 
-        console.log('✅ Registration successful for:', user.username, 'Role:', user.role);
+        const { user, token, refreshToken } = response.data.data;
 
-        // Store token in localStorage
-        localStorage.setItem('token', token);
+        console.log('✅ Registration successful for:', user.username, 'Role:', user.role);
 
-        // Set default authorization header
-        api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+        // Store the session tokens and set the default authorization header
+        setSessionTokens({ token, refreshToken });
 
         // Update state
         setUser(user);
@@ -201,8 +241,9 @@ export const AuthProvider = ({ children }) => {
 
     console.log('🚪 Logging out user:', user?.username);
 
-    // Clear session data immediately
-    clearSession();
+    // Revoke the session on the server (unless it is already gone), then clear session data
+    const revoke = localStorage.getItem('token') ? authAPI.logout() : Promise.resolve();
+    revoke.finally(clearSession);
 
     // Show success message (debounced)
     toast.info('Logged out successfully');
@@ -237,6 +278,8 @@ export const AuthProvider = ({ children }) => {
     loading,
     isAuthenticated,
     login,
+    verifyTwoFactor,
+    completeLogin,
     register,
     logout
   };
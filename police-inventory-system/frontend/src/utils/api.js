@@ -1,17 +1,76 @@
 import axios from 'axios';
 import { toast } from 'react-toastify';
 
+const baseURL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
 // Create axios instance with better configuration
 const api = axios.create({
-  baseURL: process.env.REACT_APP_API_URL || 'http://localhost:5000/api',
+  baseURL,
   timeout: 10000,
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
-// Add response interceptor for better auth error handling
-let isRefreshing = false;
+// Session tokens: a short-lived access token and the refresh token that renews it
+export const setSessionTokens = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+  api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+
+  // Live update streams reconnect with the new token
+  window.dispatchEvent(new CustomEvent('auth-token'));
+};
+
+export const clearSessionTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  delete api.defaults.headers.common['Authorization'];
+};
+
+// One refresh at a time; requests failing meanwhile wait for it
+let refreshPromise = null;
+
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    refreshPromise = axios.post(`${baseURL}/auth/refresh`, { refreshToken })
+      .then(response => {
+        setSessionTokens(response.data.data);
+        return true;
+      })
+      .catch(() => {
+        // Another tab may have refreshed with the same token first
+        return Boolean(refreshToken) && localStorage.getItem('refreshToken') !== refreshToken;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+// Auth endpoints whose 401s mean bad credentials or an expired reset link,
+// not an expired access token
+const NO_REFRESH_URLS = [
+  '/auth/login',
+  '/auth/register',
+  '/auth/refresh',
+  '/auth/reset-password'
+];
+
+// Sign-in steps send a challenge token in the body instead of a session; their 401s
+// mean the challenge expired, which a refreshed access token would not fix
+const sentWithChallengeToken = (config) => {
+  try {
+    const payload = typeof config.data === 'string' ? JSON.parse(config.data) : config.data;
+    return Boolean(payload?.challengeToken);
+  } catch (error) {
+    return false;
+  }
+};
 
 // Request interceptor
 api.interceptors.request.use(
@@ -62,34 +121,18 @@ api.interceptors.response.use(
     // Handle different HTTP status codes
     switch (status) {
       case 401:
-        // Unauthorized - handle token expiration
-        if (!isRefreshing && !originalRequest._retry) {
-          console.log('🔄 Token expired, attempting to refresh...');
-
-          // Try to refresh the authentication
-          const token = localStorage.getItem('token');
-          if (token) {
-            originalRequest._retry = true;
-
-            try {
-              // Check if token is still valid by calling /auth/me
-              const response = await axios.get(`${process.env.REACT_APP_API_URL || 'http://localhost:5000/api'}/auth/me`, {
-                headers: { Authorization: `Bearer ${token}` }
-              });
-
-              if (response.data.success) {
-                console.log('✅ Token is still valid, retrying request');
-                return api(originalRequest);
-              }
-            } catch (refreshError) {
-              console.log('❌ Token refresh failed');
-            }
+        // Access token expired or revoked: renew it once with the refresh token
+        if (!originalRequest._retry && !NO_REFRESH_URLS.includes(originalRequest.url) && !sentWithChallengeToken(originalRequest)) {
+          originalRequest._retry = true;
+
+          if (localStorage.getItem('refreshToken') && await refreshSession()) {
+            console.log('✅ Session refreshed, retrying request');
+            return api(originalRequest);
           }
 
-          // Token is invalid, clear session and redirect
+          // Session is gone, clear it and redirect
           console.log('🧹 Clearing invalid session');
-          localStorage.removeItem('token');
-          delete api.defaults.headers.common['Authorization'];
+          clearSessionTokens();
 
           // Dispatch custom event for AuthContext to handle
           window.dispatchEvent(new CustomEvent('auth-error'));
@@ -118,8 +161,10 @@ api.interceptors.response.use(
         }
         break;
 
+      case 423:
       case 429:
-        toast.error('Too many requests. Please slow down.');
+        // Locked account or throttled login; the message says when to retry
+        toast.error(data?.message || 'Too many requests. Please slow down.');
         break;
 
       case 500:
@@ -174,7 +219,19 @@ export const authAPI = {
 
   getProfile: () => api.get('/auth/me'),
   updateProfile: (data) => api.put('/auth/profile', data),
-  changePassword: (data) => api.post('/auth/change-password', data)
+  changePassword: (data) => api.post('/auth/change-password', data),
+  getPasswordPolicy: () => api.get('/auth/password-policy'),
+  forgotPassword: (data) => api.post('/auth/forgot-password', data),
+  resetPassword: (data) => api.post('/auth/reset-password', data),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (id) => api.delete(`/auth/sessions/${id}`),
+  revokeOtherSessions: () => api.delete('/auth/sessions'),
+  // Two-factor authentication; setup and enable also accept the login challenge token
+  verifyTwoFactor: (data) => api.post('/auth/2fa/verify', data),
+  setupTwoFactor: (data) => api.post('/auth/2fa/setup', data),
+  enableTwoFactor: (data) => api.post('/auth/2fa/enable', data),
+  regenerateRecoveryCodes: (data) => api.post('/auth/2fa/recovery-codes', data),
+  disableTwoFactor: (data) => api.post('/auth/2fa/disable', data)
 };
 
 export const adminAPI = {
@@ -182,11 +239,19 @@ export const adminAPI = {
   getUsers: (params) => api.get('/admin/users', { params }),
   createUser: (userData) => api.post('/admin/users', userData),
   updateUser: (id, userData) => api.put(`/admin/users/${id}`, userData),
+  unlockUser: (id) => api.put(`/admin/users/${id}/unlock`),
+  resetUserPassword: (id) => api.put(`/admin/users/${id}/reset-password`),
   deleteUser: (id) => api.delete(`/admin/users/${id}`),
+  getUserSessions: (id) => api.get(`/admin/users/${id}/sessions`),
+  revokeUserSession: (id, sessionId) => api.delete(`/admin/users/${id}/sessions/${sessionId}`),
+  revokeUserSessions: (id) => api.delete(`/admin/users/${id}/sessions`),
+  resetTwoFactor: (id) => api.delete(`/admin/users/${id}/two-factor`),
   getRequests: (params) => api.get('/admin/requests', { params }),
   approveRequest: (id, data) => api.put(`/admin/requests/${id}/approve`, data),
   rejectRequest: (id, data) => api.put(`/admin/requests/${id}/reject`, data),
-  getReports: (params) => api.get('/admin/reports/summary', { params })
+  getReports: (params) => api.get('/admin/reports/summary', { params }),
+  getOverdueItems: (params) => api.get('/admin/overdue', { params }),
+  getAuditLog: (params) => api.get('/admin/audit', { params })
 };
 
 export const officerAPI = {
@@ -195,15 +260,91 @@ export const officerAPI = {
   createRequest: (requestData) => api.post('/officer/requests', requestData),
   cancelRequest: (id) => api.put(`/officer/requests/${id}/cancel`),
   getIssuedEquipment: () => api.get('/officer/equipment/issued'),
+  getIssuedPoolItems: () => api.get('/officer/pool-items/issued'),
+  createPoolReturnRequest: (requestData) => api.post('/officer/return-requests/from-pool', requestData),
   getInventory: (params) => api.get('/officer/inventory', { params }),
   getEquipmentDetails: (id) => api.get(`/officer/equipment/${id}`),
   getAuthorizedEquipmentPools: (params) => {
     console.log('🔄 GET /equipment/authorized-pools', params);
     return api.get('/equipment/authorized-pools', { params });
-  }
+  },
+  requestEquipmentFromPool: (requestData) => {
+    console.log('🔄 POST /officer/equipment-requests/from-pool', requestData);
+    return api.post('/officer/equipment-requests/from-pool', requestData);
+  },
+  requestKit: (requestData) => api.post('/officer/equipment-requests/from-kit', requestData),
+  createKitReturnRequest: (requestData) => api.post('/officer/return-requests/from-kit', requestData),
+  reportExpenditure: (poolId, issueId, data) => api.post(`/officer/consumables/${poolId}/${issueId}/expenditure`, data)
+};
+
+export const notificationAPI = {
+  getNotifications: (params) => api.get('/notifications', { params }),
+  markAsRead: (id) => api.put(`/notifications/${id}/read`),
+  markAllAsRead: () => api.put('/notifications/read-all')
+};
+
+export const incidentAPI = {
+  getIncidents: (params) => api.get('/incidents', { params }),
+  reportIncident: (data) => api.post('/incidents', data),
+  resolveIncident: (id, data) => api.put(`/incidents/${id}/resolve`, data)
+};
+
+export const stationAPI = {
+  getStations: (params) => api.get('/stations', { params }),
+  createStation: (data) => api.post('/stations', data),
+  updateStation: (id, data) => api.put(`/stations/${id}`, data)
+};
+
+export const transferAPI = {
+  getTransfers: (params) => api.get('/transfers', { params }),
+  requestTransfer: (data) => api.post('/transfers', data),
+  dispatchTransfer: (id) => api.put(`/transfers/${id}/dispatch`),
+  receiveTransfer: (id, data) => api.put(`/transfers/${id}/receive`, data),
+  cancelTransfer: (id) => api.put(`/transfers/${id}/cancel`)
+};
+
+export const kitAPI = {
+  getKits: (params) => api.get('/kits', { params }),
+  createKit: (data) => api.post('/kits', data),
+  updateKit: (id, data) => api.put(`/kits/${id}`, data)
+};
+
+export const supplierAPI = {
+  getSuppliers: (params) => api.get('/suppliers', { params }),
+  createSupplier: (data) => api.post('/suppliers', data),
+  updateSupplier: (id, data) => api.put(`/suppliers/${id}`, data)
+};
+
+export const purchaseOrderAPI = {
+  getOrders: (params) => api.get('/purchase-orders', { params }),
+  getOrder: (id) => api.get(`/purchase-orders/${id}`),
+  createOrder: (data) => api.post('/purchase-orders', data),
+  updateOrder: (id, data) => api.put(`/purchase-orders/${id}`, data),
+  approveOrder: (id) => api.put(`/purchase-orders/${id}/approve`),
+  placeOrder: (id, data) => api.put(`/purchase-orders/${id}/order`, data),
+  receiveOrder: (id, data) => api.put(`/purchase-orders/${id}/receive`, data),
+  cancelOrder: (id) => api.put(`/purchase-orders/${id}/cancel`)
+};
+
+export const warrantyAPI = {
+  getExpiring: (params) => api.get('/warranty/expiring', { params }),
+  getClaimable: () => api.get('/warranty/claimable'),
+  getClaims: (params) => api.get('/warranty/claims', { params }),
+  fileClaim: (data) => api.post('/warranty/claims', data),
+  submitClaim: (id, data) => api.put(`/warranty/claims/${id}/submit`, data),
+  resolveClaim: (id, data) => api.put(`/warranty/claims/${id}/resolve`, data)
+};
+
+export const deskAPI = {
+  lookupOfficer: (code) => api.get('/desk/officer', { params: { code } }),
+  issueItems: (data) => api.post('/desk/issue', data),
+  returnItems: (data) => api.post('/desk/return', data),
+  getReceipts: (params) => api.get('/desk/receipts', { params }),
+  getReceipt: (receiptNo) => api.get(`/desk/receipts/${receiptNo}`)
 };
 
 
+
 // ============================================
 // EQUIPMENT POOL API ENDPOINTS (ADD TO api.js)
 // ============================================
@@ -259,6 +400,79 @@ export const equipmentAPI = {
     return api.get(`/equipment/pools/${poolId}/items/${uniqueId}/history`); // <-- CORRECT
   },
 
+  // Take an item out of service for maintenance
+  sendItemToMaintenance: (poolId, uniqueId, data) => {
+    return api.post(`/equipment/pools/${poolId}/items/${uniqueId}/send-to-maintenance`, data);
+  },
+
+  // Log a maintenance entry for an item
+  logItemMaintenance: (poolId, uniqueId, data) => {
+    return api.post(`/equipment/pools/${poolId}/items/${uniqueId}/maintenance`, data);
+  },
+
+  // Return an item from maintenance to the pool
+  returnItemToService: (poolId, uniqueId, data) => {
+    return api.post(`/equipment/pools/${poolId}/items/${uniqueId}/return-to-service`, data);
+  },
+
+  // Add newly procured items to a pool
+  addPoolItems: (poolId, data) => {
+    return api.post(`/equipment/pools/${poolId}/items`, data);
+  },
+
+  // Edit an item's location, condition, notes or next inspection date
+  updatePoolItem: (poolId, uniqueId, data) => {
+    return api.put(`/equipment/pools/${poolId}/items/${uniqueId}`, data);
+  },
+
+  // Permanently retire an item
+  retirePoolItem: (poolId, uniqueId, data) => {
+    return api.post(`/equipment/pools/${poolId}/items/${uniqueId}/retire`, data);
+  },
+
+  // Set the available count at which a pool is low and how much to reorder
+  updateReorderSettings: (poolId, data) => {
+    return api.put(`/equipment/pools/${poolId}/reorder`, data);
+  },
+
+  // Low pools with order quantities; format=csv downloads a spreadsheet
+  getProcurementList: (params) => {
+    return api.get('/equipment/procurement-list', {
+      params,
+      ...(params?.format === 'csv' && { responseType: 'blob' })
+    });
+  },
+
+  // Set the pool-wide warranty (expiry, period, provider)
+  updateWarranty: (poolId, data) => {
+    return api.put(`/equipment/pools/${poolId}/warranty`, data);
+  },
+
+  // Receive a lot of stock into a consumable pool
+  receiveLot: (poolId, data) => {
+    return api.post(`/equipment/pools/${poolId}/lots`, data);
+  },
+
+  // Settle a consumable issue once the unused quantity is back
+  settleConsumableIssue: (poolId, issueId, data) => {
+    return api.post(`/equipment/pools/${poolId}/consumable-issues/${issueId}/settle`, data);
+  },
+
+  // Download a PDF sheet of item labels
+  getItemLabels: (poolId, params) => {
+    return api.get(`/equipment/pools/${poolId}/labels`, { params, responseType: 'blob' });
+  },
+
+  // Resolve a scanned label or typed uniqueId to its pool and item
+  resolveItemCode: (code) => {
+    return api.get('/equipment/items/resolve', { params: { code } });
+  },
+
+  // Get items due for inspection
+  getInspectionsDue: (params) => {
+    return api.get('/equipment/inspections/due', { params });
+  },
+
   // Get my equipment history
   getMyEquipmentHistory: () => {
     console.log('🔄 GET /equipment/my-equipment-history');
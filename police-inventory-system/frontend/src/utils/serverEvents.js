@@ -0,0 +1,105 @@
+import { useEffect, useRef } from 'react';
+import { refreshSession } from './api';
+
+// Live updates from GET /api/events (Server-Sent Events).
+// One EventSource is shared by every subscriber and closed when the last one leaves.
+
+const baseURL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+const RETRY_DELAY = 5000;
+
+let source = null;
+let sourceToken = null;
+let retryTimer = null;
+const listeners = new Map();
+
+const closeSource = () => {
+  if (source) {
+    source.close();
+    source = null;
+    sourceToken = null;
+  }
+};
+
+// EventSource would keep retrying with the access token in its URL long after that
+// token expired, so take over: renew the session, then reopen the stream
+const handleError = () => {
+  closeSource();
+  if (retryTimer) return;
+
+  retryTimer = setTimeout(async () => {
+    retryTimer = null;
+    if (listeners.size === 0) return;
+
+    // A successful refresh reopens the stream through the auth-token event
+    await refreshSession();
+    connect();
+  }, RETRY_DELAY);
+};
+
+const connect = () => {
+  const token = localStorage.getItem('token');
+  if (!token) return;
+
+  // Reconnect when the user changed since the stream was opened
+  if (source && sourceToken === token) return;
+  closeSource();
+
+  source = new EventSource(`${baseURL}/events?token=${encodeURIComponent(token)}`);
+  sourceToken = token;
+  source.onerror = handleError;
+
+  listeners.forEach((handlers, event) => {
+    handlers.forEach(handler => source.addEventListener(event, handler));
+  });
+};
+
+const disconnect = () => {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  closeSource();
+};
+
+// Access tokens are short-lived: reopen the stream with each refreshed token
+window.addEventListener('auth-token', () => {
+  if (listeners.size > 0) connect();
+});
+
+// Subscribe to a server event; returns an unsubscribe function
+export const subscribe = (event, callback) => {
+  const handler = (e) => {
+    try {
+      callback(JSON.parse(e.data));
+    } catch (error) {
+      console.error(`❌ Bad ${event} event:`, error);
+    }
+  };
+
+  if (!listeners.has(event)) listeners.set(event, new Set());
+  listeners.get(event).add(handler);
+
+  connect();
+  if (source) source.addEventListener(event, handler);
+
+  return () => {
+    listeners.get(event).delete(handler);
+    if (listeners.get(event).size === 0) listeners.delete(event);
+    if (source) source.removeEventListener(event, handler);
+    if (listeners.size === 0) disconnect();
+  };
+};
+
+// React hook: call handler for each of the given events while mounted
+export const useServerEvent = (events, handler) => {
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  const eventList = [].concat(events);
+  const eventKey = eventList.join(',');
+
+  useEffect(() => {
+    const unsubscribers = eventKey.split(',').map(event =>
+      subscribe(event, (data) => handlerRef.current(data, event))
+    );
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [eventKey]);
+};